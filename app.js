@@ -16,6 +16,11 @@ import analyticsRouter from './routes/analytics.routes.js';
 import healthRouter from './routes/health.routes.js';
 import monitoringRouter from './routes/monitoring.routes.js';
 import webhooksRouter from './routes/webhooks.routes.js';
+import connectionsRouter from './routes/connections.routes.js';
+import presetsRouter from './routes/presets.routes.js';
+import filesRouter from './routes/files.routes.js';
+import uploadTokensRouter from './routes/upload-tokens.routes.js';
+import adminRouter from './routes/admin.routes.js';
 import connectToSupabase from './database/supabase.js';
 import errorMiddleware from './middlewares/error.middleware.js';
 import arcjetMiddleware from './middlewares/arcjet.middleware.js';
@@ -46,6 +51,11 @@ app.use('/api/v1/upload', uploadRouter);
 app.use('/api/v1/analytics', analyticsRouter);
 app.use('/api/v1/monitoring', monitoringRouter);
 app.use('/api/v1/webhooks', webhooksRouter);
+app.use('/api/v1/connections', connectionsRouter);
+app.use('/api/v1/presets', presetsRouter);
+app.use('/api/v1/upload-tokens', uploadTokensRouter);
+app.use('/api/v1/admin', adminRouter);
+app.use('/api/v2', filesRouter);
 
 // Error handling
 app.use(errorMiddleware);
@@ -0,0 +1,521 @@
+/**
+ * Admin Controller
+ *
+ * - GET  /api/v1/admin/bans                        - Active bans with violation counts
+ * - GET  /api/v1/admin/violations                  - Violation counts per identifier
+ * - POST /api/v1/admin/unban                       - Lift bans for a user, key or IP
+ * - POST /api/v1/admin/violations/reset            - Reset violation counts for a user, key or IP
+ * - GET  /api/v1/admin/users/:userId               - Tier, plan limits, quota, keys and bans
+ * - POST /api/v1/admin/users/:userId/invalidate-cache - Drop cached tier / plan / API key data
+ *
+ * Bans and violations live in Redis under the rate limiter's identifier —
+ * the raw API key or the client IP — so targets are given as
+ * { userId } (all of the user's keys), { apiKeyId } or { ip }, and raw keys
+ * are only ever returned masked.
+ *
+ * The RateLimiter Durable Object caches ban state for up to 60 seconds, so a
+ * lifted ban can take that long to stop applying on the Workers path.
+ *
+ * Every action, reads included, is recorded with logCriticalAudit.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
+import { invalidateApiKeyCache } from '../middlewares/apikey.middleware.optimized.js';
+import { invalidateTierCache } from '../utils/tier-cache.js';
+import { getPlanLimits, invalidatePlanOverrideCache } from '../utils/plan-limits.js';
+import { getQuotaUsage } from '../utils/quota-manager.js';
+import { getByteUsage } from '../utils/byte-quota.js';
+import { parseIp } from '../utils/api-key-allowlists.js';
+import { logCriticalAudit } from '../utils/audit-logger.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const maskKey = (key) => `${key.slice(0, 7)}...${key.slice(-4)}`;
+const isApiKey = (identifier) => identifier.startsWith('ox_');
+
+const listLimit = (value) => {
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+};
+
+const parseJson = (value) => {
+    if (!value) return null;
+    if (typeof value === 'object') return value;   // Upstash auto-parses JSON
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * SCAN keys matching a pattern (ioredis and Upstash take different arguments)
+ */
+async function scanKeys(redis, pattern, limit) {
+    const isIoredis = typeof redis.status === 'string';
+    const keys = [];
+    let cursor = '0';
+
+    do {
+        const [next, batch] = isIoredis
+            ? await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500)
+            : await redis.scan(cursor, { match: pattern, count: 500 });
+        cursor = String(next);
+        keys.push(...batch);
+    } while (cursor !== '0' && keys.length < limit);
+
+    return keys.slice(0, limit);
+}
+
+/**
+ * Look up the api_keys rows behind raw-key identifiers
+ * @returns {Promise<Map<string, Object>>} key_value → { id, user_id, name }
+ */
+async function findKeysByValue(identifiers) {
+    const keyValues = identifiers.filter(isApiKey);
+    if (keyValues.length === 0) return new Map();
+
+    const { data: rows, error } = await supabaseAdmin
+        .from('api_keys')
+        .select('id, user_id, name, key_value')
+        .in('key_value', keyValues);
+
+    if (error) {
+        logger.warn('Admin: failed to resolve ban identifiers:', error.message);
+        return new Map();
+    }
+    return new Map(rows.map(row => [row.key_value, row]));
+}
+
+/**
+ * Describe an identifier without exposing a raw API key
+ */
+function describeIdentifier(identifier, keyRow) {
+    if (!isApiKey(identifier)) {
+        return { type: 'ip', ip: identifier };
+    }
+    return {
+        type: 'api_key',
+        apiKey: maskKey(identifier),
+        apiKeyId: keyRow?.id || null,
+        apiKeyName: keyRow?.name || null,
+        userId: keyRow?.user_id || null
+    };
+}
+
+/**
+ * Resolve a { userId } / { apiKeyId } / { ip } target to rate limiter identifiers
+ * @returns {Promise<Object>} { identifiers, userId } or { error } (error body + status)
+ */
+async function resolveTarget({ userId, apiKeyId, ip } = {}) {
+    const given = [userId, apiKeyId, ip].filter(value => value !== undefined && value !== null);
+    if (given.length !== 1) {
+        return {
+            status: 400,
+            error: {
+                error: 'INVALID_TARGET',
+                message: 'Provide exactly one of userId, apiKeyId or ip'
+            }
+        };
+    }
+
+    if (ip !== undefined) {
+        if (typeof ip !== 'string' || !parseIp(ip)) {
+            return { status: 400, error: { error: 'INVALID_IP', message: `"${ip}" is not a valid IP address` } };
+        }
+        return { identifiers: [ip.trim()], userId: null };
+    }
+
+    const id = userId ?? apiKeyId;
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id)) {
+        return { status: 400, error: { error: 'INVALID_ID', message: `"${id}" is not a valid UUID` } };
+    }
+
+    const { data: keys, error } = await supabaseAdmin
+        .from('api_keys')
+        .select('id, user_id, key_value')
+        .eq(userId ? 'user_id' : 'id', id);
+
+    if (error) throw error;
+
+    if (!keys || keys.length === 0) {
+        return {
+            status: 404,
+            error: {
+                error: userId ? 'USER_HAS_NO_KEYS' : 'API_KEY_NOT_FOUND',
+                message: userId ? 'No API keys found for this user' : 'API key not found'
+            }
+        };
+    }
+
+    return { identifiers: keys.map(key => key.key_value), userId: keys[0].user_id };
+}
+
+const auditAdminAction = (req, event) => logCriticalAudit({
+    resource_type: event.user_id ? 'account' : 'system',
+    ...event,
+    metadata: { admin: req.admin?.name, ...event.metadata },
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent']
+}).catch(() => { });
+
+const redisUnavailable = (res) => res.status(503).json({
+    success: false,
+    error: 'REDIS_UNAVAILABLE',
+    message: 'Ban state is stored in Redis, which is not available right now'
+});
+
+// ─── Handlers ────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/admin/bans?limit=100
+ * Active temporary and permanent bans
+ */
+export async function listBans(req, res) {
+    try {
+        const redis = await getRedisAsync();
+        if (!redis) return redisUnavailable(res);
+
+        const limit = listLimit(req.query.limit);
+        const [tempKeys, permKeys] = await Promise.all([
+            scanKeys(redis, 'ban:*', limit),
+            scanKeys(redis, 'perm_ban:*', limit)
+        ]);
+
+        const identifiers = [...new Set([
+            ...permKeys.map(key => key.slice('perm_ban:'.length)),
+            ...tempKeys.map(key => key.slice('ban:'.length))
+        ])].slice(0, limit);
+
+        if (identifiers.length === 0) {
+            auditAdminAction(req, { event_type: 'admin_bans_listed', description: 'Admin listed active bans', metadata: { count: 0 } });
+            return res.json({ success: true, data: { bans: [], count: 0 } });
+        }
+
+        const values = await redis.mget(
+            ...identifiers.flatMap(id => [`ban:${id}`, `perm_ban:${id}`, `violations:${id}`])
+        );
+        const keyRows = await findKeysByValue(identifiers);
+        const now = Date.now();
+
+        const bans = identifiers.map((identifier, i) => {
+            const tempBan = parseJson(values[i * 3]);
+            const permBan = parseJson(values[i * 3 + 1]);
+            const violations = parseInt(values[i * 3 + 2] || '0', 10);
+
+            return {
+                target: describeIdentifier(identifier, keyRows.get(identifier)),
+                level: permBan ? 'PERMANENT' : tempBan?.banLevel,
+                isPermanent: Boolean(permBan),
+                reason: permBan?.reason || tempBan?.reason || null,
+                bannedAt: permBan?.bannedAt || (tempBan ? new Date(tempBan.bannedAt).toISOString() : null),
+                expiresAt: permBan || !tempBan ? null : new Date(tempBan.expiresAt).toISOString(),
+                remainingSeconds: permBan || !tempBan ? null : Math.max(0, Math.ceil((tempBan.expiresAt - now) / 1000)),
+                violationCount: Number.isNaN(violations) ? 0 : violations
+            };
+        }).filter(ban => ban.level);
+
+        auditAdminAction(req, {
+            event_type: 'admin_bans_listed',
+            description: 'Admin listed active bans',
+            metadata: { count: bans.length }
+        });
+
+        return res.json({ success: true, data: { bans, count: bans.length } });
+
+    } catch (error) {
+        logger.error('Admin list bans error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_BANS_LIST_FAILED', message: 'Failed to list bans' });
+    }
+}
+
+/**
+ * GET /api/v1/admin/violations?limit=100&min=1
+ * Lifetime violation counts (7-day rolling TTL), highest first
+ */
+export async function listViolations(req, res) {
+    try {
+        const redis = await getRedisAsync();
+        if (!redis) return redisUnavailable(res);
+
+        const limit = listLimit(req.query.limit);
+        const min = Math.max(1, parseInt(req.query.min, 10) || 1);
+
+        const keys = await scanKeys(redis, 'violations:*', MAX_LIST_LIMIT);
+        const counts = keys.length ? await redis.mget(...keys) : [];
+
+        const entries = keys
+            .map((key, i) => ({ identifier: key.slice('violations:'.length), count: parseInt(counts[i] || '0', 10) }))
+            .filter(entry => entry.count >= min)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+
+        const keyRows = await findKeysByValue(entries.map(entry => entry.identifier));
+        const violations = entries.map(entry => ({
+            target: describeIdentifier(entry.identifier, keyRows.get(entry.identifier)),
+            violationCount: entry.count
+        }));
+
+        auditAdminAction(req, {
+            event_type: 'admin_violations_listed',
+            description: 'Admin listed violation counts',
+            metadata: { count: violations.length, min }
+        });
+
+        return res.json({ success: true, data: { violations, count: violations.length } });
+
+    } catch (error) {
+        logger.error('Admin list violations error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_VIOLATIONS_LIST_FAILED', message: 'Failed to list violations' });
+    }
+}
+
+/**
+ * POST /api/v1/admin/unban
+ * Body: { userId | apiKeyId | ip, resetViolations?: boolean (default true), reason?: string }
+ *
+ * Lifting a ban without resetting violations leaves the identifier one
+ * violation away from being banned again at the same level.
+ */
+export async function unban(req, res) {
+    try {
+        const { resetViolations = true, reason } = req.body || {};
+        const target = await resolveTarget(req.body);
+        if (target.error) {
+            return res.status(target.status).json({ success: false, ...target.error });
+        }
+
+        const redis = await getRedisAsync();
+        if (!redis) return redisUnavailable(res);
+
+        const keys = target.identifiers.flatMap(id => [
+            `ban:${id}`,
+            `perm_ban:${id}`,
+            ...(resetViolations ? [`violations:${id}`] : [])
+        ]);
+        const removed = await redis.del(...keys);
+
+        // The permanent_bans row is per user, so it only goes when the whole user is unbanned
+        let permanentBanRecordRemoved = false;
+        if (req.body.userId) {
+            const { data: rows, error } = await supabaseAdmin
+                .from('permanent_bans')
+                .delete()
+                .eq('user_id', target.userId)
+                .select('user_id');
+            if (error) throw error;
+            permanentBanRecordRemoved = rows?.length > 0;
+        }
+
+        auditAdminAction(req, {
+            user_id: target.userId,
+            event_type: 'admin_unban',
+            description: `Admin lifted bans on ${target.identifiers.length} identifier(s)`,
+            metadata: {
+                target: req.body.userId ? 'user' : req.body.apiKeyId ? 'api_key' : 'ip',
+                api_key_id: req.body.apiKeyId,
+                ip: req.body.ip,
+                identifiers: target.identifiers.length,
+                keys_removed: removed,
+                violations_reset: Boolean(resetViolations),
+                permanent_ban_record_removed: permanentBanRecordRemoved,
+                reason: typeof reason === 'string' ? reason.slice(0, 500) : undefined
+            }
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                identifiers: target.identifiers.map(id => (isApiKey(id) ? maskKey(id) : id)),
+                redisKeysRemoved: removed,
+                violationsReset: Boolean(resetViolations),
+                permanentBanRecordRemoved,
+                note: 'Edge rate limiters may keep applying a cached ban for up to 60 seconds'
+            }
+        });
+
+    } catch (error) {
+        logger.error('Admin unban error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_UNBAN_FAILED', message: 'Failed to lift ban' });
+    }
+}
+
+/**
+ * POST /api/v1/admin/violations/reset
+ * Body: { userId | apiKeyId | ip, reason?: string }
+ *
+ * Active bans stay in place — use /unban to lift them.
+ */
+export async function resetViolations(req, res) {
+    try {
+        const target = await resolveTarget(req.body);
+        if (target.error) {
+            return res.status(target.status).json({ success: false, ...target.error });
+        }
+
+        const redis = await getRedisAsync();
+        if (!redis) return redisUnavailable(res);
+
+        const removed = await redis.del(...target.identifiers.map(id => `violations:${id}`));
+
+        auditAdminAction(req, {
+            user_id: target.userId,
+            event_type: 'admin_violations_reset',
+            description: `Admin reset violation counts on ${target.identifiers.length} identifier(s)`,
+            metadata: {
+                api_key_id: req.body.apiKeyId,
+                ip: req.body.ip,
+                counters_removed: removed,
+                reason: typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : undefined
+            }
+        });
+
+        return res.json({ success: true, data: { countersRemoved: removed } });
+
+    } catch (error) {
+        logger.error('Admin reset violations error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_VIOLATIONS_RESET_FAILED', message: 'Failed to reset violations' });
+    }
+}
+
+/**
+ * GET /api/v1/admin/users/:userId
+ * Tier, effective plan limits, this month's quota, API keys and their ban state
+ */
+export async function getUserOverview(req, res) {
+    try {
+        const { userId } = req.params;
+        if (!UUID_PATTERN.test(userId)) {
+            return res.status(400).json({ success: false, error: 'INVALID_ID', message: `"${userId}" is not a valid UUID` });
+        }
+
+        const [{ data: profile, error: profileError }, { data: keys, error: keysError }] = await Promise.all([
+            supabaseAdmin
+                .from('profiles_with_tier')
+                .select('subscription_tier, subscription_tier_paid, subscription_status, is_subscription_expired, is_in_grace_period, days_until_expiration, plan_name')
+                .eq('id', userId)
+                .maybeSingle(),
+            supabaseAdmin
+                .from('api_keys')
+                .select('id, name, key_value, is_active, created_at, last_used_at, expires_at, scopes, allowed_ips, allowed_origins')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+        ]);
+
+        if (profileError) throw profileError;
+        if (keysError) throw keysError;
+
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'USER_NOT_FOUND', message: 'User not found' });
+        }
+
+        const tier = (profile.subscription_tier || 'free').toLowerCase();
+        const [limits, quota, bytesUsed, { data: permanentBan }] = await Promise.all([
+            getPlanLimits(tier, userId),
+            getQuotaUsage(userId, tier),
+            getByteUsage(userId),
+            supabaseAdmin.from('permanent_bans').select('reason, total_violations, banned_at').eq('user_id', userId).maybeSingle()
+        ]);
+
+        // Ban state per key, in one MGET
+        const redis = await getRedisAsync();
+        const banValues = redis && keys.length
+            ? await redis.mget(...keys.flatMap(key => [`ban:${key.key_value}`, `perm_ban:${key.key_value}`, `violations:${key.key_value}`]))
+            : [];
+
+        const apiKeys = keys.map((key, i) => {
+            const tempBan = parseJson(banValues[i * 3]);
+            const permBan = parseJson(banValues[i * 3 + 1]);
+            const { key_value: keyValue, ...rest } = key;
+
+            return {
+                ...rest,
+                key_preview: maskKey(keyValue),
+                ban: permBan
+                    ? { level: 'PERMANENT', reason: permBan.reason }
+                    : tempBan && tempBan.expiresAt > Date.now()
+                        ? { level: tempBan.banLevel, reason: tempBan.reason, expires_at: new Date(tempBan.expiresAt).toISOString() }
+                        : null,
+                violation_count: parseInt(banValues[i * 3 + 2] || '0', 10)
+            };
+        });
+
+        auditAdminAction(req, {
+            user_id: userId,
+            event_type: 'admin_user_inspected',
+            description: 'Admin viewed user tier, quota and keys'
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                user_id: userId,
+                profile,
+                tier,
+                limits,
+                quota,
+                bytes_used: bytesUsed,
+                permanent_ban: permanentBan || null,
+                api_keys: apiKeys
+            }
+        });
+
+    } catch (error) {
+        logger.error('Admin user lookup error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_USER_LOOKUP_FAILED', message: 'Failed to load user' });
+    }
+}
+
+/**
+ * POST /api/v1/admin/users/:userId/invalidate-cache
+ * Drop the cached tier, plan override and API key entries so a tier change
+ * applies on the next request
+ */
+export async function invalidateUserCache(req, res) {
+    try {
+        const { userId } = req.params;
+        if (!UUID_PATTERN.test(userId)) {
+            return res.status(400).json({ success: false, error: 'INVALID_ID', message: `"${userId}" is not a valid UUID` });
+        }
+
+        const { data: keys, error } = await supabaseAdmin
+            .from('api_keys')
+            .select('key_value')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        // API key cache entries embed the profile (and so the tier) the rate limiter reads
+        const [tierCacheCleared] = await Promise.all([
+            invalidateTierCache(userId),
+            invalidatePlanOverrideCache(userId),
+            ...(keys || []).map(key => invalidateApiKeyCache(key.key_value))
+        ]);
+
+        auditAdminAction(req, {
+            user_id: userId,
+            event_type: 'admin_tier_cache_invalidated',
+            description: 'Admin invalidated cached tier and API key data',
+            metadata: { tier_cache_cleared: tierCacheCleared, api_keys: keys?.length || 0 }
+        });
+
+        return res.json({
+            success: true,
+            data: {
+                tierCacheCleared,
+                apiKeyCachesCleared: keys?.length || 0,
+                note: 'Other server instances keep their in-process API key cache for up to 30 seconds'
+            }
+        });
+
+    } catch (error) {
+        logger.error('Admin cache invalidation error:', error);
+        return res.status(500).json({ success: false, error: 'ADMIN_CACHE_INVALIDATION_FAILED', message: 'Failed to invalidate caches' });
+    }
+}
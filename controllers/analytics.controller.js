@@ -2,7 +2,9 @@
  * Analytics Controller (v3 - Simplified for Presigned URL Architecture)
  * 
  * Since files never hit our server (direct upload to providers via presigned URLs),
- * we track REQUEST COUNTS for quota management, not file transfer metrics.
+ * request counts come from the usage tables below. Bytes are metered separately
+ * in Redis (utils/byte-quota.js): the declared fileSize at signing time, replaced
+ * by the provider-reported size when a webhook verifies the upload.
  * 
  * Uses these tables:
  * - api_keys (running totals for request counts)
@@ -18,6 +20,7 @@
 import { supabaseAdmin } from '../database/supabase.js';
 import { getRedis } from '../config/redis.js';
 import logger from '../utils/logger.js';
+import { getByteUsage, getKeyByteUsage } from '../utils/byte-quota.js';
 
 const CACHE_TTL = 60; // 60 seconds
 
@@ -53,10 +56,10 @@ const withCache = async (cacheKey, fetchFn) => {
 };
 
 /**
- * Get upload analytics - QUOTA TRACKING ONLY
+ * Get upload analytics
  * 
- * Tracks request counts for quota management.
- * Note: We cannot track actual file transfer since files upload directly to providers.
+ * Request counts (cached 60s) plus this month's byte usage for the key and
+ * the account's byte quota (live from Redis).
  */
 export const getUploadAnalytics = async (req, res) => {
   try {
@@ -119,12 +122,26 @@ export const getUploadAnalytics = async (req, res) => {
       };
     });
 
+    const bytesPerMonth = req.planLimits?.bytesPerMonth ?? -1;
+    const [keyBytes, accountBytes] = await Promise.all([
+      getKeyByteUsage(apiKeyId),
+      req.userId ? getByteUsage(req.userId) : 0
+    ]);
+
     // Set cache header
     res.set('Cache-Control', 'private, max-age=60');
 
     res.json({
       success: true,
-      data,
+      data: {
+        ...data,
+        bytes: keyBytes,
+        byteQuota: {
+          used: accountBytes,
+          limit: bytesPerMonth,
+          remaining: bytesPerMonth === -1 ? -1 : Math.max(0, bytesPerMonth - accountBytes)
+        }
+      },
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset)
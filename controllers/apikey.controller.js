@@ -1,4 +1,13 @@
 import { supabaseAdmin } from '../database/supabase.js';
+import { invalidateApiKeyCache } from '../middlewares/apikey.middleware.optimized.js';
+import {
+  rotateApiSecret,
+  DEFAULT_ROTATION_GRACE_SECONDS,
+  MAX_ROTATION_GRACE_SECONDS
+} from '../utils/api-key-rotation.js';
+import { parseEd25519PublicKey } from '../utils/signature.utils.js';
+import { logAudit } from '../utils/audit-logger.js';
+import { emitWebhookEvent } from '../services/webhook/events.js';
 import logger from '../utils/logger.js';
 
 // Validate API key and return user information
@@ -25,7 +34,7 @@ export const validateApiKey = async (req, res, next) => {
     // Validate API key in database with request metrics
     const { data: apiKeyData, error } = await supabaseAdmin
       .from('api_keys')
-      .select('id, user_id, name, created_at, last_used_at, total_requests, total_files_uploaded')
+      .select('id, user_id, name, created_at, last_used_at, total_requests, total_files_uploaded, scopes, allowed_providers, allowed_buckets, allowed_ips, allowed_origins, signing_public_key')
       .eq('key_value', apiKey)
       .single();
 
@@ -87,7 +96,13 @@ export const validateApiKey = async (req, res, next) => {
           created_at: apiKeyData.created_at,
           last_used_at: apiKeyData.last_used_at,
           total_requests: apiKeyData.total_requests || 0,
-          total_files_uploaded: apiKeyData.total_files_uploaded || 0
+          total_files_uploaded: apiKeyData.total_files_uploaded || 0,
+          scopes: apiKeyData.scopes?.length ? apiKeyData.scopes : ['*'],
+          allowed_providers: apiKeyData.allowed_providers?.length ? apiKeyData.allowed_providers : null,
+          allowed_buckets: apiKeyData.allowed_buckets?.length ? apiKeyData.allowed_buckets : null,
+          allowed_ips: apiKeyData.allowed_ips?.length ? apiKeyData.allowed_ips : null,
+          allowed_origins: apiKeyData.allowed_origins?.length ? apiKeyData.allowed_origins : null,
+          signing_algorithm: apiKeyData.signing_public_key ? 'ed25519' : 'hmac-sha256'
         },
         user: {
           id: user.id,
@@ -135,3 +150,234 @@ export const validateApiKeyPost = async (req, res, next) => {
     });
   }
 };
+
+// Rotate the API secret for the calling key.
+// The old secret keeps working for gracePeriodSeconds (default 24h), then is revoked.
+// Only a request signed with the current secret may rotate.
+export const rotateApiKey = async (req, res) => {
+  try {
+    const { gracePeriodSeconds = DEFAULT_ROTATION_GRACE_SECONDS } = req.body || {};
+
+    if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_ROTATION_GRACE_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_GRACE_PERIOD',
+        message: `gracePeriodSeconds must be an integer between 0 and ${MAX_ROTATION_GRACE_SECONDS}`,
+        hint: 'Use 0 to revoke the old secret immediately'
+      });
+    }
+
+    if (!req.secretHash) {
+      return res.status(400).json({
+        success: false,
+        error: 'NO_SECRET_TO_ROTATE',
+        message: 'This API key has no secret to rotate',
+        hint: 'Create a new API key with a secret from the dashboard'
+      });
+    }
+
+    // A secret in its grace window (possibly the leaked one being rotated away) must not mint the next one
+    if (req.secretMatch !== 'current') {
+      return res.status(403).json({
+        success: false,
+        error: 'CURRENT_SECRET_REQUIRED',
+        message: 'Only the current API secret can rotate this key',
+        hint: 'Sign this request with the newest secret, not one from before the last rotation'
+      });
+    }
+
+    const rotation = await rotateApiSecret({
+      id: req.apiKeyId,
+      user_id: req.userId,
+      secret_hash: req.secretHash
+    }, gracePeriodSeconds);
+
+    if (!rotation) {
+      return res.status(409).json({
+        success: false,
+        error: 'ROTATION_CONFLICT',
+        message: 'The secret was rotated by another request',
+        hint: 'Retry with the newest secret'
+      });
+    }
+
+    await invalidateApiKeyCache(req.headers['x-api-key']);
+
+    logAudit({
+      user_id: req.userId,
+      resource_type: 'api_key',
+      resource_id: req.apiKeyId,
+      event_type: 'api_secret_rotated',
+      event_category: 'warning',
+      description: gracePeriodSeconds > 0
+        ? `API secret rotated; previous secret valid until ${rotation.previousSecretExpiresAt}`
+        : 'API secret rotated; previous secret revoked immediately',
+      metadata: {
+        grace_period_seconds: gracePeriodSeconds,
+        previous_secret_expires_at: rotation.previousSecretExpiresAt
+      },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    }).catch(() => { });
+
+    // Never includes the secret itself
+    emitWebhookEvent(req.userId, 'api_key.rotated', {
+      apiKeyId: req.apiKeyId,
+      rotatedAt: rotation.rotatedAt,
+      previousSecretExpiresAt: rotation.previousSecretExpiresAt
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'API secret rotated. Store the new secret now — it will not be shown again.',
+      data: {
+        api_key_id: req.apiKeyId,
+        secret: rotation.secret,
+        rotated_at: rotation.rotatedAt,
+        grace_period_seconds: gracePeriodSeconds,
+        previous_secret_expires_at: rotation.previousSecretExpiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('API key rotation error', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'ROTATION_FAILED',
+      message: 'Error rotating API secret'
+    });
+  }
+};
+
+// Signing keys decide who can authenticate as this key, so a rotated-out secret
+// (still accepted during its grace window) may not change them
+const rejectUnlessCurrentCredentials = (req, res) => {
+  if (req.signingMethod === 'ed25519' || req.secretMatch === 'current') {
+    return null;
+  }
+  return res.status(403).json({
+    success: false,
+    error: 'CURRENT_CREDENTIALS_REQUIRED',
+    message: 'Changing the signing key requires the current API secret or the registered Ed25519 key',
+    hint: 'Sign this request with the newest secret, not one from before the last rotation'
+  });
+};
+
+// Register an Ed25519 public key (signed with the key's current credentials).
+// From then on requests must be signed with the matching private key; the sk_ secret stops being accepted.
+export const setSigningKey = async (req, res) => {
+  try {
+    const rejected = rejectUnlessCurrentCredentials(req, res);
+    if (rejected) return rejected;
+
+    const publicKey = parseEd25519PublicKey(req.body?.publicKey);
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_PUBLIC_KEY',
+        message: 'publicKey must be an Ed25519 public key',
+        hint: 'Send the raw 32-byte key as base64, or an SPKI PEM ("-----BEGIN PUBLIC KEY-----")'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('api_keys')
+      .update({
+        signing_public_key: publicKey,
+        signing_key_updated_at: new Date().toISOString()
+      })
+      .eq('id', req.apiKeyId);
+
+    if (error) {
+      throw error;
+    }
+
+    await invalidateApiKeyCache(req.headers['x-api-key']);
+
+    logAudit({
+      user_id: req.userId,
+      resource_type: 'api_key',
+      resource_id: req.apiKeyId,
+      event_type: 'api_signing_key_registered',
+      event_category: 'warning',
+      description: 'Ed25519 signing key registered; HMAC secret no longer accepted for this key',
+      metadata: { replaced_existing: Boolean(req.apiKeyData?.signing_public_key) },
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    }).catch(() => { });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signing key registered. Sign requests with the matching Ed25519 private key.',
+      data: {
+        api_key_id: req.apiKeyId,
+        signing_algorithm: 'ed25519',
+        public_key: publicKey
+      }
+    });
+  } catch (error) {
+    logger.error('Signing key registration error', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'SIGNING_KEY_UPDATE_FAILED',
+      message: 'Error registering signing key'
+    });
+  }
+};
+
+// Remove the Ed25519 public key and go back to HMAC signing with the sk_ secret
+export const removeSigningKey = async (req, res) => {
+  try {
+    if (!req.apiKeyData?.signing_public_key) {
+      return res.status(404).json({
+        success: false,
+        error: 'NO_SIGNING_KEY',
+        message: 'This API key has no Ed25519 signing key'
+      });
+    }
+
+    const rejected = rejectUnlessCurrentCredentials(req, res);
+    if (rejected) return rejected;
+
+    const { error } = await supabaseAdmin
+      .from('api_keys')
+      .update({
+        signing_public_key: null,
+        signing_key_updated_at: new Date().toISOString()
+      })
+      .eq('id', req.apiKeyId);
+
+    if (error) {
+      throw error;
+    }
+
+    await invalidateApiKeyCache(req.headers['x-api-key']);
+
+    logAudit({
+      user_id: req.userId,
+      resource_type: 'api_key',
+      resource_id: req.apiKeyId,
+      event_type: 'api_signing_key_removed',
+      event_category: 'warning',
+      description: 'Ed25519 signing key removed; requests are signed with the HMAC secret again',
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    }).catch(() => { });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signing key removed. Sign requests with the API secret (sk_...) again.',
+      data: {
+        api_key_id: req.apiKeyId,
+        signing_algorithm: 'hmac-sha256'
+      }
+    });
+  } catch (error) {
+    logger.error('Signing key removal error', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'SIGNING_KEY_UPDATE_FAILED',
+      message: 'Error removing signing key'
+    });
+  }
+};
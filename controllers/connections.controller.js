@@ -0,0 +1,306 @@
+/**
+ * Provider Connections Controller
+ *
+ * - POST   /api/v1/connections       - Store provider credentials
+ * - GET    /api/v1/connections       - List user's connections
+ * - GET    /api/v1/connections/:id   - Get a connection (secrets masked)
+ * - PATCH  /api/v1/connections/:id   - Update name / config / secrets / active flag
+ * - DELETE /api/v1/connections/:id   - Delete a connection
+ *
+ * Secrets are encrypted before they reach the database and are never returned.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import {
+    CONNECTION_PROVIDERS,
+    validateConnectionInput,
+    encryptConnectionSecrets,
+    decryptConnectionSecrets,
+    formatConnection,
+    invalidateConnectionCache
+} from '../utils/provider-connections.js';
+import logger from '../utils/logger.js';
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * POST /api/v1/connections
+ * Create a stored provider connection
+ *
+ * Body: { name, provider, secrets: {...}, config: {...} }
+ */
+export async function createConnection(req, res) {
+    try {
+        const { name, provider: rawProvider, secrets = {}, config = {} } = req.body;
+        const userId = req.userId;
+        const provider = typeof rawProvider === 'string' ? rawProvider.toLowerCase() : rawProvider;
+
+        if (!name || typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_NAME',
+                message: `name is required (max ${MAX_NAME_LENGTH} characters)`
+            });
+        }
+
+        const validation = validateConnectionInput(provider, secrets, config);
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, ...validation });
+        }
+
+        const { data: row, error } = await supabaseAdmin
+            .from('provider_connections')
+            .insert({
+                id: crypto.randomUUID(),
+                user_id: userId,
+                api_key_id: req.apiKeyId,
+                name,
+                provider,
+                encrypted_secrets: encryptConnectionSecrets(secrets),
+                config,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            data: formatConnection(row)
+        });
+
+    } catch (error) {
+        logger.error('[Connections] Create error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'CONNECTION_CREATION_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/v1/connections
+ * List user's connections
+ */
+export async function listConnections(req, res) {
+    try {
+        const { provider } = req.query;
+        const userId = req.userId;
+
+        let query = supabaseAdmin
+            .from('provider_connections')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (provider) {
+            query = query.eq('provider', provider.toLowerCase());
+        }
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            data: (rows || []).map(formatConnection)
+        });
+
+    } catch (error) {
+        logger.error('[Connections] List error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'LIST_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/v1/connections/:id
+ * Get a single connection
+ */
+export async function getConnectionById(req, res) {
+    try {
+        const { id } = req.params;
+        const userId = req.userId;
+
+        const { data: row, error } = await supabaseAdmin
+            .from('provider_connections')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !row) {
+            return res.status(404).json({
+                success: false,
+                error: 'CONNECTION_NOT_FOUND',
+                message: 'Connection not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatConnection(row)
+        });
+
+    } catch (error) {
+        logger.error('[Connections] Get error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'FETCH_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * PATCH /api/v1/connections/:id
+ * Update a connection. Secrets are merged, so rotating one key doesn't
+ * require resending the others.
+ *
+ * Body: { name?, secrets?, config?, isActive? }
+ */
+export async function updateConnection(req, res) {
+    try {
+        const { id } = req.params;
+        const { name, secrets, config, isActive } = req.body;
+        const userId = req.userId;
+
+        const { data: existing, error: fetchError } = await supabaseAdmin
+            .from('provider_connections')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (fetchError || !existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CONNECTION_NOT_FOUND',
+                message: 'Connection not found'
+            });
+        }
+
+        if (name !== undefined && (!name || typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_NAME',
+                message: `name must be a non-empty string (max ${MAX_NAME_LENGTH} characters)`
+            });
+        }
+
+        const currentSecrets = decryptConnectionSecrets(existing.encrypted_secrets) || {};
+        const nextSecrets = secrets ? { ...currentSecrets, ...secrets } : currentSecrets;
+        const nextConfig = config ? { ...(existing.config || {}), ...config } : (existing.config || {});
+
+        const validation = validateConnectionInput(existing.provider, nextSecrets, nextConfig);
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, ...validation });
+        }
+
+        const updates = {
+            config: nextConfig,
+            updated_at: new Date().toISOString()
+        };
+        if (name !== undefined) updates.name = name;
+        if (secrets) updates.encrypted_secrets = encryptConnectionSecrets(nextSecrets);
+        if (typeof isActive === 'boolean') updates.is_active = isActive;
+
+        const { data: row, error } = await supabaseAdmin
+            .from('provider_connections')
+            .update(updates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await invalidateConnectionCache(id);
+
+        res.json({
+            success: true,
+            data: formatConnection(row)
+        });
+
+    } catch (error) {
+        logger.error('[Connections] Update error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/v1/connections/:id
+ * Delete a connection
+ */
+export async function deleteConnection(req, res) {
+    try {
+        const { id } = req.params;
+        const userId = req.userId;
+
+        const { data: existing, error } = await supabaseAdmin
+            .from('provider_connections')
+            .select('id')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'CONNECTION_NOT_FOUND',
+                message: 'Connection not found'
+            });
+        }
+
+        await supabaseAdmin
+            .from('provider_connections')
+            .delete()
+            .eq('id', id);
+
+        await invalidateConnectionCache(id);
+
+        res.json({
+            success: true,
+            message: 'Connection deleted'
+        });
+
+    } catch (error) {
+        logger.error('[Connections] Delete error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/v1/connections/providers
+ * Describe the fields each provider accepts
+ */
+export function getConnectionProviders(req, res) {
+    res.json({
+        success: true,
+        data: Object.entries(CONNECTION_PROVIDERS).map(([provider, definition]) => ({
+            provider,
+            secrets: Object.keys(definition.secrets),
+            config: Object.keys(definition.config),
+            required: definition.required
+        }))
+    });
+}
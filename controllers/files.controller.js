@@ -0,0 +1,197 @@
+/**
+ * Files Controller (v2)
+ *
+ * Provider-agnostic file operations. The provider is picked by one field —
+ * `provider`, or the provider of the stored connection given as `connectionId` —
+ * and the request is dispatched through the adapters in
+ * controllers/providers/shared/file-adapters.js to the existing v1 controllers.
+ *
+ * - POST   /api/v2/uploads                   - Signed upload URL
+ * - GET    /api/v2/files                     - List files
+ * - GET    /api/v2/files/:key                - File metadata
+ * - DELETE /api/v2/files/:key                - Delete a file
+ * - POST   /api/v2/files/:key/download-url   - Signed download URL
+ *
+ * `:key` is the URL-encoded object key (e.g. photos%2F2024%2Fcat.png).
+ */
+
+import {
+    FILE_PROVIDERS,
+    getFileOperation,
+    runFileOperation
+} from './providers/shared/file-adapters.js';
+import logger from '../utils/logger.js';
+
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Resolve the target provider from the request
+ * Explicit `provider` wins; otherwise the resolved connection decides.
+ */
+const resolveProvider = (req) => {
+    const provider = typeof req.body.provider === 'string' ? req.body.provider.toLowerCase() : null;
+    return provider || req.connectionProvider || null;
+};
+
+/**
+ * Dispatch one operation to the provider adapter and send the unified response
+ */
+const dispatch = async (req, res, operationName, input) => {
+    const provider = resolveProvider(req);
+
+    if (!provider) {
+        return res.status(400).json({
+            success: false,
+            error: 'MISSING_PROVIDER',
+            message: 'provider or connectionId is required',
+            hint: `Supported providers: ${FILE_PROVIDERS.join(', ')}`
+        });
+    }
+
+    if (!FILE_PROVIDERS.includes(provider)) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_PROVIDER',
+            message: `Unsupported provider: ${provider}`,
+            hint: `Supported providers: ${FILE_PROVIDERS.join(', ')}`
+        });
+    }
+
+    const operation = getFileOperation(provider, operationName);
+
+    if (!operation) {
+        return res.status(501).json({
+            success: false,
+            error: 'OPERATION_NOT_SUPPORTED',
+            message: `${operationName} is not supported for ${provider}`,
+            provider
+        });
+    }
+
+    try {
+        const { status, body } = await runFileOperation(operation, req, res, input);
+
+        // Provider errors already carry { success: false, error, message } — pass them through
+        if (status >= 400 || !body?.success) {
+            return res.status(status >= 400 ? status : 502).json({ ...body, provider });
+        }
+
+        const data = operation.toResult(body, input);
+
+        if (data === null) {
+            return res.status(404).json({
+                success: false,
+                error: 'FILE_NOT_FOUND',
+                message: `File not found: ${input.key}`,
+                provider
+            });
+        }
+
+        return res.status(status).json({
+            success: true,
+            provider,
+            data
+        });
+
+    } catch (error) {
+        logger.error('Files v2 dispatch failed', { provider, operation: operationName, error: error.message });
+
+        return res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Internal server error',
+            provider
+        });
+    }
+};
+
+/**
+ * Validate the :key path parameter
+ * @returns {string|null} The key, or null after sending a 400
+ */
+const requireKey = (req, res) => {
+    const key = req.params.key;
+
+    if (!key || typeof key !== 'string') {
+        res.status(400).json({
+            success: false,
+            error: 'MISSING_KEY',
+            message: 'File key is required',
+            hint: 'URL-encode the key in the path, e.g. /api/v2/files/photos%2Fcat.png'
+        });
+        return null;
+    }
+
+    return key;
+};
+
+/**
+ * POST /api/v2/uploads
+ * Body: { provider | connectionId, filename, contentType, fileSize, expiresIn?, ...provider options }
+ */
+export const createUpload = async (req, res) => {
+    const { filename, contentType, fileSize, expiresIn } = req.body;
+
+    return dispatch(req, res, 'upload', { filename, contentType, fileSize, expiresIn });
+};
+
+/**
+ * GET /api/v2/files
+ * Query: provider | connectionId, prefix?, limit?, cursor?
+ */
+export const listFiles = async (req, res) => {
+    const { prefix, limit, cursor } = req.body;
+    const parsedLimit = limit !== undefined ? parseInt(limit, 10) : undefined;
+
+    if (parsedLimit !== undefined && (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIST_LIMIT)) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_LIMIT',
+            message: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`
+        });
+    }
+
+    return dispatch(req, res, 'list', {
+        prefix: prefix || '',
+        limit: parsedLimit,
+        cursor: cursor || undefined
+    });
+};
+
+/**
+ * GET /api/v2/files/:key
+ */
+export const getFile = async (req, res) => {
+    const key = requireKey(req, res);
+    if (!key) return;
+
+    return dispatch(req, res, 'get', { key });
+};
+
+/**
+ * DELETE /api/v2/files/:key
+ */
+export const deleteFile = async (req, res) => {
+    const key = requireKey(req, res);
+    if (!key) return;
+
+    return dispatch(req, res, 'delete', { key });
+};
+
+/**
+ * POST /api/v2/files/:key/download-url
+ * Body: { provider | connectionId, expiresIn?, responseContentType?, responseContentDisposition? }
+ */
+export const createDownloadUrl = async (req, res) => {
+    const key = requireKey(req, res);
+    if (!key) return;
+
+    const { expiresIn, responseContentType, responseContentDisposition } = req.body;
+
+    return dispatch(req, res, 'downloadUrl', {
+        key,
+        expiresIn: expiresIn !== undefined ? parseInt(expiresIn, 10) : undefined,
+        responseContentType,
+        responseContentDisposition
+    });
+};
@@ -0,0 +1,339 @@
+/**
+ * Upload Presets Controller
+ *
+ * - POST   /api/v1/presets         - Create a preset
+ * - GET    /api/v1/presets         - List user's presets
+ * - GET    /api/v1/presets/:name   - Get a preset
+ * - PATCH  /api/v1/presets/:name   - Update a preset
+ * - DELETE /api/v1/presets/:name   - Delete a preset
+ *
+ * Presets are referenced by name from the signed-url routes (`preset` field).
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import {
+    validatePresetInput,
+    formatPreset,
+    invalidatePresetCache
+} from '../utils/upload-presets.js';
+import { getConnection } from '../utils/provider-connections.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Check that a connection exists, belongs to the user and matches the provider
+ * @returns {Promise<Object|null>} Error body, or null if the connection is usable
+ */
+async function checkPresetConnection(userId, connectionId, provider) {
+    if (connectionId === undefined || connectionId === null) {
+        return null;
+    }
+
+    if (typeof connectionId !== 'string') {
+        return { error: 'INVALID_CONNECTION_ID', message: 'connectionId must be a string' };
+    }
+
+    const connection = await getConnection(userId, connectionId);
+
+    if (!connection) {
+        return { error: 'CONNECTION_NOT_FOUND', message: 'Connection not found or access denied' };
+    }
+
+    if (connection.provider !== provider) {
+        return {
+            error: 'CONNECTION_PROVIDER_MISMATCH',
+            message: `Connection is for ${connection.provider}, but this preset is for ${provider}`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Load a user's preset row by name
+ */
+async function findPreset(userId, name) {
+    const { data: row, error } = await supabaseAdmin
+        .from('upload_presets')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('name', name)
+        .single();
+
+    return error ? null : row;
+}
+
+/**
+ * POST /api/v1/presets
+ * Create an upload preset
+ *
+ * Body: { name, provider, connectionId?, config?, validation?, expiry?, webhook? }
+ */
+export async function createPreset(req, res) {
+    try {
+        const {
+            name,
+            provider: rawProvider,
+            connectionId = null,
+            config = {},
+            validation = {},
+            expiry = {},
+            webhook = null
+        } = req.body;
+        const userId = req.userId;
+        const provider = typeof rawProvider === 'string' ? rawProvider.toLowerCase() : rawProvider;
+
+        const check = validatePresetInput({ name, provider, config, validation, expiry, webhook });
+        if (!check.valid) {
+            return res.status(400).json({ success: false, ...check });
+        }
+
+        const connectionError = await checkPresetConnection(userId, connectionId, provider);
+        if (connectionError) {
+            return res.status(400).json({ success: false, ...connectionError });
+        }
+
+        if (await findPreset(userId, name)) {
+            return res.status(409).json({
+                success: false,
+                error: 'PRESET_EXISTS',
+                message: `A preset named "${name}" already exists`
+            });
+        }
+
+        const { data: row, error } = await supabaseAdmin
+            .from('upload_presets')
+            .insert({
+                id: crypto.randomUUID(),
+                user_id: userId,
+                api_key_id: req.apiKeyId,
+                name,
+                provider,
+                connection_id: connectionId,
+                config,
+                validation,
+                expiry,
+                webhook,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            data: formatPreset(row)
+        });
+
+    } catch (error) {
+        logger.error('[Presets] Create error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'PRESET_CREATION_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/v1/presets
+ * List user's presets (optionally ?provider=s3)
+ */
+export async function listPresets(req, res) {
+    try {
+        const { provider } = req.query;
+        const userId = req.userId;
+
+        let query = supabaseAdmin
+            .from('upload_presets')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (provider) {
+            query = query.eq('provider', provider.toLowerCase());
+        }
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            data: (rows || []).map(formatPreset)
+        });
+
+    } catch (error) {
+        logger.error('[Presets] List error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'LIST_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/v1/presets/:name
+ * Get a single preset
+ */
+export async function getPreset(req, res) {
+    try {
+        const row = await findPreset(req.userId, req.params.name);
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'PRESET_NOT_FOUND',
+                message: 'Preset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatPreset(row)
+        });
+
+    } catch (error) {
+        logger.error('[Presets] Get error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'FETCH_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * PATCH /api/v1/presets/:name
+ * Update a preset. Each section (config, validation, expiry, webhook) is
+ * replaced as a whole; send null for webhook / connectionId to clear it.
+ *
+ * Body: { name?, connectionId?, config?, validation?, expiry?, webhook?, isActive? }
+ */
+export async function updatePreset(req, res) {
+    try {
+        const userId = req.userId;
+        const existing = await findPreset(userId, req.params.name);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PRESET_NOT_FOUND',
+                message: 'Preset not found'
+            });
+        }
+
+        const { name, connectionId, config, validation, expiry, webhook, isActive } = req.body;
+
+        const next = {
+            name: name !== undefined ? name : existing.name,
+            provider: existing.provider,
+            config: config !== undefined ? config : (existing.config || {}),
+            validation: validation !== undefined ? validation : (existing.validation || {}),
+            expiry: expiry !== undefined ? expiry : (existing.expiry || {}),
+            webhook: webhook !== undefined ? webhook : existing.webhook
+        };
+
+        const check = validatePresetInput(next);
+        if (!check.valid) {
+            return res.status(400).json({ success: false, ...check });
+        }
+
+        if (connectionId !== undefined) {
+            const connectionError = await checkPresetConnection(userId, connectionId, existing.provider);
+            if (connectionError) {
+                return res.status(400).json({ success: false, ...connectionError });
+            }
+        }
+
+        if (next.name !== existing.name && await findPreset(userId, next.name)) {
+            return res.status(409).json({
+                success: false,
+                error: 'PRESET_EXISTS',
+                message: `A preset named "${next.name}" already exists`
+            });
+        }
+
+        const updates = {
+            name: next.name,
+            config: next.config,
+            validation: next.validation,
+            expiry: next.expiry,
+            webhook: next.webhook,
+            updated_at: new Date().toISOString()
+        };
+        if (connectionId !== undefined) updates.connection_id = connectionId;
+        if (typeof isActive === 'boolean') updates.is_active = isActive;
+
+        const { data: row, error } = await supabaseAdmin
+            .from('upload_presets')
+            .update(updates)
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await invalidatePresetCache(userId, existing.name);
+
+        res.json({
+            success: true,
+            data: formatPreset(row)
+        });
+
+    } catch (error) {
+        logger.error('[Presets] Update error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'UPDATE_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/v1/presets/:name
+ * Delete a preset
+ */
+export async function deletePreset(req, res) {
+    try {
+        const userId = req.userId;
+        const existing = await findPreset(userId, req.params.name);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'PRESET_NOT_FOUND',
+                message: 'Preset not found'
+            });
+        }
+
+        await supabaseAdmin
+            .from('upload_presets')
+            .delete()
+            .eq('id', existing.id);
+
+        await invalidatePresetCache(userId, existing.name);
+
+        res.json({
+            success: true,
+            message: 'Preset deleted'
+        });
+
+    } catch (error) {
+        logger.error('[Presets] Delete error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'DELETE_FAILED',
+            message: error.message
+        });
+    }
+}
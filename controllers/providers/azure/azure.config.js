@@ -0,0 +1,327 @@
+/**
+ * Azure Blob Storage Configuration
+ * Storage-account provider with pure cryptographic SAS signing (NO external API calls)
+ *
+ * Performance Target: 5-10ms response time
+ * Architecture: HMAC-SHA256 service SAS for client URLs, Shared Key for server-side calls
+ */
+
+// ============================================================================
+// API Configuration
+// ============================================================================
+
+/**
+ * Storage service version used for SAS tokens and Shared Key requests
+ * 2020-12-06+ string-to-sign layout (includes signedEncryptionScope)
+ */
+export const AZURE_API_VERSION = '2022-11-02';
+
+/**
+ * Blob endpoint for a storage account
+ * https://{account}.blob.core.windows.net
+ */
+export const getAzureEndpoint = (accountName) => {
+    return `https://${accountName}.blob.core.windows.net`;
+};
+
+// ============================================================================
+// File Size Limits
+// ============================================================================
+
+// Single Put Blob is capped at 5000 MiB; larger files must use block staging
+export const MAX_SINGLE_PUT_SIZE = 5000 * 1024 * 1024;
+export const MAX_FILE_SIZE = MAX_SINGLE_PUT_SIZE;
+export const MIN_FILE_SIZE = 1; // 1 byte
+
+// ============================================================================
+// Block Blob Staging (Azure equivalent of S3 multipart)
+// ============================================================================
+
+export const MIN_BLOCK_UPLOAD_SIZE = 100 * 1024 * 1024; // 100MB - same threshold as S3 multipart
+export const BLOCK_SIZE = 10 * 1024 * 1024; // 10MB per block
+export const MIN_BLOCK_SIZE = 1 * 1024 * 1024; // 1MB (Azure allows smaller, but it is wasteful)
+export const MAX_BLOCK_SIZE = 4000 * 1024 * 1024; // 4000 MiB (service version 2019-12-12+)
+export const MAX_BLOCKS = 50000;
+export const MAX_BLOCK_BLOB_SIZE = MAX_BLOCK_SIZE * MAX_BLOCKS; // ~190.7 TiB
+
+// ============================================================================
+// SAS Configuration
+// ============================================================================
+
+export const SIGNED_URL_EXPIRY = 3600; // 1 hour default (seconds)
+export const MAX_EXPIRY = 604800; // 7 days maximum (kept in line with S3/R2/GCS, seconds)
+export const MIN_EXPIRY = 60; // 1 minute minimum (seconds)
+
+/**
+ * SAS permission sets per operation (letters must stay in Azure's canonical order)
+ */
+export const SAS_PERMISSIONS = {
+    UPLOAD: 'cw',
+    DOWNLOAD: 'r',
+    DELETE: 'd'
+};
+
+// ============================================================================
+// Batch Limits
+// ============================================================================
+
+// Blob Batch is a multipart/mixed API; fanning out single DELETEs keeps parsing trivial
+export const MAX_DELETE_BATCH = 100;
+export const DELETE_CONCURRENCY = 10;
+
+// ============================================================================
+// Credential Validation (FORMAT ONLY - NO API CALLS)
+// ============================================================================
+
+/**
+ * Validate storage account name + key (FORMAT validation only)
+ * Used on its own by account-level calls such as List Containers
+ *
+ * @param {string} accountName - Storage account name
+ * @param {string} accountKey - Storage account access key (base64)
+ * @returns {Object} { valid: boolean, error?: string, message?: string }
+ */
+export const validateAzureAccount = (accountName, accountKey) => {
+    if (!accountName || !accountKey) {
+        return {
+            valid: false,
+            error: 'MISSING_AZURE_CREDENTIALS',
+            message: 'Azure account name and account key are required',
+            hint: 'Find these in Azure Portal → Storage account → Security + networking → Access keys'
+        };
+    }
+
+    if (typeof accountName !== 'string' || typeof accountKey !== 'string') {
+        return {
+            valid: false,
+            error: 'INVALID_CREDENTIALS_TYPE',
+            message: 'All Azure credentials must be strings'
+        };
+    }
+
+    // Storage account name: 3-24 lowercase letters and numbers
+    if (!/^[a-z0-9]{3,24}$/.test(accountName)) {
+        return {
+            valid: false,
+            error: 'INVALID_ACCOUNT_NAME',
+            message: 'Azure storage account name must be 3-24 characters, lowercase letters and numbers only',
+            hint: 'Use the account name, not the full blob endpoint URL'
+        };
+    }
+
+    // Account key: base64 encoding of a 512-bit key (88 characters)
+    if (!/^[A-Za-z0-9+/]{86}==$/.test(accountKey)) {
+        return {
+            valid: false,
+            error: 'INVALID_ACCOUNT_KEY_FORMAT',
+            message: 'Azure account key must be the 88-character base64 key from the Access keys page',
+            hint: 'Copy "key1" or "key2", not the connection string'
+        };
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Validate Azure credentials (FORMAT validation only, 1ms)
+ * Following Rule #2: NEVER call Azure APIs to validate
+ * Let Azure validate naturally at upload time (returns 403 if invalid)
+ *
+ * @param {string} accountName - Storage account name
+ * @param {string} accountKey - Storage account access key (base64)
+ * @param {string} container - Container name
+ * @returns {Object} { valid: boolean, error?: string, message?: string }
+ */
+export const validateAzureCredentials = (accountName, accountKey, container) => {
+    // Check all required fields
+    if (!accountName || !accountKey || !container) {
+        return {
+            valid: false,
+            error: 'MISSING_AZURE_CREDENTIALS',
+            message: 'Azure account name, account key, and container are all required',
+            hint: 'Find these in Azure Portal → Storage account → Security + networking → Access keys'
+        };
+    }
+
+    const accountValidation = validateAzureAccount(accountName, accountKey);
+    if (!accountValidation.valid) {
+        return accountValidation;
+    }
+
+    if (typeof container !== 'string') {
+        return {
+            valid: false,
+            error: 'INVALID_CREDENTIALS_TYPE',
+            message: 'All Azure credentials must be strings'
+        };
+    }
+
+    // Container name: 3-63 chars, lowercase, numbers, single hyphens
+    if (!/^[a-z0-9](?!.*--)[a-z0-9-]{1,61}[a-z0-9]$/.test(container)) {
+        return {
+            valid: false,
+            error: 'INVALID_CONTAINER_NAME',
+            message: 'Azure container name must be 3-63 characters, lowercase letters, numbers, and single hyphens only',
+            hint: 'Container names must start and end with a letter or number'
+        };
+    }
+
+    // ✅ All format validations passed
+    return { valid: true };
+};
+
+// ============================================================================
+// URL Building Helpers
+// ============================================================================
+
+/**
+ * Encode a blob name for a URL path (keeps "/" separators)
+ *
+ * @param {string} blobName - Blob name
+ * @returns {string} Encoded blob name
+ */
+export const encodeBlobName = (blobName) => {
+    return blobName.split('/').map(segment => encodeURIComponent(segment)).join('/');
+};
+
+/**
+ * Build the unsigned URL of a blob
+ *
+ * @param {string} accountName - Storage account name
+ * @param {string} container - Container name
+ * @param {string} blobName - Blob name
+ * @returns {string} Blob URL
+ */
+export const buildBlobUrl = (accountName, container, blobName) => {
+    return `${getAzureEndpoint(accountName)}/${container}/${encodeBlobName(blobName)}`;
+};
+
+/**
+ * Build public URL for uploaded file
+ *
+ * @param {string} accountName - Storage account name
+ * @param {string} container - Container name
+ * @param {string} blobName - Blob name
+ * @param {string} customDomain - Optional custom domain / Azure CDN endpoint
+ * @returns {string} Public URL
+ */
+export const buildPublicUrl = (accountName, container, blobName, customDomain = null) => {
+    if (customDomain) {
+        // Remove trailing slash from custom domain to prevent double slashes
+        const cleanDomain = customDomain.replace(/\/+$/, '');
+        return `${cleanDomain}/${encodeBlobName(blobName)}`;
+    }
+
+    // Default blob URL (requires container public access level "Blob")
+    return buildBlobUrl(accountName, container, blobName);
+};
+
+/**
+ * Generate a secure unique blob name
+ * Pattern: {apiKeyPrefix}_{sanitizedName}_{timestamp}_{random}.{ext}
+ *
+ * @param {string} originalName - Original filename
+ * @param {string} apiKey - API key (optional)
+ * @returns {string} Unique blob name
+ */
+export const generateObjectKey = (originalName, apiKey = null) => {
+    const timestamp = Date.now();
+    const randomSuffix = Math.random().toString(36).substring(2, 8);
+    const extension = originalName.includes('.') ? originalName.split('.').pop().toLowerCase() : 'bin';
+
+    const baseName = originalName
+        .split('.')[0]
+        .replace(/[^a-zA-Z0-9_-]/g, '_')
+        .substring(0, 50);
+
+    const keyPrefix = apiKey ? apiKey.substring(0, 8) : 'unknown';
+
+    return `${keyPrefix}_${baseName}_${timestamp}_${randomSuffix}.${extension}`;
+};
+
+// ============================================================================
+// Validation Helpers
+// ============================================================================
+
+/**
+ * Validate SAS expiry time
+ *
+ * @param {number} expiresIn - Expiry time in seconds
+ * @returns {Object} { valid: boolean, error?: string, message?: string }
+ */
+export const validateExpiry = (expiresIn) => {
+    if (expiresIn < MIN_EXPIRY) {
+        return {
+            valid: false,
+            error: 'EXPIRY_TOO_SHORT',
+            message: `Expiry time must be at least ${MIN_EXPIRY} seconds (1 minute)`
+        };
+    }
+
+    if (expiresIn > MAX_EXPIRY) {
+        return {
+            valid: false,
+            error: 'EXPIRY_TOO_LONG',
+            message: `Expiry time cannot exceed ${MAX_EXPIRY} seconds (7 days)`
+        };
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Validate file size for a single Put Blob upload
+ *
+ * @param {number} fileSize - File size in bytes
+ * @returns {Object} { valid: boolean, error?: string, message?: string }
+ */
+export const validateFileSize = (fileSize) => {
+    if (!fileSize || fileSize < MIN_FILE_SIZE) {
+        return {
+            valid: false,
+            error: 'FILE_TOO_SMALL',
+            message: 'File must be at least 1 byte'
+        };
+    }
+
+    if (fileSize > MAX_FILE_SIZE) {
+        return {
+            valid: false,
+            error: 'FILE_TOO_LARGE',
+            message: `File size (${fileSize} bytes) exceeds single upload maximum (${MAX_FILE_SIZE} bytes / 5000 MiB)`,
+            hint: 'Use POST /api/v1/upload/azure/multipart/initiate for block staging'
+        };
+    }
+
+    return { valid: true };
+};
+
+// ============================================================================
+// Response Formatters
+// ============================================================================
+
+/**
+ * Format Azure error response (with helpful hints)
+ * Following Rule #8: Error messages must guide user
+ *
+ * @param {string} error - Error code
+ * @param {string} message - Error message
+ * @param {string} hint - Optional hint for user
+ * @returns {Object} Formatted error
+ */
+export const formatAzureError = (error, message, hint = null) => {
+    const response = {
+        success: false,
+        provider: 'azure',
+        error,
+        message
+    };
+
+    if (hint) {
+        response.hint = hint;
+    }
+
+    response.docs = 'https://learn.microsoft.com/rest/api/storageservices/create-service-sas';
+
+    return response;
+};
@@ -0,0 +1,215 @@
+/**
+ * Azure Blob Storage CORS Configuration
+ * Uses Set/Get Blob Service Properties (signed with the storage-account key)
+ *
+ * Azure has no per-container CORS: rules live on the blob service of the storage
+ * account and apply to every container in it. Setting them replaces the account's
+ * existing CORS rules (logging / metrics properties are left untouched). Rules are
+ * returned in the S3 shape so SDK consumers see the same structure for every provider.
+ */
+
+import { validateAzureAccount, formatAzureError } from './azure.config.js';
+import { azureRequest } from './azure.signer.js';
+import logger from '../../../utils/logger.js';
+
+const ACCESS_DENIED_CODES = ['AuthenticationFailed', 'AuthorizationFailure', 'AuthorizationPermissionMismatch'];
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const splitList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Optimal CORS configuration for Azure direct uploads
+ */
+export function getOptimalAzureCorsConfig(allowedOrigins = ['*']) {
+    return {
+        CORSRules: [{
+            AllowedMethods: ['GET', 'PUT', 'POST', 'DELETE', 'HEAD', 'OPTIONS'],
+            AllowedOrigins: allowedOrigins,
+            // x-ms-blob-type is mandatory on Put Blob, so x-ms-* must pass preflight
+            AllowedHeaders: ['Content-Type', 'Content-Length', 'x-ms-*'],
+            ExposeHeaders: ['ETag', 'Content-Length', 'x-ms-*'],
+            MaxAgeSeconds: 3600,
+        }]
+    };
+}
+
+/**
+ * Serialize S3-shaped rules into a StorageServiceProperties document
+ */
+const toServicePropertiesXml = (corsConfig) => {
+    const rules = corsConfig.CORSRules.map(rule => [
+        '<CorsRule>',
+        `<AllowedOrigins>${escapeXml(rule.AllowedOrigins.join(','))}</AllowedOrigins>`,
+        `<AllowedMethods>${escapeXml(rule.AllowedMethods.join(','))}</AllowedMethods>`,
+        `<AllowedHeaders>${escapeXml(rule.AllowedHeaders.join(','))}</AllowedHeaders>`,
+        `<ExposedHeaders>${escapeXml(rule.ExposeHeaders.join(','))}</ExposedHeaders>`,
+        `<MaxAgeInSeconds>${rule.MaxAgeSeconds}</MaxAgeInSeconds>`,
+        '</CorsRule>'
+    ].join('')).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?><StorageServiceProperties><Cors>${rules}</Cors></StorageServiceProperties>`;
+};
+
+/**
+ * Configure CORS on the storage account's blob service
+ */
+export async function configureAzureCORS(azureAccountName, azureAccountKey, allowedOrigins) {
+    const corsConfig = getOptimalAzureCorsConfig(allowedOrigins);
+
+    await azureRequest(
+        { accountName: azureAccountName, accountKey: azureAccountKey },
+        {
+            method: 'PUT',
+            query: { restype: 'service', comp: 'properties' },
+            headers: { 'Content-Type': 'application/xml' },
+            body: toServicePropertiesXml(corsConfig)
+        }
+    );
+
+    return corsConfig;
+}
+
+/**
+ * Get current CORS configuration for the storage account's blob service
+ * @returns {Promise<Array|null>} S3-shaped rules, or null if none configured
+ */
+export async function getAzureCORS(azureAccountName, azureAccountKey) {
+    const response = await azureRequest(
+        { accountName: azureAccountName, accountKey: azureAccountKey },
+        { method: 'GET', query: { restype: 'service', comp: 'properties' } }
+    );
+
+    const xml = await response.text();
+    const rules = [];
+    const ruleRegex = /<CorsRule>([\s\S]*?)<\/CorsRule>/g;
+    let match;
+
+    while ((match = ruleRegex.exec(xml)) !== null) {
+        const ruleXml = match[1];
+        rules.push({
+            AllowedMethods: splitList(ruleXml.match(/<AllowedMethods>(.*?)<\/AllowedMethods>/)?.[1]),
+            AllowedOrigins: splitList(ruleXml.match(/<AllowedOrigins>(.*?)<\/AllowedOrigins>/)?.[1]),
+            AllowedHeaders: splitList(ruleXml.match(/<AllowedHeaders>(.*?)<\/AllowedHeaders>/)?.[1]),
+            ExposeHeaders: splitList(ruleXml.match(/<ExposedHeaders>(.*?)<\/ExposedHeaders>/)?.[1]),
+            MaxAgeSeconds: parseInt(ruleXml.match(/<MaxAgeInSeconds>(.*?)<\/MaxAgeInSeconds>/)?.[1] || 0)
+        });
+    }
+
+    return rules.length > 0 ? rules : null;
+}
+
+/**
+ * Controller for Azure CORS setup endpoint
+ */
+export const setupAzureCors = async (req, res) => {
+    try {
+        const { azureAccountName, azureAccountKey, allowedOrigins } = req.body;
+
+        const credValidation = validateAzureAccount(azureAccountName, azureAccountKey);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        const config = await configureAzureCORS(
+            azureAccountName,
+            azureAccountKey,
+            allowedOrigins || ['*']
+        );
+
+        res.json({
+            success: true,
+            message: `CORS configured for Azure storage account "${azureAccountName}" (applies to all containers)`,
+            configuration: config
+        });
+
+    } catch (error) {
+        logger.error('[Azure CORS] Configuration failed:', error.message);
+
+        if (ACCESS_DENIED_CODES.includes(error.name)) {
+            return res.status(403).json(formatAzureError(
+                'ACCESS_DENIED',
+                'Azure rejected the account key for Set Blob Service Properties',
+                'Use an account access key (not a SAS) or configure CORS in the portal under Resource sharing (CORS)'
+            ));
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'CORS_CONFIGURATION_FAILED',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Controller for Azure CORS verification endpoint
+ */
+export const verifyAzureCors = async (req, res) => {
+    try {
+        const { azureAccountName, azureAccountKey } = req.body;
+
+        const credValidation = validateAzureAccount(azureAccountName, azureAccountKey);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        const currentConfig = await getAzureCORS(azureAccountName, azureAccountKey);
+
+        if (!currentConfig) {
+            return res.json({
+                success: true,
+                configured: false,
+                message: 'No CORS configuration found'
+            });
+        }
+
+        // Check for common issues
+        const issues = [];
+        currentConfig.forEach((rule, i) => {
+            if (!rule.AllowedMethods?.includes('PUT')) {
+                issues.push(`Rule ${i + 1}: PUT method not allowed (required for uploads)`);
+            }
+            const headers = (rule.AllowedHeaders || []).map(h => h.toLowerCase());
+            if (!headers.some(h => h === '*' || h === 'x-ms-*' || h === 'x-ms-blob-type')) {
+                issues.push(`Rule ${i + 1}: x-ms-blob-type not in allowed headers (required for Put Blob)`);
+            }
+        });
+
+        res.json({
+            success: true,
+            configured: true,
+            isValid: issues.length === 0,
+            corsRules: currentConfig,
+            issues,
+            recommendation: issues.length > 0
+                ? 'Run POST /api/v1/upload/azure/cors/setup to fix automatically'
+                : 'CORS is configured correctly'
+        });
+
+    } catch (error) {
+        if (ACCESS_DENIED_CODES.includes(error.name)) {
+            return res.status(403).json(formatAzureError(
+                'ACCESS_DENIED',
+                'Azure rejected the account key for Get Blob Service Properties'
+            ));
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'CORS_VERIFICATION_FAILED',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,306 @@
+/**
+ * Delete Blobs from Azure Blob Storage
+ * Single and batch delete via Shared Key signed Delete Blob requests
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateAzureCredentials,
+    encodeBlobName,
+    formatAzureError,
+    MAX_DELETE_BATCH,
+    DELETE_CONCURRENCY
+} from './azure.config.js';
+import { azureRequest } from './azure.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
+
+/**
+ * Azure returns different codes for a bad key vs. a key without the right role
+ */
+const ACCESS_DENIED_CODES = ['AuthenticationFailed', 'AuthorizationFailure', 'AuthorizationPermissionMismatch'];
+
+/**
+ * Delete a blob (and its snapshots — Azure refuses to delete a blob that has any)
+ */
+const deleteBlob = (credentials, container, blobName) => {
+    return azureRequest(credentials, {
+        method: 'DELETE',
+        path: `${container}/${encodeBlobName(blobName)}`,
+        headers: { 'x-ms-delete-snapshots': 'include' }
+    });
+};
+
+/**
+ * Map Azure error codes to API responses (shared by single + batch delete)
+ */
+const handleAzureDeleteError = (error, req, res, fallbackCode, fallbackMessage) => {
+    logger.error(`azure error:`, { error });
+
+    if (req.apiKeyId) {
+        updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'azure', false)
+            .catch(() => { });
+    }
+
+    if (error.name === 'ContainerNotFound') {
+        return res.status(404).json(formatAzureError(
+            'CONTAINER_NOT_FOUND',
+            'Azure container not found',
+            `Container "${req.body.azureContainer}" does not exist.`
+        ));
+    }
+
+    if (ACCESS_DENIED_CODES.includes(error.name)) {
+        return res.status(403).json(formatAzureError(
+            'ACCESS_DENIED',
+            'Access denied to Azure storage account',
+            'Check that the account key is current (keys change when rotated in the portal)'
+        ));
+    }
+
+    return res.status(500).json(formatAzureError(
+        fallbackCode,
+        fallbackMessage,
+        process.env.NODE_ENV === 'development' ? error.message : null
+    ));
+};
+
+/**
+ * Delete a single blob from an Azure container
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const deleteAzureBlob = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { fileKey, azureAccountName, azureAccountKey, azureContainer } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatAzureError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'azure-delete');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many delete requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatAzureError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        if (!fileKey) {
+            return res.status(400).json(formatAzureError(
+                'MISSING_PARAMETERS',
+                'fileKey is required'
+            ));
+        }
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        await deleteBlob(
+            { accountName: azureAccountName, accountKey: azureAccountKey },
+            azureContainer,
+            fileKey
+        );
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 'azure', bucket: `${azureAccountName}/${azureContainer}`, key: fileKey });
+
+        return res.status(200).json({
+            success: true,
+            message: 'File deleted successfully',
+            provider: 'azure',
+            data: {
+                fileKey,
+                container: azureContainer,
+                deletedAt: new Date().toISOString()
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'BlobNotFound') {
+            return res.status(404).json(formatAzureError(
+                'FILE_NOT_FOUND',
+                'Blob not found in Azure container',
+                `Check that the file key "${req.body.fileKey}" exists`
+            ));
+        }
+
+        return handleAzureDeleteError(error, req, res, 'DELETE_FAILED', 'Failed to delete blob from Azure');
+    }
+};
+
+/**
+ * Delete multiple Azure blobs in one request
+ * Blobs are deleted in parallel (DELETE_CONCURRENCY at a time) and per-blob
+ * failures are reported, not thrown.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const batchDeleteAzureBlobs = async (req, res) => {
+    const requestId = `batch_del_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const { keys: fileKeys, azureAccountName, azureAccountKey, azureContainer } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        // LAYER 1: Memory Guard
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'azure-batch-delete');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many batch delete requests',
+                'Wait a moment before submitting another batch delete'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatAzureError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        // VALIDATION: Keys Array
+        if (!Array.isArray(fileKeys) || fileKeys.length === 0) {
+            return res.status(400).json(formatAzureError(
+                'INVALID_FILENAMES_ARRAY',
+                'keys must be a non-empty array',
+                'Provide an array of file keys to delete: ["file1.jpg", "file2.png", ...]'
+            ));
+        }
+
+        if (fileKeys.length > MAX_DELETE_BATCH) {
+            return res.status(400).json(formatAzureError(
+                'BATCH_TOO_LARGE',
+                `Maximum ${MAX_DELETE_BATCH} files per batch delete request`,
+                `You requested ${fileKeys.length} files. Split into multiple batches.`
+            ));
+        }
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        // AZURE API CALLS: Parallel deletes in fixed-size waves
+        const deleteStart = Date.now();
+        const credentials = { accountName: azureAccountName, accountKey: azureAccountKey };
+        const deleted = [];
+        const errors = [];
+
+        for (let i = 0; i < fileKeys.length; i += DELETE_CONCURRENCY) {
+            const wave = fileKeys.slice(i, i + DELETE_CONCURRENCY);
+            const results = await Promise.allSettled(
+                wave.map(key => deleteBlob(credentials, azureContainer, key))
+            );
+
+            results.forEach((result, index) => {
+                const key = wave[index];
+                if (result.status === 'fulfilled') {
+                    deleted.push({ key });
+                } else {
+                    errors.push({ key, code: result.reason.name, message: result.reason.message });
+                }
+            });
+        }
+
+        // Every key failing the same way is a container / permission problem, not a per-blob one
+        if (deleted.length === 0 && errors.length > 0 && errors[0].code !== 'BlobNotFound' && errors.every(e => e.code === errors[0].code)) {
+            const error = new Error(errors[0].message);
+            error.name = errors[0].code;
+            throw error;
+        }
+
+        const deleteTime = Date.now() - deleteStart;
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'batch_delete.completed', {
+            provider: 'azure',
+            bucket: `${azureAccountName}/${azureContainer}`,
+            deleted: deleted.map(d => d.key),
+            failed: errors,
+            total: fileKeys.length
+        });
+
+        logger.info(`[${requestId}] ✅ Azure batch delete: ${deleted.length}/${fileKeys.length} in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            provider: 'azure',
+            deleted,
+            errors,
+            summary: {
+                total: fileKeys.length,
+                deleted: deleted.length,
+                failed: errors.length
+            },
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    azureApiCalls: `${deleteTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        return handleAzureDeleteError(error, req, res, 'BATCH_DELETE_FAILED', 'Failed to process batch delete');
+    }
+};
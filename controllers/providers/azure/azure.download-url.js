@@ -0,0 +1,159 @@
+/**
+ * Azure Blob Time-Limited Download URLs
+ * Generate read-only service SAS URLs with configurable expiry
+ * Uses pure crypto signing - NO external API calls
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateAzureCredentials,
+    buildPublicUrl,
+    formatAzureError,
+    SIGNED_URL_EXPIRY,
+    MAX_EXPIRY,
+    MIN_EXPIRY,
+    SAS_PERMISSIONS
+} from './azure.config.js';
+import { signAzureBlobUrl } from './azure.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Generate time-limited download URL for an Azure blob
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const generateAzureDownloadUrl = async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const {
+            fileKey,
+            azureAccountName,
+            azureAccountKey,
+            azureContainer,
+            azurePublicUrl,
+            responseContentDisposition,
+            responseContentType,
+            expiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        // LAYER 1: Memory Guard
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'azure-download');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many download URL requests',
+                'Wait a moment and try again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatAzureError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        // VALIDATION: Required Fields
+        if (!fileKey) {
+            return res.status(400).json(formatAzureError(
+                'MISSING_PARAMETERS',
+                'fileKey is required',
+                'Include the blob name of the file to download'
+            ));
+        }
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        // VALIDATION: Expiry Time
+        const expiryInt = parseInt(expiresIn);
+
+        if (isNaN(expiryInt) || expiryInt < MIN_EXPIRY || expiryInt > MAX_EXPIRY) {
+            return res.status(400).json(formatAzureError(
+                'INVALID_EXPIRY',
+                `expiresIn must be between ${MIN_EXPIRY} (1 minute) and ${MAX_EXPIRY} (7 days) seconds`,
+                `Valid range: 60 to 604800 seconds. You provided: ${expiresIn}`
+            ));
+        }
+
+        // CRYPTO SIGNING: Generate Read-Only SAS
+        const signingStart = Date.now();
+
+        const downloadUrl = signAzureBlobUrl({
+            accountName: azureAccountName,
+            accountKey: azureAccountKey,
+            container: azureContainer,
+            blobName: fileKey,
+            permissions: SAS_PERMISSIONS.DOWNLOAD,
+            expiresIn: expiryInt,
+            contentDisposition: responseContentDisposition,
+            contentType: responseContentType
+        });
+
+        const signingTime = Date.now() - signingStart;
+
+        const publicUrl = buildPublicUrl(azureAccountName, azureContainer, fileKey, azurePublicUrl);
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ Azure download URL generated in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            provider: 'azure',
+            downloadUrl,
+            publicUrl,
+            fileKey,
+            container: azureContainer,
+            expiresIn: expiryInt,
+            expiresAt: new Date(Date.now() + expiryInt * 1000).toISOString(),
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    cryptoSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`azure error:`, { error });
+
+        if (req.apiKeyId) {
+            updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'azure', false)
+                .catch(() => { });
+        }
+
+        return res.status(500).json(formatAzureError(
+            'DOWNLOAD_URL_FAILED',
+            'Failed to generate download URL',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
@@ -0,0 +1,291 @@
+/**
+ * List Containers and Blobs in Azure Blob Storage
+ * Shared Key signed List Containers / List Blobs with marker-based pagination
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import { validateAzureCredentials, validateAzureAccount, formatAzureError } from './azure.config.js';
+import { azureRequest } from './azure.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+
+const ACCESS_DENIED_CODES = ['AuthenticationFailed', 'AuthorizationFailure', 'AuthorizationPermissionMismatch'];
+
+const decodeXml = (value = '') => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const readTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Shared guard for both list endpoints
+ * @returns {boolean} true if a response was already sent
+ */
+const rejectIfLimited = (req, res, userId, operation) => {
+    if (!req.apiKeyId) {
+        res.status(401).json(formatAzureError(
+            'UNAUTHORIZED',
+            'API key is required'
+        ));
+        return true;
+    }
+
+    // LAYER 1: Memory Guard (fastest possible)
+    const memCheck = checkMemoryRateLimit(userId, operation);
+    if (!memCheck.allowed) {
+        res.status(429).json(formatAzureError(
+            'RATE_LIMIT_EXCEEDED',
+            'Rate limit exceeded - too many list requests',
+            'Wait a moment before trying again'
+        ));
+        return true;
+    }
+
+    // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+    const quotaCheck = req.quotaChecked || { allowed: true };
+    if (!quotaCheck.allowed) {
+        res.status(403).json(formatAzureError(
+            'QUOTA_EXCEEDED',
+            'Monthly quota exceeded',
+            `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+        ));
+        return true;
+    }
+
+    return false;
+};
+
+const handleAzureListError = (error, req, res, fallbackMessage) => {
+    logger.error(`azure error:`, { error });
+
+    if (req.apiKeyId) {
+        updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'azure', false)
+            .catch(() => { });
+    }
+
+    if (error.name === 'ContainerNotFound') {
+        return res.status(404).json(formatAzureError(
+            'CONTAINER_NOT_FOUND',
+            'Azure container not found',
+            `Container "${req.body.azureContainer}" does not exist.`
+        ));
+    }
+
+    if (ACCESS_DENIED_CODES.includes(error.name)) {
+        return res.status(403).json(formatAzureError(
+            'ACCESS_DENIED',
+            'Access denied to Azure storage account',
+            'Check the account name and key (Storage account → Access keys)'
+        ));
+    }
+
+    return res.status(500).json(formatAzureError(
+        'LIST_FAILED',
+        fallbackMessage,
+        process.env.NODE_ENV === 'development' ? error.message : null
+    ));
+};
+
+/**
+ * List blobs in an Azure container
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const listAzureBlobs = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            azureAccountName,
+            azureAccountKey,
+            azureContainer,
+            prefix = '',
+            maxKeys = 1000,
+            continuationToken
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectIfLimited(req, res, userId, 'azure-list')) return;
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        const listResponse = await azureRequest(
+            { accountName: azureAccountName, accountKey: azureAccountKey },
+            {
+                method: 'GET',
+                path: azureContainer,
+                query: {
+                    restype: 'container',
+                    comp: 'list',
+                    prefix: prefix || undefined,
+                    maxresults: String(Math.min(maxKeys, 5000)),
+                    marker: continuationToken
+                }
+            }
+        );
+
+        const xmlText = await listResponse.text();
+
+        // Lightweight Regex-based XML parsing (CF edge compatible)
+        const files = [];
+        const blobRegex = /<Blob>[\s\S]*?<\/Blob>/g;
+        let match;
+        while ((match = blobRegex.exec(xmlText)) !== null) {
+            const item = match[0];
+            const key = readTag(item, 'Name');
+            const lastModified = readTag(item, 'Last-Modified');
+
+            if (key) {
+                files.push({
+                    key,
+                    size: parseInt(readTag(item, 'Content-Length') || '0', 10),
+                    lastModified: lastModified ? new Date(lastModified) : null,
+                    etag: (readTag(item, 'Etag') || '').replace(/"/g, ''),
+                    contentType: readTag(item, 'Content-Type'),
+                    blobType: readTag(item, 'BlobType'),
+                    accessTier: readTag(item, 'AccessTier')
+                });
+            }
+        }
+
+        const nextMarker = readTag(xmlText, 'NextMarker') || null;
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        return res.status(200).json({
+            success: true,
+            provider: 'azure',
+            data: {
+                container: azureContainer,
+                prefix,
+                files,
+                count: files.length,
+                isTruncated: Boolean(nextMarker),
+                nextContinuationToken: nextMarker
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return handleAzureListError(error, req, res, 'Failed to list blobs from Azure');
+    }
+};
+
+/**
+ * List containers in an Azure storage account
+ * azureContainer is not required here — only the account name + key
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const listAzureContainers = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            azureAccountName,
+            azureAccountKey,
+            prefix = '',
+            maxResults = 1000,
+            continuationToken
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectIfLimited(req, res, userId, 'azure-list')) return;
+
+        const credValidation = validateAzureAccount(azureAccountName, azureAccountKey);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        const listResponse = await azureRequest(
+            { accountName: azureAccountName, accountKey: azureAccountKey },
+            {
+                method: 'GET',
+                query: {
+                    comp: 'list',
+                    prefix: prefix || undefined,
+                    maxresults: String(Math.min(maxResults, 5000)),
+                    marker: continuationToken
+                }
+            }
+        );
+
+        const xmlText = await listResponse.text();
+
+        const containers = [];
+        const containerRegex = /<Container>[\s\S]*?<\/Container>/g;
+        let match;
+        while ((match = containerRegex.exec(xmlText)) !== null) {
+            const item = match[0];
+            const name = readTag(item, 'Name');
+            const lastModified = readTag(item, 'Last-Modified');
+
+            if (name) {
+                containers.push({
+                    name,
+                    lastModified: lastModified ? new Date(lastModified) : null,
+                    etag: (readTag(item, 'Etag') || '').replace(/"/g, ''),
+                    // Absent PublicAccess means the container is private
+                    publicAccess: readTag(item, 'PublicAccess') || 'none'
+                });
+            }
+        }
+
+        const nextMarker = readTag(xmlText, 'NextMarker') || null;
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        return res.status(200).json({
+            success: true,
+            provider: 'azure',
+            data: {
+                account: azureAccountName,
+                containers,
+                count: containers.length,
+                isTruncated: Boolean(nextMarker),
+                nextContinuationToken: nextMarker
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return handleAzureListError(error, req, res, 'Failed to list containers from Azure');
+    }
+};
@@ -0,0 +1,405 @@
+/**
+ * Azure Block Blob Staging Controllers
+ * Azure's equivalent of S3 multipart: Put Block per part, then Put Block List to commit
+ *
+ * Unlike S3 there is no "create multipart upload" call — block IDs are derived from
+ * an uploadId we mint here, so initiate is pure crypto (one SAS per block).
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import crypto from 'crypto';
+import {
+    validateAzureCredentials,
+    buildPublicUrl,
+    encodeBlobName,
+    generateObjectKey,
+    formatAzureError,
+    SIGNED_URL_EXPIRY,
+    SAS_PERMISSIONS,
+    MIN_BLOCK_UPLOAD_SIZE,
+    BLOCK_SIZE,
+    MIN_BLOCK_SIZE,
+    MAX_BLOCK_SIZE,
+    MAX_BLOCKS,
+    MAX_BLOCK_BLOB_SIZE
+} from './azure.config.js';
+import { signAzureBlobUrl, azureRequest } from './azure.signer.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
+
+/**
+ * Derive the block ID for a part
+ * Azure requires every block ID in a blob to be base64 of the same length
+ *
+ * @param {string} uploadId - Upload ID returned by initiate
+ * @param {number} partNumber - 1-based part number
+ * @returns {string} Base64 block ID
+ */
+export const getBlockId = (uploadId, partNumber) => {
+    return Buffer.from(`${uploadId}-${String(partNumber).padStart(6, '0')}`).toString('base64');
+};
+
+/**
+ * Initiate Block Upload
+ */
+export const initiateAzureBlockUpload = async (req, res) => {
+    const requestId = `blk_init_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            filename,
+            contentType,
+            fileSize,
+            azureAccountName,
+            azureAccountKey,
+            azureContainer,
+            azurePublicUrl,
+            partSize = BLOCK_SIZE,
+            expiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatAzureError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // VALIDATION
+        if (!filename || !contentType || !fileSize) {
+            return res.status(400).json(formatAzureError(
+                'MISSING_PARAMETERS',
+                'filename, contentType, and fileSize are required for block upload'
+            ));
+        }
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        if (fileSize < MIN_BLOCK_UPLOAD_SIZE) {
+            return res.status(400).json(formatAzureError(
+                'FILE_TOO_SMALL_FOR_MULTIPART',
+                `File size (${fileSize} bytes) is too small for block upload. Use regular SAS URL for files <100MB.`,
+                'For files <100MB, use POST /api/v1/upload/azure/signed-url instead'
+            ));
+        }
+
+        if (fileSize > MAX_BLOCK_BLOB_SIZE) {
+            return res.status(400).json(formatAzureError(
+                'FILE_TOO_LARGE',
+                `File size (${fileSize} bytes) exceeds the Azure block blob maximum (${MAX_BLOCK_BLOB_SIZE} bytes)`
+            ));
+        }
+
+        if (partSize < MIN_BLOCK_SIZE || partSize > MAX_BLOCK_SIZE) {
+            return res.status(400).json(formatAzureError(
+                'INVALID_PART_SIZE',
+                `Part size must be between ${MIN_BLOCK_SIZE} (1MB) and ${MAX_BLOCK_SIZE} (4000MiB)`
+            ));
+        }
+
+        const partCount = Math.ceil(fileSize / partSize);
+        if (partCount > MAX_BLOCKS) {
+            return res.status(400).json(formatAzureError(
+                'TOO_MANY_PARTS',
+                `File requires ${partCount} blocks, but Azure maximum is ${MAX_BLOCKS}. Increase part size.`
+            ));
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'azure-multipart');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many multipart requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded'
+            ));
+        }
+
+        const objectKey = generateObjectKey(filename, apiKeyId);
+        const uploadId = crypto.randomBytes(8).toString('hex');
+
+        // Generate Block URLs (pure crypto, one SAS per block)
+        const signingStart = Date.now();
+        const sasOptions = {
+            accountName: azureAccountName,
+            accountKey: azureAccountKey,
+            container: azureContainer,
+            blobName: objectKey,
+            permissions: SAS_PERMISSIONS.UPLOAD,
+            expiresIn
+        };
+
+        const partUrls = [];
+        for (let i = 1; i <= partCount; i++) {
+            const blockId = getBlockId(uploadId, i);
+            partUrls.push({
+                partNumber: i,
+                blockId,
+                uploadUrl: signAzureBlobUrl(sasOptions, { comp: 'block', blockid: blockId })
+            });
+        }
+
+        const signingTime = Date.now() - signingStart;
+
+        const publicUrl = buildPublicUrl(azureAccountName, azureContainer, objectKey, azurePublicUrl);
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ Azure block upload initiated in ${totalTime}ms`);
+
+        res.status(200).json({
+            success: true,
+            uploadId,
+            objectKey,
+            partSize,
+            partCount,
+            partUrls,
+            publicUrl,
+            provider: 'azure',
+            container: azureContainer,
+            instructions: {
+                step1: 'PUT each part to its corresponding uploadUrl (no x-ms-blob-type header needed for blocks)',
+                step2: 'After all parts uploaded, call POST /api/v1/upload/azure/multipart/complete with uploadId, objectKey and parts',
+                step3: 'Parts must include: { partNumber } — block IDs are derived from uploadId'
+            },
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    partUrlSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`azure error:`, { error });
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 'azure', false)
+                .catch(() => { });
+        }
+
+        return res.status(500).json(formatAzureError(
+            'MULTIPART_INITIATE_ERROR',
+            'Failed to initiate block upload',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
+
+/**
+ * Complete Block Upload (Put Block List)
+ */
+export const completeAzureBlockUpload = async (req, res) => {
+    const requestId = `blk_complete_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            uploadId,
+            objectKey,
+            parts,
+            contentType,
+            azureAccountName,
+            azureAccountKey,
+            azureContainer,
+            azurePublicUrl
+        } = req.body;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatAzureError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // VALIDATION
+        if (!uploadId || !objectKey || !parts || !Array.isArray(parts) || parts.length === 0) {
+            return res.status(400).json(formatAzureError(
+                'MISSING_PARAMETERS',
+                'uploadId, objectKey, and parts array are required'
+            ));
+        }
+
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'azure-multipart');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many multipart requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        for (const part of parts) {
+            if (!Number.isInteger(part.partNumber) || part.partNumber < 1) {
+                return res.status(400).json(formatAzureError(
+                    'INVALID_PARTS_FORMAT',
+                    'Each part must have: { partNumber }'
+                ));
+            }
+        }
+
+        // Commit order is the block list order, so sort by part number
+        const blockIds = [...parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => getBlockId(uploadId, part.partNumber));
+
+        const blockListXml = '<?xml version="1.0" encoding="utf-8"?><BlockList>'
+            + blockIds.map(id => `<Latest>${id}</Latest>`).join('')
+            + '</BlockList>';
+
+        // AZURE API CALL
+        const apiCallStart = Date.now();
+
+        const commitResponse = await azureRequest(
+            { accountName: azureAccountName, accountKey: azureAccountKey },
+            {
+                method: 'PUT',
+                path: `${azureContainer}/${encodeBlobName(objectKey)}`,
+                query: { comp: 'blocklist' },
+                headers: {
+                    'Content-Type': 'application/xml',
+                    ...(contentType && { 'x-ms-blob-content-type': contentType })
+                },
+                body: blockListXml
+            }
+        );
+
+        const apiCallTime = Date.now() - apiCallStart;
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'azure', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'upload.completed', {
+            file: {
+                url: buildPublicUrl(azureAccountName, azureContainer, objectKey, azurePublicUrl),
+                key: objectKey,
+                etag: (commitResponse.headers.get('etag') || '').replace(/"/g, '')
+            },
+            provider: 'azure',
+            bucket: `${azureAccountName}/${azureContainer}`
+        });
+
+        logger.info(`[${requestId}] ✅ Azure block upload committed in ${totalTime}ms`);
+
+        res.status(200).json({
+            success: true,
+            container: azureContainer,
+            key: objectKey,
+            etag: (commitResponse.headers.get('etag') || '').replace(/"/g, ''),
+            publicUrl: buildPublicUrl(azureAccountName, azureContainer, objectKey, azurePublicUrl),
+            blockCount: blockIds.length,
+            provider: 'azure',
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                apiCallTime: `${apiCallTime}ms`
+            }
+        });
+
+    } catch (error) {
+        logger.error(`azure error:`, { error });
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 'azure', false)
+                .catch(() => { });
+        }
+
+        if (error.name === 'InvalidBlockList') {
+            return res.status(400).json(formatAzureError(
+                'INVALID_BLOCK_LIST',
+                'One or more parts were not uploaded',
+                'Upload every part listed before calling complete'
+            ));
+        }
+
+        if (error.name === 'ContainerNotFound') {
+            return res.status(404).json(formatAzureError(
+                'CONTAINER_NOT_FOUND',
+                'Azure container not found',
+                `Container "${req.body.azureContainer}" does not exist.`
+            ));
+        }
+
+        return res.status(500).json(formatAzureError(
+            'MULTIPART_COMPLETE_ERROR',
+            'Failed to complete block upload',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
+
+/**
+ * Abort Block Upload
+ * Azure has no abort call: uncommitted blocks are garbage-collected after 7 days.
+ * This endpoint exists so clients can use the same flow as S3 — it only acknowledges.
+ */
+export const abortAzureBlockUpload = async (req, res) => {
+    const { uploadId, objectKey } = req.body;
+
+    if (!req.apiKeyId) {
+        return res.status(401).json(formatAzureError(
+            'UNAUTHORIZED',
+            'API key is required'
+        ));
+    }
+
+    if (!uploadId || !objectKey) {
+        return res.status(400).json(formatAzureError(
+            'MISSING_PARAMETERS',
+            'uploadId and objectKey are required'
+        ));
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Block upload abandoned - Azure discards uncommitted blocks after 7 days',
+        uploadId,
+        objectKey,
+        provider: 'azure'
+    });
+};
@@ -0,0 +1,316 @@
+/**
+ * Generate SAS Upload URL for Azure Blob Storage
+ * CRITICAL PERFORMANCE: Pure cryptographic signing (5-10ms, ZERO external API calls)
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateAzureCredentials,
+    validateExpiry,
+    validateFileSize,
+    buildPublicUrl,
+    generateObjectKey,
+    formatAzureError,
+    SIGNED_URL_EXPIRY,
+    SAS_PERMISSIONS
+} from './azure.config.js';
+import { signAzureBlobUrl } from './azure.signer.js';
+
+// 🚀 REDIS METRICS: Single source of truth
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+
+// Import memory guard only (Redis not needed for pure crypto!)
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+
+import { validateFileMetadata } from '../../../utils/file-validator.js';
+import { calculateSmartExpiry } from '../../../utils/smart-expiry.js';
+import { generateWebhookId, generateWebhookSecret } from '../../../utils/webhook/signature.js';
+import { supabaseAdmin } from '../../../config/supabase.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Generate SAS URL for Azure block blob upload (single Put Blob)
+ * Target Performance: 5-15ms P95
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const generateAzureSignedUrl = async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            filename,
+            contentType,
+            fileSize,
+            azureAccountName,
+            azureAccountKey,
+            azureContainer,
+            azurePublicUrl,
+            expiresIn: requestedExpiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        // Use let so smart expiry can override
+        let expiresIn = requestedExpiresIn;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatAzureError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // LAYER 1: Memory Guard (Target: 0-2ms)
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'upload');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many requests',
+                'Wait a moment and try again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(429).json(formatAzureError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                'Please upgrade your plan'
+            ));
+        }
+
+        // VALIDATION: Required Fields
+        if (!filename || !contentType) {
+            updateRequestMetrics(apiKeyId, userId, 'azure', false).catch(() => { });
+
+            return res.status(400).json(formatAzureError(
+                'MISSING_PARAMETERS',
+                'filename and contentType are required',
+                'Provide filename and contentType in request body'
+            ));
+        }
+
+        // VALIDATION: Credential Format
+        const credValidation = validateAzureCredentials(azureAccountName, azureAccountKey, azureContainer);
+        if (!credValidation.valid) {
+            updateRequestMetrics(apiKeyId, userId, 'azure', false).catch(() => { });
+
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...credValidation
+            });
+        }
+
+        // VALIDATION: File Size
+        if (fileSize) {
+            const sizeValidation = validateFileSize(fileSize);
+            if (!sizeValidation.valid) {
+                updateRequestMetrics(apiKeyId, userId, 'azure', false).catch(() => { });
+
+                return res.status(400).json({
+                    success: false,
+                    provider: 'azure',
+                    ...sizeValidation
+                });
+            }
+        }
+
+        // VALIDATION: Expiry Time
+        const expiryValidation = validateExpiry(expiresIn);
+        if (!expiryValidation.valid) {
+            updateRequestMetrics(apiKeyId, userId, 'azure', false).catch(() => { });
+
+            return res.status(400).json({
+                success: false,
+                provider: 'azure',
+                ...expiryValidation
+            });
+        }
+
+        // VALIDATION: Server-side file validation (magic bytes from client)
+        const { magicBytes, validation } = req.body;
+
+        if (validation || magicBytes) {
+            const validationResult = validateFileMetadata({
+                filename,
+                contentType,
+                fileSize: fileSize || 0,
+                magicBytes,
+                validation: validation || {}
+            });
+
+            if (!validationResult.valid) {
+                logger.warn('File validation failed', { requestId, errorCount: validationResult.errors?.length });
+                updateRequestMetrics(apiKeyId, userId, 'azure', false).catch(() => { });
+
+                return res.status(400).json({
+                    success: false,
+                    provider: 'azure',
+                    error: 'VALIDATION_FAILED',
+                    message: 'File validation failed',
+                    validation: validationResult,
+                    checks: validationResult.checks,
+                    errors: validationResult.errors,
+                    warnings: validationResult.warnings
+                });
+            }
+        }
+
+        // SMART EXPIRY CALCULATION
+        const { networkInfo, bufferMultiplier, minExpirySeconds, maxExpirySeconds } = req.body;
+        let smartExpiryResult = null;
+
+        if (fileSize && fileSize > 0 && (networkInfo || bufferMultiplier || minExpirySeconds || maxExpirySeconds)) {
+            smartExpiryResult = calculateSmartExpiry({
+                fileSize: fileSize || 0,
+                networkInfo: networkInfo || {},
+                bufferMultiplier: bufferMultiplier || 1.5,
+                minExpirySeconds: minExpirySeconds || 60,
+                maxExpirySeconds: maxExpirySeconds || 7 * 24 * 60 * 60
+            });
+
+            expiresIn = smartExpiryResult.expirySeconds;
+        }
+
+        // OPERATION: Generate Unique Object Key
+        const objectKey = generateObjectKey(filename, apiKeyId);
+
+        // CRITICAL: Pure Crypto Signing (Target: 5-10ms, ZERO API calls!)
+        const signingStart = Date.now();
+
+        // Create + write only: the token cannot read or delete anything else in the container.
+        // A SAS can't limit the body size (unlike S3 / GCS signed headers), so an
+        // under-declared fileSize is only corrected when the upload is verified.
+        const uploadUrl = signAzureBlobUrl({
+            accountName: azureAccountName,
+            accountKey: azureAccountKey,
+            container: azureContainer,
+            blobName: objectKey,
+            permissions: SAS_PERMISSIONS.UPLOAD,
+            expiresIn
+        });
+
+        const signingTime = Date.now() - signingStart;
+
+        // BUILD: Public URL
+        const publicUrl = buildPublicUrl(azureAccountName, azureContainer, objectKey, azurePublicUrl);
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed, non-blocking) - includes file type tracking
+        updateRequestMetrics(apiKeyId, userId, 'azure', true, {
+            fileSize: fileSize || 0,
+            contentType: contentType
+        })
+            .catch(() => { });
+
+        logger.info('Azure SAS upload URL generated', { requestId, totalTime, signingTime });
+
+        // WEBHOOK CREATION
+        let webhookResult = null;
+        const { webhook } = req.body;
+
+        if (webhook && webhook.url) {
+            try {
+                const webhookId = generateWebhookId();
+                const webhookSecret = webhook.secret || generateWebhookSecret();
+
+                const { error: insertError } = await supabaseAdmin.from('upload_webhooks').insert({
+                    id: webhookId,
+                    user_id: userId,
+                    api_key_id: apiKeyId,
+                    webhook_url: webhook.url,
+                    webhook_secret: webhookSecret,
+                    trigger_mode: webhook.trigger || 'manual',
+                    provider: 'AZURE',
+                    // Public URLs need the account too, so Azure rows store "{account}/{container}"
+                    bucket: `${azureAccountName}/${azureContainer}`,
+                    file_key: objectKey,
+                    filename: filename,
+                    content_type: contentType,
+                    file_size: fileSize,
+                    etag: null,
+                    status: 'pending',
+                    metadata: webhook.metadata || {}
+                }).select().single();
+
+                if (insertError) {
+                    logger.warn('Webhook DB insert failed', { requestId, error: insertError.message });
+                } else {
+                    webhookResult = {
+                        webhookId,
+                        webhookSecret,
+                        triggerMode: webhook.trigger || 'manual'
+                    };
+                }
+            } catch (webhookError) {
+                logger.warn('Webhook creation failed', { requestId, error: webhookError.message });
+                // Continue without webhook - don't fail the entire request
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            uploadUrl,
+            publicUrl,
+            uploadId: requestId,
+            provider: 'azure',
+            expiresIn,
+            expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+            data: {
+                filename: objectKey,
+                originalFilename: filename,
+                contentType,
+                container: azureContainer,
+                method: 'PUT',
+                // Put Blob rejects requests without x-ms-blob-type
+                headers: {
+                    'x-ms-blob-type': 'BlockBlob',
+                    'Content-Type': contentType
+                }
+            },
+            ...(webhookResult && { webhook: webhookResult }),
+            smartExpiry: smartExpiryResult ? {
+                calculatedExpiry: smartExpiryResult.expirySeconds,
+                estimatedUploadTime: smartExpiryResult.estimatedUploadTime,
+                networkType: smartExpiryResult.networkType,
+                bufferTime: smartExpiryResult.bufferTime,
+                reasoning: smartExpiryResult.reasoning
+            } : null,
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    cryptoSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        const totalTime = Date.now() - startTime;
+        logger.error('Azure SAS URL generation failed', { requestId, totalTime, error: error.message });
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 'azure', false)
+                .catch(() => { });
+        }
+
+        return res.status(500).json(formatAzureError(
+            'SERVER_ERROR',
+            'Internal server error during signed URL generation',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
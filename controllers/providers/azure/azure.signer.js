@@ -0,0 +1,236 @@
+/**
+ * Azure Blob Storage Signer
+ * Pure crypto (HMAC-SHA256) signing from a storage-account key
+ *
+ * Two schemes share the same key:
+ *  - Service SAS: query-string tokens handed to clients (upload / download / block staging)
+ *  - Shared Key: Authorization header for server-side calls (list / delete / CORS / Put Block List)
+ * Neither needs a token exchange, so signing works offline and in CF Workers.
+ *
+ * Specs:
+ *  https://learn.microsoft.com/rest/api/storageservices/create-service-sas
+ *  https://learn.microsoft.com/rest/api/storageservices/authorize-with-shared-key
+ */
+
+import crypto from 'crypto';
+import {
+    AZURE_API_VERSION,
+    getAzureEndpoint,
+    encodeBlobName
+} from './azure.config.js';
+
+const hmacBase64 = (accountKey, stringToSign) => {
+    return crypto
+        .createHmac('sha256', Buffer.from(accountKey, 'base64'))
+        .update(stringToSign, 'utf8')
+        .digest('base64');
+};
+
+/**
+ * Format a date as a SAS timestamp (ISO 8601 without milliseconds)
+ */
+const toSasTimestamp = (date) => {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+/**
+ * Generate a service SAS query string for a blob or container
+ *
+ * @param {Object} options
+ * @param {string} options.accountName - Storage account name
+ * @param {string} options.accountKey - Storage account key (base64)
+ * @param {string} options.container - Container name
+ * @param {string} [options.blobName] - Blob name (omit for a container SAS)
+ * @param {string} options.permissions - Permission letters in canonical order (e.g. 'cw', 'r')
+ * @param {number} [options.expiresIn=3600] - Expiry in seconds
+ * @param {string} [options.contentDisposition] - rscd override for downloads
+ * @param {string} [options.contentType] - rsct override for downloads
+ * @param {Date} [options.now] - Signing time (for deterministic tests)
+ * @returns {string} SAS query string (without leading "?")
+ */
+export const generateBlobSas = ({
+    accountName,
+    accountKey,
+    container,
+    blobName = null,
+    permissions,
+    expiresIn = 3600,
+    contentDisposition = '',
+    contentType = '',
+    now = new Date()
+}) => {
+    // Start 5 minutes in the past to tolerate client clock skew
+    const signedStart = toSasTimestamp(new Date(now.getTime() - 5 * 60 * 1000));
+    const signedExpiry = toSasTimestamp(new Date(now.getTime() + expiresIn * 1000));
+    const signedResource = blobName ? 'b' : 'c';
+    const canonicalizedResource = blobName
+        ? `/blob/${accountName}/${container}/${blobName}`
+        : `/blob/${accountName}/${container}`;
+
+    const stringToSign = [
+        permissions,
+        signedStart,
+        signedExpiry,
+        canonicalizedResource,
+        '', // signedIdentifier
+        '', // signedIP
+        'https',
+        AZURE_API_VERSION,
+        signedResource,
+        '', // signedSnapshotTime
+        '', // signedEncryptionScope
+        '', // rscc
+        contentDisposition || '',
+        '', // rsce
+        '', // rscl
+        contentType || ''
+    ].join('\n');
+
+    const params = new URLSearchParams({
+        sv: AZURE_API_VERSION,
+        spr: 'https',
+        st: signedStart,
+        se: signedExpiry,
+        sr: signedResource,
+        sp: permissions
+    });
+
+    if (contentDisposition) params.set('rscd', contentDisposition);
+    if (contentType) params.set('rsct', contentType);
+
+    params.set('sig', hmacBase64(accountKey, stringToSign));
+
+    return params.toString();
+};
+
+/**
+ * Generate a full SAS URL for a blob
+ *
+ * @param {Object} options - Same as generateBlobSas, blobName required
+ * @param {Object} [extraQuery] - Operation query params placed before the SAS (e.g. comp=block)
+ * @returns {string} Signed URL
+ */
+export const signAzureBlobUrl = (options, extraQuery = null) => {
+    const base = `${getAzureEndpoint(options.accountName)}/${options.container}/${encodeBlobName(options.blobName)}`;
+    const sas = generateBlobSas(options);
+    const operation = extraQuery ? `${new URLSearchParams(extraQuery).toString()}&` : '';
+
+    return `${base}?${operation}${sas}`;
+};
+
+/**
+ * Build the Shared Key string-to-sign and return the Authorization header value
+ *
+ * @param {Object} credentials - { accountName, accountKey }
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {Object} headers - Request headers (must already include x-ms-date / x-ms-version)
+ * @returns {string} "SharedKey account:signature"
+ */
+export const buildSharedKeyAuthorization = ({ accountName, accountKey }, method, url, headers) => {
+    const lower = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+
+    // Content-Length is signed as empty when zero (service version 2015-02-21+)
+    const contentLength = lower['content-length'] && lower['content-length'] !== '0'
+        ? lower['content-length']
+        : '';
+
+    const canonicalizedHeaders = Object.keys(lower)
+        .filter(name => name.startsWith('x-ms-'))
+        .sort()
+        .map(name => `${name}:${lower[name]}\n`)
+        .join('');
+
+    const queryNames = [...new Set([...url.searchParams.keys()].map(name => name.toLowerCase()))].sort();
+    const canonicalizedResource = `/${accountName}${url.pathname}` + queryNames
+        .map(name => `\n${name}:${url.searchParams.getAll(name).sort().join(',')}`)
+        .join('');
+
+    const stringToSign = [
+        method.toUpperCase(),
+        lower['content-encoding'] || '',
+        lower['content-language'] || '',
+        contentLength,
+        lower['content-md5'] || '',
+        lower['content-type'] || '',
+        '', // Date (x-ms-date is used instead)
+        lower['if-modified-since'] || '',
+        lower['if-match'] || '',
+        lower['if-none-match'] || '',
+        lower['if-unmodified-since'] || '',
+        lower['range'] || ''
+    ].join('\n') + '\n' + canonicalizedHeaders + canonicalizedResource;
+
+    return `SharedKey ${accountName}:${hmacBase64(accountKey, stringToSign)}`;
+};
+
+/**
+ * Parse an Azure XML error body into { code, message }
+ */
+export const parseAzureError = (status, xml = '', headerCode = null) => {
+    const code = xml.match(/<Code>(.*?)<\/Code>/)?.[1] || headerCode;
+    const message = xml.match(/<Message>([\s\S]*?)<\/Message>/)?.[1]?.split('\n')[0];
+
+    if (code) {
+        return { code, message: message || code };
+    }
+
+    // HEAD / empty responses carry no body — map the status instead
+    if (status === 404) return { code: 'BlobNotFound', message: 'Not found' };
+    if (status === 403) return { code: 'AuthenticationFailed', message: 'Access denied' };
+    return { code: 'AzureError', message: `Azure HTTP ${status}` };
+};
+
+/**
+ * Sign (Shared Key) and execute an Azure Blob REST request
+ * Throws an Error whose `name` is the Azure error code (AuthenticationFailed,
+ * ContainerNotFound, BlobNotFound, ...) so controllers can branch on it.
+ *
+ * @param {Object} credentials - { accountName, accountKey }
+ * @param {Object} request - { method, path, query, headers, body }
+ *   path is '' for service-level calls, '{container}' or '{container}/{blob}'
+ * @returns {Promise<Response>} Successful fetch response
+ */
+export const azureRequest = async (credentials, { method = 'GET', path = '', query = {}, headers = {}, body } = {}) => {
+    const url = new URL(`${getAzureEndpoint(credentials.accountName)}/${path}`);
+    for (const [name, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(name, String(value));
+        }
+    }
+
+    const requestHeaders = {
+        ...headers,
+        'x-ms-date': new Date().toUTCString(),
+        'x-ms-version': AZURE_API_VERSION
+    };
+
+    // fetch would otherwise default string bodies to text/plain, which is not what we signed
+    if (body !== undefined && !Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-type')) {
+        requestHeaders['Content-Type'] = 'application/xml';
+    }
+
+    // fetch sets Content-Length itself; it only needs to be part of the signature
+    const contentLength = body !== undefined ? String(Buffer.byteLength(body)) : '0';
+    requestHeaders.Authorization = buildSharedKeyAuthorization(
+        credentials,
+        method,
+        url,
+        { ...requestHeaders, 'Content-Length': contentLength }
+    );
+
+    const response = await fetch(url, { method, headers: requestHeaders, body });
+
+    if (!response.ok) {
+        const text = method === 'HEAD' ? '' : await response.text();
+        const { code, message } = parseAzureError(response.status, text, response.headers.get('x-ms-error-code'));
+        const error = new Error(message);
+        error.name = code;
+        error.status = response.status;
+        throw error;
+    }
+
+    return response;
+};
@@ -0,0 +1,38 @@
+/**
+ * Azure Blob Storage Provider - Main Entry Point
+ * Exports all Azure operations
+ */
+
+// Primary operation (CRITICAL - pure crypto service SAS)
+export { generateAzureSignedUrl } from './azure.signed-url.js';
+export { generateAzureDownloadUrl } from './azure.download-url.js';
+
+// Core blob operations
+export { deleteAzureBlob, batchDeleteAzureBlobs } from './azure.delete.js';
+export { listAzureBlobs, listAzureContainers } from './azure.list.js';
+
+// Block blob staging (large files)
+export {
+    initiateAzureBlockUpload,
+    completeAzureBlockUpload,
+    abortAzureBlockUpload
+} from './azure.multipart.js';
+
+// Account CORS configuration
+export {
+    setupAzureCors,
+    verifyAzureCors,
+    getOptimalAzureCorsConfig,
+    configureAzureCORS,
+    getAzureCORS
+} from './azure.cors.js';
+
+// Export signer for advanced use
+export { generateBlobSas, signAzureBlobUrl, azureRequest } from './azure.signer.js';
+
+// Export config
+export {
+    validateAzureCredentials,
+    buildPublicUrl,
+    generateObjectKey
+} from './azure.config.js';
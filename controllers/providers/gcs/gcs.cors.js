@@ -0,0 +1,216 @@
+/**
+ * Google Cloud Storage Bucket CORS Configuration
+ * Uses the XML API `?cors` sub-resource (signed with the service-account key)
+ *
+ * GCS CORS differs from S3/R2: there is no AllowedHeaders list — ResponseHeaders
+ * covers both the request headers allowed in preflight and the headers exposed
+ * to the browser. Rules are returned in the S3 shape so SDK consumers see the
+ * same structure for every provider.
+ */
+
+import { validateGcsCredentials, formatGcsError } from './gcs.config.js';
+import { gcsRequest } from './gcs.signer.js';
+import logger from '../../../utils/logger.js';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Optimal CORS configuration for GCS direct uploads
+ */
+export function getOptimalGcsCorsConfig(allowedOrigins = ['*']) {
+    return {
+        CORSRules: [{
+            AllowedMethods: ['GET', 'PUT', 'POST', 'DELETE', 'HEAD'],
+            AllowedOrigins: allowedOrigins,
+            // Signed request headers must be listed or the signed PUT fails preflight
+            ExposeHeaders: [
+                'Content-Type',
+                'Content-Length',
+                'x-goog-content-length-range',
+                'ETag',
+                'x-goog-generation',
+                'x-goog-hash',
+                'x-goog-resumable'
+            ],
+            MaxAgeSeconds: 3600,
+        }]
+    };
+}
+
+/**
+ * Serialize S3-shaped rules into a GCS CorsConfig document
+ */
+const toCorsXml = (corsConfig) => {
+    const rules = corsConfig.CORSRules.map(rule => [
+        '<Cors>',
+        `<Origins>${rule.AllowedOrigins.map(o => `<Origin>${escapeXml(o)}</Origin>`).join('')}</Origins>`,
+        `<Methods>${rule.AllowedMethods.map(m => `<Method>${escapeXml(m)}</Method>`).join('')}</Methods>`,
+        `<ResponseHeaders>${rule.ExposeHeaders.map(h => `<ResponseHeader>${escapeXml(h)}</ResponseHeader>`).join('')}</ResponseHeaders>`,
+        `<MaxAgeSec>${rule.MaxAgeSeconds}</MaxAgeSec>`,
+        '</Cors>'
+    ].join('')).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?><CorsConfig>${rules}</CorsConfig>`;
+};
+
+/**
+ * Configure CORS on a GCS bucket
+ */
+export async function configureGcsBucketCORS(gcsClientEmail, gcsPrivateKey, gcsBucket, allowedOrigins) {
+    const corsConfig = getOptimalGcsCorsConfig(allowedOrigins);
+
+    await gcsRequest(
+        { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket },
+        {
+            method: 'PUT',
+            query: { cors: '' },
+            headers: { 'Content-Type': 'application/xml' },
+            body: toCorsXml(corsConfig)
+        }
+    );
+
+    return corsConfig;
+}
+
+/**
+ * Get current CORS configuration for a GCS bucket
+ * @returns {Promise<Array|null>} S3-shaped rules, or null if none configured
+ */
+export async function getGcsBucketCORS(gcsClientEmail, gcsPrivateKey, gcsBucket) {
+    const response = await gcsRequest(
+        { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket },
+        { method: 'GET', query: { cors: '' } }
+    );
+
+    const xml = await response.text();
+    const rules = [];
+    const ruleRegex = /<Cors>([\s\S]*?)<\/Cors>/g;
+    let match;
+
+    while ((match = ruleRegex.exec(xml)) !== null) {
+        const ruleXml = match[1];
+        rules.push({
+            AllowedMethods: [...ruleXml.matchAll(/<Method>(.*?)<\/Method>/g)].map(m => m[1]),
+            AllowedOrigins: [...ruleXml.matchAll(/<Origin>(.*?)<\/Origin>/g)].map(m => m[1]),
+            ExposeHeaders: [...ruleXml.matchAll(/<ResponseHeader>(.*?)<\/ResponseHeader>/g)].map(m => m[1]),
+            MaxAgeSeconds: parseInt(ruleXml.match(/<MaxAgeSec>(.*?)<\/MaxAgeSec>/)?.[1] || 0)
+        });
+    }
+
+    return rules.length > 0 ? rules : null;
+}
+
+/**
+ * Controller for GCS CORS setup endpoint
+ */
+export const setupGcsBucketCors = async (req, res) => {
+    try {
+        const { gcsClientEmail, gcsPrivateKey, gcsBucket, allowedOrigins } = req.body;
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        const config = await configureGcsBucketCORS(
+            gcsClientEmail,
+            gcsPrivateKey,
+            gcsBucket,
+            allowedOrigins || ['*']
+        );
+
+        res.json({
+            success: true,
+            message: `CORS configured for GCS bucket "${gcsBucket}"`,
+            configuration: config
+        });
+
+    } catch (error) {
+        logger.error('[GCS CORS] Configuration failed:', error.message);
+
+        if (error.name === 'AccessDenied') {
+            return res.status(403).json(formatGcsError(
+                'ACCESS_DENIED',
+                'GCS service account needs storage.buckets.update permission',
+                'Grant roles/storage.admin on the bucket, or configure CORS with gcloud'
+            ));
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'CORS_CONFIGURATION_FAILED',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Controller for GCS CORS verification endpoint
+ */
+export const verifyGcsBucketCors = async (req, res) => {
+    try {
+        const { gcsClientEmail, gcsPrivateKey, gcsBucket } = req.body;
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        const currentConfig = await getGcsBucketCORS(gcsClientEmail, gcsPrivateKey, gcsBucket);
+
+        if (!currentConfig) {
+            return res.json({
+                success: true,
+                configured: false,
+                message: 'No CORS configuration found'
+            });
+        }
+
+        // Check for common issues
+        const issues = [];
+        currentConfig.forEach((rule, i) => {
+            if (!rule.AllowedMethods?.includes('PUT')) {
+                issues.push(`Rule ${i + 1}: PUT method not allowed (required for uploads)`);
+            }
+            if (!rule.ExposeHeaders?.some(h => h.toLowerCase() === 'content-type')) {
+                issues.push(`Rule ${i + 1}: Content-Type not listed in response headers (required for signed uploads)`);
+            }
+        });
+
+        res.json({
+            success: true,
+            configured: true,
+            isValid: issues.length === 0,
+            corsRules: currentConfig,
+            issues,
+            recommendation: issues.length > 0
+                ? 'Run POST /api/v1/upload/gcs/cors/setup to fix automatically'
+                : 'CORS is configured correctly'
+        });
+
+    } catch (error) {
+        if (error.name === 'AccessDenied') {
+            return res.status(403).json(formatGcsError(
+                'ACCESS_DENIED',
+                'GCS service account needs storage.buckets.get permission'
+            ));
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'CORS_VERIFICATION_FAILED',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,288 @@
+/**
+ * Delete Files from Google Cloud Storage
+ * Single and batch delete via signed XML API DELETE requests
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateGcsCredentials,
+    formatGcsError,
+    MAX_DELETE_BATCH,
+    DELETE_CONCURRENCY
+} from './gcs.config.js';
+import { gcsRequest } from './gcs.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
+
+/**
+ * Map GCS error codes to API responses (shared by single + batch delete)
+ */
+const handleGcsDeleteError = (error, req, res, fallbackCode, fallbackMessage) => {
+    logger.error(`gcs error:`, { error });
+
+    if (req.apiKeyId) {
+        updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'gcs', false)
+            .catch(() => { });
+    }
+
+    if (error.name === 'NoSuchBucket') {
+        return res.status(404).json(formatGcsError(
+            'BUCKET_NOT_FOUND',
+            'GCS bucket not found',
+            `Bucket "${req.body.gcsBucket}" does not exist.`
+        ));
+    }
+
+    if (error.name === 'AccessDenied') {
+        return res.status(403).json(formatGcsError(
+            'ACCESS_DENIED',
+            'Access denied to GCS bucket',
+            'Grant the service account roles/storage.objectAdmin (needs storage.objects.delete)'
+        ));
+    }
+
+    return res.status(500).json(formatGcsError(
+        fallbackCode,
+        fallbackMessage,
+        process.env.NODE_ENV === 'development' ? error.message : null
+    ));
+};
+
+/**
+ * Delete a single file from a GCS bucket
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const deleteGcsFile = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { fileKey, gcsClientEmail, gcsPrivateKey, gcsBucket } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatGcsError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'gcs-delete');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many delete requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        if (!fileKey) {
+            return res.status(400).json(formatGcsError(
+                'MISSING_PARAMETERS',
+                'fileKey is required'
+            ));
+        }
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        await gcsRequest(
+            { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket },
+            { method: 'DELETE', key: fileKey }
+        );
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 'gcs', bucket: gcsBucket, key: fileKey });
+
+        return res.status(200).json({
+            success: true,
+            message: 'File deleted successfully',
+            provider: 'gcs',
+            data: {
+                fileKey,
+                bucket: gcsBucket,
+                deletedAt: new Date().toISOString()
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'NoSuchKey') {
+            return res.status(404).json(formatGcsError(
+                'FILE_NOT_FOUND',
+                'File not found in GCS bucket',
+                `Check that the file key "${req.body.fileKey}" exists`
+            ));
+        }
+
+        return handleGcsDeleteError(error, req, res, 'DELETE_FAILED', 'Failed to delete file from GCS');
+    }
+};
+
+/**
+ * Delete multiple GCS files in one request
+ * The XML API has no multi-object delete, so keys are deleted in parallel
+ * (DELETE_CONCURRENCY at a time) and per-key failures are reported, not thrown.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const batchDeleteGcsFiles = async (req, res) => {
+    const requestId = `batch_del_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const { keys: fileKeys, gcsClientEmail, gcsPrivateKey, gcsBucket } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        // LAYER 1: Memory Guard
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'gcs-batch-delete');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many batch delete requests',
+                'Wait a moment before submitting another batch delete'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        // VALIDATION: Keys Array
+        if (!Array.isArray(fileKeys) || fileKeys.length === 0) {
+            return res.status(400).json(formatGcsError(
+                'INVALID_FILENAMES_ARRAY',
+                'keys must be a non-empty array',
+                'Provide an array of file keys to delete: ["file1.jpg", "file2.png", ...]'
+            ));
+        }
+
+        if (fileKeys.length > MAX_DELETE_BATCH) {
+            return res.status(400).json(formatGcsError(
+                'BATCH_TOO_LARGE',
+                `Maximum ${MAX_DELETE_BATCH} files per batch delete request`,
+                `You requested ${fileKeys.length} files. Split into multiple batches.`
+            ));
+        }
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        // GCS API CALLS: Parallel deletes in fixed-size waves
+        const deleteStart = Date.now();
+        const credentials = { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket };
+        const deleted = [];
+        const errors = [];
+
+        for (let i = 0; i < fileKeys.length; i += DELETE_CONCURRENCY) {
+            const wave = fileKeys.slice(i, i + DELETE_CONCURRENCY);
+            const results = await Promise.allSettled(
+                wave.map(key => gcsRequest(credentials, { method: 'DELETE', key }))
+            );
+
+            results.forEach((result, index) => {
+                const key = wave[index];
+                if (result.status === 'fulfilled') {
+                    deleted.push({ key });
+                } else {
+                    errors.push({ key, code: result.reason.name, message: result.reason.message });
+                }
+            });
+        }
+
+        // Every key failing the same way is a bucket / permission problem, not a per-file one
+        if (deleted.length === 0 && errors.length > 0 && errors.every(e => e.code === errors[0].code)) {
+            const error = new Error(errors[0].message);
+            error.name = errors[0].code;
+            throw error;
+        }
+
+        const deleteTime = Date.now() - deleteStart;
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'batch_delete.completed', {
+            provider: 'gcs',
+            bucket: gcsBucket,
+            deleted: deleted.map(d => d.key),
+            failed: errors,
+            total: fileKeys.length
+        });
+
+        logger.info(`[${requestId}] ✅ GCS batch delete: ${deleted.length}/${fileKeys.length} in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            provider: 'gcs',
+            deleted,
+            errors,
+            summary: {
+                total: fileKeys.length,
+                deleted: deleted.length,
+                failed: errors.length
+            },
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    gcsApiCalls: `${deleteTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        return handleGcsDeleteError(error, req, res, 'BATCH_DELETE_FAILED', 'Failed to process batch delete');
+    }
+};
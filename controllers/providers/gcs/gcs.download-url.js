@@ -0,0 +1,156 @@
+/**
+ * GCS Time-Limited Download URLs
+ * Generate V4 signed download URLs with configurable expiry
+ * Uses pure crypto signing - NO external API calls
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateGcsCredentials,
+    buildPublicUrl,
+    formatGcsError,
+    SIGNED_URL_EXPIRY,
+    MAX_EXPIRY,
+    MIN_EXPIRY
+} from './gcs.config.js';
+import { signGcsUrl } from './gcs.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Generate time-limited download URL for a GCS object
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const generateGcsDownloadUrl = async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const {
+            fileKey,
+            gcsClientEmail,
+            gcsPrivateKey,
+            gcsBucket,
+            gcsPublicUrl,
+            responseContentDisposition,
+            expiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        // LAYER 1: Memory Guard
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'gcs-download');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many download URL requests',
+                'Wait a moment and try again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        // VALIDATION: Required Fields
+        if (!fileKey) {
+            return res.status(400).json(formatGcsError(
+                'MISSING_PARAMETERS',
+                'fileKey is required',
+                'Include the object key of the file to download'
+            ));
+        }
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        // VALIDATION: Expiry Time
+        const expiryInt = parseInt(expiresIn);
+
+        if (isNaN(expiryInt) || expiryInt < MIN_EXPIRY || expiryInt > MAX_EXPIRY) {
+            return res.status(400).json(formatGcsError(
+                'INVALID_EXPIRY',
+                `expiresIn must be between ${MIN_EXPIRY} (1 minute) and ${MAX_EXPIRY} (7 days) seconds`,
+                `Valid range: 60 to 604800 seconds. You provided: ${expiresIn}`
+            ));
+        }
+
+        // CRYPTO SIGNING: Generate Signed Download URL
+        const signingStart = Date.now();
+
+        const downloadUrl = signGcsUrl({
+            clientEmail: gcsClientEmail,
+            privateKey: gcsPrivateKey,
+            bucket: gcsBucket,
+            key: fileKey,
+            method: 'GET',
+            expiresIn: expiryInt,
+            query: { 'response-content-disposition': responseContentDisposition }
+        });
+
+        const signingTime = Date.now() - signingStart;
+
+        const publicUrl = buildPublicUrl(gcsBucket, fileKey, gcsPublicUrl);
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ GCS download URL generated in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            provider: 'gcs',
+            downloadUrl,
+            publicUrl,
+            fileKey,
+            bucket: gcsBucket,
+            expiresIn: expiryInt,
+            expiresAt: new Date(Date.now() + expiryInt * 1000).toISOString(),
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    cryptoSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error(`gcs error:`, { error });
+
+        if (req.apiKeyId) {
+            updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'gcs', false)
+                .catch(() => { });
+        }
+
+        return res.status(500).json(formatGcsError(
+            'DOWNLOAD_URL_FAILED',
+            'Failed to generate download URL',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
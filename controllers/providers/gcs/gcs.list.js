@@ -0,0 +1,166 @@
+/**
+ * List Files in Google Cloud Storage Bucket
+ * Signed XML API ListObjectsV2 (list-type=2) with pagination support
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import { validateGcsCredentials, formatGcsError } from './gcs.config.js';
+import { gcsRequest } from './gcs.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+
+const decodeXml = (value = '') => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * List files in GCS bucket
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const listGcsFiles = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            gcsClientEmail,
+            gcsPrivateKey,
+            gcsBucket,
+            prefix = '',
+            maxKeys = 1000,
+            continuationToken
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatGcsError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'gcs-list');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many list requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                `Used: ${quotaCheck.current || quotaCheck.used}, Limit: ${quotaCheck.limit}`
+            ));
+        }
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        const listResponse = await gcsRequest(
+            { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket },
+            {
+                method: 'GET',
+                query: {
+                    'list-type': '2',
+                    prefix: prefix || undefined,
+                    'max-keys': String(Math.min(maxKeys, 1000)),
+                    'continuation-token': continuationToken
+                }
+            }
+        );
+
+        const xmlText = await listResponse.text();
+
+        // Lightweight Regex-based XML parsing (CF edge compatible)
+        const files = [];
+        const contentsRegex = /<Contents>[\s\S]*?<\/Contents>/g;
+        let match;
+        while ((match = contentsRegex.exec(xmlText)) !== null) {
+            const item = match[0];
+            const key = decodeXml(item.match(/<Key>(.*?)<\/Key>/)?.[1] || '');
+            const size = parseInt(item.match(/<Size>(.*?)<\/Size>/)?.[1] || '0', 10);
+            const lastModified = new Date(item.match(/<LastModified>(.*?)<\/LastModified>/)?.[1] || new Date().toISOString());
+            const etag = decodeXml(item.match(/<ETag>(.*?)<\/ETag>/)?.[1] || '').replace(/"/g, '');
+            const generation = item.match(/<Generation>(.*?)<\/Generation>/)?.[1] || null;
+            const storageClass = item.match(/<StorageClass>(.*?)<\/StorageClass>/)?.[1] || null;
+
+            if (key) files.push({ key, size, lastModified, etag, generation, storageClass });
+        }
+
+        const isTruncated = xmlText.includes('<IsTruncated>true</IsTruncated>');
+        const nextContinuationTokenMatch = xmlText.match(/<NextContinuationToken>(.*?)<\/NextContinuationToken>/);
+        const nextContinuationToken = nextContinuationTokenMatch ? decodeXml(nextContinuationTokenMatch[1]) : null;
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true)
+            .catch(() => { });
+
+        return res.status(200).json({
+            success: true,
+            provider: 'gcs',
+            data: {
+                bucket: gcsBucket,
+                prefix,
+                files,
+                count: files.length,
+                isTruncated,
+                nextContinuationToken
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        logger.error(`gcs error:`, { error });
+
+        if (req.apiKeyId) {
+            updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'gcs', false)
+                .catch(() => { });
+        }
+
+        if (error.name === 'NoSuchBucket') {
+            return res.status(404).json(formatGcsError(
+                'BUCKET_NOT_FOUND',
+                'GCS bucket not found',
+                `Bucket "${req.body.gcsBucket}" does not exist.`
+            ));
+        }
+
+        if (error.name === 'AccessDenied') {
+            return res.status(403).json(formatGcsError(
+                'ACCESS_DENIED',
+                'Access denied to GCS bucket',
+                'Grant the service account storage.objects.list on the bucket'
+            ));
+        }
+
+        return res.status(500).json(formatGcsError(
+            'LIST_FAILED',
+            'Failed to list files from GCS',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
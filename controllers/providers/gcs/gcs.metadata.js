@@ -0,0 +1,187 @@
+/**
+ * Google Cloud Storage Metadata Controller
+ * Get object metadata without downloading the file (signed HEAD request)
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import { validateGcsCredentials, formatGcsError } from './gcs.config.js';
+import { gcsRequest } from './gcs.signer.js';
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Get GCS object metadata
+ */
+export const getGcsMetadata = async (req, res) => {
+    const requestId = `meta_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            key,
+            gcsClientEmail,
+            gcsPrivateKey,
+            gcsBucket,
+            generation
+        } = req.body;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatGcsError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // VALIDATION
+        if (!key) {
+            return res.status(400).json(formatGcsError(
+                'MISSING_KEY',
+                'GCS object key is required',
+                'Provide the key parameter (e.g., "upl123_photo.jpg")'
+            ));
+        }
+
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 'gcs-metadata');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many metadata requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded'
+            ));
+        }
+
+        // GCS API CALL
+        const apiCallStart = Date.now();
+        const result = await gcsRequest(
+            { clientEmail: gcsClientEmail, privateKey: gcsPrivateKey, bucket: gcsBucket },
+            { method: 'HEAD', key, query: { generation } }
+        );
+        const apiCallTime = Date.now() - apiCallStart;
+        const totalTime = Date.now() - startTime;
+
+        const headers = result.headers;
+        const size = parseInt(headers.get('content-length') || '0', 10);
+
+        // x-goog-hash: crc32c=...,md5=...
+        const hashes = {};
+        (headers.get('x-goog-hash') || '').split(',').forEach(pair => {
+            const separator = pair.indexOf('=');
+            if (separator > 0) hashes[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        });
+
+        const customMetadata = {};
+        headers.forEach((value, name) => {
+            if (name.startsWith('x-goog-meta-')) {
+                customMetadata[name.slice('x-goog-meta-'.length)] = value;
+            }
+        });
+
+        // FORMAT METADATA
+        const metadata = {
+            key,
+            size,
+            sizeFormatted: formatBytes(size),
+            contentType: headers.get('content-type'),
+            lastModified: headers.get('last-modified') ? new Date(headers.get('last-modified')).toISOString() : null,
+            etag: headers.get('etag'),
+            generation: headers.get('x-goog-generation') || null,
+            metageneration: headers.get('x-goog-metageneration') || null,
+            storageClass: headers.get('x-goog-storage-class') || 'STANDARD',
+            cacheControl: headers.get('cache-control') || null,
+            contentDisposition: headers.get('content-disposition') || null,
+            contentEncoding: headers.get('content-encoding') || null,
+            contentLanguage: headers.get('content-language') || null,
+            customMetadata,
+            checksums: {
+                crc32c: hashes.crc32c || null,
+                md5: hashes.md5 || null
+            }
+        };
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ GCS metadata: ${key} (${size} bytes) in ${totalTime}ms`);
+
+        res.status(200).json({
+            success: true,
+            metadata,
+            provider: 'gcs',
+            hint: 'File metadata retrieved without downloading the file',
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                apiCallTime: `${apiCallTime}ms`
+            }
+        });
+
+    } catch (error) {
+        logger.error(`gcs error:`, { error });
+
+        if (error.name === 'NoSuchKey') {
+            return res.status(404).json(formatGcsError(
+                'FILE_NOT_FOUND',
+                `File not found: ${req.body.key}`,
+                'Check the key parameter and ensure the file exists'
+            ));
+        }
+
+        if (error.name === 'AccessDenied') {
+            return res.status(403).json(formatGcsError(
+                'ACCESS_DENIED',
+                'No permission to read file metadata',
+                'Grant the service account storage.objects.get on the bucket'
+            ));
+        }
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 'gcs', false)
+                .catch(() => { });
+        }
+
+        return res.status(500).json(formatGcsError(
+            'GCS_METADATA_ERROR',
+            'Failed to get file metadata',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
+
+/**
+ * Format bytes to human-readable format
+ */
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
@@ -0,0 +1,324 @@
+/**
+ * Generate V4 Signed URL for Google Cloud Storage Upload
+ * CRITICAL PERFORMANCE: Pure cryptographic signing (5-10ms, ZERO external API calls)
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    validateGcsCredentials,
+    validateExpiry,
+    validateFileSize,
+    buildPublicUrl,
+    generateObjectKey,
+    formatGcsError,
+    SIGNED_URL_EXPIRY
+} from './gcs.config.js';
+import { signGcsUrl } from './gcs.signer.js';
+
+// 🚀 REDIS METRICS: Single source of truth
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+
+// Import memory guard only (Redis not needed for pure crypto!)
+import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
+
+import { validateFileMetadata } from '../../../utils/file-validator.js';
+import { calculateSmartExpiry } from '../../../utils/smart-expiry.js';
+import { generateWebhookId, generateWebhookSecret } from '../../../utils/webhook/signature.js';
+import { supabaseAdmin } from '../../../config/supabase.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Generate V4 signed URL for GCS upload
+ * Target Performance: 5-15ms P95
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const generateGcsSignedUrl = async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            filename,
+            contentType,
+            fileSize,
+            gcsClientEmail,
+            gcsPrivateKey,
+            gcsBucket,
+            gcsPublicUrl,
+            expiresIn: requestedExpiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        // Use let so smart expiry can override
+        let expiresIn = requestedExpiresIn;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatGcsError(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // LAYER 1: Memory Guard (Target: 0-2ms)
+        const memoryStart = Date.now();
+        const memCheck = checkMemoryRateLimit(userId, 'upload');
+        const memoryTime = Date.now() - memoryStart;
+
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many requests',
+                'Wait a moment and try again'
+            ));
+        }
+
+        // QUOTA CHECK (OPT-2: Already verified by Rate Limiter Middleware)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(429).json(formatGcsError(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded',
+                'Please upgrade your plan'
+            ));
+        }
+
+        // VALIDATION: Required Fields
+        if (!filename || !contentType) {
+            updateRequestMetrics(apiKeyId, userId, 'gcs', false).catch(() => { });
+
+            return res.status(400).json(formatGcsError(
+                'MISSING_PARAMETERS',
+                'filename and contentType are required',
+                'Provide filename and contentType in request body'
+            ));
+        }
+
+        // VALIDATION: Credential Format
+        const credValidation = validateGcsCredentials(gcsClientEmail, gcsPrivateKey, gcsBucket);
+        if (!credValidation.valid) {
+            updateRequestMetrics(apiKeyId, userId, 'gcs', false).catch(() => { });
+
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...credValidation
+            });
+        }
+
+        // VALIDATION: File Size
+        if (fileSize) {
+            const sizeValidation = validateFileSize(fileSize);
+            if (!sizeValidation.valid) {
+                updateRequestMetrics(apiKeyId, userId, 'gcs', false).catch(() => { });
+
+                return res.status(400).json({
+                    success: false,
+                    provider: 'gcs',
+                    ...sizeValidation
+                });
+            }
+        }
+
+        // VALIDATION: Expiry Time
+        const expiryValidation = validateExpiry(expiresIn);
+        if (!expiryValidation.valid) {
+            updateRequestMetrics(apiKeyId, userId, 'gcs', false).catch(() => { });
+
+            return res.status(400).json({
+                success: false,
+                provider: 'gcs',
+                ...expiryValidation
+            });
+        }
+
+        // VALIDATION: Server-side file validation (magic bytes from client)
+        const { magicBytes, validation } = req.body;
+
+        if (validation || magicBytes) {
+            const validationResult = validateFileMetadata({
+                filename,
+                contentType,
+                fileSize: fileSize || 0,
+                magicBytes,
+                validation: validation || {}
+            });
+
+            if (!validationResult.valid) {
+                logger.warn('File validation failed', { requestId, errorCount: validationResult.errors?.length });
+                updateRequestMetrics(apiKeyId, userId, 'gcs', false).catch(() => { });
+
+                return res.status(400).json({
+                    success: false,
+                    provider: 'gcs',
+                    error: 'VALIDATION_FAILED',
+                    message: 'File validation failed',
+                    validation: validationResult,
+                    checks: validationResult.checks,
+                    errors: validationResult.errors,
+                    warnings: validationResult.warnings
+                });
+            }
+        }
+
+        // SMART EXPIRY CALCULATION
+        const { networkInfo, bufferMultiplier, minExpirySeconds, maxExpirySeconds } = req.body;
+        let smartExpiryResult = null;
+
+        if (fileSize && fileSize > 0 && (networkInfo || bufferMultiplier || minExpirySeconds || maxExpirySeconds)) {
+            smartExpiryResult = calculateSmartExpiry({
+                fileSize: fileSize || 0,
+                networkInfo: networkInfo || {},
+                bufferMultiplier: bufferMultiplier || 1.5,
+                minExpirySeconds: minExpirySeconds || 60,
+                maxExpirySeconds: maxExpirySeconds || 7 * 24 * 60 * 60
+            });
+
+            expiresIn = smartExpiryResult.expirySeconds;
+        }
+
+        // OPERATION: Generate Unique Object Key
+        const objectKey = generateObjectKey(filename, apiKeyId);
+
+        // CRITICAL: Pure Crypto Signing (Target: 5-10ms, ZERO API calls!)
+        const signingStart = Date.now();
+
+        // Signed headers — the client must send the exact same values. A declared
+        // size becomes x-goog-content-length-range, so GCS refuses a larger body.
+        const uploadHeaders = {
+            'Content-Type': contentType,
+            ...(Number(fileSize) > 0 && { 'x-goog-content-length-range': `0,${Number(fileSize)}` })
+        };
+
+        const uploadUrl = signGcsUrl({
+            clientEmail: gcsClientEmail,
+            privateKey: gcsPrivateKey,
+            bucket: gcsBucket,
+            key: objectKey,
+            method: 'PUT',
+            expiresIn,
+            headers: uploadHeaders
+        });
+
+        const signingTime = Date.now() - signingStart;
+
+        // BUILD: Public URL
+        const publicUrl = buildPublicUrl(gcsBucket, objectKey, gcsPublicUrl);
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed, non-blocking) - includes file type tracking
+        updateRequestMetrics(apiKeyId, userId, 'gcs', true, {
+            fileSize: fileSize || 0,
+            contentType: contentType
+        })
+            .catch(() => { });
+
+        logger.info('GCS signed URL generated', { requestId, totalTime, signingTime });
+
+        // WEBHOOK CREATION
+        let webhookResult = null;
+        const { webhook } = req.body;
+
+        if (webhook && webhook.url) {
+            try {
+                const webhookId = generateWebhookId();
+                const webhookSecret = webhook.secret || generateWebhookSecret();
+
+                const { error: insertError } = await supabaseAdmin.from('upload_webhooks').insert({
+                    id: webhookId,
+                    user_id: userId,
+                    api_key_id: apiKeyId,
+                    webhook_url: webhook.url,
+                    webhook_secret: webhookSecret,
+                    trigger_mode: webhook.trigger || 'manual',
+                    provider: 'GCS',
+                    bucket: gcsBucket,
+                    file_key: objectKey,
+                    filename: filename,
+                    content_type: contentType,
+                    file_size: fileSize,
+                    etag: null,
+                    status: 'pending',
+                    metadata: webhook.metadata || {}
+                }).select().single();
+
+                if (insertError) {
+                    logger.warn('Webhook DB insert failed', { requestId, error: insertError.message });
+                } else {
+                    webhookResult = {
+                        webhookId,
+                        webhookSecret,
+                        triggerMode: webhook.trigger || 'manual'
+                    };
+                }
+            } catch (webhookError) {
+                logger.warn('Webhook creation failed', { requestId, error: webhookError.message });
+                // Continue without webhook - don't fail the entire request
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            uploadUrl,
+            publicUrl,
+            uploadId: requestId,
+            provider: 'gcs',
+            expiresIn,
+            expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+            data: {
+                filename: objectKey,
+                originalFilename: filename,
+                contentType,
+                bucket: gcsBucket,
+                method: 'PUT',
+                headers: uploadHeaders
+            },
+            ...(webhookResult && { webhook: webhookResult }),
+            smartExpiry: smartExpiryResult ? {
+                calculatedExpiry: smartExpiryResult.expirySeconds,
+                estimatedUploadTime: smartExpiryResult.estimatedUploadTime,
+                networkType: smartExpiryResult.networkType,
+                bufferTime: smartExpiryResult.bufferTime,
+                reasoning: smartExpiryResult.reasoning
+            } : null,
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    memoryGuard: `${memoryTime}ms`,
+                    cryptoSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        const totalTime = Date.now() - startTime;
+        logger.error('GCS signed URL generation failed', { requestId, totalTime, error: error.message });
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 'gcs', false)
+                .catch(() => { });
+        }
+
+        // createSign throws on malformed PEM
+        if (error.code === 'ERR_OSSL_UNSUPPORTED' || /PEM|DECODER|asn1/i.test(error.message)) {
+            return res.status(400).json(formatGcsError(
+                'INVALID_PRIVATE_KEY',
+                'GCS private key could not be read',
+                'Copy private_key from your service account JSON key exactly as-is'
+            ));
+        }
+
+        return res.status(500).json(formatGcsError(
+            'SERVER_ERROR',
+            'Internal server error during signed URL generation',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
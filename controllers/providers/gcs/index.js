@@ -0,0 +1,32 @@
+/**
+ * Google Cloud Storage Provider - Main Entry Point
+ * Exports all GCS operations
+ */
+
+// Primary operation (CRITICAL - pure crypto V4 signing)
+export { generateGcsSignedUrl } from './gcs.signed-url.js';
+export { generateGcsDownloadUrl } from './gcs.download-url.js';
+
+// Core file operations
+export { deleteGcsFile, batchDeleteGcsFiles } from './gcs.delete.js';
+export { listGcsFiles } from './gcs.list.js';
+export { getGcsMetadata } from './gcs.metadata.js';
+
+// Bucket CORS configuration
+export {
+    setupGcsBucketCors,
+    verifyGcsBucketCors,
+    getOptimalGcsCorsConfig,
+    configureGcsBucketCORS,
+    getGcsBucketCORS
+} from './gcs.cors.js';
+
+// Export signer for advanced use
+export { signGcsUrl, gcsRequest } from './gcs.signer.js';
+
+// Export config
+export {
+    validateGcsCredentials,
+    buildPublicUrl,
+    generateObjectKey
+} from './gcs.config.js';
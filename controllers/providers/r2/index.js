@@ -19,6 +19,14 @@ export { generateR2AccessToken, revokeR2AccessToken } from './r2.access-token.js
 export { generateR2BatchSignedUrls } from './r2.batch-signed-url.js';
 export { batchDeleteR2Files } from './r2.batch-delete.js';
 
+// Large files (>100MB) - S3-compatible multipart
+export {
+    initiateR2MultipartUpload,
+    completeR2MultipartUpload,
+    abortR2MultipartUpload,
+    listR2MultipartParts
+} from './r2.multipart.js';
+
 // Export helpers for advanced use
 export {
     updateR2Metrics,
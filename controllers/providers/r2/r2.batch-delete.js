@@ -15,6 +15,7 @@ import { checkMemoryRateLimit } from './cache/memory-guard.js';
 // 🚀 REDIS METRICS: Single source of truth
 import { updateRequestMetrics } from '../shared/metrics.helper.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 /**
  * Delete multiple R2 files in one request
@@ -110,6 +111,14 @@ export const batchDeleteR2Files = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 'r2', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'batch_delete.completed', {
+            provider: 'r2',
+            bucket: r2Bucket,
+            deleted: deleted.map(d => d.Key),
+            failed: errors.map(e => ({ key: e.Key, code: e.Code, message: e.Message })),
+            total: fileKeys.length
+        });
+
         logger.info(`[${requestId}] ✅ Batch delete: ${deletedCount}/${fileKeys.length} in ${totalTime}ms`);
 
         return res.status(200).json({
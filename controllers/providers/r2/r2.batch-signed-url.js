@@ -188,7 +188,8 @@ export const generateR2BatchSignedUrls = async (req, res) => {
                     const command = new PutObjectCommand({
                         Bucket: r2Bucket,
                         Key: uniqueFilename,
-                        ContentType: file.contentType
+                        ContentType: file.contentType,
+                        ContentLength: Number(file.fileSize) || undefined
                     });
 
                     const uploadUrl = await getSignedUrl(client, command, {
@@ -37,6 +37,17 @@ export const MAX_FILE_SIZE = 5 * 1024 * 1024 * 1024; // 5GB (R2 limit per object
 export const MIN_FILE_SIZE = 1; // 1 byte
 export const MULTIPART_THRESHOLD = 100 * 1024 * 1024; // 100MB (use multipart upload above this)
 
+// ============================================================================
+// Multipart Upload Limits
+// ============================================================================
+
+// R2 requires every part except the last to be the same size
+export const MULTIPART_PART_SIZE = 10 * 1024 * 1024; // 10MB default
+export const MIN_PART_SIZE = 5 * 1024 * 1024; // 5MiB (R2 minimum, except last part)
+export const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024; // 5GiB
+export const MAX_PARTS = 10000;
+export const MAX_MULTIPART_FILE_SIZE = 5 * 1024 * 1024 * 1024 * 1024; // 5TiB (R2 object limit)
+
 // ============================================================================
 // Signed URL Configuration
 // ============================================================================
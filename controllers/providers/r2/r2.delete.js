@@ -16,6 +16,7 @@ import logger from '../../../utils/logger.js';
 import { checkMemoryRateLimit } from './cache/memory-guard.js';
 
 import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 /**
  * Delete file from R2 bucket
@@ -90,6 +91,8 @@ export const deleteR2File = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 'r2', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 'r2', bucket: r2Bucket, key: fileKey });
+
         return res.status(200).json({
             success: true,
             message: 'File deleted successfully',
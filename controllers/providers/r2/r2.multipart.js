@@ -0,0 +1,557 @@
+/**
+ * Cloudflare R2 Multipart Upload Controllers
+ * For files >100MB - same flow as S3 multipart, against R2's S3-compatible API
+ *
+ * Every R2 call is a presigned URL + fetch (like r2.list.js) rather than
+ * s3Client.send(): the SDK's XML parser needs DOMParser, which CF Workers lack.
+ *
+ * OPTIMIZED: Uses only updateRequestMetrics (Redis-backed)
+ */
+
+import {
+    CreateMultipartUploadCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListPartsCommand,
+    UploadPartCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import {
+    validateR2Credentials,
+    getR2Client,
+    buildPublicUrl,
+    formatR2Error,
+    SIGNED_URL_EXPIRY,
+    MULTIPART_THRESHOLD,
+    MULTIPART_PART_SIZE,
+    MIN_PART_SIZE,
+    MAX_PART_SIZE,
+    MAX_PARTS,
+    MAX_MULTIPART_FILE_SIZE
+} from './r2.config.js';
+import { generateR2Filename } from './r2.helpers.js';
+import { resolveObjectKey } from '../shared/filename.helper.js';
+import { checkMemoryRateLimit } from './cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
+
+const decodeXml = (value = '') => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Presign an S3 command against R2 and execute it with fetch
+ * Throws an Error whose `name` is the S3 error code (NoSuchUpload, InvalidPart, ...)
+ *
+ * @returns {Promise<string>} Response body (XML)
+ */
+const r2Fetch = async (s3Client, command, { method, headers, body } = {}) => {
+    const signedUrl = await getSignedUrl(s3Client, command, { expiresIn: 60 });
+    const response = await fetch(signedUrl, { method, headers, body });
+    const text = await response.text();
+
+    // CompleteMultipartUpload can fail with a 200 status and an <Error> body
+    if (!response.ok || text.includes('<Error>')) {
+        const error = new Error(decodeXml(text.match(/<Message>(.*?)<\/Message>/)?.[1] || `R2 HTTP ${response.status}`));
+        error.name = text.match(/<Code>(.*?)<\/Code>/)?.[1] || 'R2Error';
+        error.status = response.status;
+        throw error;
+    }
+
+    return text;
+};
+
+/**
+ * Shared request guard: API key, credentials, memory rate limit
+ * @returns {boolean} true if a response was already sent
+ */
+const rejectInvalidRequest = (req, res, userId) => {
+    const { r2AccessKey, r2SecretKey, r2AccountId, r2Bucket } = req.body;
+
+    if (!req.apiKeyId) {
+        res.status(401).json(formatR2Error(
+            'UNAUTHORIZED',
+            'API key is required'
+        ));
+        return true;
+    }
+
+    const credValidation = validateR2Credentials(r2AccessKey, r2SecretKey, r2AccountId, r2Bucket);
+    if (!credValidation.valid) {
+        res.status(400).json({
+            success: false,
+            provider: 'r2',
+            ...credValidation
+        });
+        return true;
+    }
+
+    // LAYER 1: Memory Guard (fastest possible)
+    const memCheck = checkMemoryRateLimit(userId, 'r2-multipart');
+    if (!memCheck.allowed) {
+        res.status(429).json(formatR2Error(
+            'RATE_LIMIT_EXCEEDED',
+            'Rate limit exceeded - too many multipart requests',
+            'Wait a moment before trying again'
+        ));
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Map R2 multipart errors to API responses
+ */
+const handleR2MultipartError = (error, req, res, fallbackCode, fallbackMessage) => {
+    logger.error(`r2 error:`, { error });
+
+    if (req.apiKeyId) {
+        updateRequestMetrics(req.apiKeyId, req.userId || req.apiKeyId, 'r2', false)
+            .catch(() => { });
+    }
+
+    if (error.name === 'NoSuchUpload') {
+        return res.status(404).json(formatR2Error(
+            'UPLOAD_NOT_FOUND',
+            'Multipart upload not found',
+            'The uploadId is unknown, already completed, or was aborted'
+        ));
+    }
+
+    if (error.name === 'InvalidPart' || error.name === 'InvalidPartOrder' || error.name === 'EntityTooSmall') {
+        return res.status(400).json(formatR2Error(
+            'INVALID_PARTS',
+            error.message,
+            'Send every part as { partNumber, etag } using the ETag header returned by each part upload'
+        ));
+    }
+
+    if (error.name === 'NoSuchBucket') {
+        return res.status(404).json(formatR2Error(
+            'BUCKET_NOT_FOUND',
+            'R2 bucket not found',
+            `Bucket "${req.body.r2Bucket}" does not exist.`
+        ));
+    }
+
+    if (error.name === 'AccessDenied') {
+        return res.status(403).json(formatR2Error(
+            'ACCESS_DENIED',
+            'Access denied to R2 bucket',
+            'Check that the API token has Object Read & Write permission for this bucket'
+        ));
+    }
+
+    return res.status(500).json(formatR2Error(
+        fallbackCode,
+        fallbackMessage,
+        process.env.NODE_ENV === 'development' ? error.message : null
+    ));
+};
+
+/**
+ * Initiate Multipart Upload
+ * Creates the upload on R2 and presigns one PUT URL per part
+ */
+export const initiateR2MultipartUpload = async (req, res) => {
+    const requestId = `mp_init_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const {
+            filename,
+            contentType,
+            fileSize,
+            r2AccessKey,
+            r2SecretKey,
+            r2AccountId,
+            r2Bucket,
+            r2PublicUrl,
+            partSize = MULTIPART_PART_SIZE,
+            expiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectInvalidRequest(req, res, userId)) return;
+
+        // QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(429).json(formatR2Error(
+                'QUOTA_EXCEEDED',
+                'Monthly quota exceeded'
+            ));
+        }
+
+        // VALIDATION
+        if (!filename || !contentType || !fileSize) {
+            return res.status(400).json(formatR2Error(
+                'MISSING_PARAMETERS',
+                'filename, contentType, and fileSize are required for multipart upload'
+            ));
+        }
+
+        if (fileSize < MULTIPART_THRESHOLD) {
+            return res.status(400).json(formatR2Error(
+                'FILE_TOO_SMALL_FOR_MULTIPART',
+                `File size (${fileSize} bytes) is too small for multipart. Use regular signed URL for files <100MB.`,
+                'For files <100MB, use POST /api/v1/upload/r2/signed-url instead'
+            ));
+        }
+
+        if (fileSize > MAX_MULTIPART_FILE_SIZE) {
+            return res.status(400).json(formatR2Error(
+                'FILE_TOO_LARGE',
+                `File size (${fileSize} bytes) exceeds R2 maximum object size (5TiB)`
+            ));
+        }
+
+        if (partSize < MIN_PART_SIZE || partSize > MAX_PART_SIZE) {
+            return res.status(400).json(formatR2Error(
+                'INVALID_PART_SIZE',
+                `Part size must be between ${MIN_PART_SIZE} (5MiB) and ${MAX_PART_SIZE} (5GiB)`
+            ));
+        }
+
+        const partCount = Math.ceil(fileSize / partSize);
+        if (partCount > MAX_PARTS) {
+            return res.status(400).json(formatR2Error(
+                'TOO_MANY_PARTS',
+                `File requires ${partCount} parts, but R2 maximum is ${MAX_PARTS}. Increase part size.`
+            ));
+        }
+
+        const keyResult = resolveObjectKey(req.body, { filename, userId }, () => generateR2Filename(filename, apiKeyId));
+        if (!keyResult.valid) {
+            return res.status(400).json(formatR2Error(keyResult.error, keyResult.message, keyResult.hint));
+        }
+        const objectKey = keyResult.key;
+        const s3Client = getR2Client(r2AccountId, r2AccessKey, r2SecretKey);
+
+        // R2 API CALL: CreateMultipartUpload (Content-Type is signed, so it must be sent as-is)
+        const apiCallStart = Date.now();
+        const createXml = await r2Fetch(
+            s3Client,
+            new CreateMultipartUploadCommand({ Bucket: r2Bucket, Key: objectKey, ContentType: contentType }),
+            { method: 'POST', headers: { 'Content-Type': contentType } }
+        );
+        const uploadId = decodeXml(createXml.match(/<UploadId>(.*?)<\/UploadId>/)?.[1] || '');
+        const apiCallTime = Date.now() - apiCallStart;
+
+        if (!uploadId) {
+            throw new Error('R2 did not return an UploadId');
+        }
+
+        // CRYPTO SIGNING: Part URLs (pure crypto, no network)
+        const signingStart = Date.now();
+        const partUrls = await Promise.all(
+            Array.from({ length: partCount }, async (_, index) => {
+                const partNumber = index + 1;
+                const uploadUrl = await getSignedUrl(
+                    s3Client,
+                    new UploadPartCommand({ Bucket: r2Bucket, Key: objectKey, UploadId: uploadId, PartNumber: partNumber }),
+                    { expiresIn }
+                );
+                return { partNumber, uploadUrl };
+            })
+        );
+        const signingTime = Date.now() - signingStart;
+
+        const publicUrl = buildPublicUrl(r2AccountId, r2Bucket, objectKey, r2PublicUrl);
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'r2', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ R2 multipart initiated: ${partCount} parts in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            uploadId,
+            objectKey,
+            partSize,
+            partCount,
+            partUrls,
+            publicUrl,
+            provider: 'r2',
+            bucket: r2Bucket,
+            expiresIn,
+            instructions: {
+                step1: 'Upload each part to its corresponding uploadUrl using PUT request',
+                step2: 'After all parts uploaded, call POST /api/v1/upload/r2/multipart/complete with uploadId, objectKey and parts',
+                step3: 'Parts must include: { partNumber, etag } where etag is from upload response'
+            },
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    r2ApiCall: `${apiCallTime}ms`,
+                    partUrlSigning: `${signingTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        return handleR2MultipartError(error, req, res, 'MULTIPART_INITIATE_ERROR', 'Failed to initiate R2 multipart upload');
+    }
+};
+
+/**
+ * Complete Multipart Upload
+ */
+export const completeR2MultipartUpload = async (req, res) => {
+    const requestId = `mp_complete_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const {
+            uploadId,
+            objectKey,
+            parts,
+            r2AccessKey,
+            r2SecretKey,
+            r2AccountId,
+            r2Bucket,
+            r2PublicUrl
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectInvalidRequest(req, res, userId)) return;
+
+        // VALIDATION
+        if (!uploadId || !objectKey || !Array.isArray(parts) || parts.length === 0) {
+            return res.status(400).json(formatR2Error(
+                'MISSING_PARAMETERS',
+                'uploadId, objectKey, and parts array are required'
+            ));
+        }
+
+        for (const part of parts) {
+            if (!part.partNumber || !part.etag) {
+                return res.status(400).json(formatR2Error(
+                    'INVALID_PARTS_FORMAT',
+                    'Each part must have: { partNumber, etag }'
+                ));
+            }
+        }
+
+        // Parts must be listed in ascending order
+        const sortedParts = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+        const completeXml = '<CompleteMultipartUpload>'
+            + sortedParts.map(part => {
+                const etag = String(part.etag).replace(/"/g, '');
+                return `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>"${escapeXml(etag)}"</ETag></Part>`;
+            }).join('')
+            + '</CompleteMultipartUpload>';
+
+        // R2 API CALL
+        const apiCallStart = Date.now();
+        const s3Client = getR2Client(r2AccountId, r2AccessKey, r2SecretKey);
+        const resultXml = await r2Fetch(
+            s3Client,
+            new CompleteMultipartUploadCommand({ Bucket: r2Bucket, Key: objectKey, UploadId: uploadId }),
+            { method: 'POST', headers: { 'Content-Type': 'application/xml' }, body: completeXml }
+        );
+        const apiCallTime = Date.now() - apiCallStart;
+
+        const etag = decodeXml(resultXml.match(/<ETag>(.*?)<\/ETag>/)?.[1] || '').replace(/"/g, '');
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'r2', true)
+            .catch(() => { });
+
+        emitWebhookEvent(req.userId, 'upload.completed', {
+            file: { url: buildPublicUrl(r2AccountId, r2Bucket, objectKey, r2PublicUrl), key: objectKey, etag },
+            provider: 'r2',
+            bucket: r2Bucket
+        });
+
+        logger.info(`[${requestId}] ✅ R2 multipart completed in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            bucket: r2Bucket,
+            key: objectKey,
+            etag,
+            publicUrl: buildPublicUrl(r2AccountId, r2Bucket, objectKey, r2PublicUrl),
+            provider: 'r2',
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                apiCallTime: `${apiCallTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return handleR2MultipartError(error, req, res, 'MULTIPART_COMPLETE_ERROR', 'Failed to complete R2 multipart upload');
+    }
+};
+
+/**
+ * Abort Multipart Upload
+ * Frees the parts already stored on R2
+ */
+export const abortR2MultipartUpload = async (req, res) => {
+    const requestId = `mp_abort_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const startTime = Date.now();
+
+    try {
+        const {
+            uploadId,
+            objectKey,
+            r2AccessKey,
+            r2SecretKey,
+            r2AccountId,
+            r2Bucket
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectInvalidRequest(req, res, userId)) return;
+
+        if (!uploadId || !objectKey) {
+            return res.status(400).json(formatR2Error(
+                'MISSING_PARAMETERS',
+                'uploadId and objectKey are required'
+            ));
+        }
+
+        const apiCallStart = Date.now();
+        const s3Client = getR2Client(r2AccountId, r2AccessKey, r2SecretKey);
+        await r2Fetch(
+            s3Client,
+            new AbortMultipartUploadCommand({ Bucket: r2Bucket, Key: objectKey, UploadId: uploadId }),
+            { method: 'DELETE' }
+        );
+        const apiCallTime = Date.now() - apiCallStart;
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'r2', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ R2 multipart aborted in ${totalTime}ms`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Multipart upload aborted successfully',
+            uploadId,
+            objectKey,
+            provider: 'r2',
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                apiCallTime: `${apiCallTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return handleR2MultipartError(error, req, res, 'MULTIPART_ABORT_ERROR', 'Failed to abort R2 multipart upload');
+    }
+};
+
+/**
+ * List Parts of a Multipart Upload
+ * Lets clients see which parts already reached R2 (e.g. to skip them on retry)
+ */
+export const listR2MultipartParts = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            uploadId,
+            objectKey,
+            r2AccessKey,
+            r2SecretKey,
+            r2AccountId,
+            r2Bucket,
+            maxParts = 1000,
+            partNumberMarker
+        } = req.body;
+
+        const apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (rejectInvalidRequest(req, res, userId)) return;
+
+        if (!uploadId || !objectKey) {
+            return res.status(400).json(formatR2Error(
+                'MISSING_PARAMETERS',
+                'uploadId and objectKey are required'
+            ));
+        }
+
+        const s3Client = getR2Client(r2AccountId, r2AccessKey, r2SecretKey);
+        const xmlText = await r2Fetch(
+            s3Client,
+            new ListPartsCommand({
+                Bucket: r2Bucket,
+                Key: objectKey,
+                UploadId: uploadId,
+                MaxParts: Math.min(maxParts, 1000),
+                PartNumberMarker: partNumberMarker
+            }),
+            { method: 'GET' }
+        );
+
+        // Lightweight Regex-based XML parsing (CF edge compatible)
+        const parts = [];
+        const partRegex = /<Part>[\s\S]*?<\/Part>/g;
+        let match;
+        while ((match = partRegex.exec(xmlText)) !== null) {
+            const item = match[0];
+            parts.push({
+                partNumber: parseInt(item.match(/<PartNumber>(.*?)<\/PartNumber>/)?.[1] || '0', 10),
+                etag: decodeXml(item.match(/<ETag>(.*?)<\/ETag>/)?.[1] || '').replace(/"/g, ''),
+                size: parseInt(item.match(/<Size>(.*?)<\/Size>/)?.[1] || '0', 10),
+                lastModified: item.match(/<LastModified>(.*?)<\/LastModified>/)?.[1] || null
+            });
+        }
+
+        const isTruncated = xmlText.includes('<IsTruncated>true</IsTruncated>');
+        const nextPartNumberMarker = xmlText.match(/<NextPartNumberMarker>(.*?)<\/NextPartNumberMarker>/)?.[1] || null;
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 'r2', true)
+            .catch(() => { });
+
+        return res.status(200).json({
+            success: true,
+            provider: 'r2',
+            data: {
+                uploadId,
+                objectKey,
+                parts,
+                count: parts.length,
+                totalSize: parts.reduce((sum, part) => sum + part.size, 0),
+                isTruncated,
+                nextPartNumberMarker: isTruncated ? nextPartNumberMarker : null
+            },
+            performance: {
+                totalTime: `${totalTime}ms`
+            }
+        });
+
+    } catch (error) {
+        return handleR2MultipartError(error, req, res, 'LIST_PARTS_FAILED', 'Failed to list R2 multipart parts');
+    }
+};
@@ -17,6 +17,7 @@ import {
     SIGNED_URL_EXPIRY
 } from './r2.config.js';
 import { generateR2Filename } from './r2.helpers.js';
+import { resolveObjectKey } from '../shared/filename.helper.js';
 
 import { checkUsageWarnings } from '../../../utils/quota-manager.js';
 
@@ -222,8 +223,13 @@ export const generateR2SignedUrl = async (req, res) => {
             });
         }
 
-        // OPERATION: Generate Unique Object Key
-        const objectKey = generateR2Filename(filename, apiKeyId);
+        // OPERATION: Generate Unique Object Key (from keyTemplate when the request or its preset sets one)
+        const keyResult = resolveObjectKey(req.body, { filename, userId }, () => generateR2Filename(filename, apiKeyId));
+        if (!keyResult.valid) {
+            updateRequestMetrics(apiKeyId, userId, 'r2', false).catch(() => { });
+            return res.status(400).json(formatR2Error(keyResult.error, keyResult.message, keyResult.hint));
+        }
+        const objectKey = keyResult.key;
 
         // CRITICAL: Pure Crypto Signing (Target: 5-10ms, ZERO API calls!)
         const signingStart = Date.now();
@@ -231,11 +237,12 @@ export const generateR2SignedUrl = async (req, res) => {
         // Get S3Client (pure crypto, NO network call)
         const s3Client = getR2Client(r2AccountId, r2AccessKey, r2SecretKey);
 
-        // Create PutObject command
+        // Create PutObject command — a declared size is signed, so R2 refuses any other body length
         const command = new PutObjectCommand({
             Bucket: r2Bucket,
             Key: objectKey,
-            ContentType: contentType
+            ContentType: contentType,
+            ContentLength: Number(fileSize) || undefined
         });
 
         // Generate presigned URL (pure cryptography, NO API call!)
@@ -278,6 +278,7 @@ export const generateS3BatchSignedUrls = async (req, res) => {
                         Bucket: s3Bucket,
                         Key: objectKey,
                         ContentType: file.contentType,
+                        ContentLength: Number(file.fileSize) || undefined,
                         StorageClass: !s3Endpoint ? s3StorageClass : undefined,
                         ...encryptionParams
                     });
@@ -20,6 +20,7 @@ import { updateRequestMetrics } from '../shared/metrics.helper.js';
 // Import memory guard
 import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 /**
  * Delete single file from S3
@@ -120,6 +121,8 @@ export const deleteS3File = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 's3', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 's3', bucket: s3Bucket, key, versionId: result.VersionId || null });
+
         logger.info(`[${requestId}] ✅ S3 delete: ${key} in ${totalTime}ms`);
 
         const response = {
@@ -286,6 +289,14 @@ export const batchDeleteS3Files = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 's3', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'batch_delete.completed', {
+            provider: 's3',
+            bucket: s3Bucket,
+            deleted: result.Deleted?.map(obj => obj.Key) || [],
+            failed: (result.Errors || []).map(e => ({ key: e.Key, code: e.Code, message: e.Message })),
+            total: keys.length
+        });
+
         logger.info(`[${requestId}] ✅ S3 batch delete: ${keys.length} files in ${totalTime}ms`);
 
         const response = {
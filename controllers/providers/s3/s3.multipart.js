@@ -9,6 +9,7 @@ import {
     CreateMultipartUploadCommand,
     CompleteMultipartUploadCommand,
     AbortMultipartUploadCommand,
+    ListPartsCommand,
     UploadPartCommand
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
@@ -30,10 +31,12 @@ import { getCloudFrontUrl, isValidCloudFrontDomain } from '../../../utils/aws/s3
 
 
 import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import { resolveObjectKey } from '../shared/filename.helper.js';
 
 // Import memory guard
 import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 // Multipart upload constants
 const MIN_MULTIPART_SIZE = 100 * 1024 * 1024; // 100MB
@@ -193,7 +196,11 @@ export const initiateS3MultipartUpload = async (req, res) => {
             ));
         }
 
-        const objectKey = generateObjectKey(filename);
+        const keyResult = resolveObjectKey(req.body, { filename, userId }, () => generateObjectKey(filename));
+        if (!keyResult.valid) {
+            return res.status(400).json(formatS3Error(keyResult.error, keyResult.message, keyResult.hint));
+        }
+        const objectKey = keyResult.key;
 
         // AWS API CALL
         const apiCallStart = Date.now();
@@ -391,6 +398,12 @@ export const completeS3MultipartUpload = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 's3', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'upload.completed', {
+            file: { url: completeResponse.Location, key: objectKey, etag: completeResponse.ETag?.replace(/"/g, '') },
+            provider: 's3',
+            bucket: s3Bucket
+        });
+
         logger.info(`[${requestId}] ✅ Multipart completed in ${totalTime}ms`);
 
         res.status(200).json({
@@ -529,3 +542,201 @@ export const abortS3MultipartUpload = async (req, res) => {
         ));
     }
 };
+
+/**
+ * Get Multipart Upload Status
+ * Lists the parts S3 already has (ListParts) so an interrupted upload can resume.
+ * When fileSize + partSize are sent, fresh URLs are signed for the missing parts
+ * (bounded like initiate, and metered by the byte quota middleware).
+ */
+export const getS3MultipartStatus = async (req, res) => {
+    const requestId = `mp_status_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const startTime = Date.now();
+    let apiKeyId;
+
+    try {
+        const {
+            uploadId,
+            objectKey,
+            fileSize,
+            partSize,
+            s3AccessKey,
+            s3SecretKey,
+            s3Bucket,
+            s3Region = 'us-east-1',
+            s3Endpoint,  // Custom endpoint for MinIO/LocalStack
+            expiresIn = SIGNED_URL_EXPIRY
+        } = req.body;
+
+        apiKeyId = req.apiKeyId;
+        const userId = req.userId || apiKeyId;
+
+        if (!apiKeyId) {
+            return res.status(401).json(formatS3Error(
+                'UNAUTHORIZED',
+                'API key is required'
+            ));
+        }
+
+        // VALIDATION
+        if (!uploadId || !objectKey) {
+            return res.status(400).json(formatS3Error(
+                'MISSING_PARAMETERS',
+                'uploadId and objectKey are required'
+            ));
+        }
+
+        if (!s3AccessKey || !s3SecretKey || !s3Bucket) {
+            return res.status(400).json(formatS3Error(
+                'MISSING_S3_CREDENTIALS',
+                'S3 credentials are required'
+            ));
+        }
+
+        // Same bounds as initiate — fileSize + partSize decide how many part URLs get signed
+        if (fileSize !== undefined || partSize !== undefined) {
+            if (!Number.isFinite(fileSize) || !Number.isFinite(partSize) || fileSize <= 0) {
+                return res.status(400).json(formatS3Error(
+                    'INVALID_PARAMETERS',
+                    'fileSize and partSize must both be positive numbers to sign URLs for missing parts'
+                ));
+            }
+
+            if (fileSize > MAX_FILE_SIZE) {
+                return res.status(400).json(formatS3Error(
+                    'FILE_TOO_LARGE',
+                    `File size (${fileSize} bytes) exceeds maximum (5GB)`
+                ));
+            }
+
+            if (partSize < MIN_PART_SIZE || partSize > MAX_PART_SIZE) {
+                return res.status(400).json(formatS3Error(
+                    'INVALID_PART_SIZE',
+                    `Part size must be between ${MIN_PART_SIZE} (5MB) and ${MAX_PART_SIZE} (5GB)`
+                ));
+            }
+
+            if (Math.ceil(fileSize / partSize) > MAX_PARTS) {
+                return res.status(400).json(formatS3Error(
+                    'TOO_MANY_PARTS',
+                    `File requires ${Math.ceil(fileSize / partSize)} parts, but AWS maximum is ${MAX_PARTS}. Increase part size.`
+                ));
+            }
+        }
+
+        // LAYER 1: Memory Guard (fastest possible)
+        const memCheck = checkMemoryRateLimit(userId, 's3-multipart');
+        if (!memCheck.allowed) {
+            return res.status(429).json(formatS3Error(
+                'RATE_LIMIT_EXCEEDED',
+                'Rate limit exceeded - too many multipart requests',
+                'Wait a moment before trying again'
+            ));
+        }
+
+        // AWS API CALL: ListParts returns at most 1000 parts per page
+        const apiCallStart = Date.now();
+        const s3Client = getS3Client(s3Region, s3AccessKey, s3SecretKey, s3Endpoint);
+
+        const parts = [];
+        let partNumberMarker;
+        let isTruncated = true;
+
+        while (isTruncated) {
+            const listResponse = await s3Client.send(new ListPartsCommand({
+                Bucket: s3Bucket,
+                Key: objectKey,
+                UploadId: uploadId,
+                PartNumberMarker: partNumberMarker
+            }));
+
+            for (const part of listResponse.Parts || []) {
+                parts.push({
+                    partNumber: part.PartNumber,
+                    etag: part.ETag,
+                    size: part.Size,
+                    lastModified: part.LastModified
+                });
+            }
+
+            isTruncated = listResponse.IsTruncated === true;
+            partNumberMarker = listResponse.NextPartNumberMarker;
+        }
+
+        const apiCallTime = Date.now() - apiCallStart;
+
+        // Sign URLs only for the parts S3 doesn't have yet
+        let partCount = null;
+        let missingParts = null;
+        let partUrls = null;
+
+        if (fileSize !== undefined) {
+            partCount = Math.ceil(fileSize / partSize);
+            const uploaded = new Set(parts.map(p => p.partNumber));
+            missingParts = [];
+            partUrls = [];
+
+            for (let i = 1; i <= partCount; i++) {
+                if (uploaded.has(i)) continue;
+
+                const partCommand = new UploadPartCommand({
+                    Bucket: s3Bucket,
+                    Key: objectKey,
+                    UploadId: uploadId,
+                    PartNumber: i
+                });
+
+                missingParts.push(i);
+                partUrls.push({ partNumber: i, uploadUrl: await getSignedUrl(s3Client, partCommand, { expiresIn }) });
+            }
+        }
+
+        const totalTime = Date.now() - startTime;
+
+        // 🚀 SINGLE METRICS CALL (Redis-backed)
+        updateRequestMetrics(apiKeyId, userId, 's3', true)
+            .catch(() => { });
+
+        logger.info(`[${requestId}] ✅ Multipart status: ${parts.length} parts uploaded (${totalTime}ms)`);
+
+        res.status(200).json({
+            success: true,
+            uploadId,
+            objectKey,
+            parts,
+            uploadedParts: parts.length,
+            uploadedBytes: parts.reduce((sum, p) => sum + (p.size || 0), 0),
+            partCount,
+            missingParts,
+            partUrls,
+            provider: 's3',
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                apiCallTime: `${apiCallTime}ms`
+            }
+        });
+
+    } catch (error) {
+        logger.error(`s3 error:`, { error });
+
+        if (apiKeyId) {
+            updateRequestMetrics(apiKeyId, req.userId || apiKeyId, 's3', false)
+                .catch(() => { });
+        }
+
+        if (error.name === 'NoSuchUpload') {
+            return res.status(404).json(formatS3Error(
+                'UPLOAD_NOT_FOUND',
+                'Multipart upload not found',
+                'The uploadId is unknown, already completed, or was aborted - start a new upload'
+            ));
+        }
+
+        return res.status(500).json(formatS3Error(
+            'MULTIPART_STATUS_ERROR',
+            'Failed to get multipart upload status',
+            process.env.NODE_ENV === 'development' ? error.message : null
+        ));
+    }
+};
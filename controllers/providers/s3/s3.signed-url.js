@@ -28,6 +28,7 @@ import { getCloudFrontUrl, isValidCloudFrontDomain, getCloudFrontValidationError
 
 // 🚀 REDIS METRICS: Single source of truth
 import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import { resolveObjectKey } from '../shared/filename.helper.js';
 
 // Import memory guard
 import { checkMemoryRateLimit } from '../r2/cache/memory-guard.js';
@@ -276,8 +277,13 @@ export const generateS3SignedUrl = async (req, res) => {
             });
         }
 
-        // Generate Object Key
-        const objectKey = generateObjectKey(filename);
+        // Generate Object Key (from keyTemplate when the request or its preset sets one)
+        const keyResult = resolveObjectKey(req.body, { filename, userId }, () => generateObjectKey(filename));
+        if (!keyResult.valid) {
+            updateRequestMetrics(apiKeyId, userId, 's3', false).catch(() => { });
+            return res.status(400).json(formatS3Error(keyResult.error, keyResult.message, keyResult.hint));
+        }
+        const objectKey = keyResult.key;
 
         // CRYPTO SIGNING (Target: 7-12ms)
         const signingStart = Date.now();
@@ -295,10 +301,12 @@ export const generateS3SignedUrl = async (req, res) => {
             }
         }
 
+        // A declared size is signed as Content-Length, so S3 refuses any other body length
         const command = new PutObjectCommand({
             Bucket: s3Bucket,
             Key: objectKey,
             ContentType: contentType,
+            ContentLength: Number(fileSize) || undefined,
             StorageClass: !s3Endpoint ? s3StorageClass : undefined,  // Skip for custom endpoints
             ...encryptionParams
         });
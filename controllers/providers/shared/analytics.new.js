@@ -7,7 +7,7 @@
  * After:  checkUserQuota → Redis GET (~1-5ms)
  */
 
-import { checkQuota, MONTHLY_QUOTAS } from '../../../utils/quota-manager.js';
+import { checkQuota } from '../../../utils/quota-manager.js';
 import { getUserTierCached } from '../../../utils/tier-cache.js';
 import logger from '../../../utils/logger.js';
 
@@ -16,9 +16,10 @@ import logger from '../../../utils/logger.js';
  * 🚀 OPTIMIZED: Uses Redis instead of database RPC!
  * 
  * @param {string} userId - The user ID to check
+ * @param {number} [cost=1] - Quota units the request would use (see utils/request-costs.js)
  * @returns {Promise<{allowed: boolean, error?: string}>}
  */
-export const checkUserQuota = async (userId) => {
+export const checkUserQuota = async (userId, cost = 1) => {
     try {
         if (!userId) {
             return { allowed: false, error: 'User ID required for quota check' };
@@ -29,7 +30,7 @@ export const checkUserQuota = async (userId) => {
         const tier = tierData.tier || 'free';
 
         // 🚀 Check quota from Redis (NOT database RPC!)
-        const quotaResult = await checkQuota(userId, tier);
+        const quotaResult = await checkQuota(userId, tier, cost);
 
         return {
             allowed: quotaResult.allowed,
@@ -0,0 +1,416 @@
+/**
+ * Provider File Adapters
+ *
+ * Maps the provider-agnostic v2 files API onto the existing provider controllers.
+ * Every adapter implements the same operations:
+ *
+ *   upload      → signed upload URL
+ *   list        → list files (prefix + cursor pagination)
+ *   get         → file metadata
+ *   delete      → delete one file
+ *   downloadUrl → signed download URL
+ *
+ * Each operation is { handler, toBody(input), toResult(json, input) }:
+ * - toBody turns the unified input (key, prefix, limit, cursor, expiresIn, ...)
+ *   into the field names the provider controller already reads from req.body
+ * - toResult turns the controller's success JSON into the unified shape
+ *
+ * Credentials are not renamed: they come from a stored connection (connectionId)
+ * or the provider's own inline fields, exactly as on the v1 routes.
+ */
+
+import { generateS3SignedUrl } from '../s3/s3.signed-url.js';
+import { generateS3DownloadUrl } from '../s3/s3.download.js';
+import { deleteS3File } from '../s3/s3.delete.js';
+import { listS3Files } from '../s3/s3.list.js';
+import { getS3Metadata } from '../s3/s3.metadata.js';
+import {
+    generateR2SignedUrl,
+    deleteR2File,
+    downloadR2File,
+    generateR2DownloadUrl,
+    listR2Files
+} from '../r2/index.js';
+import {
+    generateGcsSignedUrl,
+    generateGcsDownloadUrl,
+    deleteGcsFile,
+    listGcsFiles,
+    getGcsMetadata
+} from '../gcs/index.js';
+import {
+    generateAzureSignedUrl,
+    generateAzureDownloadUrl,
+    deleteAzureBlob,
+    listAzureBlobs
+} from '../azure/index.js';
+import {
+    generateSupabaseSignedUrl,
+    deleteSupabaseFile,
+    downloadSupabaseFile
+} from '../supabase/index.js';
+import {
+    generateUploadcareSignedUrl,
+    deleteUploadcareFile,
+    downloadUploadcareFile,
+    listUploadcareFiles
+} from '../uploadcare/index.js';
+
+export const FILE_OPERATIONS = ['upload', 'list', 'get', 'delete', 'downloadUrl'];
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const stripQuotes = (etag) => (etag ? String(etag).replace(/"/g, '') : null);
+
+/**
+ * Signed upload URL input shared by every provider controller
+ */
+const uploadBody = ({ filename, contentType, fileSize, expiresIn }) => ({
+    filename,
+    contentType,
+    fileSize,
+    ...(expiresIn !== undefined && { expiresIn })
+});
+
+/**
+ * S3-compatible signed URL response (S3, R2, GCS, Azure)
+ */
+const signedUrlResult = (json) => ({
+    key: json.data.filename,
+    uploadUrl: json.uploadUrl,
+    method: json.data.method || 'PUT',
+    headers: json.data.headers || { 'Content-Type': json.data.contentType },
+    publicUrl: json.cdnUrl || json.publicUrl || null,
+    expiresAt: json.expiresAt || null,
+    ...(json.webhook && { webhook: json.webhook })
+});
+
+/**
+ * S3-style list response (R2, GCS, Azure nest it under data; S3 does not)
+ */
+const listResult = (json) => {
+    const page = json.data || json;
+    return {
+        files: (page.files || []).map(file => ({
+            key: file.key,
+            size: file.size,
+            contentType: file.contentType || null,
+            lastModified: toIsoString(file.lastModified),
+            etag: stripQuotes(file.etag)
+        })),
+        cursor: page.nextContinuationToken || null,
+        hasMore: Boolean(page.isTruncated)
+    };
+};
+
+const metadataResult = (metadata) => ({
+    key: metadata.key,
+    size: metadata.size,
+    contentType: metadata.contentType || null,
+    lastModified: toIsoString(metadata.lastModified),
+    etag: stripQuotes(metadata.etag)
+});
+
+const downloadUrlResult = (json) => ({
+    key: json.key || json.fileKey,
+    downloadUrl: json.downloadUrl,
+    publicUrl: json.cdnUrl || json.publicUrl || null,
+    expiresAt: json.expiresAt || null
+});
+
+const deleteResult = (json, { key }) => ({
+    key,
+    deleted: true
+});
+
+const s3Adapter = {
+    upload: {
+        handler: generateS3SignedUrl,
+        toBody: uploadBody,
+        toResult: signedUrlResult
+    },
+    list: {
+        handler: listS3Files,
+        toBody: ({ prefix, limit, cursor }) => ({ prefix, maxKeys: limit, continuationToken: cursor }),
+        toResult: listResult
+    },
+    get: {
+        handler: getS3Metadata,
+        toBody: ({ key }) => ({ key }),
+        toResult: (json) => metadataResult(json.metadata)
+    },
+    delete: {
+        handler: deleteS3File,
+        toBody: ({ key }) => ({ key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        handler: generateS3DownloadUrl,
+        toBody: ({ key, expiresIn, responseContentType, responseContentDisposition }) => ({
+            key,
+            expiresIn,
+            responseContentType,
+            responseContentDisposition
+        }),
+        toResult: downloadUrlResult
+    }
+};
+
+const r2Adapter = {
+    upload: {
+        handler: generateR2SignedUrl,
+        toBody: uploadBody,
+        toResult: signedUrlResult
+    },
+    list: {
+        handler: listR2Files,
+        toBody: ({ prefix, limit, cursor }) => ({ prefix, maxKeys: limit, continuationToken: cursor }),
+        toResult: listResult
+    },
+    get: {
+        // R2 download returns object metadata alongside the URL
+        handler: downloadR2File,
+        toBody: ({ key }) => ({ fileKey: key }),
+        toResult: (json, { key }) => metadataResult({
+            key,
+            size: json.data.metadata.contentLength,
+            contentType: json.data.metadata.contentType,
+            lastModified: json.data.metadata.lastModified,
+            etag: json.data.metadata.etag
+        })
+    },
+    delete: {
+        handler: deleteR2File,
+        toBody: ({ key }) => ({ fileKey: key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        handler: generateR2DownloadUrl,
+        toBody: ({ key, expiresIn }) => ({ fileKey: key, expiresIn }),
+        toResult: downloadUrlResult
+    }
+};
+
+const gcsAdapter = {
+    upload: {
+        handler: generateGcsSignedUrl,
+        toBody: uploadBody,
+        toResult: signedUrlResult
+    },
+    list: {
+        handler: listGcsFiles,
+        toBody: ({ prefix, limit, cursor }) => ({ prefix, maxKeys: limit, continuationToken: cursor }),
+        toResult: listResult
+    },
+    get: {
+        handler: getGcsMetadata,
+        toBody: ({ key }) => ({ key }),
+        toResult: (json) => metadataResult(json.metadata)
+    },
+    delete: {
+        handler: deleteGcsFile,
+        toBody: ({ key }) => ({ fileKey: key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        handler: generateGcsDownloadUrl,
+        toBody: ({ key, expiresIn, responseContentDisposition }) => ({
+            fileKey: key,
+            expiresIn,
+            responseContentDisposition
+        }),
+        toResult: downloadUrlResult
+    }
+};
+
+const azureAdapter = {
+    upload: {
+        handler: generateAzureSignedUrl,
+        toBody: uploadBody,
+        toResult: signedUrlResult
+    },
+    list: {
+        handler: listAzureBlobs,
+        toBody: ({ prefix, limit, cursor }) => ({ prefix, maxKeys: limit, continuationToken: cursor }),
+        toResult: listResult
+    },
+    get: {
+        // No HEAD controller for Azure: list with the key as prefix. The exact key
+        // sorts first among blobs sharing that prefix, so one result is enough.
+        handler: listAzureBlobs,
+        toBody: ({ key }) => ({ prefix: key, maxKeys: 1 }),
+        toResult: (json, { key }) => {
+            const blob = json.data.files.find(file => file.key === key);
+            return blob ? metadataResult(blob) : null;
+        }
+    },
+    delete: {
+        handler: deleteAzureBlob,
+        toBody: ({ key }) => ({ fileKey: key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        handler: generateAzureDownloadUrl,
+        toBody: ({ key, expiresIn, responseContentType, responseContentDisposition }) => ({
+            fileKey: key,
+            expiresIn,
+            responseContentType,
+            responseContentDisposition
+        }),
+        toResult: downloadUrlResult
+    }
+};
+
+const supabaseAdapter = {
+    upload: {
+        handler: generateSupabaseSignedUrl,
+        toBody: uploadBody,
+        toResult: (json) => ({
+            key: json.data.filename,
+            uploadUrl: json.data.uploadUrl,
+            method: json.data.method || 'PUT',
+            headers: json.data.headers,
+            publicUrl: json.data.fileUrl || null,
+            expiresAt: json.data.expiresAt || null
+        })
+    },
+    // Supabase list and metadata are not implemented on v1 either
+    delete: {
+        handler: deleteSupabaseFile,
+        toBody: ({ key }) => ({ filename: key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        handler: downloadSupabaseFile,
+        toBody: ({ key, expiresIn }) => ({ filename: key, expiresIn }),
+        toResult: (json, { key }) => ({
+            key,
+            downloadUrl: json.data.downloadUrl,
+            publicUrl: json.data.isPrivate ? null : json.data.downloadUrl,
+            expiresAt: json.data.expiresAt || null
+        })
+    }
+};
+
+const uploadcareAdapter = {
+    upload: {
+        handler: generateUploadcareSignedUrl,
+        toBody: uploadBody,
+        // Uploadcare assigns the file UUID on upload; it becomes the key afterwards
+        toResult: (json) => ({
+            key: null,
+            uploadUrl: json.data.uploadUrl,
+            method: json.data.method,
+            headers: json.data.headers,
+            formData: json.data.formData,
+            publicUrl: null,
+            expiresAt: null
+        })
+    },
+    list: {
+        // Offset pagination: the cursor is the next offset
+        handler: listUploadcareFiles,
+        toBody: ({ limit, cursor }) => ({
+            ...(limit !== undefined && { limit }),
+            offset: parseInt(cursor, 10) || 0
+        }),
+        toResult: (json) => {
+            const files = json.data.files || [];
+            const offset = (json.data.offset ?? 0) + files.length;
+            return {
+                files: files.map(file => ({
+                    key: file.uuid,
+                    size: file.size,
+                    contentType: file.mime_type || null,
+                    lastModified: toIsoString(file.datetime_stored || file.datetime_uploaded),
+                    etag: null
+                })),
+                cursor: json.data.next ? String(offset) : null,
+                hasMore: Boolean(json.data.next)
+            };
+        }
+    },
+    get: {
+        handler: downloadUploadcareFile,
+        toBody: ({ key }) => ({ uuid: key }),
+        toResult: (json, { key }) => metadataResult({
+            key,
+            size: json.data.fileSize,
+            contentType: json.data.contentType,
+            lastModified: json.data.metadata?.lastModified,
+            etag: null
+        })
+    },
+    delete: {
+        handler: deleteUploadcareFile,
+        toBody: ({ key }) => ({ uuid: key }),
+        toResult: deleteResult
+    },
+    downloadUrl: {
+        // Uploadcare CDN URLs are public and do not expire
+        handler: downloadUploadcareFile,
+        toBody: ({ key }) => ({ uuid: key }),
+        toResult: (json, { key }) => ({
+            key,
+            downloadUrl: json.data.downloadUrl,
+            publicUrl: json.data.downloadUrl,
+            expiresAt: null
+        })
+    }
+};
+
+const FILE_ADAPTERS = {
+    s3: s3Adapter,
+    r2: r2Adapter,
+    gcs: gcsAdapter,
+    azure: azureAdapter,
+    supabase: supabaseAdapter,
+    uploadcare: uploadcareAdapter
+};
+
+export const FILE_PROVIDERS = Object.keys(FILE_ADAPTERS);
+
+/**
+ * Look up an adapter operation
+ * @param {string} provider
+ * @param {string} operation - One of FILE_OPERATIONS
+ * @returns {Object|null} { handler, toBody, toResult } or null if unsupported
+ */
+export const getFileOperation = (provider, operation) => FILE_ADAPTERS[provider]?.[operation] || null;
+
+/**
+ * Run a provider controller against a rewritten body and capture its response
+ *
+ * The controller sees the original request (auth, quota, connection fields)
+ * with the adapter's fields layered over the body. Headers it sets are
+ * forwarded to the real response; the status and JSON are returned instead
+ * of being sent.
+ *
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+export const runFileOperation = async (operation, req, res, input) => {
+    const body = { ...req.body };
+    for (const [field, value] of Object.entries(operation.toBody(input))) {
+        if (value !== undefined) {
+            body[field] = value;
+        }
+    }
+
+    const providerReq = Object.assign(Object.create(req), { body });
+
+    let status = 200;
+    let payload = null;
+
+    const providerRes = {
+        status(code) { status = code; return this; },
+        json(data) { payload = data; return this; },
+        send(data) { payload = data; return this; },
+        setHeader(name, value) { res.setHeader(name, value); return this; },
+        set(...args) { res.set(...args); return this; },
+        end() { return this; }
+    };
+
+    await operation.handler(providerReq, providerRes);
+
+    return { status, body: payload };
+};
@@ -1,8 +1,11 @@
 /**
  * Filename generation helper
- * Generates unique, sanitized filenames with timestamps and random suffixes
+ * Generates unique, sanitized filenames with timestamps and random suffixes,
+ * or object keys from a configurable key template
  */
 
+import crypto from 'crypto';
+
 /**
  * Generate unique filename with timestamp and random suffix
  * @param {string} originalFilename 
@@ -48,3 +51,169 @@ export const getFileExtension = (filename) => {
 export const getBaseName = (filename) => {
     return filename.replace(/\.[^/.]+$/, '');
 };
+
+// ============================================================================
+// Object key templates
+// ============================================================================
+
+/**
+ * Variables a key template may use, e.g. `{userId}/{yyyy}/{mm}/{uuid}{ext}`
+ *
+ * {ext} is the lowercased extension with its dot (".png"); written as `.{ext}`
+ * it renders without the dot so `avatars/{sha256}.{ext}` works as expected.
+ * {sha256} is the hex content hash declared by the client as `contentSha256`.
+ */
+export const KEY_TEMPLATE_VARIABLES = [
+    'userId', 'yyyy', 'mm', 'dd', 'hh', 'timestamp', 'uuid', 'random', 'filename', 'ext', 'sha256'
+];
+
+// At least one of these keeps generated keys from colliding
+const UNIQUE_KEY_VARIABLES = ['uuid', 'random', 'timestamp', 'sha256'];
+
+const MAX_KEY_TEMPLATE_LENGTH = 512;
+const MAX_OBJECT_KEY_LENGTH = 1024;
+const TEMPLATE_VARIABLE_PATTERN = /\{([^{}]*)\}/g;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+const hasInvalidSegment = (key) => key.split('/').some(segment => segment === '' || segment === '.' || segment === '..');
+
+const templateError = (error, message, hint) => ({ valid: false, error, message, ...(hint && { hint }) });
+
+/**
+ * Validate a key template (syntax only — values are checked at render time)
+ * @param {string} template
+ * @returns {Object} { valid: boolean, error?: string, message?: string, hint?: string }
+ */
+export const validateKeyTemplate = (template) => {
+    if (typeof template !== 'string' || template.length === 0 || template.length > MAX_KEY_TEMPLATE_LENGTH) {
+        return templateError('INVALID_KEY_TEMPLATE', `keyTemplate must be a string of 1-${MAX_KEY_TEMPLATE_LENGTH} characters`);
+    }
+
+    const variables = [...template.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1]);
+    const unknown = variables.filter(name => !KEY_TEMPLATE_VARIABLES.includes(name));
+
+    if (unknown.length > 0) {
+        return templateError(
+            'UNKNOWN_TEMPLATE_VARIABLE',
+            `Unknown key template variables: ${unknown.map(name => `{${name}}`).join(', ')}`,
+            `Available: ${KEY_TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')}`
+        );
+    }
+
+    const literal = template.replace(TEMPLATE_VARIABLE_PATTERN, '');
+    if (!/^[a-zA-Z0-9/._-]*$/.test(literal)) {
+        return templateError(
+            'INVALID_KEY_TEMPLATE',
+            'keyTemplate may only contain letters, numbers, "/", ".", "_", "-" and {variables}'
+        );
+    }
+
+    if (template.startsWith('/') || template.includes('//')) {
+        return templateError('INVALID_KEY_TEMPLATE', 'keyTemplate cannot start with "/" or contain empty path segments');
+    }
+
+    if (!variables.some(name => UNIQUE_KEY_VARIABLES.includes(name))) {
+        return templateError(
+            'KEY_TEMPLATE_NOT_UNIQUE',
+            'keyTemplate must include at least one of {uuid}, {random}, {timestamp} or {sha256}',
+            'Without one, uploads would overwrite each other'
+        );
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Render a key template
+ *
+ * Every substituted value is sanitized to [a-zA-Z0-9._-], so variables can
+ * never introduce path separators.
+ *
+ * @param {string} template - A template that passed validateKeyTemplate()
+ * @param {Object} context
+ * @param {string} context.filename - Original filename
+ * @param {string} [context.userId] - Owner user ID
+ * @param {string} [context.contentSha256] - Hex SHA-256 of the file content
+ * @param {Date} [context.now] - Clock override
+ * @returns {Object} { valid: true, key } or { valid: false, error, message }
+ */
+export const renderKeyTemplate = (template, { filename, userId, contentSha256, now = new Date() }) => {
+    const usesSha256 = template.includes('{sha256}');
+
+    if (usesSha256 && !SHA256_PATTERN.test(contentSha256 || '')) {
+        return templateError(
+            'MISSING_CONTENT_SHA256',
+            'This keyTemplate uses {sha256}: send contentSha256 as a 64-character hex string'
+        );
+    }
+
+    const extension = /\.([a-zA-Z0-9]{1,16})$/.exec(filename || '')?.[1]?.toLowerCase() || '';
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const values = {
+        userId: userId || 'anonymous',
+        yyyy: String(now.getUTCFullYear()),
+        mm: pad(now.getUTCMonth() + 1),
+        dd: pad(now.getUTCDate()),
+        hh: pad(now.getUTCHours()),
+        timestamp: String(now.getTime()),
+        uuid: crypto.randomUUID(),
+        random: crypto.randomBytes(4).toString('hex'),
+        filename: getBaseName(filename || 'file').substring(0, 100) || 'file',
+        ext: extension ? `.${extension}` : '',
+        sha256: usesSha256 ? contentSha256.toLowerCase() : ''
+    };
+
+    const key = template
+        .replace(/\.\{ext\}/g, '{ext}')
+        .replace(TEMPLATE_VARIABLE_PATTERN, (_, name) => sanitizeFilename(values[name]));
+
+    if (hasInvalidSegment(key)) {
+        return templateError('INVALID_OBJECT_KEY', `keyTemplate rendered an invalid key: ${key}`);
+    }
+
+    if (Buffer.byteLength(key) > MAX_OBJECT_KEY_LENGTH) {
+        return templateError('INVALID_OBJECT_KEY', `Rendered key exceeds ${MAX_OBJECT_KEY_LENGTH} bytes`);
+    }
+
+    return { valid: true, key };
+};
+
+/**
+ * Is a client-supplied object key safe to sign?
+ *
+ * Same rules rendered templates follow: [a-zA-Z0-9/._-] only, no empty, "." or
+ * ".." segments, at most MAX_OBJECT_KEY_LENGTH bytes.
+ *
+ * @param {*} key
+ * @returns {boolean}
+ */
+export const isSafeObjectKey = (key) => {
+    return typeof key === 'string'
+        && /^[a-zA-Z0-9/._-]+$/.test(key)
+        && !hasInvalidSegment(key)
+        && Buffer.byteLength(key) <= MAX_OBJECT_KEY_LENGTH;
+};
+
+/**
+ * Object key for a new upload: the request's keyTemplate if given, else the provider default
+ *
+ * @param {Object} body - req.body (keyTemplate, contentSha256)
+ * @param {Object} context - { filename, userId }
+ * @param {Function} generateDefault - Provider's own key generator
+ * @returns {Object} { valid: true, key } or { valid: false, error, message, hint? }
+ */
+export const resolveObjectKey = (body, { filename, userId }, generateDefault) => {
+    const { keyTemplate, contentSha256 } = body;
+
+    if (keyTemplate === undefined || keyTemplate === null || keyTemplate === '') {
+        return { valid: true, key: generateDefault() };
+    }
+
+    const check = validateKeyTemplate(keyTemplate);
+    if (!check.valid) {
+        return check;
+    }
+
+    return renderKeyTemplate(keyTemplate, { filename, userId, contentSha256 });
+};
@@ -5,6 +5,7 @@
 
 export { uploadToSupabaseStorage } from './supabase.upload.js';
 export { generateSupabaseSignedUrl } from './supabase.signed-url.js';
+export { generateSupabaseResumableUpload } from './supabase.resumable.js';
 export { deleteSupabaseFile } from './supabase.delete.js';
 export { downloadSupabaseFile } from './supabase.download.js';
 
@@ -13,6 +13,11 @@ export const MIN_FILE_SIZE = 1; // 1 byte minimum
 export const MAX_FILES_PER_USER = parseInt(process.env.MAX_FILES_PER_USER) || 1000;
 export const MAX_TOTAL_SIZE_PER_USER = parseInt(process.env.MAX_TOTAL_SIZE_PER_USER) || 1024 * 1024 * 1024; // 1GB
 
+// Resumable (TUS) uploads
+export const TUS_CHUNK_SIZE = 6 * 1024 * 1024; // Supabase requires exactly 6MB chunks
+export const RESUMABLE_TOKEN_EXPIRY = 2 * 60 * 60; // Signed upload tokens are valid for 2 hours
+export const MAX_RESUMABLE_FILE_SIZE = 50 * 1024 * 1024 * 1024; // 50GB (Supabase Pro limit)
+
 // Rate limiting
 export const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60;
 export const RATE_LIMIT_PER_HOUR = parseInt(process.env.RATE_LIMIT_PER_HOUR) || 1000;
@@ -8,6 +8,7 @@ import { supabaseAdmin } from '../../../config/supabase.js';
 import { SUPABASE_BUCKET, PRIVATE_BUCKET } from './supabase.config.js';
 import { updateSupabaseMetrics } from './supabase.helpers.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 // Import multi-layer cache
 import { checkMemoryRateLimit } from './cache/memory-guard.js';
@@ -175,6 +176,8 @@ export const deleteSupabaseFile = async (req, res) => {
         // Background metrics update
         updateSupabaseMetrics(apiKey, 'supabase', true, 'DELETE_SUCCESS').catch(() => { });
 
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 'supabase', bucket: targetBucket, key: targetFilename });
+
 
 
         // NOTE: upload_logs table has been deleted - metrics tracked via Redis now
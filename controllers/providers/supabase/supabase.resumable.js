@@ -0,0 +1,232 @@
+/**
+ * Supabase Storage Resumable (TUS) Upload
+ * Issues the TUS endpoint + a token scoped to one bucket/path
+ *
+ * The token comes from createSignedUploadUrl(), so the client never sees the
+ * service key and can only write the object it was issued for.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    SUPABASE_BUCKET,
+    PRIVATE_BUCKET,
+    TUS_CHUNK_SIZE,
+    RESUMABLE_TOKEN_EXPIRY,
+    MAX_RESUMABLE_FILE_SIZE
+} from './supabase.config.js';
+import { generateSupabaseFilename, updateSupabaseMetrics } from './supabase.helpers.js';
+import { checkMemoryRateLimit } from './cache/memory-guard.js';
+import { updateRequestMetrics } from '../shared/metrics.helper.js';
+import { isSafeObjectKey } from '../shared/filename.helper.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Build the TUS endpoint for signed (x-signature) resumable uploads
+ * Hosted projects use the direct storage hostname, which Supabase recommends for large uploads
+ */
+const getTusEndpoint = (supabaseUrl) => {
+    const url = new URL(supabaseUrl);
+    const hosted = url.hostname.match(/^([a-z0-9]+)\.supabase\.co$/);
+
+    if (hosted) {
+        url.hostname = `${hosted[1]}.storage.supabase.co`;
+    }
+
+    return `${url.origin}/storage/v1/upload/resumable/sign`;
+};
+
+/**
+ * Generate resumable upload credentials for Supabase Storage
+ * Pass `objectName` from an earlier response to resume that upload with a fresh token
+ */
+export const generateSupabaseResumableUpload = async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const startTime = Date.now();
+    let apiKey;
+
+    try {
+        const {
+            filename,
+            contentType,
+            fileSize,
+            bucket: customBucket,
+            makePrivate = false,
+            objectName,
+            upsert = false,
+            cacheControl = '3600',
+            supabaseToken,
+            supabaseUrl
+        } = req.body;
+
+        apiKey = req.apiKeyId;
+        const userId = req.userId || apiKey;
+
+        // Validate credentials
+        if (!supabaseToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_SUPABASE_TOKEN',
+                message: 'Supabase service key is required'
+            });
+        }
+
+        if (!supabaseUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_SUPABASE_URL',
+                message: 'Supabase project URL is required'
+            });
+        }
+
+        // Validate required fields
+        if (!filename || !contentType || !fileSize || !apiKey) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_PARAMETERS',
+                message: 'filename, contentType, fileSize, and API key are required'
+            });
+        }
+
+        if (!Number.isFinite(fileSize) || fileSize <= 0 || fileSize > MAX_RESUMABLE_FILE_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_FILE_SIZE',
+                message: `fileSize must be between 1 byte and ${MAX_RESUMABLE_FILE_SIZE} bytes (50GB)`
+            });
+        }
+
+        // Resumed uploads must target a path this API key issued (same prefix as generateSupabaseFilename)
+        if (objectName && (!isSafeObjectKey(objectName) || !objectName.startsWith(`${apiKey.substring(0, 8)}_`))) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_OBJECT_NAME',
+                message: 'objectName must come from a previous resumable upload response for this API key'
+            });
+        }
+
+        // LAYER 1: MEMORY GUARD (same cost as a signed URL)
+        const memCheck = checkMemoryRateLimit(userId, 'signed-url');
+        if (!memCheck.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: 'RATE_LIMIT_EXCEEDED',
+                code: 'MEMORY_GUARD',
+                message: 'Rate limit exceeded',
+                remaining: memCheck.remaining,
+                resetIn: memCheck.resetIn
+            });
+        }
+
+        // LAYER 2: QUOTA CHECK (OPT-2: use MW2 data if available, else fallback)
+        const quotaCheck = req.quotaChecked || { allowed: true };
+        if (!quotaCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                error: 'QUOTA_EXCEEDED',
+                message: 'Monthly quota exceeded',
+                limit: quotaCheck.limit,
+                used: quotaCheck.current
+            });
+        }
+
+        const targetBucket = customBucket || (makePrivate ? PRIVATE_BUCKET : SUPABASE_BUCKET);
+        const uniqueFilename = objectName || generateSupabaseFilename(filename, apiKey);
+
+        // MAIN OPERATION: scoped upload token for this bucket/path
+        const operationStart = Date.now();
+        const developerSupabase = createClient(supabaseUrl, supabaseToken);
+
+        const { data: signedUrlData, error: signedUrlError } = await developerSupabase.storage
+            .from(targetBucket)
+            .createSignedUploadUrl(uniqueFilename, { upsert });
+
+        if (signedUrlError) {
+            logger.error('Supabase resumable token error', { requestId, error: signedUrlError.message });
+            await updateSupabaseMetrics(apiKey, 'supabase', false, 'RESUMABLE_TOKEN_ERROR', {
+                errorDetails: signedUrlError.message
+            });
+
+            return res.status(500).json({
+                success: false,
+                error: 'RESUMABLE_TOKEN_ERROR',
+                message: 'Failed to generate resumable upload token',
+                details: signedUrlError.message
+            });
+        }
+
+        const operationTime = Date.now() - operationStart;
+
+        // Public URL for public buckets (private buckets need a signed download URL)
+        let finalUrl = null;
+        if (!(makePrivate || targetBucket === PRIVATE_BUCKET || targetBucket === 'admin')) {
+            const { data: urlData } = developerSupabase.storage
+                .from(targetBucket)
+                .getPublicUrl(uniqueFilename);
+            finalUrl = urlData.publicUrl;
+        }
+
+        // 🚀 REDIS METRICS: Provider usage tracking
+        updateRequestMetrics(apiKey, userId, 'supabase', true, { fileSize: fileSize || 0 })
+            .catch(() => { });
+
+        const totalTime = Date.now() - startTime;
+        logger.info('Supabase resumable upload issued', { requestId, totalTime, operationTime, resumed: !!objectName });
+
+        res.status(200).json({
+            success: true,
+            message: 'Supabase resumable upload token generated successfully',
+            data: {
+                endpoint: getTusEndpoint(supabaseUrl),
+                token: signedUrlData.token,
+                protocol: 'tus',
+                tusVersion: '1.0.0',
+                chunkSize: TUS_CHUNK_SIZE,
+                headers: {
+                    'x-signature': signedUrlData.token,
+                    'x-upsert': upsert ? 'true' : 'false'
+                },
+                metadata: {
+                    bucketName: targetBucket,
+                    objectName: uniqueFilename,
+                    contentType,
+                    cacheControl: String(cacheControl)
+                },
+                filename: uniqueFilename,
+                originalName: filename,
+                fileSize,
+                provider: 'supabase',
+                bucket: targetBucket,
+                isPrivate: makePrivate,
+                resumed: !!objectName,
+                expiresIn: RESUMABLE_TOKEN_EXPIRY,
+                expiresAt: new Date(Date.now() + RESUMABLE_TOKEN_EXPIRY * 1000).toISOString(),
+                fileUrl: finalUrl
+            },
+            performance: {
+                requestId,
+                totalTime: `${totalTime}ms`,
+                breakdown: {
+                    supabaseOperation: `${operationTime}ms`
+                }
+            }
+        });
+
+    } catch (error) {
+        const totalTime = Date.now() - startTime;
+        logger.error('Supabase resumable upload generation failed', { requestId, totalTime, error: error.message });
+
+        if (apiKey) {
+            updateRequestMetrics(apiKey, req.userId || apiKey, 'supabase', false)
+                .catch(() => { });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Internal server error during resumable upload generation',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+            requestId,
+            timing: `${totalTime}ms`
+        });
+    }
+};
@@ -7,6 +7,7 @@
 import { createClient } from '@supabase/supabase-js';
 import { SUPABASE_BUCKET, PRIVATE_BUCKET } from './supabase.config.js';
 import { generateSupabaseFilename, updateSupabaseMetrics } from './supabase.helpers.js';
+import { resolveObjectKey } from '../shared/filename.helper.js';
 import logger from '../../../utils/logger.js';
 
 // NEW: Import multi-layer cache
@@ -221,8 +222,18 @@ export const generateSupabaseSignedUrl = async (req, res) => {
             }
         }
 
-        // Generate unique filename
-        const uniqueFilename = generateSupabaseFilename(filename, apiKey);
+        // Generate unique filename (from keyTemplate when the request or its preset sets one)
+        const keyResult = resolveObjectKey(req.body, { filename, userId }, () => generateSupabaseFilename(filename, apiKey));
+        if (!keyResult.valid) {
+            updateRequestMetrics(apiKey, userId, 'supabase', false).catch(() => { });
+            return res.status(400).json({
+                success: false,
+                error: keyResult.error,
+                message: keyResult.message,
+                ...(keyResult.hint && { hint: keyResult.hint })
+            });
+        }
+        const uniqueFilename = keyResult.key;
         logger.debug('Generated filename', { requestId, uniqueFilename });
 
         // Check expiration limits
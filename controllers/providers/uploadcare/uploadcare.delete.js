@@ -21,6 +21,7 @@ import { checkMemoryRateLimit } from './cache/memory-guard.js';
 // 🚀 REDIS METRICS: Single source of truth
 import { updateRequestMetrics } from '../shared/metrics.helper.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 /**
  * Delete file from Uploadcare using their REST API
@@ -155,6 +156,8 @@ export const deleteUploadcareFile = async (req, res) => {
         updateRequestMetrics(apiKeyId, userId, 'uploadcare', true)
             .catch(() => { });
 
+        emitWebhookEvent(req.userId, 'file.deleted', { provider: 'uploadcare', key: fileUuid });
+
         res.status(200).json({
             success: true,
             message: 'File deleted from Uploadcare successfully',
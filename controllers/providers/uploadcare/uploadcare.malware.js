@@ -18,6 +18,7 @@ import {
 } from './uploadcare.config.js';
 import { updateUploadcareMetrics } from './uploadcare.helpers.js';
 import logger from '../../../utils/logger.js';
+import { emitWebhookEvent } from '../../../services/webhook/events.js';
 
 // Import multi-layer cache
 import { checkMemoryRateLimit } from './cache/memory-guard.js';
@@ -541,6 +542,17 @@ export const getUploadcareMalwareScanResults = async (req, res) => {
             }
         };
 
+        // Reported once — later calls are served from the cache below
+        if (isInfected) {
+            emitWebhookEvent(req.userId, 'malware.detected', {
+                provider: 'uploadcare',
+                key: fileUuid,
+                virusName,
+                scannedAt: responseData.scannedAt,
+                file: responseData.fileInfo
+            });
+        }
+
         // Cache results permanently (scan results don't change)
         await redis.set(cacheKey, JSON.stringify(responseData));
 
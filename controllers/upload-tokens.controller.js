@@ -0,0 +1,194 @@
+/**
+ * Client Upload Tokens Controller
+ *
+ * - POST   /api/v1/upload-tokens       - Mint a browser upload token
+ * - DELETE /api/v1/upload-tokens/:id   - Revoke a token
+ *
+ * Minting needs the API key and a signed request, so it happens on the
+ * customer's backend. The token is then used from the browser with
+ * `X-Upload-Token` on POST /api/v1/upload/{provider}/signed-url.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import {
+    validateUploadTokenInput,
+    normalizeKeyPrefix,
+    signUploadToken,
+    DEFAULT_TOKEN_EXPIRY
+} from '../utils/upload-tokens.js';
+import { getConnection } from '../utils/provider-connections.js';
+import { checkKeyRestrictions, getRequestBucket } from '../utils/api-key-scopes.js';
+import { getPresetByName } from '../utils/upload-presets.js';
+import logger from '../utils/logger.js';
+
+/**
+ * POST /api/v1/upload-tokens
+ * Mint a short-lived client upload token
+ *
+ * Body: { provider, connectionId, bucket?, keyPrefix?, maxFileSize?, allowedTypes?, maxUses?, preset?, expiresIn? }
+ */
+export async function createUploadToken(req, res) {
+    try {
+        const {
+            provider: rawProvider,
+            connectionId,
+            bucket,
+            keyPrefix,
+            maxFileSize,
+            allowedTypes,
+            maxUses = 1,
+            preset,
+            expiresIn = DEFAULT_TOKEN_EXPIRY
+        } = req.body;
+        const userId = req.userId;
+        const provider = typeof rawProvider === 'string' ? rawProvider.toLowerCase() : rawProvider;
+
+        const constraints = { bucket, keyPrefix, maxFileSize, allowedTypes, maxUses, preset };
+
+        const check = validateUploadTokenInput({ provider, connectionId, expiresIn, ...constraints });
+        if (!check.valid) {
+            return res.status(400).json({ success: false, ...check });
+        }
+
+        const connection = await getConnection(userId, connectionId);
+        if (!connection) {
+            return res.status(400).json({
+                success: false,
+                error: 'CONNECTION_NOT_FOUND',
+                message: 'Connection not found or access denied'
+            });
+        }
+
+        if (connection.provider !== provider) {
+            return res.status(400).json({
+                success: false,
+                error: 'CONNECTION_PROVIDER_MISMATCH',
+                message: `Connection is for ${connection.provider}, but this token is for ${provider}`
+            });
+        }
+
+        if (preset) {
+            const presetRow = await getPresetByName(userId, preset);
+            if (!presetRow || presetRow.provider !== provider) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'PRESET_NOT_FOUND',
+                    message: `No ${provider} upload preset named "${preset}"`
+                });
+            }
+        }
+
+        // Drop unset constraints so the token only carries what applies
+        const pinned = Object.fromEntries(
+            Object.entries(constraints).filter(([, value]) => value !== undefined)
+        );
+        if (pinned.keyPrefix) {
+            pinned.keyPrefix = normalizeKeyPrefix(pinned.keyPrefix);
+        }
+
+        // A bucket-restricted key can only mint tokens for buckets it may use,
+        // including the connection's (or Supabase's) default bucket when none is pinned
+        const effectiveBucket = getRequestBucket(
+            { bucket: bucket || connection.config?.bucket || connection.config?.container },
+            provider
+        );
+        const restricted = checkKeyRestrictions(req.apiKeyData, { provider, bucket: effectiveBucket }, { requireTarget: true });
+        if (restricted) {
+            return res.status(403).json({ success: false, ...restricted });
+        }
+        if (Array.isArray(req.apiKeyData?.allowed_buckets) && req.apiKeyData.allowed_buckets.length > 0 && effectiveBucket) {
+            pinned.bucket = effectiveBucket;
+        }
+
+        const { token, tokenId, expiresAt } = signUploadToken({
+            userId,
+            apiKeyId: req.apiKeyId,
+            tier: req.apiKeyData?.profile?.subscription_tier?.toLowerCase() || 'free',
+            provider,
+            connectionId,
+            ...pinned
+        }, expiresIn);
+
+        const { error } = await supabaseAdmin
+            .from('upload_tokens')
+            .insert({
+                id: tokenId,
+                user_id: userId,
+                api_key_id: req.apiKeyId,
+                provider,
+                connection_id: connectionId,
+                constraints: pinned,
+                expires_at: expiresAt,
+                revoked: false
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                token,
+                tokenId,
+                provider,
+                constraints: pinned,
+                expiresAt,
+                usage: {
+                    header: 'X-Upload-Token',
+                    endpoint: `POST /api/v1/upload/${provider}/signed-url`,
+                    description: 'Send only this header from the browser — no API key or signature needed'
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('[UploadTokens] Create error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'TOKEN_GENERATION_FAILED',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/v1/upload-tokens/:id
+ * Revoke an upload token before it expires
+ */
+export async function revokeUploadToken(req, res) {
+    try {
+        const { data: rows, error } = await supabaseAdmin
+            .from('upload_tokens')
+            .update({ revoked: true, revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        if (!rows || rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'TOKEN_NOT_FOUND',
+                message: 'Upload token not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Upload token revoked',
+            tokenId: req.params.id
+        });
+
+    } catch (error) {
+        logger.error('[UploadTokens] Revoke error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'TOKEN_REVOCATION_FAILED',
+            message: error.message
+        });
+    }
+}
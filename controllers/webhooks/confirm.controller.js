@@ -449,6 +449,7 @@ export async function retryWebhook(req, res) {
                 attempt_count: 0,
                 next_retry_at: null,
                 error_message: null,
+                replayed_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             })
             .eq('id', id);
@@ -0,0 +1,197 @@
+/**
+ * Webhook Deliveries Controller
+ *
+ * What was sent, what came back, and sending it again
+ * (attempts are logged by services/webhook/processor.js).
+ *
+ * - GET  /api/v1/webhooks/:id/attempts          - Delivery attempts for a webhook, newest first
+ * - POST /api/v1/webhooks/:id/replay            - Deliver a webhook again, whatever its status
+ * - POST /api/v1/webhooks/dead-letters/replay   - Replay dead-lettered webhooks by time range / endpoint
+ */
+
+import { supabaseAdmin } from '../../config/supabase.js';
+import { replayWebhook, retryDeadLetters } from '../../services/webhook/processor.js';
+import logger from '../../utils/logger.js';
+
+const DEFAULT_ATTEMPTS_LIMIT = 20;
+const MAX_ATTEMPTS_LIMIT = 100;
+const DEFAULT_REPLAY_LIMIT = 50;
+const MAX_REPLAY_LIMIT = 100;
+
+const ATTEMPT_COLUMNS = 'id, attempt_number, request_url, request_headers, payload_sha256, response_status, response_body, latency_ms, success, error_message, attempted_at';
+
+const webhookNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'WEBHOOK_NOT_FOUND',
+    message: 'Webhook not found'
+});
+
+/**
+ * Clamp a query/body number into [1, max]
+ * @returns {number}
+ */
+function toLimit(value, fallback, max) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+    return Math.min(parsed, max);
+}
+
+/**
+ * Parse an optional ISO timestamp
+ * @returns {string|null|undefined} ISO string, undefined when absent, null when invalid
+ */
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Does the webhook exist and belong to the caller?
+ * @returns {Promise<Object|null>} { id, status }
+ */
+async function findOwnedWebhook(id, userId) {
+    const { data: webhook, error } = await supabaseAdmin
+        .from('upload_webhooks')
+        .select('id, status')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return webhook;
+}
+
+/**
+ * GET /api/v1/webhooks/:id/attempts
+ * Query: limit (default 20, max 100), offset
+ */
+export async function listDeliveryAttempts(req, res) {
+    try {
+        const webhook = await findOwnedWebhook(req.params.id, req.userId);
+        if (!webhook) return webhookNotFound(res);
+
+        const limit = toLimit(req.query.limit, DEFAULT_ATTEMPTS_LIMIT, MAX_ATTEMPTS_LIMIT);
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+        const { data: attempts, count, error } = await supabaseAdmin
+            .from('webhook_delivery_attempts')
+            .select(ATTEMPT_COLUMNS, { count: 'exact' })
+            .eq('webhook_id', webhook.id)
+            .order('attempted_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: {
+                webhookId: webhook.id,
+                status: webhook.status,
+                attempts: attempts || []
+            },
+            pagination: { total: count ?? 0, limit, offset }
+        });
+    } catch (error) {
+        logger.error('[Webhook Deliveries] Attempts error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'ATTEMPTS_FETCH_FAILED',
+            message: 'Failed to load delivery attempts'
+        });
+    }
+}
+
+/**
+ * POST /api/v1/webhooks/:id/replay
+ * Unlike /retry this also re-sends completed webhooks.
+ */
+export async function replayDelivery(req, res) {
+    try {
+        const webhook = await findOwnedWebhook(req.params.id, req.userId);
+        if (!webhook) return webhookNotFound(res);
+
+        await replayWebhook(webhook.id);
+
+        res.status(202).json({
+            success: true,
+            message: 'Webhook queued for replay',
+            data: { webhookId: webhook.id, previousStatus: webhook.status }
+        });
+    } catch (error) {
+        logger.error('[Webhook Deliveries] Replay error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'REPLAY_FAILED',
+            message: 'Failed to replay webhook'
+        });
+    }
+}
+
+/**
+ * POST /api/v1/webhooks/dead-letters/replay
+ * Body: { from?, to?, endpointId?, limit? (default 50, max 100) }
+ */
+export async function replayDeadLetters(req, res) {
+    try {
+        const { from, to, endpointId, limit } = req.body || {};
+        const fromAt = toTimestamp(from);
+        const toAt = toTimestamp(to);
+
+        if (fromAt === null || toAt === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_TIME_RANGE',
+                message: 'from and to must be ISO 8601 timestamps',
+                hint: 'e.g. { "from": "2026-01-01T00:00:00Z", "to": "2026-01-02T00:00:00Z" }'
+            });
+        }
+
+        if (fromAt && toAt && fromAt > toAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_TIME_RANGE',
+                message: 'from must be before to'
+            });
+        }
+
+        if (endpointId !== undefined) {
+            const { data: endpoint, error } = await supabaseAdmin
+                .from('webhook_endpoints')
+                .select('id')
+                .eq('id', endpointId)
+                .eq('user_id', req.userId)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!endpoint) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'WEBHOOK_ENDPOINT_NOT_FOUND',
+                    message: 'Webhook endpoint not found'
+                });
+            }
+        }
+
+        const max = toLimit(limit, DEFAULT_REPLAY_LIMIT, MAX_REPLAY_LIMIT);
+        const replayed = await retryDeadLetters(max, {
+            userId: req.userId,
+            endpointId,
+            from: fromAt,
+            to: toAt
+        });
+
+        res.status(202).json({
+            success: true,
+            message: replayed > 0 ? `${replayed} dead-lettered webhook(s) queued for replay` : 'No dead-lettered webhooks matched',
+            data: { replayed, limit: max }
+        });
+    } catch (error) {
+        logger.error('[Webhook Deliveries] Bulk replay error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'REPLAY_FAILED',
+            message: 'Failed to replay dead-lettered webhooks'
+        });
+    }
+}
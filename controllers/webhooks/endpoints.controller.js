@@ -0,0 +1,484 @@
+/**
+ * Webhook Endpoints Controller
+ *
+ * Account-level endpoints that receive every event they subscribe to,
+ * independent of any single upload (see services/webhook/events.js).
+ *
+ * - GET    /api/v1/webhooks/event-types     - Event types an endpoint can subscribe to
+ * - GET    /api/v1/webhooks/event-types/:type/sample - Example payload for an event type
+ * - GET    /api/v1/webhooks/endpoints       - List endpoints
+ * - POST   /api/v1/webhooks/endpoints       - Create an endpoint (secret returned once)
+ * - GET    /api/v1/webhooks/endpoints/:id   - Get an endpoint
+ * - PATCH  /api/v1/webhooks/endpoints/:id   - Change url, description, events, is_active or retry_policy
+ * - DELETE /api/v1/webhooks/endpoints/:id   - Delete an endpoint
+ * - POST   /api/v1/webhooks/endpoints/:id/rotate-secret - New secret; the old one keeps signing during the overlap
+ * - POST   /api/v1/webhooks/endpoints/:id/test - Send a signed sample event, return the receiver's response
+ */
+
+import { supabaseAdmin } from '../../config/supabase.js';
+import { generateWebhookId, generateWebhookSecret } from '../../utils/webhook/signature.js';
+import { getWebhookUrlError } from '../../utils/webhook/url-guard.js';
+import { WEBHOOK_EVENT_TYPES, ALL_EVENTS, invalidateEndpointCache } from '../../services/webhook/events.js';
+import { validateRetryPolicy, DEFAULT_RETRY_POLICY } from '../../services/webhook/retry-policy.js';
+import { resetEndpointFailures } from '../../services/webhook/endpoint-health.js';
+import { buildSamplePayloads } from '../../services/webhook/samples.js';
+import { sendTestWebhook } from '../../services/webhook/processor.js';
+import { logAudit } from '../../utils/audit-logger.js';
+import logger from '../../utils/logger.js';
+
+const MAX_ENDPOINTS_PER_ACCOUNT = 20;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DEFAULT_SECRET_OVERLAP_SECONDS = 86400;   // 24 hours
+const MAX_SECRET_OVERLAP_SECONDS = 7 * 86400;   // 7 days
+
+// Everything but the secrets
+const ENDPOINT_COLUMNS = 'id, url, description, events, is_active, retry_policy, disabled_at, disabled_reason, secret_rotated_at, previous_secret_expires_at, created_at, updated_at';
+
+/**
+ * Validate a subscription list
+ * @param {*} events
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array of event types';
+    }
+    const unknown = events.find(event => event !== ALL_EVENTS && !WEBHOOK_EVENT_TYPES.includes(event));
+    return unknown ? `Unknown event type "${unknown}"` : null;
+}
+
+const invalidUrl = (res, message) => res.status(400).json({
+    success: false,
+    error: 'INVALID_WEBHOOK_URL',
+    message,
+    hint: 'Use a public http(s) URL — loopback, private-network and cloud metadata hosts are not allowed'
+});
+
+const invalidEvents = (res, message) => res.status(400).json({
+    success: false,
+    error: 'INVALID_EVENT_TYPES',
+    message,
+    hint: `Use "${ALL_EVENTS}" or any of: ${WEBHOOK_EVENT_TYPES.join(', ')}`
+});
+
+const invalidRetryPolicy = (res, message) => res.status(400).json({
+    success: false,
+    error: 'INVALID_RETRY_POLICY',
+    message,
+    hint: 'Omit a field (or send retry_policy: null) to use the default',
+    defaults: DEFAULT_RETRY_POLICY
+});
+
+const endpointNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'WEBHOOK_ENDPOINT_NOT_FOUND',
+    message: 'Webhook endpoint not found'
+});
+
+/**
+ * GET /api/v1/webhooks/event-types
+ */
+export async function listEventTypes(req, res) {
+    res.json({
+        success: true,
+        data: { eventTypes: WEBHOOK_EVENT_TYPES, wildcard: ALL_EVENTS }
+    });
+}
+
+/**
+ * GET /api/v1/webhooks/event-types/:type/sample
+ */
+export async function getEventTypeSample(req, res) {
+    const eventType = req.params.type;
+    if (!WEBHOOK_EVENT_TYPES.includes(eventType)) {
+        return invalidEvents(res, `Unknown event type "${eventType}"`);
+    }
+
+    res.json({
+        success: true,
+        data: { eventType, ...buildSamplePayloads(eventType) }
+    });
+}
+
+/**
+ * GET /api/v1/webhooks/endpoints
+ */
+export async function listEndpoints(req, res) {
+    try {
+        const { data: endpoints, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .select(ENDPOINT_COLUMNS)
+            .eq('user_id', req.userId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({ success: true, data: endpoints || [] });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] List error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_ENDPOINT_LIST_FAILED',
+            message: 'Failed to list webhook endpoints'
+        });
+    }
+}
+
+/**
+ * POST /api/v1/webhooks/endpoints
+ * Body: { url, events, description?, retry_policy? }
+ */
+export async function createEndpoint(req, res) {
+    try {
+        const { url, events, description, retry_policy: retryPolicy = null } = req.body || {};
+        const userId = req.userId;
+
+        const urlError = url ? getWebhookUrlError(url) : 'Valid webhook URL is required (http/https)';
+        if (urlError) return invalidUrl(res, urlError);
+
+        const eventsError = validateEvents(events);
+        if (eventsError) return invalidEvents(res, eventsError);
+
+        const { policy, error: policyError } = validateRetryPolicy(retryPolicy);
+        if (policyError) return invalidRetryPolicy(res, policyError);
+
+        const { count, error: countError } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (countError) throw countError;
+
+        if (count >= MAX_ENDPOINTS_PER_ACCOUNT) {
+            return res.status(400).json({
+                success: false,
+                error: 'WEBHOOK_ENDPOINT_LIMIT_REACHED',
+                message: `An account can have at most ${MAX_ENDPOINTS_PER_ACCOUNT} webhook endpoints`,
+                hint: 'Delete an unused endpoint or subscribe an existing one to more events'
+            });
+        }
+
+        const secret = generateWebhookSecret();
+        const { data: endpoint, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .insert({
+                user_id: userId,
+                url,
+                description: typeof description === 'string' ? description.slice(0, MAX_DESCRIPTION_LENGTH) : null,
+                secret,
+                events: [...new Set(events)],
+                retry_policy: policy,
+                is_active: true
+            })
+            .select(ENDPOINT_COLUMNS)
+            .single();
+
+        if (error) throw error;
+
+        await invalidateEndpointCache(userId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook endpoint created. Store the secret now — it will not be shown again.',
+            data: { ...endpoint, secret }
+        });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Create error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_ENDPOINT_CREATION_FAILED',
+            message: 'Failed to create webhook endpoint'
+        });
+    }
+}
+
+/**
+ * GET /api/v1/webhooks/endpoints/:id
+ */
+export async function getEndpoint(req, res) {
+    try {
+        const { data: endpoint, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .select(ENDPOINT_COLUMNS)
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!endpoint) return endpointNotFound(res);
+
+        res.json({ success: true, data: endpoint });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Get error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_ENDPOINT_FETCH_FAILED',
+            message: 'Failed to load webhook endpoint'
+        });
+    }
+}
+
+/**
+ * PATCH /api/v1/webhooks/endpoints/:id
+ * Body: any of { url, events, description, is_active, retry_policy }
+ * Re-enabling an auto-disabled endpoint clears disabled_at / disabled_reason.
+ */
+export async function updateEndpoint(req, res) {
+    try {
+        const { url, events, description, is_active: isActive, retry_policy: retryPolicy } = req.body || {};
+        const updates = {};
+
+        if (url !== undefined) {
+            const urlError = typeof url === 'string' ? getWebhookUrlError(url) : 'Valid webhook URL is required (http/https)';
+            if (urlError) return invalidUrl(res, urlError);
+            updates.url = url;
+        }
+
+        if (events !== undefined) {
+            const eventsError = validateEvents(events);
+            if (eventsError) return invalidEvents(res, eventsError);
+            updates.events = [...new Set(events)];
+        }
+
+        if (description !== undefined) {
+            updates.description = typeof description === 'string' ? description.slice(0, MAX_DESCRIPTION_LENGTH) : null;
+        }
+
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_IS_ACTIVE',
+                    message: 'is_active must be a boolean'
+                });
+            }
+            updates.is_active = isActive;
+            if (isActive) {
+                updates.disabled_at = null;
+                updates.disabled_reason = null;
+            }
+        }
+
+        if (retryPolicy !== undefined) {
+            const { policy, error: policyError } = validateRetryPolicy(retryPolicy);
+            if (policyError) return invalidRetryPolicy(res, policyError);
+            updates.retry_policy = policy;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'NO_CHANGES',
+                message: 'Nothing to update',
+                hint: 'Send url, events, description, is_active or retry_policy'
+            });
+        }
+
+        const { data: endpoint, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .select(ENDPOINT_COLUMNS)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!endpoint) return endpointNotFound(res);
+
+        await invalidateEndpointCache(req.userId);
+        if (isActive === true) {
+            // A fresh start: earlier failures don't count towards the next auto-disable
+            await resetEndpointFailures(endpoint.id);
+        }
+
+        res.json({ success: true, data: endpoint });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Update error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_ENDPOINT_UPDATE_FAILED',
+            message: 'Failed to update webhook endpoint'
+        });
+    }
+}
+
+/**
+ * DELETE /api/v1/webhooks/endpoints/:id
+ * Deliveries already queued for the endpoint still go out.
+ */
+export async function deleteEndpoint(req, res) {
+    try {
+        const { data: deleted, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .select('id');
+
+        if (error) throw error;
+        if (!deleted?.length) return endpointNotFound(res);
+
+        await invalidateEndpointCache(req.userId);
+
+        res.json({ success: true, message: 'Webhook endpoint deleted' });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Delete error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_ENDPOINT_DELETE_FAILED',
+            message: 'Failed to delete webhook endpoint'
+        });
+    }
+}
+
+/**
+ * POST /api/v1/webhooks/endpoints/:id/rotate-secret
+ * Body: { gracePeriodSeconds? } (default 24h, max 7 days, 0 = stop signing with the old secret now)
+ *
+ * Until the grace period ends every delivery carries a v1 signature for both
+ * secrets in X-ObitoX-Signature, so receivers can switch secrets at their own pace.
+ */
+export async function rotateEndpointSecret(req, res) {
+    try {
+        const { gracePeriodSeconds = DEFAULT_SECRET_OVERLAP_SECONDS } = req.body || {};
+
+        if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_SECRET_OVERLAP_SECONDS) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_GRACE_PERIOD',
+                message: `gracePeriodSeconds must be an integer between 0 and ${MAX_SECRET_OVERLAP_SECONDS}`,
+                hint: 'Use 0 to stop signing with the old secret immediately'
+            });
+        }
+
+        const { data: current, error: fetchError } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .select('id, secret')
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!current) return endpointNotFound(res);
+
+        const secret = generateWebhookSecret();
+        const rotatedAt = new Date();
+        const previousSecretExpiresAt = gracePeriodSeconds > 0
+            ? new Date(rotatedAt.getTime() + gracePeriodSeconds * 1000).toISOString()
+            : null;
+
+        // Conditional on the secret we read, so two concurrent rotations can't both win
+        const { data: endpoint, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .update({
+                secret,
+                previous_secret: previousSecretExpiresAt ? current.secret : null,
+                previous_secret_expires_at: previousSecretExpiresAt,
+                secret_rotated_at: rotatedAt.toISOString(),
+                updated_at: rotatedAt.toISOString()
+            })
+            .eq('id', current.id)
+            .eq('secret', current.secret)
+            .select(ENDPOINT_COLUMNS)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!endpoint) {
+            return res.status(409).json({
+                success: false,
+                error: 'ROTATION_CONFLICT',
+                message: 'The secret was rotated by another request',
+                hint: 'Rotate again if you still need a new secret'
+            });
+        }
+
+        await invalidateEndpointCache(req.userId);
+
+        logAudit({
+            user_id: req.userId,
+            resource_type: 'webhook_endpoint',
+            resource_id: endpoint.id,
+            event_type: 'webhook_secret_rotated',
+            event_category: 'warning',
+            description: previousSecretExpiresAt
+                ? `Webhook endpoint secret rotated; previous secret signs until ${previousSecretExpiresAt}`
+                : 'Webhook endpoint secret rotated; previous secret retired immediately',
+            metadata: {
+                grace_period_seconds: gracePeriodSeconds,
+                previous_secret_expires_at: previousSecretExpiresAt
+            },
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent']
+        }).catch(() => { });
+
+        res.json({
+            success: true,
+            message: 'Webhook secret rotated. Store the new secret now — it will not be shown again.',
+            data: { ...endpoint, secret, grace_period_seconds: gracePeriodSeconds }
+        });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Secret rotation error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'ROTATION_FAILED',
+            message: 'Failed to rotate webhook secret'
+        });
+    }
+}
+
+/**
+ * POST /api/v1/webhooks/endpoints/:id/test
+ * Body: { event? } (default upload.completed)
+ *
+ * Works on disabled endpoints too, so a receiver can be checked before it is
+ * switched back on. The webhookId of a test starts with "test_". A URL on a
+ * blocked host (utils/webhook/url-guard.js) gets INVALID_WEBHOOK_URL and no
+ * request; redirects are reported, not followed.
+ */
+export async function testEndpoint(req, res) {
+    try {
+        const { event = 'upload.completed' } = req.body || {};
+        if (!WEBHOOK_EVENT_TYPES.includes(event)) {
+            return invalidEvents(res, `Unknown event type "${event}"`);
+        }
+
+        const { data: endpoint, error } = await supabaseAdmin
+            .from('webhook_endpoints')
+            .select('id, url, secret, previous_secret, previous_secret_expires_at, retry_policy')
+            .eq('id', req.params.id)
+            .eq('user_id', req.userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!endpoint) return endpointNotFound(res);
+
+        const { payload } = buildSamplePayloads(event, {
+            endpointId: endpoint.id,
+            webhookId: `test_${generateWebhookId()}`
+        });
+        const result = await sendTestWebhook(endpoint, payload);
+
+        // Saved before URLs were checked, or its host now resolves somewhere internal
+        if (result.blocked) return invalidUrl(res, result.error);
+
+        res.json({
+            success: true,
+            message: result.delivered
+                ? `Receiver accepted the test event (HTTP ${result.response.status})`
+                : `Test delivery failed: ${result.error}`,
+            data: {
+                delivered: result.delivered,
+                request: { ...result.request, payload },
+                response: result.response,
+                error: result.error
+            }
+        });
+    } catch (error) {
+        logger.error('[Webhook Endpoints] Test delivery error:', { message: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'WEBHOOK_TEST_FAILED',
+            message: 'Failed to send test webhook'
+        });
+    }
+}
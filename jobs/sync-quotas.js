@@ -9,6 +9,11 @@
  * - Analytics (usage over time)
  * - Disaster recovery (if Redis fails)
  *
+ * Counts are in cost units (utils/request-costs.js) — the same numbers the
+ * RateLimiter Durable Object enforces — so request_count /
+ * api_requests_used are what counts against the monthly limit. The plain
+ * number of requests is stored in raw_request_count.
+ *
  * FIXES IN THIS VERSION:
  *   - MGET replaces per-key redis.get() — 1000 round trips → 1 per batch
  *   - getRedis() used at call time instead of import-time default import
@@ -126,10 +131,15 @@ export async function syncQuotasToDatabase() {
             const batch = keys.slice(i, i + BATCH_SIZE);
 
             // FIX: MGET fetches all values in one Redis call instead of
-            // one redis.get() per key — reduces 100 round trips to 1 per batch
+            // one redis.get() per key — reduces 100 round trips to 1 per batch.
+            // Charged units and raw request counts come back in the same call.
             let values;
+            let requestValues;
             try {
-                values = await redis.mget(...batch);
+                const requestKeys = batch.map(key => key.replace(/^quota:/, 'quota_requests:'));
+                const all = await redis.mget(...batch, ...requestKeys);
+                values = all.slice(0, batch.length);
+                requestValues = all.slice(batch.length);
             } catch (err) {
                 logger.error('[QUOTA SYNC] MGET error:', { message: err.message });
                 errors += batch.length;
@@ -154,12 +164,15 @@ export async function syncQuotasToDatabase() {
                     const userId = parts[1];
 
                     // FIX: parseInt with explicit radix 10
-                    const requestCount = parseInt(value || '0', 10);
+                    const unitCount = parseInt(value || '0', 10);
+                    // Keys written before cost weighting have no raw count — every request cost 1 then
+                    const rawCount = parseInt(requestValues[j] ?? value ?? '0', 10);
 
                     validData.push({
                         user_id: userId,
                         month,
-                        request_count: isNaN(requestCount) ? 0 : requestCount,
+                        request_count: isNaN(unitCount) ? 0 : unitCount,
+                        raw_request_count: isNaN(rawCount) ? 0 : rawCount,
                         synced_at: syncedAt
                     });
                 } catch (err) {
@@ -77,7 +77,7 @@ async function runWorker() {
         const webhookIds = webhooks.map(w => w.id);
         const { data: webhookRecords } = await supabaseAdmin
             .from('upload_webhooks')
-            .select('id, status, trigger_mode, webhook_url, webhook_secret, attempt_count, provider, account_id, access_key_id, secret_access_key, region, endpoint, bucket, file_key, etag, file_size, content_type, expires_at')
+            .select('id, user_id, api_key_id, status, trigger_mode, webhook_url, webhook_secret, attempt_count, provider, account_id, access_key_id, secret_access_key, region, endpoint, bucket, file_key, etag, file_size, content_type, filename, metadata, endpoint_id, event_type, payload, expires_at, created_at, replayed_at')
             .in('id', webhookIds)
             .in('status', ['pending', 'verifying']);
 
@@ -0,0 +1,92 @@
+/**
+ * Admin Authentication Middleware
+ *
+ * Guards /api/v1/admin. Admins authenticate with a bearer token listed in
+ * ADMIN_API_TOKENS as comma-separated `name:token` pairs, e.g.
+ *   ADMIN_API_TOKENS=alice:4f2c...,ops-bot:91ab...
+ * The name ends up on req.admin and in every admin audit event. Customer
+ * API keys never grant admin access. With ADMIN_API_TOKENS unset the admin
+ * API is disabled.
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+const MIN_TOKEN_LENGTH = 32;
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Parsed once per distinct ADMIN_API_TOKENS value (Workers fill process.env per request)
+let parsedSource = null;
+let parsedTokens = [];
+
+/**
+ * Parse ADMIN_API_TOKENS
+ * @returns {Array<{ name: string, hash: Buffer }>}
+ */
+function getAdminTokens() {
+    const source = process.env.ADMIN_API_TOKENS || '';
+    if (source === parsedSource) return parsedTokens;
+
+    parsedSource = source;
+    parsedTokens = source
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            const name = entry.slice(0, separator).trim();
+            const token = entry.slice(separator + 1).trim();
+            if (separator < 1 || token.length < MIN_TOKEN_LENGTH) {
+                logger.warn('Ignoring malformed ADMIN_API_TOKENS entry (expected name:token, token >= 32 chars)');
+                return null;
+            }
+            return { name, hash: digest(token) };
+        })
+        .filter(Boolean);
+    return parsedTokens;
+}
+
+/**
+ * Require a valid admin bearer token
+ * Sets req.admin = { name }
+ */
+export function requireAdmin(req, res, next) {
+    const admins = getAdminTokens();
+    if (admins.length === 0) {
+        return res.status(503).json({
+            success: false,
+            error: 'ADMIN_API_DISABLED',
+            message: 'The admin API is not configured on this server',
+            hint: 'Set ADMIN_API_TOKENS to enable it'
+        });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        return res.status(401).json({
+            success: false,
+            error: 'ADMIN_AUTH_REQUIRED',
+            message: 'Admin bearer token is required',
+            hint: 'Send Authorization: Bearer <admin token>'
+        });
+    }
+
+    // Compare digests so every check is constant-time and length-independent
+    const provided = digest(match[1].trim());
+    const admin = admins.find(candidate => crypto.timingSafeEqual(candidate.hash, provided));
+
+    if (!admin) {
+        logger.warn('Rejected admin request with an invalid token', { ip: req.ip, path: req.originalUrl });
+        return res.status(403).json({
+            success: false,
+            error: 'INVALID_ADMIN_TOKEN',
+            message: 'Admin token is not valid'
+        });
+    }
+
+    req.admin = { name: admin.name };
+    return next();
+}
+
+export default requireAdmin;
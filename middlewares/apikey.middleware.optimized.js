@@ -1,6 +1,9 @@
 import { supabaseAdmin } from '../database/supabase.js';
 import { getRedis, getRedisAsync } from '../config/redis.js';
 import logger from '../utils/logger.js';
+import { logAudit } from '../utils/audit-logger.js';
+import { checkKeyAllowlists, getRequestOrigin } from '../utils/api-key-allowlists.js';
+import { trackViolationAndCheckBan } from './rate-limiter.middleware.js';
 
 /**
  * Optimized API Key Validation Middleware
@@ -19,6 +22,9 @@ import logger from '../utils/logger.js';
  * FIX #3: Dead rate-limit block removed (rate_limit_per_hour column gone)
  * FIX #4: Redundant expires_at date comparison removed — Redis TTL is sufficient
  * FIX #5: getRedis() hoisted — called once per middleware invocation
+ *
+ * Keys with allowed_ips / allowed_origins reject requests from elsewhere;
+ * each rejection counts as a violation toward the rate limiter's bans.
  */
 
 const CACHE_TTL = 300;        // Redis L2: 5 minutes
@@ -113,6 +119,47 @@ const getApiKeyData = async (apiKey, redis) => {
   return { data, fromCache: false };
 };
 
+// ─── Allowlist Violations ─────────────────────────────────────────────────────
+// Counted against the key like rate-limit violations, so a leaked key hammered
+// from outside its allowlist ends up banned by the same escalation ladder.
+const rejectAllowlistViolation = async (req, res, apiKey, apiKeyData, blocked, origin) => {
+  const requestId = `allowlist_${Date.now()}`;
+
+  logAudit({
+    user_id: apiKeyData.user_id,
+    resource_type: 'api_key',
+    resource_id: apiKeyData.id,
+    event_type: 'api_key_allowlist_violation',
+    event_category: 'warning',
+    description: blocked.message,
+    metadata: { error: blocked.error, origin },
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent']
+  }).catch(() => { });
+
+  const ban = await trackViolationAndCheckBan(apiKey, apiKeyData.user_id, requestId, 'API key allowlist violated')
+    .catch(error => {
+      logger.warn('Allowlist violation tracking failed:', error.message);
+      return { isBanned: false };
+    });
+
+  if (ban.isBanned) {
+    return res.status(429).json({
+      success: false,
+      error: 'BANNED',
+      message: ban.isPermanent ? 'Permanently banned' : `Banned for ${ban.banLevel}`,
+      banInfo: {
+        level: ban.banLevel,
+        isPermanent: ban.isPermanent,
+        reason: ban.reason,
+        ...(!ban.isPermanent && { remainingSeconds: ban.remainingSeconds })
+      }
+    });
+  }
+
+  return res.status(403).json({ success: false, ...blocked });
+};
+
 // ─── Middleware ───────────────────────────────────────────────────────────────
 const validateApiKey = async (req, res, next) => {
   // FIX #5: getRedisAsync() called exactly once per request
@@ -170,6 +217,12 @@ const validateApiKey = async (req, res, next) => {
       });
     }
 
+    const origin = getRequestOrigin(req);
+    const blocked = checkKeyAllowlists(apiKeyData, { ip: req.ip, origin });
+    if (blocked) {
+      return rejectAllowlistViolation(req, res, apiKey, apiKeyData, blocked, origin);
+    }
+
     // FIX #1: last_used_at UPDATE removed entirely.
     // The metrics-worker syncs last_used_at from Redis every 5 seconds.
     // Firing a DB UPDATE here on every request was 1 redundant write per request.
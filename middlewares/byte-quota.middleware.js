@@ -0,0 +1,90 @@
+/**
+ * Byte Quota Middleware
+ *
+ * Rejects upload signing requests whose declared fileSize would take the user
+ * past their plan's monthly byte quota, and charges the declared bytes once
+ * the controller has issued the URL(s). On a plan with a quota every file must
+ * declare a positive fileSize — otherwise it would be signed for free.
+ * See utils/byte-quota.js.
+ *
+ * Placement — after the scope check, right before the controller:
+ *   ... rate limiter (sets req.planLimits) → scope check → byte quota (THIS) → controller
+ */
+
+import { checkByteQuota, getDeclaredBytes, recordDeclaredBytes } from '../utils/byte-quota.js';
+import { DEFAULT_PLANS, getPlanLimits } from '../utils/plan-limits.js';
+import logger from '../utils/logger.js';
+
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Number(value.toFixed(2))} ${units[unit]}`;
+};
+
+/**
+ * Enforce the monthly byte quota on an upload signing route
+ */
+export async function enforceByteQuota(req, res, next) {
+    const userId = req.userId || req.apiKeyData?.userId;
+    const { bytes, files, unsized } = getDeclaredBytes(req.body);
+
+    if (!userId) return next();
+
+    const tier = req.userTier || req.apiKeyData?.profile?.subscription_tier?.toLowerCase() || 'free';
+    const limits = req.planLimits || await getPlanLimits(tier, userId);
+    const limit = limits.bytesPerMonth ?? (DEFAULT_PLANS[tier] || DEFAULT_PLANS.free).bytesPerMonth;
+
+    if (limit !== -1 && unsized > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'FILE_SIZE_REQUIRED',
+            message: files > 1
+                ? `${unsized} of ${files} files have no fileSize — it is required on plans with an upload quota`
+                : 'fileSize is required on plans with an upload quota',
+            hint: 'Send the size of each file in bytes as fileSize (a positive number)'
+        });
+    }
+
+    const quota = await checkByteQuota(userId, limit, bytes);
+    if (!quota.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: 'BYTE_QUOTA_EXCEEDED',
+            message: quota.remaining > 0
+                ? `This upload declares ${formatBytes(bytes)} but only ${formatBytes(quota.remaining)} of your ${formatBytes(limit)} monthly upload quota remains`
+                : `Monthly upload quota of ${formatBytes(limit)} reached`,
+            hint: tier === 'free' ? 'Upgrade to PRO for 100 GB of uploads per month' : 'Resets next month',
+            byteQuota: { used: quota.used, limit, remaining: quota.remaining, requested: bytes }
+        });
+    }
+
+    // Charge once the controller reports success — failed signings cost nothing
+    const json = res.json;
+    res.json = function (data) {
+        if (data?.success === true) {
+            recordDeclaredBytes({ userId, apiKeyId: req.apiKeyId, bytes, files })
+                .catch(error => logger.warn('Failed to record declared upload bytes:', error.message));
+        }
+        return json.call(this, data);
+    };
+
+    return next();
+}
+
+/**
+ * Enforce the byte quota only when the request declares a fileSize
+ *
+ * For routes where fileSize is optional and only signing with it issues upload
+ * URLs (multipart status: without it, parts are just listed).
+ */
+export function enforceByteQuotaIfSized(req, res, next) {
+    if (req.body?.fileSize === undefined) return next();
+    return enforceByteQuota(req, res, next);
+}
+
+export default enforceByteQuota;
@@ -0,0 +1,137 @@
+/**
+ * Provider Connection Middleware
+ *
+ * Resolves `connectionId` in the request body into the provider credentials
+ * stored server-side (see utils/provider-connections.js), so controllers keep
+ * reading s3AccessKey / r2SecretKey / gcsPrivateKey / azureAccountKey / supabaseToken / uploadcareSecretKey from
+ * req.body exactly as before.
+ *
+ * - No connectionId → no-op (inline credentials keep working)
+ * - Stored secrets always win over anything sent inline
+ * - Stored config (bucket, storage class, ...) only fills fields the request left empty,
+ *   except the fields that say where the secrets go (endpoint, region, account,
+ *   Supabase URL): those are always the connection's, or dropped if it has none
+ *
+ * Placement in middleware chain:
+ *   1. API key validator      ← Sets req.userId
+ *   2. Rate limiter
+ *   3. Signature validator    ← Signs the body as sent by the client
+ *   4. Connection resolver (THIS)
+ *   5. Controller
+ */
+
+import { getConnection, toRequestFields } from '../utils/provider-connections.js';
+import logger from '../utils/logger.js';
+
+// Path segment → provider, used to reject e.g. an R2 connection on an S3 route
+const ROUTE_PROVIDERS = ['s3', 'r2', 'gcs', 'azure', 'supabase', 'uploadcare'];
+
+// Routes from before provider paths, which name no provider segment
+const LEGACY_ROUTE_PROVIDERS = {
+    '/api/v1/upload/signed-url': 'supabase',
+    '/api/v1/upload/upload': 'supabase'
+};
+
+export const getRouteProvider = (req) => {
+    const path = (req.originalUrl || req.url || '').split('?')[0].toLowerCase();
+    // v2 paths name no provider, but a file key segment like /files/s3/ could look like one
+    if (path.startsWith('/api/v2/')) return null;
+    const legacy = LEGACY_ROUTE_PROVIDERS[path.replace(/\/+$/, '')];
+    if (legacy) return legacy;
+    return ROUTE_PROVIDERS.find(provider => path.includes(`/${provider}/`)) || null;
+};
+
+/**
+ * Connection resolver
+ *
+ * @middleware
+ * @requires req.userId - Set by apikey.middleware.optimized.js
+ */
+export async function resolveConnection(req, res, next) {
+    const connectionId = req.body?.connectionId;
+
+    if (!connectionId) {
+        return next();
+    }
+
+    try {
+        if (typeof connectionId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_CONNECTION_ID',
+                message: 'connectionId must be a string'
+            });
+        }
+
+        const connection = await getConnection(req.userId, connectionId);
+
+        if (!connection) {
+            return res.status(404).json({
+                success: false,
+                error: 'CONNECTION_NOT_FOUND',
+                message: 'Connection not found or access denied',
+                hint: 'Create one with POST /api/v1/connections'
+            });
+        }
+
+        if (connection.is_active === false) {
+            return res.status(403).json({
+                success: false,
+                error: 'CONNECTION_DISABLED',
+                message: 'This connection has been disabled'
+            });
+        }
+
+        const routeProvider = getRouteProvider(req);
+        const bodyProvider = typeof req.body.provider === 'string' ? req.body.provider.toLowerCase() : null;
+        const expectedProvider = routeProvider || bodyProvider;
+
+        if (expectedProvider && expectedProvider !== connection.provider) {
+            return res.status(400).json({
+                success: false,
+                error: 'CONNECTION_PROVIDER_MISMATCH',
+                message: `Connection is for ${connection.provider}, but this request targets ${expectedProvider}`
+            });
+        }
+
+        const fields = toRequestFields(connection);
+
+        if (!fields) {
+            logger.error('Connection secrets could not be decrypted', { connectionId });
+            return res.status(500).json({
+                success: false,
+                error: 'CONNECTION_UNREADABLE',
+                message: 'Stored credentials for this connection could not be read. Please update the connection.'
+            });
+        }
+
+        for (const [field, value] of Object.entries(fields.config)) {
+            if (req.body[field] === undefined || req.body[field] === null || req.body[field] === '') {
+                req.body[field] = value;
+            }
+        }
+        // Otherwise a caller could point the stored secrets at a host of their choosing
+        for (const field of fields.pinned) {
+            if (fields.config[field] === undefined) {
+                delete req.body[field];
+            } else {
+                req.body[field] = fields.config[field];
+            }
+        }
+        Object.assign(req.body, fields.secrets);
+
+        req.connectionId = connection.id;
+        req.connectionProvider = connection.provider;
+
+        return next();
+    } catch (error) {
+        logger.error('Connection resolution error:', { message: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'CONNECTION_ERROR',
+            message: 'Failed to resolve connection'
+        });
+    }
+}
+
+export default resolveConnection;
@@ -81,6 +81,9 @@ export const ALLOWED_HEADERS = [
     'X-API-Key',
     'X-Signature',
     'X-Timestamp',
+    'X-Nonce',
+    'X-Signature-Algorithm',
+    'X-Upload-Token',
     'X-Request-ID',
     'X-Client-Version',
     'X-Client-Platform',
@@ -103,6 +106,13 @@ export const EXPOSED_HEADERS = [
     'X-RateLimit-Limit',
     'X-RateLimit-Remaining',
     'X-RateLimit-Reset',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After',
+    'X-Quota-Remaining',
+    'X-Request-Cost',
     'X-Request-ID',
     'X-Response-Time',
     'X-Cache-Status',
@@ -0,0 +1,108 @@
+/**
+ * Upload Preset Middleware
+ *
+ * Resolves `preset` (a preset name) in the request body into the provider
+ * config, connection, validation rules, expiry and webhook settings stored
+ * server-side (see utils/upload-presets.js). The signed-url controllers keep
+ * reading req.body as before; they just see the preset's values.
+ *
+ * - No preset → no-op
+ * - Preset values replace anything the client sent for the same fields
+ * - Runs before resolveConnection so a preset's connectionId is resolved too
+ *
+ * Placement in middleware chain:
+ *   1. API key validator      ← Sets req.userId
+ *   2. Rate limiter
+ *   3. Signature validator    ← Signs the body as sent by the client
+ *   4. Preset resolver (THIS)
+ *   5. Connection resolver
+ *   6. Controller
+ */
+
+import {
+    getPresetByName,
+    applyPresetToBody,
+    presetRequiresFileSize,
+    PRESET_NAME_PATTERN
+} from '../utils/upload-presets.js';
+import { getRouteProvider } from './connection.middleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Preset resolver
+ *
+ * @middleware
+ * @requires req.userId - Set by apikey.middleware.optimized.js
+ */
+export async function resolvePreset(req, res, next) {
+    const presetName = req.body?.preset;
+
+    if (!presetName) {
+        return next();
+    }
+
+    try {
+        if (typeof presetName !== 'string' || !PRESET_NAME_PATTERN.test(presetName)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_PRESET',
+                message: 'preset must be the name of an upload preset'
+            });
+        }
+
+        const preset = await getPresetByName(req.userId, presetName);
+
+        if (!preset) {
+            return res.status(404).json({
+                success: false,
+                error: 'PRESET_NOT_FOUND',
+                message: `Upload preset "${presetName}" not found`,
+                hint: 'Create one with POST /api/v1/presets'
+            });
+        }
+
+        if (preset.is_active === false) {
+            return res.status(403).json({
+                success: false,
+                error: 'PRESET_DISABLED',
+                message: `Upload preset "${presetName}" has been disabled`
+            });
+        }
+
+        const routeProvider = getRouteProvider(req);
+        const bodyProvider = typeof req.body.provider === 'string' ? req.body.provider.toLowerCase() : null;
+        const expectedProvider = routeProvider || bodyProvider;
+
+        if (expectedProvider && expectedProvider !== preset.provider) {
+            return res.status(400).json({
+                success: false,
+                error: 'PRESET_PROVIDER_MISMATCH',
+                message: `Preset "${presetName}" is for ${preset.provider}, but this request targets ${expectedProvider}`
+            });
+        }
+
+        if (presetRequiresFileSize(preset) && !(Number(req.body.fileSize) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_FILE_SIZE',
+                message: `Preset "${presetName}" enforces size limits, so fileSize is required`
+            });
+        }
+
+        applyPresetToBody(preset, req.body);
+
+        req.presetId = preset.id;
+        req.presetName = preset.name;
+
+        return next();
+    } catch (error) {
+        logger.error('Preset resolution error:', { message: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'PRESET_ERROR',
+            message: 'Failed to resolve upload preset'
+        });
+    }
+}
+
+export default resolvePreset;
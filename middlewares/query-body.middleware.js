@@ -0,0 +1,37 @@
+/**
+ * Query → Body Middleware
+ *
+ * GET requests have no JSON body, but controllers (and resolveConnection) read
+ * their inputs from req.body. This copies query parameters into req.body for
+ * any field the body does not already set, so `GET /files?connectionId=...&prefix=...`
+ * behaves like the equivalent POST.
+ *
+ * Placement in middleware chain:
+ *   1. API key validator
+ *   2. Rate limiter
+ *   3. Signature validator    ← Signs the URL (query included) and the raw body
+ *   4. Query → body (THIS)
+ *   5. Connection resolver
+ *   6. Controller
+ *
+ * Prefer connectionId over inline credentials here: query strings end up in logs.
+ */
+
+/**
+ * @middleware
+ */
+export function queryToBody(req, res, next) {
+    if (!req.body || typeof req.body !== 'object') {
+        req.body = {};
+    }
+
+    for (const [field, value] of Object.entries(req.query || {})) {
+        if (req.body[field] === undefined && typeof value === 'string') {
+            req.body[field] = value;
+        }
+    }
+
+    return next();
+}
+
+export default queryToBody;
@@ -19,14 +19,13 @@ import { getRedisAsync } from '../config/redis.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { logAudit, logCriticalAudit } from '../utils/audit-logger.js';
 import { checkQuota } from '../utils/quota-manager.js';
+import { getPlanLimits } from '../utils/plan-limits.js';
+import { getRequestCost } from '../utils/request-costs.js';
+import { copyRateLimitHeaders } from '../utils/rate-limit-headers.js';
 import logger from '../utils/logger.js';
 
-// === TIER LIMITS ===
-const TIER_LIMITS = {
-    free: { requestsPerMinute: 10, requestsPerMonth: 1000, label: 'FREE' },
-    pro: { requestsPerMinute: 100, requestsPerMonth: 50000, label: 'PRO' },
-    enterprise: { requestsPerMinute: -1, requestsPerMonth: -1, label: 'ENTERPRISE' }
-};
+// Tier limits come from subscription_plans (utils/plan-limits.js) and are
+// passed to the Durable Object with each check
 
 // === BAN THRESHOLDS ===
 const BAN_THRESHOLDS = {
@@ -54,7 +53,19 @@ const CONFIG = {
 // The main middleware reads tier from req.apiKeyData.profile (set by apikey middleware).
 // Ban checks are performed inline via the mega-pipeline in unifiedRateLimitMiddleware.
 
-async function trackViolationAndCheckBan(identifier, userId, requestId) {
+/**
+ * Count a violation against an identifier and ban it once it crosses a threshold
+ *
+ * Also used by the API key middleware for allowlist violations, so misuse of
+ * a key from a blocked IP / origin escalates the same way as rate-limit abuse.
+ *
+ * @param {string} identifier - API key or IP (same identifier the rate limiter bans)
+ * @param {string|null} userId
+ * @param {string} requestId - For log correlation
+ * @param {string} [cause] - What was violated, used in the ban reason
+ * @returns {Promise<Object>} { isBanned, isPermanent?, banLevel?, reason?, expiresAt?, remainingSeconds?, violationCount }
+ */
+export async function trackViolationAndCheckBan(identifier, userId, requestId, cause = 'Rate limit exceeded') {
     const violationsKey = `violations:${identifier}`;
     const banKey = `ban:${identifier}`;
 
@@ -101,7 +112,7 @@ async function trackViolationAndCheckBan(identifier, userId, requestId) {
                 const newBanData = {
                     banLevel: newBanLevel,
                     isPermanent,
-                    reason: `Rate limit exceeded ${violationCount} times (escalated)`,
+                    reason: `${cause} ${violationCount} times (escalated)`,
                     violationCount,
                     bannedAt: now,
                     expiresAt: newExpiresAt,
@@ -131,7 +142,7 @@ async function trackViolationAndCheckBan(identifier, userId, requestId) {
                 }
 
                 if (isPermanent) {
-                    savePermanentBan(identifier, userId, violationCount, requestId).catch(() => { }); // Non-blocking
+                    savePermanentBan(identifier, userId, violationCount, requestId, cause).catch(() => { }); // Non-blocking
                 }
 
                 return {
@@ -190,7 +201,7 @@ async function trackViolationAndCheckBan(identifier, userId, requestId) {
         const banData = {
             banLevel,
             isPermanent,
-            reason: `Rate limit exceeded ${violationCount} times`,
+            reason: `${cause} ${violationCount} times`,
             violationCount,
             bannedAt: now,
             expiresAt,
@@ -220,7 +231,7 @@ async function trackViolationAndCheckBan(identifier, userId, requestId) {
         }
 
         if (isPermanent) {
-            savePermanentBan(identifier, userId, violationCount, requestId).catch(() => { }); // Non-blocking
+            savePermanentBan(identifier, userId, violationCount, requestId, cause).catch(() => { }); // Non-blocking
         }
 
         return {
@@ -237,7 +248,7 @@ async function trackViolationAndCheckBan(identifier, userId, requestId) {
     return { isBanned: false, violationCount };
 }
 
-async function savePermanentBan(identifier, userId, violationCount, requestId) {
+async function savePermanentBan(identifier, userId, violationCount, requestId, cause) {
     if (!userId) return;
 
     try {
@@ -245,7 +256,7 @@ async function savePermanentBan(identifier, userId, violationCount, requestId) {
             .from('permanent_bans')
             .upsert({
                 user_id: userId,
-                reason: `Rate limit exceeded ${violationCount} times`,
+                reason: `${cause} ${violationCount} times`,
                 total_violations: violationCount,
                 banned_at: new Date().toISOString()
             }, { onConflict: 'user_id' });
@@ -256,7 +267,7 @@ async function savePermanentBan(identifier, userId, violationCount, requestId) {
             if (redis) {
                 await redis.set(permBanKey, JSON.stringify({
                     level: 'PERMANENT',
-                    reason: `Rate limit exceeded ${violationCount} times`,
+                    reason: `${cause} ${violationCount} times`,
                     userId,
                     bannedAt: new Date().toISOString(),
                     violationCount
@@ -300,33 +311,41 @@ export async function unifiedRateLimitMiddleware(req, res, next) {
     try {
         const apiKey = req.headers['x-api-key'];
         const ip = req.ip || req.headers['cf-connecting-ip'] || 'unknown';
-        const identifier = apiKey || ip;
+        const identifier = apiKey || ip;     // what bans and violations are counted against
         const userId = req.userId || req.apiKeyData?.userId;
         const tier = req.apiKeyData?.profile?.subscription_tier?.toLowerCase() || 'free';
         const month = new Date().toISOString().substring(0, 7);
+        const limits = await getPlanLimits(tier, userId);
+        const cost = getRequestCost(req);   // batch endpoints are charged per item
 
-        // Get Durable Object for this identifier
-        // Each user gets their own DO instance — isolated, no conflicts
-        const doId = globalThis.RATE_LIMITER.idFromName(identifier);
+        res.setHeader('X-Request-Cost', cost);
+
+        // Get Durable Object for this user (req.rateLimitIdentifier, set by the auth
+        // middlewares). Keying by user keeps one writer per quota:{userId}:{month},
+        // even when upload-token requests arrive from many browser IPs
+        const doId = globalThis.RATE_LIMITER.idFromName(req.rateLimitIdentifier || identifier);
         const stub = globalThis.RATE_LIMITER.get(doId);
 
         const response = await stub.fetch('https://do/check', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ identifier, tier, userId, month })
+            body: JSON.stringify({ identifier, tier, userId, month, limits, cost })
         });
 
         const result = await response.json();
 
+        // RateLimit-* / Retry-After / X-Quota-Remaining, on rejections and successes alike
+        copyRateLimitHeaders(response.headers, res);
+
         if (!response.ok) {
-            // Pass quota/rate info to response headers
-            res.setHeader('X-RateLimit-Remaining', 0);
             return res.status(response.status).json(result);
         }
 
         // Attach quota info for controllers
         req.quotaChecked = { ...result.quota, allowed: true };
         req.userTier = tier;
+        req.planLimits = limits;     // includes feature flags (see hasPlanFeature)
+        req.requestCost = cost;
 
         const totalTime = Date.now() - startTime;
         logger.debug(`[${requestId}] OK (${totalTime}ms)`);
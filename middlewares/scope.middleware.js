@@ -0,0 +1,69 @@
+/**
+ * API Key Scope Middleware
+ *
+ * Rejects requests whose API key lacks the scope a route needs, or that
+ * target a provider / bucket outside the key's restrictions
+ * (see utils/api-key-scopes.js). Keys without scopes keep full access.
+ * On storage routes a restricted key is also refused when the provider or
+ * bucket can't be worked out from the request; routes that carry the
+ * upload:write scope without touching a bucket (validation, tracking) opt out.
+ *
+ * Placement in middleware chain — last before the controller, so presets and
+ * stored connections have already filled in the provider and bucket:
+ *   1. API key validator      ← Sets req.apiKeyData
+ *   2. Rate limiter
+ *   3. Signature validator
+ *   4. Preset / connection resolvers
+ *   5. Scope check (THIS)
+ *   6. Controller
+ */
+
+import { hasScope, checkKeyRestrictions, getRequestBucket, STORAGE_SCOPES } from '../utils/api-key-scopes.js';
+import { getRouteProvider } from './connection.middleware.js';
+
+/**
+ * Require one or more scopes
+ *
+ * @param {string|string[]|Function} required - Scope(s), or (req) => scope(s) for
+ *   routes whose requirement depends on the body
+ * @param {Object} [options]
+ * @param {boolean} [options.requireTarget] - Refuse restricted keys when no provider /
+ *   bucket is found (default: true for storage scopes)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.post('/s3/batch-delete', validateApiKey, ..., requireScope('files:delete'), batchDeleteS3Files);
+ * router.post('/validate', validateApiKey, ..., requireScope('upload:write', { requireTarget: false }), validateFile);
+ */
+export function requireScope(required, options = {}) {
+    return (req, res, next) => {
+        const resolved = typeof required === 'function' ? required(req) : required;
+        const scopes = Array.isArray(resolved) ? resolved : [resolved];
+
+        const missing = scopes.find(scope => !hasScope(req.apiKeyData, scope));
+        if (missing) {
+            return res.status(403).json({
+                success: false,
+                error: 'INSUFFICIENT_SCOPE',
+                message: `This API key is missing the "${missing}" scope`,
+                requiredScope: missing,
+                hint: `Add "${missing}" to the key's scopes, or use a key that has it`
+            });
+        }
+
+        const provider = getRouteProvider(req) || req.connectionProvider
+            || (typeof req.body?.provider === 'string' ? req.body.provider.toLowerCase() : null);
+
+        const restricted = checkKeyRestrictions(req.apiKeyData, {
+            provider,
+            bucket: getRequestBucket(req.body, provider)
+        }, { requireTarget: options.requireTarget ?? scopes.some(scope => STORAGE_SCOPES.includes(scope)) });
+        if (restricted) {
+            return res.status(403).json({ success: false, ...restricted });
+        }
+
+        return next();
+    };
+}
+
+export default requireScope;
@@ -7,9 +7,17 @@
  * This middleware:
  * 1. Extracts X-Signature and X-Timestamp headers
  * 2. Gets secret_hash from req.secretHash (set by apikey.middleware.optimized.js) — zero DB calls
- * 3. Validates provided secret matches stored hash (SHA-256 comparison)
- * 4. Validates HMAC-SHA256 signature
+ * 3. Validates provided secret matches stored hash (SHA-256 comparison) —
+ *    or the rotated-out hash while its grace window is open; which one matched
+ *    is left in req.secretMatch ('current' | 'previous') for routes that
+ *    must not accept a rotated-out secret
+ * 4. Validates HMAC-SHA256 signature — or, for keys with a registered Ed25519
+ *    public key, the Ed25519 signature (no secret sent or checked; sets
+ *    req.signingMethod = 'ed25519')
  * 5. Validates timestamp is recent (<5 min) — prevents replay attacks
+ * 6. Claims the X-Nonce in Redis for that window — rejects exact replays
+ *    inside it (requests without a nonce are still accepted from older SDKs
+ *    unless REQUIRE_SIGNATURE_NONCE=true)
  *
  * Placement in middleware chain:
  *   1. Behavioral throttle (Layer 4) ← First
@@ -18,19 +26,107 @@
  *   4. Upload handler                ← Handles request
  */
 
-import crypto from 'crypto';  // FIX #1: moved from bottom of file to top
-import { verifySignature, isTimestampValid } from '../utils/signature.utils.js';
+import {
+    verifySignature,
+    verifyEd25519Signature,
+    isTimestampValid,
+    isNonceFormatValid,
+    NONCE_TTL_SECONDS
+} from '../utils/signature.utils.js';
+import {
+    hashApiSecret,
+    matchSecretHash,
+    isPreviousSecretActive,
+    retirePreviousSecret
+} from '../utils/api-key-rotation.js';
+import { invalidateApiKeyCache } from './apikey.middleware.optimized.js';
 import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Current and rotated-out secret hashes for a key, straight from the DB
+ * @returns {Promise<Object|null>} api_keys secret columns, or null on error
+ */
+async function fetchKeySecrets(apiKeyId) {
+    const { data: keyData, error: dbError } = await supabaseAdmin
+        .from('api_keys')
+        .select('id, user_id, secret_hash, previous_secret_hash, previous_secret_expires_at, signing_public_key')
+        .eq('id', apiKeyId)
+        .single();
+
+    if (dbError || !keyData) {
+        logger.error('Failed to fetch secret_hash:', dbError?.message);
+        return null;
+    }
+
+    return keyData;
+}
+
+/**
+ * Record a nonce as used for the signature window
+ *
+ * @returns {Promise<boolean|null>} true if first use, false if seen before,
+ *   null if Redis is unavailable (caller fails open — the timestamp window still applies)
+ */
+async function claimNonce(apiKeyId, nonce) {
+    const redis = await getRedisAsync();
+    if (!redis) return null;
+
+    const key = `sig_nonce:${apiKeyId}:${nonce}`;
+    // ioredis takes positional SET options, @upstash/redis an options object
+    const result = typeof redis.status === 'string'
+        ? await redis.set(key, '1', 'EX', NONCE_TTL_SECONDS, 'NX')
+        : await redis.set(key, '1', { ex: NONCE_TTL_SECONDS, nx: true });
+
+    return result === 'OK';
+}
+
+/**
+ * Reject the request if its nonce was already used
+ * @returns {Promise<Object|null>} The sent response, or null to continue
+ */
+async function rejectReplayedNonce(res, apiKeyId, nonce, requestId) {
+    if (!nonce) return null;
+
+    const claimed = await claimNonce(apiKeyId, nonce).catch(error => {
+        logger.warn(`[${requestId}] Nonce check unavailable:`, error.message);
+        return null;
+    });
+
+    if (claimed !== false) return null;
+
+    logger.warn(`[${requestId}] Replayed nonce`);
+    return res.status(401).json({
+        success: false,
+        error: 'NONCE_REUSED',
+        message: 'This request has already been processed',
+        hint: 'Every signed request needs a new X-Nonce — do not resend captured or cached requests'
+    });
+}
+
+/**
+ * Ed25519 signature check that treats malformed keys / signatures as invalid
+ * @returns {boolean}
+ */
+function isEd25519SignatureValid(req, signature, publicKey, requestId) {
+    try {
+        return verifyEd25519Signature(req, signature, publicKey);
+    } catch (sigError) {
+        logger.warn(`[${requestId}] Ed25519 verification error:`, sigError.message);
+        return false;
+    }
+}
+
 /**
  * Signature Validation Middleware
  *
  * @middleware
  * @requires req.apiKeyId   - Set by apikey.middleware.optimized.js
  * @requires req.secretHash - Set by apikey.middleware.optimized.js (avoids DB call)
- * @requires X-Signature header - HMAC signature from SDK
+ * @requires X-Signature header - HMAC (or Ed25519) signature from SDK
  * @requires X-Timestamp header - Unix timestamp in milliseconds
+ * @optional X-Nonce header     - Single-use random value, included in the signature
  */
 export async function signatureValidator(req, res, next) {
     // FIX #2: one Date.now() call, two uses
@@ -89,6 +185,27 @@ export async function signatureValidator(req, res, next) {
             });
         }
 
+        const nonce = req.headers['x-nonce'];
+
+        if (nonce === undefined && process.env.REQUIRE_SIGNATURE_NONCE === 'true') {
+            logger.debug(`[${requestId}] Missing X-Nonce header`);
+            return res.status(401).json({
+                success: false,
+                error: 'MISSING_NONCE',
+                message: 'Request nonce required',
+                hint: 'Include a unique X-Nonce header in every signed request (update the SDK)'
+            });
+        }
+
+        if (nonce !== undefined && !isNonceFormatValid(nonce)) {
+            logger.debug(`[${requestId}] Invalid nonce format`);
+            return res.status(401).json({
+                success: false,
+                error: 'INVALID_NONCE',
+                message: 'X-Nonce must be 16-128 characters of A-Z, a-z, 0-9, "-" or "_"'
+            });
+        }
+
         // ── STEP 3: GET SECRET HASH ──────────────────────────────────────────
 
         const apiKeyId = req.apiKeyId;
@@ -103,41 +220,84 @@ export async function signatureValidator(req, res, next) {
         }
 
         // 🚀 req.secretHash is set by apikey.middleware.optimized.js — zero DB calls on this path
-        let secret_hash = req.secretHash;
+        let keySecrets = {
+            id: apiKeyId,
+            user_id: req.userId,
+            secret_hash: req.secretHash,
+            previous_secret_hash: req.apiKeyData?.previous_secret_hash,
+            previous_secret_expires_at: req.apiKeyData?.previous_secret_expires_at,
+            signing_public_key: req.apiKeyData?.signing_public_key
+        };
 
         // Fallback to DB only if not cached (edge case: very first request before cache warm-up)
-        if (!secret_hash) {
+        if (!keySecrets.secret_hash && !keySecrets.signing_public_key) {
             logger.debug(`[${requestId}] secret_hash not cached, falling back to DB`);
-            const { data: keyData, error: dbError } = await supabaseAdmin
-                .from('api_keys')
-                .select('secret_hash')
-                .eq('id', apiKeyId)
-                .single();
-
-            if (dbError || !keyData) {
-                logger.error(`[${requestId}] Failed to fetch secret_hash:`, dbError?.message);
+            keySecrets = await fetchKeySecrets(apiKeyId);
+
+            if (!keySecrets) {
                 return res.status(500).json({
                     success: false,
                     error: 'DATABASE_ERROR',
                     message: 'Failed to validate request signature'
                 });
             }
+        }
+
+        // ── STEP 4a: ED25519 KEYS ────────────────────────────────────────────
+        // A registered public key replaces the shared secret entirely — HMAC
+        // requests (and X-API-Secret) are not accepted for these keys
+
+        if (keySecrets.signing_public_key) {
+            let isValid = isEd25519SignatureValid(req, signature, keySecrets.signing_public_key, requestId);
+
+            // A cached key may predate a signing-key change made through another instance
+            if (!isValid && req.fromCache) {
+                const fresh = await fetchKeySecrets(apiKeyId);
+                if (fresh?.signing_public_key && fresh.signing_public_key !== keySecrets.signing_public_key) {
+                    isValid = isEd25519SignatureValid(req, signature, fresh.signing_public_key, requestId);
+                }
+            }
+
+            if (!isValid) {
+                logger.warn(`[${requestId}] Invalid Ed25519 signature`);
+                return res.status(401).json({
+                    success: false,
+                    error: 'INVALID_SIGNATURE',
+                    message: 'Request signature is invalid',
+                    hint: 'This API key signs with Ed25519: X-Signature must be the hex Ed25519 signature of method|path|timestamp|nonce|body'
+                });
+            }
 
-            secret_hash = keyData.secret_hash;
+            const replayed = await rejectReplayedNonce(res, apiKeyId, nonce, requestId);
+            if (replayed) return replayed;
+
+            req.signingMethod = 'ed25519';
+            logger.debug(`[${requestId}] Ed25519 signature validated in ${Date.now() - startTime}ms`);
+            return next();
         }
 
-        if (!secret_hash) {
+        if (!keySecrets.secret_hash) {
             // FIX #4: three debug calls collapsed into one
             logger.debug(`[${requestId}] Legacy key (no secret_hash) — bypassing in ${Date.now() - startTime}ms`);
             return next();
         }
 
-        // ── STEP 4: VERIFY SIGNATURE ─────────────────────────────────────────
+        // ── STEP 4b: VERIFY HMAC SIGNATURE ───────────────────────────────────
 
         // The SDK sends the raw sk_... secret in X-API-Secret.
         // We SHA-256 it and compare against the stored hash, then use it for HMAC.
         const providedSecret = req.headers['x-api-secret'];
 
+        if (!providedSecret && req.headers['x-signature-algorithm']?.toLowerCase() === 'ed25519') {
+            logger.debug(`[${requestId}] Ed25519 signature for a key without a signing key`);
+            return res.status(401).json({
+                success: false,
+                error: 'SIGNING_KEY_NOT_REGISTERED',
+                message: 'This API key has no Ed25519 public key registered',
+                hint: 'Register one with PUT /api/v1/apikeys/signing-key, or sign with the API secret'
+            });
+        }
+
         if (!providedSecret) {
             logger.debug(`[${requestId}] Missing X-API-Secret header`);
             return res.status(401).json({
@@ -148,13 +308,34 @@ export async function signatureValidator(req, res, next) {
             });
         }
 
-        // Compare provided secret against stored hash
-        const providedSecretHash = crypto
-            .createHash('sha256')
-            .update(providedSecret)
-            .digest('hex');
+        // Compare provided secret against the current hash, or the previous one during a rotation grace window
+        const providedSecretHash = hashApiSecret(providedSecret);
+        let secretMatch = matchSecretHash(providedSecretHash, keySecrets);
+
+        // A cached key may predate a rotation made through another instance — re-read before rejecting
+        if (secretMatch !== 'current' && secretMatch !== 'previous' && req.fromCache) {
+            const fresh = await fetchKeySecrets(apiKeyId);
+            if (fresh) {
+                keySecrets = fresh;
+                secretMatch = matchSecretHash(providedSecretHash, keySecrets);
+            }
+        }
+
+        if (keySecrets.previous_secret_hash && !isPreviousSecretActive(keySecrets)) {
+            retirePreviousSecret(keySecrets, () => invalidateApiKeyCache(req.headers['x-api-key']));
+        }
+
+        if (secretMatch === 'expired') {
+            logger.warn(`[${requestId}] Rotated-out secret used after grace period`);
+            return res.status(401).json({
+                success: false,
+                error: 'SECRET_ROTATED',
+                message: 'This API secret has been rotated and is no longer valid',
+                hint: 'Use the new secret issued by POST /api/v1/apikeys/rotate'
+            });
+        }
 
-        if (providedSecretHash !== secret_hash) {
+        if (!secretMatch) {
             logger.warn(`[${requestId}] Secret hash mismatch`);
             return res.status(401).json({
                 success: false,
@@ -164,6 +345,11 @@ export async function signatureValidator(req, res, next) {
             });
         }
 
+        if (secretMatch === 'previous') {
+            // Still accepted, but tell the caller to switch before the window closes
+            res.setHeader('X-API-Secret-Expires', keySecrets.previous_secret_expires_at);
+        }
+
         // FIX #5: const directly in the try — no redundant let outside
         try {
             const isValidSignature = verifySignature(req, signature, providedSecret);
@@ -174,7 +360,7 @@ export async function signatureValidator(req, res, next) {
                     success: false,
                     error: 'INVALID_SIGNATURE',
                     message: 'Request signature is invalid',
-                    hint: 'Signature must be HMAC-SHA256(method|path|timestamp|body, secret)'
+                    hint: 'Signature must be HMAC-SHA256(method|path|timestamp|nonce|body, secret)'
                 });
             }
         } catch (sigError) {
@@ -187,8 +373,18 @@ export async function signatureValidator(req, res, next) {
             });
         }
 
+        // ── STEP 5: REJECT REPLAYS ───────────────────────────────────────────
+        // Only after the signature checks out, so unsigned junk can't burn nonces
+
+        const replayed = await rejectReplayedNonce(res, apiKeyId, nonce, requestId);
+        if (replayed) return replayed;
+
         // ── SUCCESS ──────────────────────────────────────────────────────────
 
+        req.signingMethod = 'hmac';
+        req.secretMatch = secretMatch;
+        req.secretHash = keySecrets.secret_hash;   // may have been re-read above
+
         logger.debug(`[${requestId}] Signature validated in ${Date.now() - startTime}ms`);
         return next();
 
@@ -0,0 +1,210 @@
+/**
+ * Upload Token Middleware
+ *
+ * Lets a browser call the signed-url routes with a client upload token
+ * (`X-Upload-Token`, see utils/upload-tokens.js) instead of an API key and
+ * request signature. Requests without the header take the normal path.
+ *
+ * - apiKeyOrUploadToken    → verifies the token, or runs validateApiKey
+ * - signatureOrUploadToken → skips signing for token requests, or runs signatureValidator
+ * - enforceUploadToken     → pins the request to the token's constraints
+ *
+ * Placement in middleware chain:
+ *   1. apiKeyOrUploadToken       ← Sets req.userId / req.uploadToken
+ *   2. Rate limiter              ← Token uploads count against the owner's quota
+ *   3. signatureOrUploadToken
+ *   4. Preset resolver           ← Token's preset only
+ *   5. enforceUploadToken
+ *   6. Connection resolver       ← Token's connection supplies credentials
+ *   7. Controller
+ */
+
+import validateApiKey from './apikey.middleware.js';
+import { signatureValidator } from './signature-validator.middleware.js';
+import { getRouteProvider } from './connection.middleware.js';
+import { CONNECTION_PROVIDERS } from '../utils/provider-connections.js';
+import {
+    UPLOAD_TOKEN_HEADER,
+    verifyUploadToken,
+    isUploadTokenRevoked,
+    consumeUploadTokenUse,
+    isContentTypeAllowed,
+    getBucketField,
+    normalizeKeyPrefix,
+    KEY_PREFIX_PROVIDERS
+} from '../utils/upload-tokens.js';
+import logger from '../utils/logger.js';
+
+// Used when the token pins a keyPrefix but the request has no keyTemplate
+const DEFAULT_PREFIXED_TEMPLATE = '{timestamp}_{random}_{filename}{ext}';
+
+/**
+ * Authenticate with an upload token if one is sent, else with the API key
+ *
+ * @middleware
+ */
+export async function apiKeyOrUploadToken(req, res, next) {
+    const token = req.headers[UPLOAD_TOKEN_HEADER];
+
+    if (!token) {
+        return validateApiKey(req, res, next);
+    }
+
+    try {
+        if (req.headers['x-api-key']) {
+            return res.status(400).json({
+                success: false,
+                error: 'AMBIGUOUS_CREDENTIALS',
+                message: 'Send either X-API-Key or X-Upload-Token, not both'
+            });
+        }
+
+        const result = verifyUploadToken(token);
+        if (!result.valid) {
+            return res.status(401).json({ success: false, ...result });
+        }
+
+        const { claims } = result;
+
+        if (await isUploadTokenRevoked(claims.jti)) {
+            return res.status(401).json({
+                success: false,
+                error: 'TOKEN_REVOKED',
+                message: 'This upload token has been revoked',
+                hint: 'Ask your backend for a new upload token'
+            });
+        }
+
+        const routeProvider = getRouteProvider(req);
+        if (routeProvider !== claims.provider) {
+            return res.status(403).json({
+                success: false,
+                error: 'TOKEN_PROVIDER_MISMATCH',
+                message: `This upload token is for ${claims.provider} uploads`,
+                hint: `Use POST /api/v1/upload/${claims.provider}/signed-url`
+            });
+        }
+
+        // Only the token's preset applies, and client-supplied provider config and
+        // credentials are dropped so the token's connection decides where the file goes
+        req.body = req.body || {};
+        const definition = CONNECTION_PROVIDERS[claims.provider];
+        for (const field of [...Object.values(definition.secrets), ...Object.values(definition.config)]) {
+            delete req.body[field];
+        }
+        delete req.body.preset;
+        if (claims.preset) {
+            req.body.preset = claims.preset;
+        }
+
+        req.userId = claims.userId;
+        req.apiKeyId = claims.apiKeyId;
+        req.apiKeyData = {
+            id: claims.apiKeyId,
+            user_id: claims.userId,
+            scopes: ['upload:write'],
+            profile: { subscription_tier: claims.tier || 'free' }
+        };
+        req.rateLimitIdentifier = claims.userId;
+        req.uploadToken = claims;
+
+        return next();
+    } catch (error) {
+        logger.error('Upload token authentication error:', { message: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'TOKEN_VALIDATION_ERROR',
+            message: 'Upload token validation failed'
+        });
+    }
+}
+
+/**
+ * Token requests are authorized by the token itself, so there is no signature to check
+ *
+ * @middleware
+ */
+export function signatureOrUploadToken(req, res, next) {
+    if (req.uploadToken) {
+        return next();
+    }
+
+    return signatureValidator(req, res, next);
+}
+
+/**
+ * Apply the token's constraints to the request body and count the use
+ *
+ * @middleware
+ * @requires req.uploadToken - Set by apiKeyOrUploadToken (no-op without it)
+ */
+export async function enforceUploadToken(req, res, next) {
+    const claims = req.uploadToken;
+
+    if (!claims) {
+        return next();
+    }
+
+    try {
+        const body = req.body;
+        const reject = (status, error, message, hint) =>
+            res.status(status).json({ success: false, error, message, ...(hint && { hint }) });
+
+        if (claims.maxFileSize) {
+            const fileSize = Number(body.fileSize);
+            if (!(fileSize > 0)) {
+                return reject(400, 'MISSING_FILE_SIZE', 'This upload token limits file size, so fileSize is required');
+            }
+            if (fileSize > claims.maxFileSize) {
+                return reject(413, 'FILE_TOO_LARGE', `File exceeds this upload token's limit of ${claims.maxFileSize} bytes`);
+            }
+        }
+
+        if (claims.allowedTypes && !isContentTypeAllowed(body.contentType, claims.allowedTypes)) {
+            return reject(
+                415,
+                'CONTENT_TYPE_NOT_ALLOWED',
+                `Content type ${body.contentType || '(none)'} is not allowed by this upload token`,
+                `Allowed: ${claims.allowedTypes.join(', ')}`
+            );
+        }
+
+        body.provider = claims.provider;
+        body.connectionId = claims.connectionId;
+
+        const bucketField = getBucketField(claims.provider);
+        if (claims.bucket && bucketField) {
+            body[bucketField] = claims.bucket;
+        }
+
+        if (claims.keyPrefix) {
+            // Only key templates can pin the prefix; elsewhere the token can't be honoured
+            if (!KEY_PREFIX_PROVIDERS.includes(claims.provider)) {
+                return reject(403, 'KEY_PREFIX_NOT_SUPPORTED', `This upload token's keyPrefix cannot be enforced for ${claims.provider}`);
+            }
+
+            // Tokens minted before prefixes were normalised may lack the trailing "/"
+            const prefix = normalizeKeyPrefix(claims.keyPrefix);
+            const template = typeof body.keyTemplate === 'string' && body.keyTemplate
+                ? body.keyTemplate
+                : DEFAULT_PREFIXED_TEMPLATE;
+            body.keyTemplate = template.startsWith(prefix) ? template : `${prefix}${template}`;
+        }
+
+        const use = await consumeUploadTokenUse(claims);
+        if (!use.allowed) {
+            return use.unavailable
+                ? reject(503, 'TOKEN_USES_UNAVAILABLE', 'Upload token usage cannot be verified right now', 'Retry shortly')
+                : reject(403, 'TOKEN_USES_EXHAUSTED', `This upload token has been used ${claims.maxUses} time(s) already`);
+        }
+
+        return next();
+    } catch (error) {
+        logger.error('Upload token enforcement error:', { message: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'TOKEN_VALIDATION_ERROR',
+            message: 'Upload token validation failed'
+        });
+    }
+}
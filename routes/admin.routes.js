@@ -0,0 +1,36 @@
+/**
+ * Admin Routes
+ *
+ * - GET  /api/v1/admin/bans                            - Active bans
+ * - GET  /api/v1/admin/violations                      - Violation counts
+ * - POST /api/v1/admin/unban                           - Lift bans
+ * - POST /api/v1/admin/violations/reset                - Reset violation counts
+ * - GET  /api/v1/admin/users/:userId                   - User tier, quota and keys
+ * - POST /api/v1/admin/users/:userId/invalidate-cache  - Drop cached tier / key data
+ *
+ * Authenticated with an admin bearer token (ADMIN_API_TOKENS), never an API key.
+ */
+
+import express from 'express';
+import { requireAdmin } from '../middlewares/admin.middleware.js';
+import {
+    listBans,
+    listViolations,
+    unban,
+    resetViolations,
+    getUserOverview,
+    invalidateUserCache
+} from '../controllers/admin.controller.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/bans', listBans);
+router.get('/violations', listViolations);
+router.post('/unban', unban);
+router.post('/violations/reset', resetViolations);
+router.get('/users/:userId', getUserOverview);
+router.post('/users/:userId/invalidate-cache', invalidateUserCache);
+
+export default router;
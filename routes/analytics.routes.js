@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { trackUploadcareEvent } from '../controllers/providers/uploadcare/index.js';
 import apiKeyMiddleware from '../middlewares/apikey.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
 
 const analyticsRouter = Router();
 
@@ -10,6 +11,6 @@ analyticsRouter.use(apiKeyMiddleware);
 // Track upload events for dashboard analytics
 // POST /analytics/track (as per your plan.md)
 // Now uses Uploadcare's tracking since Vercel was removed
-analyticsRouter.post('/track', trackUploadcareEvent);
+analyticsRouter.post('/track', requireScope('upload:write'), trackUploadcareEvent);
 
 export default analyticsRouter;
@@ -1,6 +1,8 @@
 import { Router } from 'express';
-import { validateApiKey, validateApiKeyPost } from '../controllers/apikey.controller.js';
+import { validateApiKey, validateApiKeyPost, rotateApiKey, setSigningKey, removeSigningKey } from '../controllers/apikey.controller.js';
 import apiKeyMiddleware from '../middlewares/apikey.middleware.optimized.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
 
 const apiKeyRouter = Router();
 
@@ -12,4 +14,13 @@ apiKeyRouter.get('/validate', apiKeyMiddleware, validateApiKey);
 // Now uses Redis cache middleware for faster validation
 apiKeyRouter.post('/validate', apiKeyMiddleware, validateApiKeyPost);
 
+// Rotate the key's secret (signed with the current secret).
+// The old secret stays valid for gracePeriodSeconds, then is revoked automatically.
+apiKeyRouter.post('/rotate', apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, rotateApiKey);
+
+// Register / remove an Ed25519 public key for asymmetric request signing.
+// While one is registered, requests are verified against it instead of the sk_ secret.
+apiKeyRouter.put('/signing-key', apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, setSigningKey);
+apiKeyRouter.delete('/signing-key', apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, removeSigningKey);
+
 export default apiKeyRouter;
\ No newline at end of file
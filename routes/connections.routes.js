@@ -0,0 +1,67 @@
+/**
+ * Provider Connection Routes
+ *
+ * - GET    /api/v1/connections/providers - Fields accepted per provider
+ * - POST   /api/v1/connections           - Create connection
+ * - GET    /api/v1/connections           - List connections
+ * - GET    /api/v1/connections/:id       - Get connection (secrets masked)
+ * - PATCH  /api/v1/connections/:id       - Update connection
+ * - DELETE /api/v1/connections/:id       - Delete connection
+ */
+
+import express from 'express';
+import validateApiKey from '../middlewares/apikey.middleware.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
+import {
+    createConnection,
+    listConnections,
+    getConnectionById,
+    updateConnection,
+    deleteConnection,
+    getConnectionProviders
+} from '../controllers/connections.controller.js';
+
+const router = express.Router();
+
+// Connections hold provider secrets — every route is authenticated and signed
+router.use(validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('connections:manage'));
+
+/**
+ * GET /api/v1/connections/providers
+ * Fields accepted per provider
+ */
+router.get('/providers', getConnectionProviders);
+
+/**
+ * POST /api/v1/connections
+ * Store provider credentials (encrypted at rest)
+ */
+router.post('/', createConnection);
+
+/**
+ * GET /api/v1/connections
+ * List connections (optionally ?provider=s3)
+ */
+router.get('/', listConnections);
+
+/**
+ * GET /api/v1/connections/:id
+ * Get a connection — secrets are masked
+ */
+router.get('/:id', getConnectionById);
+
+/**
+ * PATCH /api/v1/connections/:id
+ * Update name, config, secrets or active flag
+ */
+router.patch('/:id', updateConnection);
+
+/**
+ * DELETE /api/v1/connections/:id
+ * Delete a connection
+ */
+router.delete('/:id', deleteConnection);
+
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * Files Routes (v2)
+ *
+ * Provider-agnostic file API — same routes and field names for every provider.
+ * Pick the provider with `provider` or a stored `connectionId`.
+ *
+ * - POST   /api/v2/uploads                   - Signed upload URL
+ * - GET    /api/v2/files                     - List files
+ * - GET    /api/v2/files/:key                - File metadata
+ * - DELETE /api/v2/files/:key                - Delete a file
+ * - POST   /api/v2/files/:key/download-url   - Signed download URL
+ */
+
+import express from 'express';
+import validateApiKey from '../middlewares/apikey.middleware.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
+import { queryToBody } from '../middlewares/query-body.middleware.js';
+import { resolveConnection } from '../middlewares/connection.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
+import { enforceByteQuota } from '../middlewares/byte-quota.middleware.js';
+import {
+    createUpload,
+    listFiles,
+    getFile,
+    deleteFile,
+    createDownloadUrl
+} from '../controllers/files.controller.js';
+
+const router = express.Router();
+
+router.use(validateApiKey, unifiedRateLimitMiddleware, signatureValidator, queryToBody, resolveConnection);
+
+/**
+ * POST /api/v2/uploads
+ * Signed upload URL for any provider
+ */
+router.post('/uploads', requireScope('upload:write'), enforceByteQuota, createUpload);
+
+/**
+ * GET /api/v2/files
+ * List files (?prefix=&limit=&cursor=)
+ */
+router.get('/files', requireScope('files:list'), listFiles);
+
+/**
+ * GET /api/v2/files/:key
+ * File metadata
+ */
+router.get('/files/:key', requireScope('files:read'), getFile);
+
+/**
+ * DELETE /api/v2/files/:key
+ * Delete a file
+ */
+router.delete('/files/:key', requireScope('files:delete'), deleteFile);
+
+/**
+ * POST /api/v2/files/:key/download-url
+ * Signed download URL
+ */
+router.post('/files/:key/download-url', requireScope('files:read'), createDownloadUrl);
+
+export default router;
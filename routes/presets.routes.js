@@ -0,0 +1,58 @@
+/**
+ * Upload Preset Routes
+ *
+ * - POST   /api/v1/presets         - Create preset
+ * - GET    /api/v1/presets         - List presets
+ * - GET    /api/v1/presets/:name   - Get preset
+ * - PATCH  /api/v1/presets/:name   - Update preset
+ * - DELETE /api/v1/presets/:name   - Delete preset
+ */
+
+import express from 'express';
+import validateApiKey from '../middlewares/apikey.middleware.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
+import {
+    createPreset,
+    listPresets,
+    getPreset,
+    updatePreset,
+    deletePreset
+} from '../controllers/presets.controller.js';
+
+const router = express.Router();
+
+router.use(validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('presets:manage'));
+
+/**
+ * POST /api/v1/presets
+ * Create an upload preset
+ */
+router.post('/', createPreset);
+
+/**
+ * GET /api/v1/presets
+ * List presets (optionally ?provider=s3)
+ */
+router.get('/', listPresets);
+
+/**
+ * GET /api/v1/presets/:name
+ * Get a preset
+ */
+router.get('/:name', getPreset);
+
+/**
+ * PATCH /api/v1/presets/:name
+ * Update a preset
+ */
+router.patch('/:name', updatePreset);
+
+/**
+ * DELETE /api/v1/presets/:name
+ * Delete a preset
+ */
+router.delete('/:name', deletePreset);
+
+export default router;
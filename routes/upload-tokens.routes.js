@@ -0,0 +1,31 @@
+/**
+ * Client Upload Token Routes
+ *
+ * - POST   /api/v1/upload-tokens       - Mint a browser upload token
+ * - DELETE /api/v1/upload-tokens/:id   - Revoke a token
+ */
+
+import express from 'express';
+import validateApiKey from '../middlewares/apikey.middleware.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
+import { createUploadToken, revokeUploadToken } from '../controllers/upload-tokens.controller.js';
+
+const router = express.Router();
+
+router.use(validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('upload:write'));
+
+/**
+ * POST /api/v1/upload-tokens
+ * Mint a short-lived, single-purpose upload token for a browser
+ */
+router.post('/', createUploadToken);
+
+/**
+ * DELETE /api/v1/upload-tokens/:id
+ * Revoke an upload token
+ */
+router.delete('/:id', revokeUploadToken);
+
+export default router;
@@ -4,6 +4,32 @@ import cors from 'cors';
 import validateApiKey from '../middlewares/apikey.middleware.js';
 import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
 
+// ✅ Stored provider connections: resolves connectionId → provider credentials
+import { resolveConnection } from '../middlewares/connection.middleware.js';
+
+// Upload presets: resolves preset name → provider config, validation, expiry, webhook
+import { resolvePreset } from '../middlewares/preset.middleware.js';
+
+// Client upload tokens: browsers call the signed-url routes with X-Upload-Token instead of an API key
+import {
+  apiKeyOrUploadToken,
+  signatureOrUploadToken,
+  enforceUploadToken
+} from '../middlewares/upload-token.middleware.js';
+
+// API key scopes: each route names the scope it needs (keys without scopes keep full access)
+import { requireScope } from '../middlewares/scope.middleware.js';
+
+// Upload signing routes are charged the declared fileSize against the monthly byte quota
+import { enforceByteQuota, enforceByteQuotaIfSized } from '../middlewares/byte-quota.middleware.js';
+import { R2_PERMISSION_SCOPES } from '../utils/api-key-scopes.js';
+
+// An R2 access token can only grant what the issuing key itself may do
+const r2TokenScopes = (req) => {
+  const permissions = Array.isArray(req.body?.permissions) ? req.body.permissions : ['read'];
+  return permissions.map(permission => R2_PERMISSION_SCOPES[permission]).filter(Boolean);
+};
+
 // ✅ UNIFIED RATE LIMITER (replaces 4 conflicting middlewares!)
 import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
 
@@ -18,6 +44,7 @@ const uploadCorsMiddleware = cors(createRouteCorsOptions(uploadApiConfig));
 import {
   uploadToSupabaseStorage,
   generateSupabaseSignedUrl,
+  generateSupabaseResumableUpload,
   deleteSupabaseFile,
   downloadSupabaseFile
 } from '../controllers/providers/supabase/index.js';
@@ -58,7 +85,11 @@ import {
   generateR2AccessToken,        // Phase 2A: JWT access tokens
   revokeR2AccessToken,          // Phase 2A: Token revocation
   generateR2BatchSignedUrls,    // Phase 2B: Batch signed URLs
-  batchDeleteR2Files            // Phase 2B: Batch delete
+  batchDeleteR2Files,           // Phase 2B: Batch delete
+  initiateR2MultipartUpload,    // Multipart: files >100MB
+  completeR2MultipartUpload,
+  abortR2MultipartUpload,
+  listR2MultipartParts
 } from '../controllers/providers/r2/index.js';
 
 // R2 token validation middleware
@@ -71,7 +102,8 @@ import { generateS3SignedUrl } from '../controllers/providers/s3/s3.signed-url.j
 import {
   initiateS3MultipartUpload,
   completeS3MultipartUpload,
-  abortS3MultipartUpload
+  abortS3MultipartUpload,
+  getS3MultipartStatus
 } from '../controllers/providers/s3/s3.multipart.js';
 
 // ✅ NEW: Import S3 Download controller
@@ -95,6 +127,33 @@ import { generateS3BatchSignedUrls } from '../controllers/providers/s3/s3.batch-
 // ✅ NEW: Import R2 CORS controllers (S3-compatible API)
 import { setupR2BucketCors, verifyR2BucketCors } from '../middlewares/cors.middleware.js';
 
+// ✅ NEW: Import all from modular GCS structure (pure crypto V4 signing)
+import {
+  generateGcsSignedUrl,
+  generateGcsDownloadUrl,
+  deleteGcsFile,
+  batchDeleteGcsFiles,
+  listGcsFiles,
+  getGcsMetadata,
+  setupGcsBucketCors,
+  verifyGcsBucketCors
+} from '../controllers/providers/gcs/index.js';
+
+// ✅ NEW: Import all from modular Azure structure (pure crypto service SAS)
+import {
+  generateAzureSignedUrl,
+  generateAzureDownloadUrl,
+  deleteAzureBlob,
+  batchDeleteAzureBlobs,
+  listAzureBlobs,
+  listAzureContainers,
+  initiateAzureBlockUpload,
+  completeAzureBlockUpload,
+  abortAzureBlockUpload,
+  setupAzureCors,
+  verifyAzureCors
+} from '../controllers/providers/azure/index.js';
+
 import {
   getUploadAnalytics,
   getDailyUsageAnalytics,
@@ -126,173 +185,256 @@ const upload = multer({
 // ===== SUPABASE PROVIDER ROUTES =====
 
 // Generate signed URL for Supabase Storage
-router.post('/supabase/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateSupabaseSignedUrl);
+router.post('/supabase/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, resolvePreset, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateSupabaseSignedUrl);
+
+// Resumable (TUS) upload: endpoint + token scoped to one bucket/path
+router.post('/supabase/resumable', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateSupabaseResumableUpload);
 
 // Direct upload to Supabase Storage
-router.post('/supabase/upload', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, uploadToSupabaseStorage);
+router.post('/supabase/upload', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), uploadToSupabaseStorage);
 
 // Cancel Supabase Storage uploads
-router.post('/supabase/cancel', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, cancelSupabaseUpload);
+router.post('/supabase/cancel', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), cancelSupabaseUpload);
 
 // Delete files from Supabase Storage
-router.post('/supabase/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, deleteSupabaseFile);
+router.post('/supabase/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteSupabaseFile);
 
 // List files in Supabase Storage
-router.post('/supabase/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, listSupabaseFiles);
+router.post('/supabase/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listSupabaseFiles);
 
 // Download files from Supabase Storage (public or private)
-router.post('/supabase/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, downloadSupabaseFile);
+router.post('/supabase/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), downloadSupabaseFile);
 
 // List available buckets in Supabase Storage
-router.post('/supabase/buckets', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, listSupabaseBuckets);
+router.post('/supabase/buckets', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listSupabaseBuckets);
 
 // Complete Supabase upload and update metrics
-router.post('/supabase/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, completeSupabaseUpload);
+router.post('/supabase/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), completeSupabaseUpload);
 
 // ===== UPLOADCARE PROVIDER ROUTES =====
 
 // Generate signed URL for Uploadcare (zero bandwidth cost)
-router.post('/uploadcare/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateUploadcareSignedUrl);
+router.post('/uploadcare/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateUploadcareSignedUrl);
 
 
 // Delete files from Uploadcare
-router.delete('/uploadcare/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, deleteUploadcareFile);
+router.delete('/uploadcare/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteUploadcareFile);
 
 // Download files from Uploadcare
-router.post('/uploadcare/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, downloadUploadcareFile);
+router.post('/uploadcare/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), downloadUploadcareFile);
 
 // List files from Uploadcare
-router.post('/uploadcare/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, listUploadcareFiles);
+router.post('/uploadcare/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listUploadcareFiles);
 
 // Uploadcare provider health check
 router.get('/uploadcare/health', uploadcareHealthCheck);
 
 // Uploadcare malware scanning routes
-router.post('/uploadcare/scan-malware', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, scanUploadcareFileForMalware);
-router.post('/uploadcare/scan-status', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, checkUploadcareMalwareScanStatus);
-router.post('/uploadcare/scan-results', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getUploadcareMalwareScanResults);
-router.post('/uploadcare/remove-infected', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, removeUploadcareInfectedFile);
+router.post('/uploadcare/scan-malware', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), scanUploadcareFileForMalware);
+router.post('/uploadcare/scan-status', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), checkUploadcareMalwareScanStatus);
+router.post('/uploadcare/scan-results', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), getUploadcareMalwareScanResults);
+router.post('/uploadcare/remove-infected', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), removeUploadcareInfectedFile);
 
 // Uploadcare validation routes
-router.post('/uploadcare/validate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, validateUploadcareFile);
-router.post('/uploadcare/project-settings', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getUploadcareProjectSettings);
-router.post('/uploadcare/validate-svg', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, validateUploadcareSvg);
+router.post('/uploadcare/validate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), validateUploadcareFile);
+router.post('/uploadcare/project-settings', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('buckets:configure'), getUploadcareProjectSettings);
+router.post('/uploadcare/validate-svg', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), validateUploadcareSvg);
 
 // ✅ NEW: Uploadcare tracking endpoint (uses Redis metrics - NO deprecated tables)
-router.post('/uploadcare/track', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, trackUploadcareEvent);
+router.post('/uploadcare/track', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write', { requireTarget: false }), trackUploadcareEvent);
 
 // ===== CLOUDFLARE R2 PROVIDER ROUTES =====
 
 // Generate presigned URL for R2 upload (pure crypto - 5-10ms!)
-router.post('/r2/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateR2SignedUrl);
+router.post('/r2/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, resolvePreset, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateR2SignedUrl);
 
 // Delete files from R2
-router.post('/r2/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, deleteR2File);
+router.post('/r2/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteR2File);
 
 // Get file info and download URL from R2
-router.post('/r2/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, downloadR2File);
+router.post('/r2/download', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), downloadR2File);
 
 // List files in R2 bucket
-router.post('/r2/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, listR2Files);
+router.post('/r2/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listR2Files);
 
 // ===== R2 ADVANCED FEATURES (Phase 2A) =====
 
 // Generate time-limited download URL (presigned with expiry)
-router.post('/r2/download-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateR2DownloadUrl);
+router.post('/r2/download-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), generateR2DownloadUrl);
 
 // Generate JWT access token for file / bucket access
-router.post('/r2/access-token', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateR2AccessToken);
+router.post('/r2/access-token', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope(r2TokenScopes), generateR2AccessToken);
 
 // Revoke JWT access token
-router.delete('/r2/access-token/revoke', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, revokeR2AccessToken);
+router.delete('/r2/access-token/revoke', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), revokeR2AccessToken);
 
 // ===== R2 BATCH OPERATIONS (Phase 2B) =====
 
 // Generate batch signed URLs (up to 100 files)
-router.post('/r2/batch/signed-urls', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateR2BatchSignedUrls);
+router.post('/r2/batch/signed-urls', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateR2BatchSignedUrls);
 
 // Batch delete files (up to 1000 files) - uses POST with JSON body
-router.post('/r2/batch/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, batchDeleteR2Files);
+router.post('/r2/batch/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), batchDeleteR2Files);
+
+// ===== R2 MULTIPART UPLOAD (files >100MB) =====
+
+// Initiate multipart upload (returns presigned URL per part)
+router.post('/r2/multipart/initiate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, initiateR2MultipartUpload);
+
+// Complete multipart upload with { partNumber, etag } list
+router.post('/r2/multipart/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), completeR2MultipartUpload);
+
+// Abort multipart upload (frees stored parts)
+router.post('/r2/multipart/abort', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), abortR2MultipartUpload);
+
+// List parts already uploaded
+router.post('/r2/multipart/list-parts', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), listR2MultipartParts);
 
 // ===== R2 CORS CONFIGURATION (S3-Compatible API) =====
 
 // Configure CORS on R2 bucket
-router.post('/r2/cors/setup', validateApiKey, unifiedRateLimitMiddleware, setupR2BucketCors);
+router.post('/r2/cors/setup', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), setupR2BucketCors);
 
 // Verify R2 bucket CORS configuration
-router.post('/r2/cors/verify', validateApiKey, unifiedRateLimitMiddleware, verifyR2BucketCors);
+router.post('/r2/cors/verify', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), verifyR2BucketCors);
 
 // ===== AWS S3 PROVIDER ROUTES (Phase 1: Enterprise Support) =====
 
 // ✅ NEW: S3 Bucket CORS Configuration (TIER 1 Feature #2 - Developer Pain Point!)
 // This is what developers are screaming for! Configures CORS on S3 buckets.
 // Eliminates the #1 frustration: CORS errors on direct uploads to S3.
-router.post('/s3/cors/setup', validateApiKey, unifiedRateLimitMiddleware, setupS3BucketCors);
+router.post('/s3/cors/setup', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), setupS3BucketCors);
 
 // Verify S3 bucket CORS configuration
-router.post('/s3/cors/verify', validateApiKey, unifiedRateLimitMiddleware, verifyS3BucketCors);
+router.post('/s3/cors/verify', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), verifyS3BucketCors);
 
 // Generate signed URL for S3 upload (multi-region + storage classes + SSE-S3)
-router.post('/s3/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateS3SignedUrl);
+router.post('/s3/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, resolvePreset, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateS3SignedUrl);
 
 // ===== AWS S3 BATCH OPERATIONS =====
 
 // Generate batch signed URLs (up to 100 files)
-router.post('/s3/batch-signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateS3BatchSignedUrls);
+router.post('/s3/batch-signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateS3BatchSignedUrls);
 
 // ===== AWS S3 MULTIPART ROUTES (Phase 2C: Large Files >100MB) =====
 
 // Initiate multipart upload (returns uploadId + part URLs)
-router.post('/s3/multipart/initiate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, initiateS3MultipartUpload);
+router.post('/s3/multipart/initiate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, initiateS3MultipartUpload);
 
 // Complete multipart upload (finalizes upload)
-router.post('/s3/multipart/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, completeS3MultipartUpload);
+router.post('/s3/multipart/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), completeS3MultipartUpload);
 
 // Abort multipart upload (cleanup)
-router.post('/s3/multipart/abort', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, abortS3MultipartUpload);
+router.post('/s3/multipart/abort', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), abortS3MultipartUpload);
+
+// Multipart upload status (parts already uploaded + fresh URLs for the rest, for resume)
+router.post('/s3/multipart/status', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuotaIfSized, getS3MultipartStatus);
 
 // ===== AWS S3 DOWNLOAD ROUTE =====
 
 // Generate presigned download URL
-router.post('/download/s3/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateS3DownloadUrl);
+router.post('/download/s3/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), generateS3DownloadUrl);
 
 // ===== AWS S3 DELETE ROUTES =====
 
 // Delete single file
-router.delete('/s3/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, deleteS3File);
+router.delete('/s3/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteS3File);
 
 // Batch delete (up to 1000 files)
-router.post('/s3/batch-delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, batchDeleteS3Files);
+router.post('/s3/batch-delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), batchDeleteS3Files);
 
 // ===== AWS S3 LIST ROUTE =====
 
 // List files with pagination
-router.post('/s3/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, listS3Files);
+router.post('/s3/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listS3Files);
 
 // ===== AWS S3 METADATA ROUTE =====
 
 // Get file metadata without downloading
-router.post('/s3/metadata', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getS3Metadata);
+router.post('/s3/metadata', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), getS3Metadata);
+
+// ===== GOOGLE CLOUD STORAGE PROVIDER ROUTES =====
+
+// Generate V4 signed URL for GCS upload (pure crypto - service account key)
+router.post('/gcs/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateGcsSignedUrl);
+
+// Generate time-limited download URL
+router.post('/gcs/download-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), generateGcsDownloadUrl);
+
+// Delete single file
+router.post('/gcs/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteGcsFile);
+
+// Batch delete (up to 100 files)
+router.post('/gcs/batch/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), batchDeleteGcsFiles);
+
+// List files with pagination
+router.post('/gcs/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listGcsFiles);
+
+// Get file metadata without downloading
+router.post('/gcs/metadata', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), getGcsMetadata);
+
+// Configure CORS on GCS bucket
+router.post('/gcs/cors/setup', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), setupGcsBucketCors);
+
+// Verify GCS bucket CORS configuration
+router.post('/gcs/cors/verify', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), verifyGcsBucketCors);
+
+// ===== AZURE BLOB STORAGE PROVIDER ROUTES =====
+
+// Generate SAS URL for Azure upload (pure crypto - storage account key)
+router.post('/azure/signed-url', apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, enforceUploadToken, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateAzureSignedUrl);
+
+// Generate time-limited read-only SAS URL
+router.post('/azure/download-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:read'), generateAzureDownloadUrl);
+
+// Delete single blob
+router.post('/azure/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), deleteAzureBlob);
+
+// Batch delete (up to 100 blobs)
+router.post('/azure/batch/delete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:delete'), batchDeleteAzureBlobs);
+
+// List blobs in a container with pagination
+router.post('/azure/list', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listAzureBlobs);
+
+// List containers in the storage account
+router.post('/azure/containers', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('files:list'), listAzureContainers);
+
+// ===== AZURE BLOCK BLOB STAGING ROUTES (large files) =====
+
+// Initiate block upload (for files >100MB)
+router.post('/azure/multipart/initiate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, initiateAzureBlockUpload);
+
+// Commit staged blocks (Put Block List)
+router.post('/azure/multipart/complete', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), completeAzureBlockUpload);
+
+// Abandon block upload
+router.post('/azure/multipart/abort', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), abortAzureBlockUpload);
+
+// Configure CORS on the storage account blob service
+router.post('/azure/cors/setup', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), setupAzureCors);
+
+// Verify storage account CORS configuration
+router.post('/azure/cors/verify', validateApiKey, unifiedRateLimitMiddleware, resolveConnection, requireScope('buckets:configure'), verifyAzureCors);
 
 // ===== LEGACY ROUTES (for backward compatibility) =====
 
 // Legacy signed URL endpoint (now defaults to Supabase)
-router.post('/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, generateSupabaseSignedUrl);
+router.post('/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, requireScope('upload:write'), enforceByteQuota, generateSupabaseSignedUrl);
 
 // Legacy upload endpoint (now defaults to Supabase)
-router.post('/upload', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, upload.single('file'), uploadToSupabaseStorage);
+router.post('/upload', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, upload.single('file'), requireScope('upload:write'), uploadToSupabaseStorage);
 
 // ===== FILE VALIDATION (Tier 1 Feature #1 - Security & DX Win!) =====
 // ✅ CRITICAL: Client reads first 8 bytes and sends to backend - files NEVER hit backend!
 
 // Validate single file metadata (with optional magic bytes from client)
-router.post('/validate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, validateFile);
+router.post('/validate', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('upload:write', { requireTarget: false }), validateFile);
 
 // Validate multiple files in batch (up to 50 files)
-router.post('/validate/batch', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, validateFilesBatch);
+router.post('/validate/batch', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('upload:write', { requireTarget: false }), validateFilesBatch);
 
 // Validate and get signed URL in one request (convenience endpoint)
-router.post('/validate/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, validateAndGenerateSignedUrl);
+router.post('/validate/signed-url', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, resolvePreset, resolveConnection, requireScope('upload:write'), enforceByteQuota, validateAndGenerateSignedUrl);
 
 // Get supported file types for validation
 router.get('/validate/supported-types', getSupportedTypes);
@@ -300,20 +442,20 @@ router.get('/validate/supported-types', getSupportedTypes);
 // ===== ANALYTICS & TRACKING =====
 
 // Track any upload event (uses Uploadcare's Redis-based tracking)
-router.post('/track', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, trackUploadcareEvent);
+router.post('/track', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('upload:write', { requireTarget: false }), trackUploadcareEvent);
 
 // Get comprehensive upload analytics with all filter support
-router.get('/analytics', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getUploadAnalytics);
+router.get('/analytics', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('analytics:read'), getUploadAnalytics);
 
 // Get daily usage analytics
-router.get('/analytics/daily', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getDailyUsageAnalytics);
+router.get('/analytics/daily', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('analytics:read'), getDailyUsageAnalytics);
 
 // Get provider usage analytics
-router.get('/analytics/providers', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, getProviderUsageAnalytics);
+router.get('/analytics/providers', validateApiKey, unifiedRateLimitMiddleware, signatureValidator, requireScope('analytics:read'), getProviderUsageAnalytics);
 
 
 // Legacy stats endpoint (for backward compatibility)
-router.get('/stats', validateApiKey, async (req, res) => {
+router.get('/stats', validateApiKey, requireScope('analytics:read'), async (req, res) => {
   try {
     // Redirect to new analytics endpoint
     res.json({
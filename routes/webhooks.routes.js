@@ -7,10 +7,22 @@
  * - POST /api/v1/webhooks/create - Create webhook config
  * - DELETE /api/v1/webhooks/:id - Delete webhook
  * - POST /api/v1/webhooks/:id/retry - Retry failed webhook
+ * - GET /api/v1/webhooks/:id/attempts - Delivery attempt log
+ * - POST /api/v1/webhooks/:id/replay - Deliver again (any status)
+ * - POST /api/v1/webhooks/dead-letters/replay - Bulk replay dead letters by time range / endpoint
+ * - GET /api/v1/webhooks/event-types - Event types endpoints can subscribe to
+ * - GET /api/v1/webhooks/event-types/:type/sample - Example payload for an event type
+ * - GET|POST /api/v1/webhooks/endpoints - List / create account webhook endpoints
+ * - GET|PATCH|DELETE /api/v1/webhooks/endpoints/:id - Manage an endpoint
+ * - POST /api/v1/webhooks/endpoints/:id/rotate-secret - Rotate an endpoint's signing secret
+ * - POST /api/v1/webhooks/endpoints/:id/test - Send a test event and return the receiver's response
  */
 
 import express from 'express';
 import validateApiKey from '../middlewares/apikey.middleware.js';
+import { unifiedRateLimitMiddleware } from '../middlewares/rate-limiter.middleware.js';
+import { signatureValidator } from '../middlewares/signature-validator.middleware.js';
+import { requireScope } from '../middlewares/scope.middleware.js';
 import {
     confirmUploadWebhook,
     getWebhookStatus,
@@ -19,46 +31,98 @@ import {
     deleteWebhook,
     retryWebhook
 } from '../controllers/webhooks/confirm.controller.js';
+import {
+    listEventTypes,
+    getEventTypeSample,
+    listEndpoints,
+    createEndpoint,
+    getEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    rotateEndpointSecret,
+    testEndpoint
+} from '../controllers/webhooks/endpoints.controller.js';
+import {
+    listDeliveryAttempts,
+    replayDelivery,
+    replayDeadLetters
+} from '../controllers/webhooks/deliveries.controller.js';
 
 const router = express.Router();
 
-// All webhook routes require API key authentication
-router.use(validateApiKey);
+// Same protection as the worker's secured() routes: authenticated, rate limited and signed
+router.use(validateApiKey, unifiedRateLimitMiddleware, signatureValidator);
 
 /**
  * POST /api/v1/webhooks/confirm
  * Client confirms upload completion, triggers webhook
  */
-router.post('/confirm', confirmUploadWebhook);
+router.post('/confirm', requireScope('upload:write', { requireTarget: false }), confirmUploadWebhook);
 
 /**
  * GET /api/v1/webhooks/status/:id
  * Check webhook delivery status
  */
-router.get('/status/:id', getWebhookStatus);
+router.get('/status/:id', requireScope('webhooks:manage'), getWebhookStatus);
 
 /**
  * GET /api/v1/webhooks/list
  * List user's webhooks with pagination
  */
-router.get('/list', listWebhooks);
+router.get('/list', requireScope('webhooks:manage'), listWebhooks);
 
 /**
  * POST /api/v1/webhooks/create
  * Create a webhook configuration (server-triggered mode)
  */
-router.post('/create', createWebhook);
+router.post('/create', requireScope('webhooks:manage'), createWebhook);
+
+/**
+ * POST /api/v1/webhooks/dead-letters/replay
+ * Bulk replay dead-lettered webhooks (registered before the /:id routes)
+ */
+router.post('/dead-letters/replay', requireScope('webhooks:manage'), replayDeadLetters);
 
 /**
  * DELETE /api/v1/webhooks/:id
  * Cancel/delete a webhook
  */
-router.delete('/:id', deleteWebhook);
+router.delete('/:id', requireScope('webhooks:manage'), deleteWebhook);
 
 /**
  * POST /api/v1/webhooks/:id/retry
  * Retry a failed webhook
  */
-router.post('/:id/retry', retryWebhook);
+router.post('/:id/retry', requireScope('webhooks:manage'), retryWebhook);
+
+/**
+ * GET /api/v1/webhooks/:id/attempts
+ * Delivery attempt log: headers, payload hash, response and latency
+ */
+router.get('/:id/attempts', requireScope('webhooks:manage'), listDeliveryAttempts);
+
+/**
+ * POST /api/v1/webhooks/:id/replay
+ * Deliver a webhook again, including completed ones
+ */
+router.post('/:id/replay', requireScope('webhooks:manage'), replayDelivery);
+
+/**
+ * GET /api/v1/webhooks/event-types
+ * Event types an endpoint can subscribe to
+ */
+router.get('/event-types', requireScope('webhooks:manage'), listEventTypes);
+router.get('/event-types/:type/sample', requireScope('webhooks:manage'), getEventTypeSample);
+
+/**
+ * Account webhook endpoints (receive subscribed events for every upload / key)
+ */
+router.get('/endpoints', requireScope('webhooks:manage'), listEndpoints);
+router.post('/endpoints', requireScope('webhooks:manage'), createEndpoint);
+router.get('/endpoints/:id', requireScope('webhooks:manage'), getEndpoint);
+router.patch('/endpoints/:id', requireScope('webhooks:manage'), updateEndpoint);
+router.delete('/endpoints/:id', requireScope('webhooks:manage'), deleteEndpoint);
+router.post('/endpoints/:id/rotate-secret', requireScope('webhooks:manage'), rotateEndpointSecret);
+router.post('/endpoints/:id/test', requireScope('webhooks:manage'), testEndpoint);
 
 export default router;
@@ -0,0 +1,233 @@
+/**
+ * Webhook Endpoint Health
+ *
+ * Circuit breaker — shared through Redis so every webhook-worker instance
+ * agrees. Scoped per account endpoint, or per host for per-upload webhooks:
+ *   webhook:circuit:failures:{scope}   Failures in the current window
+ *   webhook:circuit:open:{scope}       Present while deliveries are skipped
+ *
+ * Auto-disable — an account endpoint that has failed every delivery for
+ * WEBHOOK_DISABLE_AFTER_HOURS (and at least WEBHOOK_DISABLE_MIN_FAILURES
+ * times) is switched off and its owner emailed. A success ends the streak:
+ *   webhook:endpoint_failing_since:{endpointId}
+ *   webhook:endpoint_failures:{endpointId}
+ *
+ * Without Redis the breaker stays closed and nothing is disabled.
+ *
+ * webhook_endpoints columns:
+ *   disabled_at      timestamptz  When auto-disable switched the endpoint off
+ *   disabled_reason  text
+ */
+
+import { supabaseAdmin } from '../../config/supabase.js';
+import { getRedisAsync } from '../../config/redis.js';
+import { invalidateEndpointCache } from './events.js';
+import { logAudit } from '../../utils/audit-logger.js';
+import logger from '../../utils/logger.js';
+
+const CIRCUIT_BREAK_THRESHOLD = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_THRESHOLD || '5'); // Failures before breaking
+const CIRCUIT_BREAK_WINDOW = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_WINDOW || '60000'); // 1 minute window
+const CIRCUIT_BREAK_DURATION = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_DURATION || '300000'); // 5 minute break
+
+const DISABLE_AFTER_MS = parseFloat(process.env.WEBHOOK_DISABLE_AFTER_HOURS || '72') * 3600 * 1000;
+const DISABLE_MIN_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_MIN_FAILURES || '20');
+// Keep the streak a day past the disable window so it can be evaluated
+const STREAK_TTL = Math.ceil(DISABLE_AFTER_MS / 1000) + 86400;
+
+const CIRCUIT_FAILURES_PREFIX = 'webhook:circuit:failures:';
+const CIRCUIT_OPEN_PREFIX = 'webhook:circuit:open:';
+const FAILING_SINCE_PREFIX = 'webhook:endpoint_failing_since:';
+const FAILURES_PREFIX = 'webhook:endpoint_failures:';
+
+/**
+ * Circuit breaker scope for a delivery
+ * @param {Object} webhook - upload_webhooks row
+ * @returns {string|null} null when the URL can't be parsed
+ */
+export function getCircuitScope(webhook) {
+    if (webhook.endpoint_id) return `endpoint:${webhook.endpoint_id}`;
+    try {
+        return `host:${new URL(webhook.webhook_url).hostname}`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Is the circuit open (deliveries skipped) for a scope?
+ * @param {string} scope
+ * @returns {Promise<boolean>}
+ */
+export async function isCircuitOpen(scope) {
+    const redis = await getRedisAsync();
+    if (!redis || !scope) return false;
+    try {
+        return Boolean(await redis.exists(`${CIRCUIT_OPEN_PREFIX}${scope}`));
+    } catch (error) {
+        logger.warn('[Endpoint Health] Circuit check failed:', { message: error.message });
+        return false;
+    }
+}
+
+/**
+ * Count a failed delivery; opens the circuit at the threshold
+ * @param {string} scope
+ */
+export async function recordCircuitFailure(scope) {
+    const redis = await getRedisAsync();
+    if (!redis || !scope) return;
+    try {
+        const failuresKey = `${CIRCUIT_FAILURES_PREFIX}${scope}`;
+        const failures = await redis.incr(failuresKey);
+        if (failures === 1) {
+            await redis.pexpire(failuresKey, CIRCUIT_BREAK_WINDOW);
+        }
+
+        if (failures >= CIRCUIT_BREAK_THRESHOLD) {
+            await redis.setex(`${CIRCUIT_OPEN_PREFIX}${scope}`, Math.ceil(CIRCUIT_BREAK_DURATION / 1000), '1');
+            await redis.del(failuresKey);
+            logger.warn(`[Endpoint Health] Circuit opened for ${scope} after ${failures} failures`);
+        }
+    } catch (error) {
+        logger.warn('[Endpoint Health] Circuit failure record failed:', { message: error.message });
+    }
+}
+
+/**
+ * A delivery succeeded — reset the failure window
+ * @param {string} scope
+ */
+export async function recordCircuitSuccess(scope) {
+    const redis = await getRedisAsync();
+    if (!redis || !scope) return;
+    await redis.del(`${CIRCUIT_FAILURES_PREFIX}${scope}`)
+        .catch(error => logger.warn('[Endpoint Health] Circuit reset failed:', { message: error.message }));
+}
+
+/**
+ * End an endpoint's failure streak (after a success or when it is re-enabled)
+ * @param {string} endpointId
+ */
+export async function resetEndpointFailures(endpointId) {
+    const redis = await getRedisAsync();
+    if (!redis || !endpointId) return;
+    await redis.del(`${FAILING_SINCE_PREFIX}${endpointId}`, `${FAILURES_PREFIX}${endpointId}`)
+        .catch(error => logger.warn('[Endpoint Health] Failure streak reset failed:', { message: error.message }));
+}
+
+/**
+ * Count a failed delivery to an account endpoint and disable it once the
+ * failure has been sustained
+ *
+ * Never throws — the processor fires and forgets.
+ *
+ * @param {Object} endpoint - webhook_endpoints row (id, user_id, url, description)
+ * @param {string} lastError - Why the latest delivery failed
+ * @returns {Promise<boolean>} true if this call disabled the endpoint
+ */
+export async function trackEndpointFailure(endpoint, lastError) {
+    try {
+        const redis = await getRedisAsync();
+        if (!redis) return false;
+
+        const sinceKey = `${FAILING_SINCE_PREFIX}${endpoint.id}`;
+        const failuresKey = `${FAILURES_PREFIX}${endpoint.id}`;
+        const now = Date.now();
+
+        // NX keeps the start of the streak; ioredis and Upstash spell SET NX EX differently
+        const [failures] = await Promise.all([
+            redis.incr(failuresKey),
+            typeof redis.status === 'string'
+                ? redis.set(sinceKey, String(now), 'EX', STREAK_TTL, 'NX')
+                : redis.set(sinceKey, String(now), { ex: STREAK_TTL, nx: true }),
+            redis.expire(failuresKey, STREAK_TTL)
+        ]);
+
+        if (failures < DISABLE_MIN_FAILURES) return false;
+
+        const failingSince = Number(await redis.get(sinceKey)) || now;
+        if (now - failingSince < DISABLE_AFTER_MS) return false;
+
+        return await disableEndpoint(endpoint, {
+            failures,
+            failingSince: new Date(failingSince).toISOString(),
+            lastError
+        });
+    } catch (error) {
+        logger.error('[Endpoint Health] Failure tracking failed:', { message: error.message });
+        return false;
+    }
+}
+
+/**
+ * Switch an endpoint off and tell its owner
+ *
+ * @param {Object} endpoint - webhook_endpoints row
+ * @param {Object} streak - { failures, failingSince, lastError }
+ * @returns {Promise<boolean>} false if it was already disabled
+ */
+async function disableEndpoint(endpoint, streak) {
+    const disabledAt = new Date().toISOString();
+    const reason = `${streak.failures} consecutive failed deliveries since ${streak.failingSince}`;
+
+    // Only one worker wins the update, so the owner gets one email
+    const { data: disabled, error } = await supabaseAdmin
+        .from('webhook_endpoints')
+        .update({
+            is_active: false,
+            disabled_at: disabledAt,
+            disabled_reason: reason,
+            updated_at: disabledAt
+        })
+        .eq('id', endpoint.id)
+        .eq('is_active', true)
+        .select('id, user_id, url, description')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!disabled) return false;
+
+    logger.warn(`[Endpoint Health] Disabled webhook endpoint ${disabled.id}: ${reason}`);
+
+    await Promise.all([
+        invalidateEndpointCache(disabled.user_id),
+        resetEndpointFailures(disabled.id)
+    ]);
+
+    logAudit({
+        user_id: disabled.user_id,
+        resource_type: 'webhook_endpoint',
+        resource_id: disabled.id,
+        event_type: 'webhook_endpoint_auto_disabled',
+        event_category: 'warning',
+        description: `Webhook endpoint disabled: ${reason}`,
+        metadata: { url: disabled.url, ...streak }
+    }).catch(() => { });
+
+    notifyOwner(disabled, { ...streak, disabledAt });
+    return true;
+}
+
+/**
+ * Email the endpoint's owner (best effort)
+ * @param {Object} endpoint
+ * @param {Object} details - { failures, failingSince, lastError, disabledAt }
+ */
+async function notifyOwner(endpoint, details) {
+    try {
+        const { data: { user }, error } = await supabaseAdmin.auth.admin.getUserById(endpoint.user_id);
+        if (error) throw error;
+        if (!user?.email) return;
+
+        // Loaded on demand: the mailer is Node-only and this module also ships to Workers
+        const { sendWebhookDisabledEmail } = await import('../../utils/send-email.js');
+        await sendWebhookDisabledEmail({
+            to: user.email,
+            userName: user.user_metadata?.first_name || user.email,
+            endpoint,
+            ...details
+        });
+    } catch (error) {
+        logger.error('[Endpoint Health] Disable notification failed:', { message: error.message });
+    }
+}
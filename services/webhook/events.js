@@ -0,0 +1,214 @@
+/**
+ * Webhook Events
+ *
+ * Account-level webhook endpoints subscribe to event types. emitWebhookEvent()
+ * fans an event out to every matching endpoint as an upload_webhooks row with
+ * trigger_mode 'event' and queues it, so delivery, retries and dead-lettering
+ * run through the same processor as per-upload webhooks.
+ *
+ * webhook_endpoints:
+ *   id           uuid
+ *   user_id      uuid
+ *   url          text     Receiver URL (http/https)
+ *   description  text
+ *   secret       text     Per-endpoint signing secret
+ *   previous_secret             text         Rotated-out secret, still signing until...
+ *   previous_secret_expires_at  timestamptz  ...the end of the rotation overlap
+ *   secret_rotated_at           timestamptz
+ *   retry_policy jsonb    Per-endpoint retries (see retry-policy.js), null = defaults
+ *   events       text[]   Subscribed event types, or ['*'] for all
+ *   is_active    bool
+ *   created_at, updated_at
+ *
+ * upload_webhooks columns used by event deliveries:
+ *   endpoint_id  uuid     Endpoint the row was fanned out to
+ *   event_type   text     One of WEBHOOK_EVENT_TYPES
+ *   payload      jsonb    The event's data (becomes `data` in the delivered body)
+ *
+ * Active endpoints are cached per user in Redis for a minute; the endpoints
+ * controller drops the cache on every change.
+ *
+ * Deliveries are signed and retried with the endpoint's settings as they are
+ * when sent (loadDeliveryEndpoints), not the secret copied onto the row at
+ * fan-out, so a rotation or policy change also covers deliveries that are
+ * queued or waiting to retry.
+ */
+
+import { supabaseAdmin } from '../../config/supabase.js';
+import { getRedisAsync } from '../../config/redis.js';
+import { generateWebhookId } from '../../utils/webhook/signature.js';
+import { enqueueWebhook } from './queue-manager.js';
+import logger from '../../utils/logger.js';
+
+export const WEBHOOK_EVENT_TYPES = [
+    'upload.completed',         // Upload verified / confirmed, or multipart upload completed
+    'file.deleted',             // Single file deleted
+    'batch_delete.completed',   // Batch delete finished (lists deleted keys and failures)
+    'malware.detected',         // Malware scan reported an infected file
+    'quota.warning',            // Monthly request quota crossed 50%, 80% or 100%
+    'api_key.rotated'           // An API key's secret was rotated
+];
+
+export const ALL_EVENTS = '*';
+
+const ENDPOINTS_CACHE_PREFIX = 'webhook_endpoints:';
+const ENDPOINTS_CACHE_TTL = 60;
+const DEDUPE_PREFIX = 'webhook_event:';
+const DEDUPE_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Whether an endpoint subscribes to an event type
+ * @param {Object} endpoint - webhook_endpoints row
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+export function subscribesTo(endpoint, eventType) {
+    const events = endpoint.events || [];
+    return events.includes(ALL_EVENTS) || events.includes(eventType);
+}
+
+/**
+ * Secrets that sign an endpoint's deliveries, current first
+ * @param {Object} endpoint - { secret, previous_secret, previous_secret_expires_at }
+ * @returns {string[]}
+ */
+export function getSigningSecrets(endpoint) {
+    const secrets = [endpoint.secret];
+    if (endpoint.previous_secret
+        && new Date(endpoint.previous_secret_expires_at).getTime() > Date.now()) {
+        secrets.push(endpoint.previous_secret);
+    }
+    return secrets;
+}
+
+/**
+ * Current state of the endpoints behind a set of deliveries
+ * @param {Array<Object>} webhookRecords - upload_webhooks rows
+ * @returns {Promise<Map<string, Object>>} endpoint_id → webhook_endpoints row; deleted endpoints are absent
+ */
+export async function loadDeliveryEndpoints(webhookRecords) {
+    const endpointIds = [...new Set(webhookRecords.map(record => record.endpoint_id).filter(Boolean))];
+    if (endpointIds.length === 0) return new Map();
+
+    const { data: endpoints, error } = await supabaseAdmin
+        .from('webhook_endpoints')
+        .select('id, user_id, url, description, is_active, secret, previous_secret, previous_secret_expires_at, retry_policy')
+        .in('id', endpointIds);
+
+    if (error) throw error;
+    return new Map((endpoints || []).map(endpoint => [endpoint.id, endpoint]));
+}
+
+/**
+ * A user's active endpoints (cached)
+ * @param {string} userId
+ * @returns {Promise<Array>} webhook_endpoints rows
+ */
+async function getActiveEndpoints(userId) {
+    const redis = await getRedisAsync();
+    const cacheKey = `${ENDPOINTS_CACHE_PREFIX}${userId}`;
+
+    if (redis) {
+        try {
+            const cached = await redis.get(cacheKey);
+            if (cached) {
+                return typeof cached === 'string' ? JSON.parse(cached) : cached;
+            }
+        } catch (error) {
+            logger.warn('[Webhook Events] Endpoint cache read error:', { message: error.message });
+        }
+    }
+
+    const { data: endpoints, error } = await supabaseAdmin
+        .from('webhook_endpoints')
+        .select('id, url, secret, events')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    if (redis) {
+        redis.setex(cacheKey, ENDPOINTS_CACHE_TTL, JSON.stringify(endpoints || []))
+            .catch(err => logger.warn('[Webhook Events] Endpoint cache write error:', { message: err.message }));
+    }
+
+    return endpoints || [];
+}
+
+/**
+ * Drop a user's cached endpoints (call after creating, editing or deleting one)
+ * @param {string} userId
+ */
+export async function invalidateEndpointCache(userId) {
+    const redis = await getRedisAsync();
+    if (redis) {
+        await redis.del(`${ENDPOINTS_CACHE_PREFIX}${userId}`)
+            .catch(err => logger.warn('[Webhook Events] Endpoint cache invalidation failed:', { message: err.message }));
+    }
+}
+
+/**
+ * Set a once-only marker
+ * @param {string} key
+ * @returns {Promise<boolean>} false if the marker already existed
+ */
+async function claimEvent(key) {
+    const redis = await getRedisAsync();
+    if (!redis) return true;
+    // ioredis and Upstash spell SET NX EX differently
+    const claimed = typeof redis.status === 'string'
+        ? await redis.set(key, '1', 'EX', DEDUPE_TTL, 'NX')
+        : await redis.set(key, '1', { ex: DEDUPE_TTL, nx: true });
+    return Boolean(claimed);
+}
+
+/**
+ * Deliver an event to every endpoint of a user that subscribes to it
+ *
+ * Never throws — callers fire and forget, like the metrics and audit helpers.
+ *
+ * @param {string} userId - Account the event belongs to
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {Object} data - Event data; `provider`, `bucket` and `key` (or `file.key`)
+ *   are also copied onto the delivery row for listing and filtering
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] - Emit at most once per key (kept 7 days),
+ *   for callers that may run again for the same occurrence
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function emitWebhookEvent(userId, eventType, data = {}, { dedupeKey } = {}) {
+    if (!userId || !WEBHOOK_EVENT_TYPES.includes(eventType)) return 0;
+
+    try {
+        if (dedupeKey && !(await claimEvent(`${DEDUPE_PREFIX}${eventType}:${dedupeKey}`))) return 0;
+
+        const endpoints = (await getActiveEndpoints(userId)).filter(endpoint => subscribesTo(endpoint, eventType));
+        if (endpoints.length === 0) return 0;
+
+        const rows = endpoints.map(endpoint => ({
+            id: generateWebhookId(),
+            user_id: userId,
+            endpoint_id: endpoint.id,
+            event_type: eventType,
+            payload: data,
+            webhook_url: endpoint.url,
+            webhook_secret: endpoint.secret,
+            trigger_mode: 'event',
+            provider: data.provider || null,
+            bucket: data.bucket || null,
+            file_key: data.key || data.file?.key || null,
+            status: 'pending',
+            metadata: {}
+        }));
+
+        const { error } = await supabaseAdmin.from('upload_webhooks').insert(rows);
+        if (error) throw error;
+
+        const queued = await Promise.all(rows.map(row => enqueueWebhook(row.id, row, 0)));
+        logger.debug(`[Webhook Events] ${eventType} → ${rows.length} endpoint(s) for user ${userId}`);
+        return queued.filter(Boolean).length;
+    } catch (error) {
+        logger.error(`[Webhook Events] Failed to emit ${eventType}:`, { message: error.message });
+        return 0;
+    }
+}
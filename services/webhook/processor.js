@@ -2,31 +2,53 @@
  * Webhook Processor Service
  * 
  * - Deliver webhooks to target URLs
- * - Handle retries with exponential backoff
+ * - Handle retries per endpoint retry policy (retry-policy.js)
+ * - Skip endpoints whose shared circuit breaker is open (endpoint-health.js)
  * - Manage dead letter queue
  * - Track delivery metrics
+ * - Log every delivery attempt and replay deliveries on request
+ * - Send test pings to an endpoint
+ *
+ * webhook_delivery_attempts (one row per HTTP attempt, newest first in the API):
+ *   id               uuid
+ *   webhook_id       text     upload_webhooks.id
+ *   user_id          uuid
+ *   endpoint_id      uuid     Set for account endpoint deliveries
+ *   attempt_number   int      1-based within the current run (replays start over)
+ *   request_url      text
+ *   request_headers  jsonb    Headers as sent (the signature is a per-payload HMAC, not the secret)
+ *   payload_sha256   text     Hex digest of the exact body sent
+ *   response_status  int      null when no response arrived (timeout, DNS, circuit open, blocked host)
+ *   response_body    text     First 1000 characters
+ *   latency_ms       int
+ *   success          bool
+ *   error_message    text
+ *   attempted_at     timestamptz
+ *
+ * upload_webhooks.replayed_at (timestamptz) is set by replays and retries; the
+ * retry policy's max age counts from it when present.
  */
 
+import crypto from 'crypto';
 import { supabaseAdmin } from '../../config/supabase.js';
-import { generateWebhookSignature, buildWebhookPayload, constructPublicUrl } from '../../utils/webhook/signature.js';
+import { generateWebhookSignature, generateSignatureHeader, buildWebhookPayload, constructPublicUrl, SIGNATURE_HEADER } from '../../utils/webhook/signature.js';
+import { assertDeliverableUrl } from '../../utils/webhook/url-guard.js';
 import { verifyFile } from './verifier.js';
 import { enqueueWebhook, requeueWebhook } from './queue-manager.js';
+import { recordVerifiedBytes } from '../../utils/byte-quota.js';
+import { emitWebhookEvent, getSigningSecrets, loadDeliveryEndpoints } from './events.js';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, getRetryDelay, isPastMaxAge } from './retry-policy.js';
+import {
+    getCircuitScope,
+    isCircuitOpen,
+    recordCircuitFailure,
+    recordCircuitSuccess,
+    trackEndpointFailure,
+    resetEndpointFailures
+} from './endpoint-health.js';
 import logger from '../../utils/logger.js';
 
-// ✅ ADDED: Environment variable configuration
-const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '3');
-const RETRY_DELAYS = [
-    parseInt(process.env.WEBHOOK_RETRY_DELAY_1 || '1000'),
-    parseInt(process.env.WEBHOOK_RETRY_DELAY_2 || '5000'),
-    parseInt(process.env.WEBHOOK_RETRY_DELAY_3 || '30000')
-];
-const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT || '15000');
-
-// Circuit breaker state (in-memory, per-instance)
-const circuitBreaker = new Map(); // domain -> { lastFailure, failureCount }
-const CIRCUIT_BREAK_THRESHOLD = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_THRESHOLD || '5'); // Failures before breaking
-const CIRCUIT_BREAK_WINDOW = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_WINDOW || '60000'); // 1 minute window
-const CIRCUIT_BREAK_DURATION = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_DURATION || '300000'); // 5 minute break
+const RESPONSE_EXCERPT_LENGTH = 1000;
 
 /**
  * Process a single webhook
@@ -38,14 +60,28 @@ const CIRCUIT_BREAK_DURATION = parseInt(process.env.WEBHOOK_CIRCUIT_BREAK_DURATI
  * Internal worker — does all HTTP/Redis work and returns pending DB ops.
  * Does NOT write to the database. This lets processWebhookBatch collect
  * all pending writes and fire them concurrently at the end (Fix #1).
+ *
+ * @param {Object} webhookRecord - Webhook record from database
+ * @param {Map<string, Object>} [endpoints] - From loadDeliveryEndpoints(); rows without
+ *   an entry sign with their own webhook_secret and use the default retry policy
  */
-async function _processWebhookWork(webhookRecord) {
+async function _processWebhookWork(webhookRecord, endpoints = new Map()) {
     const { id, webhook_url, webhook_secret } = webhookRecord;
     const startTime = Date.now();
+    const attempt = {}; // Filled in by deliverWebhook
+    const endpoint = endpoints.get(webhookRecord.endpoint_id);
+    const policy = resolveRetryPolicy(endpoint?.retry_policy);
 
     logger.debug(`[Webhook Processor] Processing ${id}...`);
 
+    // Endpoint switched off (by its owner or auto-disable): park for replay
+    if (endpoint && !endpoint.is_active) {
+        return toDeadLetter(webhookRecord, webhookRecord.attempt_count, 'Webhook endpoint is disabled', 'endpoint_disabled');
+    }
+
     try {
+        let fileMetadata = {};
+
         // 1. Verify file exists (auto-trigger mode)
         if ((webhookRecord.status === 'pending' || webhookRecord.status === 'verifying')
             && webhookRecord.trigger_mode === 'auto') {
@@ -63,31 +99,51 @@ async function _processWebhookWork(webhookRecord) {
 
             // Intermediate metadata update stays in-place (non-status, happens before delivery)
             if (verifyResult.metadata) {
+                fileMetadata = verifyResult.metadata;
                 await updateWebhookRecord(id, {
                     etag: verifyResult.metadata.etag,
                     file_size: verifyResult.metadata.contentLength
                 });
+
+                // Bill the real size instead of the declared one (webhookRecord.file_size)
+                recordVerifiedBytes(webhookRecord, verifyResult.metadata.contentLength)
+                    .catch(err => logger.warn(`[Webhook Processor] Byte usage update failed for ${id}: ${err.message}`));
             }
         }
 
-        // 2. Build payload + signature
-        const payload = buildWebhookPayload(webhookRecord, {});
-        const signature = generateWebhookSignature(payload, webhook_secret);
+        // 2. Build payload, pick signing secrets
+        const payload = buildWebhookPayload(webhookRecord, fileMetadata);
+
+        // Account endpoints subscribed to upload.completed hear about the upload once,
+        // whether or not this upload's own webhook gets through (retries are deduped)
+        if (!webhookRecord.event_type) {
+            const { file, provider, bucket, metadata } = payload;
+            emitWebhookEvent(webhookRecord.user_id, 'upload.completed', { file, provider, bucket, metadata }, { dedupeKey: id });
+        }
+        const secrets = endpoint ? getSigningSecrets(endpoint) : [webhook_secret];
 
         // 3. Deliver (outgoing HTTP — the slow part)
-        const response = await deliverWebhook(webhook_url, payload, signature, id);
+        const response = await deliverWebhook(webhook_url, payload, secrets, id, attempt, {
+            timeoutMs: policy.timeoutSeconds * 1000,
+            circuitScope: getCircuitScope(webhookRecord)
+        });
+
+        if (endpoint) {
+            resetEndpointFailures(endpoint.id);
+        }
 
         logger.debug(`[Webhook Processor] Delivered ${id} in ${Date.now() - startTime}ms`);
 
         return {
             success: true,
+            pendingAttempt: toAttemptRecord(webhookRecord, attempt),
             pendingUpdate: {
                 id,
                 status: 'completed',
                 updates: {
                     attempt_count: webhookRecord.attempt_count + 1,
                     response_status: response.status,
-                    response_body: response.body.substring(0, 1000),
+                    response_body: response.body.substring(0, RESPONSE_EXCERPT_LENGTH),
                     completed_at: new Date().toISOString()
                 }
             }
@@ -97,176 +153,176 @@ async function _processWebhookWork(webhookRecord) {
         logger.error(`[Webhook Processor] Failed ${id}:`, { message: error.message });
 
         const attemptCount = webhookRecord.attempt_count + 1;
+        // Only log attempts that got as far as the wire (or were stopped by the breaker)
+        const pendingAttempt = attempt.requestHeaders ? toAttemptRecord(webhookRecord, attempt, error) : null;
 
-        if (attemptCount >= MAX_ATTEMPTS) {
-            return {
-                success: false,
-                reason: 'max_retries',
-                pendingDeadLetter: { webhook: webhookRecord, reason: error.message },
-                pendingUpdate: {
-                    id,
-                    status: 'dead_letter',
-                    updates: {
-                        attempt_count: attemptCount,
-                        error_message: error.message,
-                        failed_at: new Date().toISOString()
-                    }
-                }
-            };
-        } else {
-            const delay = RETRY_DELAYS[attemptCount - 1] + Math.random() * 1000;
-            await requeueWebhook(id, webhookRecord, delay); // Redis — fast, stays here
-            return {
-                success: false,
-                reason: 'retry_scheduled',
-                pendingUpdate: {
-                    id,
-                    status: 'pending',
-                    updates: {
-                        attempt_count: attemptCount,
-                        next_retry_at: new Date(Date.now() + delay).toISOString(),
-                        error_message: error.message
-                    }
-                }
-            };
+        // Sustained failures of requests that actually went out can disable the endpoint
+        if (endpoint && attempt.sent) {
+            trackEndpointFailure(endpoint, error.message);
         }
-    }
-}
-
-/**
- * Process a single webhook — public API, backward compatible.
- * Executes DB writes immediately. For batch processing use processWebhookBatch().
- */
-export async function processWebhook(webhookRecord) {
-    const result = await _processWebhookWork(webhookRecord);
-    if (result.pendingDeadLetter) {
-        await moveToDeadLetter(result.pendingDeadLetter.webhook, result.pendingDeadLetter.reason);
-    }
-    if (result.pendingUpdate) {
-        await updateWebhookStatus(result.pendingUpdate.id, result.pendingUpdate.status, result.pendingUpdate.updates);
-    }
-    return { success: result.success, reason: result.reason };
-}
 
-/**
- * Check if a domain is circuit broken
- * 
- * ✅ ADDED: Circuit breaker pattern to prevent hammering failing domains
- * 
- * @param {string} url - Webhook URL
- * @returns {boolean} true if circuit is open (blocked)
- */
-function isCircuitBroken(url) {
-    try {
-        const urlObj = new URL(url);
-        const domain = urlObj.hostname;
-        const state = circuitBreaker.get(domain);
+        if (attemptCount >= policy.maxAttempts) {
+            return toDeadLetter(webhookRecord, attemptCount, error.message, 'max_retries', pendingAttempt);
+        }
 
-        if (!state) return false;
+        const delay = getRetryDelay(policy, attemptCount) + Math.random() * 1000;
 
-        // Check if we're past the break window
-        if (Date.now() > state.breakUntil) {
-            // Reset failure count but keep monitoring
-            circuitBreaker.delete(domain);
-            return false;
+        if (isPastMaxAge(policy, webhookRecord, Date.now() + delay)) {
+            return toDeadLetter(
+                webhookRecord,
+                attemptCount,
+                `${error.message} (retries stopped: older than ${policy.maxAgeSeconds}s)`,
+                'max_age',
+                pendingAttempt
+            );
         }
 
-        return true;
-    } catch {
-        return false;
+        await requeueWebhook(id, webhookRecord, delay); // Redis — fast, stays here
+        return {
+            success: false,
+            reason: 'retry_scheduled',
+            pendingAttempt,
+            pendingUpdate: {
+                id,
+                status: 'pending',
+                updates: {
+                    attempt_count: attemptCount,
+                    next_retry_at: new Date(Date.now() + delay).toISOString(),
+                    error_message: error.message
+                }
+            }
+        };
     }
 }
 
 /**
- * Record a failure for circuit breaker
- * 
- * @param {string} url - Webhook URL
+ * Pending ops that dead-letter a webhook
+ *
+ * @param {Object} webhookRecord - Webhook record
+ * @param {number} attemptCount - Attempts made, including this one
+ * @param {string} errorMessage - Stored on the row and the dead letter
+ * @param {string} reason - Result reason ('max_retries', 'max_age', 'endpoint_disabled')
+ * @param {Object} [pendingAttempt] - Attempt log row, if a request was made
+ * @returns {Object} Work result
  */
-function recordFailure(url) {
-    try {
-        const urlObj = new URL(url);
-        const domain = urlObj.hostname;
-        const state = circuitBreaker.get(domain) || { failureCount: 0, breakUntil: 0 };
-
-        state.failureCount += 1;
-
-        // Open circuit if threshold exceeded
-        if (state.failureCount >= CIRCUIT_BREAK_THRESHOLD) {
-            state.breakUntil = Date.now() + CIRCUIT_BREAK_DURATION;
-            logger.warn(`[Webhook Processor] Circuit opened for ${domain} after ${state.failureCount} failures`);
+function toDeadLetter(webhookRecord, attemptCount, errorMessage, reason, pendingAttempt = null) {
+    return {
+        success: false,
+        reason,
+        pendingAttempt,
+        pendingDeadLetter: { webhook: webhookRecord, reason: errorMessage },
+        pendingUpdate: {
+            id: webhookRecord.id,
+            status: 'dead_letter',
+            updates: {
+                attempt_count: attemptCount,
+                error_message: errorMessage,
+                failed_at: new Date().toISOString()
+            }
         }
-
-        circuitBreaker.set(domain, state);
-    } catch {
-        // Ignore URL parsing errors
-    }
+    };
 }
 
 /**
- * Record a success - reset failure count
- * 
- * @param {string} url - Webhook URL
+ * Process a single webhook — public API, backward compatible.
+ * Executes DB writes immediately. For batch processing use processWebhookBatch().
  */
-function recordSuccess(url) {
-    try {
-        const urlObj = new URL(url);
-        const domain = urlObj.hostname;
-        circuitBreaker.delete(domain); // Reset on success
-    } catch {
-        // Ignore URL parsing errors
+export async function processWebhook(webhookRecord) {
+    const endpoints = await getDeliveryEndpoints([webhookRecord]);
+    const result = await _processWebhookWork(webhookRecord, endpoints);
+    if (result.pendingAttempt) {
+        await recordDeliveryAttempts([result.pendingAttempt]);
+    }
+    if (result.pendingDeadLetter) {
+        await moveToDeadLetter(result.pendingDeadLetter.webhook, result.pendingDeadLetter.reason);
     }
+    if (result.pendingUpdate) {
+        await updateWebhookStatus(result.pendingUpdate.id, result.pendingUpdate.status, result.pendingUpdate.updates);
+    }
+    return { success: result.success, reason: result.reason };
 }
 
 /**
  * Deliver webhook to target URL
+ *
+ * The URL is re-checked against url-guard.js first, and redirects are not
+ * followed: a 3xx counts as a failed delivery.
  * 
  * @param {string} url - Target webhook URL
  * @param {Object} payload - Webhook payload
- * @param {string} signature - HMAC signature
+ * @param {string[]} secrets - Signing secrets, current first (more than one while rotating)
  * @param {string} webhookId - Webhook ID
+ * @param {Object} [attempt] - Filled with what was sent and received, even when delivery throws
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (retry policy)
+ * @param {string} [options.circuitScope] - Circuit breaker scope; none → breaker not consulted
  * @returns {Promise<Object>} { status: number, body: string }
  */
-async function deliverWebhook(url, payload, signature, webhookId) {
-    // ✅ ADDED: Circuit breaker check
-    if (isCircuitBroken(url)) {
-        const urlObj = new URL(url);
-        throw new Error(`Circuit breaker open for ${urlObj.hostname}, skipping delivery`);
+async function deliverWebhook(url, payload, secrets, webhookId, attempt = {}, {
+    timeoutMs = DEFAULT_RETRY_POLICY.timeoutSeconds * 1000,
+    circuitScope = null
+} = {}) {
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Signature': generateWebhookSignature(payload, secrets[0]),
+        [SIGNATURE_HEADER]: generateSignatureHeader(payload, secrets),
+        'X-Webhook-ID': webhookId,
+        'X-Webhook-Event': payload.event,
+        'User-Agent': 'ObitoX-Webhooks/1.0'
+    };
+    attempt.requestHeaders = headers;
+    attempt.payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+    attempt.latencyMs = 0;
+
+    // Shared across workers, so one failing receiver isn't hammered by each of them
+    if (await isCircuitOpen(circuitScope)) {
+        throw new Error(`Circuit breaker open for ${circuitScope}, skipping delivery`);
     }
 
+    // Before anything is sent, so a blocked host never gets a request or a logged response
+    await assertDeliverableUrl(url);
+
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const sentAt = Date.now();
+    attempt.sent = true;
 
     try {
         const response = await fetch(url, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Webhook-Signature': signature,
-                'X-Webhook-ID': webhookId,
-                'X-Webhook-Event': 'upload.completed',
-                'User-Agent': 'ObitoX-Webhooks/1.0'
-            },
-            body: JSON.stringify(payload),
+            headers,
+            body,
+            redirect: 'manual',
             signal: controller.signal
         });
 
         clearTimeout(timeoutId);
 
-        const body = await response.text().catch(() => '');
+        const responseBody = await response.text().catch(() => '');
+        attempt.latencyMs = Date.now() - sentAt;
+        attempt.responseStatus = response.status;
+        attempt.responseBody = responseBody.substring(0, RESPONSE_EXCERPT_LENGTH);
+
+        if (response.status >= 300 && response.status < 400) {
+            throw new Error(`HTTP ${response.status}: redirects are not followed, point the webhook at the final URL`);
+        }
 
         if (!response.ok) {
-            recordFailure(url);
-            throw new Error(`HTTP ${response.status}: ${body.substring(0, 200)}`);
+            throw new Error(`HTTP ${response.status}: ${responseBody.substring(0, 200)}`);
         }
 
         // Record success for circuit breaker
-        recordSuccess(url);
+        recordCircuitSuccess(circuitScope);
 
-        return { status: response.status, body };
+        return { status: response.status, body: responseBody };
 
     } catch (error) {
         clearTimeout(timeoutId);
-        recordFailure(url);
+        recordCircuitFailure(circuitScope);
+        if (attempt.responseStatus === undefined) {
+            attempt.latencyMs = Date.now() - sentAt;
+        }
 
         if (error.name === 'AbortError') {
             throw new Error('Webhook timeout exceeded');
@@ -276,6 +332,47 @@ async function deliverWebhook(url, payload, signature, webhookId) {
     }
 }
 
+/**
+ * Send a test delivery to an account endpoint and report what happened
+ *
+ * Signed and sent exactly like a real delivery (same headers, secrets and
+ * timeout), but nothing is stored, retried or counted against the endpoint's
+ * health, and the circuit breaker is bypassed so a recovered receiver can be
+ * checked straight away.
+ *
+ * @param {Object} endpoint - webhook_endpoints row (id, url, secret, previous_secret*, retry_policy)
+ * @param {Object} payload - Body to send (see services/webhook/samples.js)
+ * @returns {Promise<Object>} { delivered, blocked, request: { url, headers }, response, error }
+ *   blocked: the URL failed the url-guard.js check, so nothing was sent
+ */
+export async function sendTestWebhook(endpoint, payload) {
+    const attempt = {};
+    const policy = resolveRetryPolicy(endpoint.retry_policy);
+    let error = null;
+    let blocked = false;
+
+    try {
+        await deliverWebhook(endpoint.url, payload, getSigningSecrets(endpoint), payload.webhookId, attempt, {
+            timeoutMs: policy.timeoutSeconds * 1000
+        });
+    } catch (err) {
+        error = err.message;
+        blocked = err.code === 'WEBHOOK_HOST_BLOCKED';
+    }
+
+    return {
+        delivered: !error,
+        blocked,
+        request: { url: endpoint.url, headers: attempt.requestHeaders, payloadSha256: attempt.payloadHash },
+        response: attempt.responseStatus === undefined ? null : {
+            status: attempt.responseStatus,
+            body: attempt.responseBody,
+            latencyMs: attempt.latencyMs
+        },
+        error
+    };
+}
+
 /**
  * Run async tasks with a max concurrency limit.
  * Processes items in chunks of `limit` — prevents connection pool exhaustion.
@@ -295,7 +392,7 @@ async function runWithConcurrency(items, limit, fn) {
                 results.push(r.value);
             } else {
                 // Treat unexpected throws as failed with no pending ops
-                results.push({ success: false, reason: 'error', pendingUpdate: null, pendingDeadLetter: null });
+                results.push({ success: false, reason: 'error', pendingUpdate: null, pendingDeadLetter: null, pendingAttempt: null });
             }
         }
     }
@@ -314,10 +411,15 @@ async function runWithConcurrency(items, limit, fn) {
  */
 export async function processWebhookBatch(webhookRecords) {
     // Phase 1: HTTP delivery + Redis ops — max 20 concurrent
-    const workResults = await runWithConcurrency(webhookRecords, 20, _processWebhookWork);
+    const endpoints = await getDeliveryEndpoints(webhookRecords);
+    const workResults = await runWithConcurrency(webhookRecords, 20, record => _processWebhookWork(record, endpoints));
 
     // Phase 2: Fire all DB writes concurrently (not one-by-one)
     const dbOps = [];
+    const attempts = workResults.map(result => result.pendingAttempt).filter(Boolean);
+    if (attempts.length > 0) {
+        dbOps.push(recordDeliveryAttempts(attempts));
+    }
     for (const result of workResults) {
         if (result.pendingDeadLetter) {
             dbOps.push(moveToDeadLetter(result.pendingDeadLetter.webhook, result.pendingDeadLetter.reason));
@@ -353,6 +455,64 @@ export async function processWebhookBatch(webhookRecords) {
     return { successful, failed, details };
 }
 
+/**
+ * Endpoints (secrets, retry policy, active flag) for a set of webhooks
+ *
+ * On a lookup failure deliveries fall back to the secret stored on the row
+ * and the default policy rather than not going out at all.
+ *
+ * @param {Array<Object>} webhookRecords
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getDeliveryEndpoints(webhookRecords) {
+    try {
+        return await loadDeliveryEndpoints(webhookRecords);
+    } catch (error) {
+        logger.error('[Webhook Processor] Endpoint lookup failed:', { message: error.message });
+        return new Map();
+    }
+}
+
+/**
+ * Build a webhook_delivery_attempts row
+ *
+ * @param {Object} webhook - Webhook record
+ * @param {Object} attempt - Filled in by deliverWebhook
+ * @param {Error} [error] - Why the attempt failed
+ * @returns {Object}
+ */
+function toAttemptRecord(webhook, attempt, error = null) {
+    return {
+        webhook_id: webhook.id,
+        user_id: webhook.user_id,
+        endpoint_id: webhook.endpoint_id || null,
+        attempt_number: (webhook.attempt_count || 0) + 1,
+        request_url: webhook.webhook_url,
+        request_headers: attempt.requestHeaders,
+        payload_sha256: attempt.payloadHash,
+        response_status: attempt.responseStatus ?? null,
+        response_body: attempt.responseBody ?? null,
+        latency_ms: attempt.latencyMs ?? null,
+        success: !error,
+        error_message: error ? error.message : null,
+        attempted_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Append delivery attempts to the log (one insert per batch)
+ *
+ * @param {Array<Object>} attempts - Rows from toAttemptRecord()
+ */
+async function recordDeliveryAttempts(attempts) {
+    try {
+        const { error } = await supabaseAdmin.from('webhook_delivery_attempts').insert(attempts);
+        if (error) throw error;
+    } catch (error) {
+        logger.error('[Webhook Processor] Attempt log insert failed:', { message: error.message });
+    }
+}
+
 /**
  * Move webhook to dead letter queue
  * 
@@ -417,65 +577,78 @@ async function updateWebhookRecord(id, data) {
     }
 }
 
+/**
+ * Send a webhook again from scratch
+ *
+ * Resets the attempt counter, clears any dead letter entries and queues it at
+ * high priority. Works for any status — including completed, for receivers
+ * that lost a delivery we logged as successful.
+ *
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} The reset webhook record, or null if it doesn't exist
+ */
+export async function replayWebhook(webhookId) {
+    const { data: webhook, error } = await supabaseAdmin
+        .from('upload_webhooks')
+        .update({
+            status: 'pending',
+            attempt_count: 0,
+            next_retry_at: null,
+            error_message: null,
+            replayed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', webhookId)
+        .select('*')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!webhook) return null;
+
+    await supabaseAdmin
+        .from('webhook_dead_letter')
+        .delete()
+        .eq('webhook_id', webhookId);
+
+    await enqueueWebhook(webhook.id, webhook, 1); // High priority
+    return webhook;
+}
+
 /**
  * Retry dead letter webhooks
- * 
+ *
+ * Without filters this is the worker's periodic sweep: dead letters whose
+ * retry_after has passed. With filters it is a customer-driven bulk replay of
+ * one user's dead-lettered webhooks, regardless of retry_after.
+ *
  * @param {number} limit - Maximum number to retry
+ * @param {Object} [filters]
+ * @param {string} [filters.userId] - Only this user's webhooks
+ * @param {string} [filters.endpointId] - Only deliveries to this account endpoint
+ * @param {string} [filters.from] - Failed at or after (ISO timestamp)
+ * @param {string} [filters.to] - Failed at or before (ISO timestamp)
  * @returns {Promise<number>} Number of webhooks retried
  */
-export async function retryDeadLetters(limit = 10) {
+export async function retryDeadLetters(limit = 10, filters = {}) {
     try {
-        // Get dead letters ready for retry
-        const { data: deadLetters } = await supabaseAdmin
-            .from('webhook_dead_letter')
-            .select('*')
-            .lt('retry_after', new Date().toISOString())
-            .eq('resolved', false)
-            .limit(limit)
-            .order('created_at', { ascending: true });
+        const webhookIds = filters.userId
+            ? await findDeadLetteredWebhooks(limit, filters)
+            : await findDueDeadLetters(limit);
 
-        if (!deadLetters || deadLetters.length === 0) {
+        if (webhookIds.length === 0) {
             return 0;
         }
 
-        logger.debug(`[Webhook Processor] Retrying ${deadLetters.length} dead letters`);
+        logger.debug(`[Webhook Processor] Retrying ${webhookIds.length} dead letters`);
 
         let retried = 0;
-        for (const dl of deadLetters) {
+        for (const webhookId of webhookIds) {
             try {
-                // Reset webhook status
-                await supabaseAdmin
-                    .from('upload_webhooks')
-                    .update({
-                        status: 'pending',
-                        attempt_count: 0,
-                        next_retry_at: null,
-                        error_message: null,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', dl.webhook_id);
-
-                // Delete from dead letter
-                await supabaseAdmin
-                    .from('webhook_dead_letter')
-                    .delete()
-                    .eq('id', dl.id);
-
-                // Get full webhook record
-                const { data: webhook } = await supabaseAdmin
-                    .from('upload_webhooks')
-                    .select('*')
-                    .eq('id', dl.webhook_id)
-                    .single();
-
-                if (webhook) {
-                    // Re-queue
-                    await enqueueWebhook(webhook.id, webhook, 1); // High priority
+                if (await replayWebhook(webhookId)) {
+                    retried++;
                 }
-
-                retried++;
             } catch (error) {
-                logger.error(`[Webhook Processor] Retry failed for ${dl.webhook_id}:`, { message: error.message });
+                logger.error(`[Webhook Processor] Retry failed for ${webhookId}:`, { message: error.message });
             }
         }
 
@@ -488,6 +661,51 @@ export async function retryDeadLetters(limit = 10) {
     }
 }
 
+/**
+ * Dead letters ready for the periodic retry
+ *
+ * @param {number} limit
+ * @returns {Promise<string[]>} Webhook IDs
+ */
+async function findDueDeadLetters(limit) {
+    const { data: deadLetters, error } = await supabaseAdmin
+        .from('webhook_dead_letter')
+        .select('webhook_id')
+        .lt('retry_after', new Date().toISOString())
+        .eq('resolved', false)
+        .limit(limit)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (deadLetters || []).map(dl => dl.webhook_id);
+}
+
+/**
+ * A user's dead-lettered webhooks, oldest failure first
+ *
+ * @param {number} limit
+ * @param {Object} filters - { userId, endpointId?, from?, to? }
+ * @returns {Promise<string[]>} Webhook IDs
+ */
+async function findDeadLetteredWebhooks(limit, { userId, endpointId, from, to }) {
+    let query = supabaseAdmin
+        .from('upload_webhooks')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('status', 'dead_letter');
+
+    if (endpointId) query = query.eq('endpoint_id', endpointId);
+    if (from) query = query.gte('failed_at', from);
+    if (to) query = query.lte('failed_at', to);
+
+    const { data: webhooks, error } = await query
+        .order('failed_at', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+    return (webhooks || []).map(webhook => webhook.id);
+}
+
 /**
  * Resolve dead letter manually
  * 
@@ -0,0 +1,139 @@
+/**
+ * Webhook Retry Policy
+ *
+ * Each account endpoint may override how its deliveries are retried
+ * (webhook_endpoints.retry_policy, jsonb). Fields left out fall back to the
+ * server defaults below; per-upload webhooks always use the defaults.
+ *
+ *   maxAttempts          Attempts before the delivery is dead-lettered (1-10)
+ *   backoff              'standard' | 'exponential' | 'linear' | 'fixed'
+ *   initialDelaySeconds  First retry delay for exponential / linear / fixed
+ *   maxDelaySeconds      Cap on any single retry delay
+ *   maxAgeSeconds        Stop retrying once the delivery is this old (null = no limit)
+ *   timeoutSeconds       Per-attempt HTTP timeout (1-30)
+ *
+ * 'standard' is the server schedule from WEBHOOK_RETRY_DELAY_1..3
+ * (1s, 5s, 30s by default; the last delay repeats).
+ */
+
+export const BACKOFF_CURVES = ['standard', 'exponential', 'linear', 'fixed'];
+
+const STANDARD_DELAYS = [
+    parseInt(process.env.WEBHOOK_RETRY_DELAY_1 || '1000'),
+    parseInt(process.env.WEBHOOK_RETRY_DELAY_2 || '5000'),
+    parseInt(process.env.WEBHOOK_RETRY_DELAY_3 || '30000')
+];
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '3'),
+    backoff: 'standard',
+    initialDelaySeconds: 1,
+    maxDelaySeconds: 3600,
+    maxAgeSeconds: 3 * 86400,
+    timeoutSeconds: parseInt(process.env.WEBHOOK_TIMEOUT || '15000') / 1000
+});
+
+// [min, max] for each numeric field
+const LIMITS = {
+    maxAttempts: [1, 10],
+    initialDelaySeconds: [1, 3600],
+    maxDelaySeconds: [1, 86400],
+    maxAgeSeconds: [60, 7 * 86400],
+    timeoutSeconds: [1, 30]
+};
+
+/**
+ * Validate a retry_policy from a request body
+ *
+ * @param {*} input - Partial policy object, or null to use the defaults
+ * @returns {{ policy: Object|null, error: string|null }} Only the fields that were sent
+ */
+export function validateRetryPolicy(input) {
+    if (input === null) return { policy: null, error: null };
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { policy: null, error: 'retry_policy must be an object or null' };
+    }
+
+    const policy = {};
+    for (const [field, value] of Object.entries(input)) {
+        if (field === 'backoff') {
+            if (!BACKOFF_CURVES.includes(value)) {
+                return { policy: null, error: `backoff must be one of: ${BACKOFF_CURVES.join(', ')}` };
+            }
+            policy.backoff = value;
+        } else if (LIMITS[field]) {
+            const [min, max] = LIMITS[field];
+            if (field === 'maxAgeSeconds' && value === null) {
+                policy.maxAgeSeconds = null;
+                continue;
+            }
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return { policy: null, error: `${field} must be an integer between ${min} and ${max}` };
+            }
+            policy[field] = value;
+        } else {
+            return { policy: null, error: `Unknown retry_policy field "${field}"` };
+        }
+    }
+
+    const merged = resolveRetryPolicy(policy);
+    if (merged.backoff !== 'standard' && merged.maxDelaySeconds < merged.initialDelaySeconds) {
+        return { policy: null, error: 'maxDelaySeconds must be at least initialDelaySeconds' };
+    }
+
+    return { policy, error: null };
+}
+
+/**
+ * Fill in defaults for a stored policy
+ * @param {Object|null} [stored] - webhook_endpoints.retry_policy
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(stored) {
+    return { ...DEFAULT_RETRY_POLICY, ...(stored || {}) };
+}
+
+/**
+ * Delay before the next attempt (without jitter)
+ *
+ * @param {Object} policy - Resolved policy
+ * @param {number} failedAttempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(policy, failedAttempts) {
+    const initial = policy.initialDelaySeconds * 1000;
+    let delay;
+
+    switch (policy.backoff) {
+        case 'exponential':
+            delay = initial * 2 ** (failedAttempts - 1);
+            break;
+        case 'linear':
+            delay = initial * failedAttempts;
+            break;
+        case 'fixed':
+            delay = initial;
+            break;
+        default:
+            delay = STANDARD_DELAYS[Math.min(failedAttempts, STANDARD_DELAYS.length) - 1];
+    }
+
+    return Math.min(delay, policy.maxDelaySeconds * 1000);
+}
+
+/**
+ * Has a delivery run out of time to keep retrying?
+ *
+ * Age counts from the last replay, so replaying an old delivery gets a full run.
+ *
+ * @param {Object} policy - Resolved policy
+ * @param {Object} webhook - upload_webhooks row (created_at, replayed_at)
+ * @param {number} [nextAttemptAt] - When the next attempt would run (ms)
+ * @returns {boolean}
+ */
+export function isPastMaxAge(policy, webhook, nextAttemptAt = Date.now()) {
+    const startedAt = webhook.replayed_at || webhook.created_at;
+    if (!policy.maxAgeSeconds || !startedAt) return false;
+    return nextAttemptAt - new Date(startedAt).getTime() > policy.maxAgeSeconds * 1000;
+}
@@ -0,0 +1,117 @@
+/**
+ * Webhook Sample Payloads
+ *
+ * Example event data for every type in WEBHOOK_EVENT_TYPES, shaped like what
+ * the emitters send and like the WebhookEventDataMap types in the SDK
+ * (src/utils/webhook-verifier.ts) — keep the three in step. Used for the
+ * event-type sample endpoint and for endpoint test pings.
+ */
+
+import { buildWebhookPayload, generateWebhookId } from '../../utils/webhook/signature.js';
+
+const SAMPLE_FILE_KEY = 'uploads/1767225600000_a1b2c3d4_avatar.png';
+const SAMPLE_ENDPOINT_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+const SAMPLE_DATA = {
+    'upload.completed': () => ({
+        file: {
+            url: `https://my-bucket.s3.amazonaws.com/${encodeURIComponent(SAMPLE_FILE_KEY)}`,
+            filename: 'avatar.png',
+            key: SAMPLE_FILE_KEY,
+            size: 48213,
+            contentType: 'image/png',
+            etag: '9b2cf535f27731c974343645a3985328',
+            lastModified: new Date().toISOString()
+        },
+        provider: 'S3',
+        bucket: 'my-bucket',
+        metadata: { userId: 'user_123' }
+    }),
+    'file.deleted': () => ({
+        provider: 's3',
+        bucket: 'my-bucket',
+        key: SAMPLE_FILE_KEY,
+        versionId: null
+    }),
+    'batch_delete.completed': () => ({
+        provider: 's3',
+        bucket: 'my-bucket',
+        deleted: [SAMPLE_FILE_KEY, 'uploads/1767225600000_e5f6a7b8_cover.jpg'],
+        failed: [{ key: 'uploads/missing.pdf', code: 'AccessDenied', message: 'Access Denied' }],
+        total: 3
+    }),
+    'malware.detected': () => ({
+        provider: 'uploadcare',
+        key: '3c269810-c17b-4e2c-92b6-25622464d866',
+        virusName: 'Eicar-Test-Signature',
+        scannedAt: new Date().toISOString(),
+        file: { filename: 'invoice.pdf', size: 68, mimeType: 'application/pdf' }
+    }),
+    'quota.warning': () => {
+        const now = new Date();
+        return {
+            threshold: 80,
+            current: 800,
+            limit: 1000,
+            percentage: 80,
+            tier: 'free',
+            resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+        };
+    },
+    'api_key.rotated': () => ({
+        apiKeyId: '6f1d2c3b-4a5e-4f60-8a7b-9c0d1e2f3a4b',
+        rotatedAt: new Date().toISOString(),
+        previousSecretExpiresAt: new Date(Date.now() + 86400 * 1000).toISOString()
+    })
+};
+
+/**
+ * Example `data` for an event type
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @returns {Object|null} null for unknown types
+ */
+export function buildSampleEventData(eventType) {
+    return SAMPLE_DATA[eventType]?.() ?? null;
+}
+
+/**
+ * Example delivered bodies for an event type
+ *
+ * `payload` is what account endpoints receive. upload.completed also comes
+ * with `uploadWebhookPayload`, the flat body per-upload webhooks receive.
+ *
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {Object} [options]
+ * @param {string} [options.endpointId] - Endpoint the sample is addressed to (defaults to a placeholder)
+ * @param {string} [options.webhookId] - Defaults to a new ID
+ * @returns {Object|null} { payload, uploadWebhookPayload? }, null for unknown types
+ */
+export function buildSamplePayloads(eventType, { endpointId = SAMPLE_ENDPOINT_ID, webhookId = generateWebhookId() } = {}) {
+    const data = buildSampleEventData(eventType);
+    if (!data) return null;
+
+    const payload = buildWebhookPayload({
+        id: webhookId,
+        endpoint_id: endpointId,
+        event_type: eventType,
+        payload: data
+    });
+
+    if (eventType !== 'upload.completed') return { payload };
+
+    const { file } = data;
+    return {
+        payload,
+        uploadWebhookPayload: buildWebhookPayload({
+            id: webhookId,
+            provider: data.provider,
+            bucket: data.bucket,
+            file_key: file.key,
+            filename: file.filename,
+            file_size: file.size,
+            content_type: file.contentType,
+            etag: file.etag,
+            metadata: data.metadata
+        }, { lastModified: file.lastModified })
+    };
+}
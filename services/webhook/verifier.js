@@ -101,6 +101,18 @@ export async function verifyFile(webhook) {
                     }
                 };
             }
+        } else if (provider === 'GCS' || provider === 'AZURE') {
+            // GCS / Azure webhooks don't store account keys, so there is nothing to sign a HEAD with
+            logger.info(`[Webhook Verifier] ⚠️ Skipping verification - no ${provider} credentials stored for ${webhook.id}`);
+            return {
+                exists: true,
+                metadata: {
+                    contentLength: webhook.file_size || 0,
+                    contentType: webhook.content_type,
+                    skippedVerification: true,
+                    reason: 'no_credentials_stored'
+                }
+            };
         } else if (provider === 'SUPABASE') {
             // ✅ Supabase uses its own Storage API - skip S3-style verification
             // For Supabase, we trust that the file was uploaded since we got a success response
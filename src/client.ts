@@ -2,7 +2,7 @@
  * ObitoX SDK - Main Client
  * 
  * Unified SDK for managing file uploads across multiple storage providers.
- * Supports S3, Cloudflare R2, Supabase Storage, and Uploadcare CDN.
+ * Supports S3, Cloudflare R2, Google Cloud Storage, Azure Blob Storage, Supabase Storage, and Uploadcare CDN.
  * 
  * @module client
  * 
@@ -39,6 +39,12 @@ import type {
 import type {
   S3Config,
 } from './types/s3.types.js';
+import type {
+  GcsConfig,
+} from './types/gcs.types.js';
+import type {
+  AzureConfig,
+} from './types/azure.types.js';
 import type {
   SupabaseConfig,
 } from './types/supabase.types.js';
@@ -52,6 +58,12 @@ import { SupabaseProvider } from './providers/supabase/index.js';
 import { UploadcareProvider } from './providers/uploadcare/index.js';
 import { R2Provider } from './providers/r2/index.js';
 import { S3Provider } from './providers/s3/index.js';
+import { GcsProvider } from './providers/gcs/index.js';
+import { AzureProvider } from './providers/azure/index.js';
+
+// Request signing (HMAC + replay nonce)
+import { createSignatureHeaders, createEd25519Signer, type RequestCredential } from './utils/signature.js';
+import { getRateLimitTracker, type RateLimitTracker, type RateLimitStatus } from './utils/rate-limit.js';
 
 // Import types for responses
 import type {
@@ -61,6 +73,10 @@ import type {
   AnalyticsResponse,
   ValidateApiKeyResponse,
   DownloadResponse,
+  CreateUploadTokenOptions,
+  UploadTokenResponse,
+  RotateApiSecretResponse,
+  SigningKeyResponse,
 } from './types/common.js';
 
 // Import S3 CORS types from S3 types module
@@ -105,10 +121,10 @@ export class ObitoX {
   private readonly apiKey: string;
 
   /**
-   * ObitoX API secret for request signing (secret key: sk_...)
+   * ObitoX API secret (sk_...) or Ed25519 signer for request signing
    * Required for Layer 2 security - request signatures
    */
-  private readonly apiSecret?: string;
+  private readonly apiSecret?: RequestCredential;
 
   /**
    * Base URL for ObitoX API
@@ -120,12 +136,19 @@ export class ObitoX {
    */
   private readonly providers: ProviderRegistry;
 
+  /**
+   * Rate limit backoff (shared with this key's providers)
+   */
+  private readonly rateLimiter: RateLimitTracker;
+
   /**
    * Create a new ObitoX client
    * 
    * @param config - Configuration object
    * @param config.apiKey - Your ObitoX API key
+   * @param config.signingKey - Optional Ed25519 private key (replaces apiSecret for signing)
    * @param config.baseUrl - Optional custom API base URL
+   * @param config.rateLimit - Optional backoff settings for rate limited requests
    */
   constructor(config: ObitoXConfig) {
     if (!config.apiKey || config.apiKey.trim() === '') {
@@ -133,8 +156,10 @@ export class ObitoX {
     }
 
     this.apiKey = config.apiKey;
-    this.apiSecret = config.apiSecret; // Optional for now (backwards compatibility)
+    // A registered Ed25519 key takes over signing; apiSecret is optional for now (backwards compatibility)
+    this.apiSecret = config.signingKey ? createEd25519Signer(config.signingKey) : config.apiSecret;
     this.baseUrl = config.baseUrl || 'https://api.obitox.dev';
+    this.rateLimiter = getRateLimitTracker(this.apiKey, this.baseUrl, config.rateLimit);
 
     // Initialize provider registry with apiSecret for Layer 2 security
     this.providers = new ProviderRegistry(this.apiKey, this.baseUrl, this.apiSecret);
@@ -199,6 +224,47 @@ export class ObitoX {
     return new S3Provider(this.apiKey, this.baseUrl, this.apiSecret, config);
   }
 
+  /**
+   * Create a Google Cloud Storage provider instance with stored credentials
+   * 
+   * @param config - GCS configuration with service account credentials
+   * @returns GcsProvider instance
+   * 
+   * @example
+   * ```typescript
+   * const gcs = client.gcs({
+   *   serviceAccount: JSON.parse(process.env.GCS_SERVICE_ACCOUNT_JSON),
+   *   bucket: 'my-uploads'
+   * });
+   * 
+   * await gcs.upload(file);
+   * ```
+   */
+  gcs(config: GcsConfig): GcsProvider {
+    return new GcsProvider(this.apiKey, this.baseUrl, this.apiSecret, config);
+  }
+
+  /**
+   * Create an Azure Blob Storage provider instance with stored credentials
+   * 
+   * @param config - Azure configuration with storage account credentials
+   * @returns AzureProvider instance
+   * 
+   * @example
+   * ```typescript
+   * const azure = client.azure({
+   *   accountName: 'mystorageacct',
+   *   accountKey: process.env.AZURE_STORAGE_KEY,
+   *   container: 'uploads'
+   * });
+   * 
+   * await azure.upload(file);
+   * ```
+   */
+  azure(config: AzureConfig): AzureProvider {
+    return new AzureProvider(this.apiKey, this.baseUrl, this.apiSecret, config);
+  }
+
   /**
    * Create a Supabase provider instance with stored credentials
    * 
@@ -250,6 +316,8 @@ export class ObitoX {
     this.providers.register('UPLOADCARE', (apiKey, baseUrl, apiSecret) => new UploadcareProvider(apiKey, baseUrl, apiSecret));
     this.providers.register('R2', (apiKey, baseUrl, apiSecret) => new R2Provider(apiKey, baseUrl, apiSecret));
     this.providers.register('S3', (apiKey, baseUrl, apiSecret) => new S3Provider(apiKey, baseUrl, apiSecret));
+    this.providers.register('GCS', (apiKey, baseUrl, apiSecret) => new GcsProvider(apiKey, baseUrl, apiSecret));
+    this.providers.register('AZURE', (apiKey, baseUrl, apiSecret) => new AzureProvider(apiKey, baseUrl, apiSecret));
   }
 
   // ============================================================================
@@ -289,6 +357,12 @@ export class ObitoX {
    *   checkVirus: true,
    *   imageOptimization: { auto: true }
    * });
+   * 
+   * // Upload with a server-side preset (bucket, validation, expiry, webhook)
+   * const url = await client.uploadFile(file, {
+   *   provider: 'S3',
+   *   preset: 'avatars'
+   * });
    * ```
    */
   async uploadFile(
@@ -502,6 +576,134 @@ export class ObitoX {
     });
   }
 
+  /**
+   * Rotate this key's API secret
+   *
+   * Issues a new sk_ secret. The current secret keeps working for the grace
+   * period so running deployments can switch over, then it is revoked.
+   * This client keeps signing with the old secret — create a new client
+   * with the returned secret once it is deployed.
+   *
+   * @param options - gracePeriodSeconds: 0-604800 (default 86400; 0 revokes the old secret now)
+   * @returns Promise resolving to the new secret and grace window
+   *
+   * @example
+   * ```typescript
+   * const { secret, previous_secret_expires_at } = await client.rotateApiSecret({ gracePeriodSeconds: 3600 });
+   * // Deploy `secret` before previous_secret_expires_at
+   * ```
+   */
+  async rotateApiSecret(options: { gracePeriodSeconds?: number } = {}): Promise<RotateApiSecretResponse> {
+    const response = await this.makeRequest<{ success: boolean; data: RotateApiSecretResponse }>('/api/v1/apikeys/rotate', {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+    return response.data;
+  }
+
+  /**
+   * Register an Ed25519 public key for request signing
+   *
+   * Once registered, the server only accepts requests signed with the matching
+   * private key — the sk_ secret no longer works for this API key. Services
+   * then sign with `new ObitoX({ apiKey, signingKey })` and never hold the secret.
+   *
+   * @param publicKey - Raw 32-byte key as base64, or SPKI PEM
+   * @returns Promise resolving to the registered key
+   *
+   * @example
+   * ```typescript
+   * const { publicKey, privateKey } = await generateEd25519KeyPair();
+   * await client.registerSigningKey(publicKey);
+   * const signed = new ObitoX({ apiKey: 'ox_...', signingKey: privateKey });
+   * ```
+   */
+  async registerSigningKey(publicKey: string): Promise<SigningKeyResponse> {
+    const response = await this.makeRequest<{ success: boolean; data: SigningKeyResponse }>('/api/v1/apikeys/signing-key', {
+      method: 'PUT',
+      body: JSON.stringify({ publicKey }),
+    });
+    return response.data;
+  }
+
+  /**
+   * Remove the Ed25519 signing key and go back to signing with the API secret
+   *
+   * Must be called from a client that signs with the registered private key.
+   *
+   * @returns Promise resolving to the key's signing mode
+   */
+  async removeSigningKey(): Promise<SigningKeyResponse> {
+    const response = await this.makeRequest<{ success: boolean; data: SigningKeyResponse }>('/api/v1/apikeys/signing-key', {
+      method: 'DELETE',
+    });
+    return response.data;
+  }
+
+  /**
+   * Rate limit and quota budget from the most recent API response
+   *
+   * @returns Per-minute limit, remaining units, window reset time and remaining monthly quota
+   *
+   * @example
+   * ```typescript
+   * const { remaining, quotaRemaining } = client.getRateLimitStatus();
+   * ```
+   */
+  getRateLimitStatus(): RateLimitStatus {
+    return this.rateLimiter.getStatus();
+  }
+
+  /**
+   * Mint a browser upload token
+   *
+   * Call this on your server, then hand the token to the browser. The browser
+   * requests a signed URL with only the `X-Upload-Token` header — no API key,
+   * no secret, no provider credentials.
+   *
+   * @param options - Token constraints
+   * @returns Promise resolving to the token and its constraints
+   * @throws Error if the connection or preset is invalid
+   *
+   * @example
+   * ```typescript
+   * // Server
+   * const { token } = await client.createUploadToken({
+   *   provider: 's3',
+   *   connectionId: 'conn_123',
+   *   keyPrefix: `users/${userId}/`,
+   *   maxFileSize: 5 * 1024 * 1024,
+   *   allowedTypes: ['image/*']
+   * });
+   *
+   * // Browser
+   * const res = await fetch('https://api.obitox.dev/api/v1/upload/s3/signed-url', {
+   *   method: 'POST',
+   *   headers: { 'Content-Type': 'application/json', 'X-Upload-Token': token },
+   *   body: JSON.stringify({ filename: file.name, contentType: file.type, fileSize: file.size })
+   * });
+   * ```
+   */
+  async createUploadToken(options: CreateUploadTokenOptions): Promise<UploadTokenResponse> {
+    const body = JSON.stringify(options);
+    const response = await this.makeRequest<{ success: boolean; data: UploadTokenResponse }>('/api/v1/upload-tokens', {
+      method: 'POST',
+      body,
+    });
+    return response.data;
+  }
+
+  /**
+   * Revoke an upload token before it expires
+   *
+   * @param tokenId - `tokenId` returned by createUploadToken()
+   */
+  async revokeUploadToken(tokenId: string): Promise<void> {
+    await this.makeRequest(`/api/v1/upload-tokens/${encodeURIComponent(tokenId)}`, {
+      method: 'DELETE',
+    });
+  }
+
   // ============================================================================
   // Utility Methods
   // ============================================================================
@@ -518,31 +720,22 @@ export class ObitoX {
     options: RequestInit = {}
   ): Promise<T> {
     const url = `${this.baseUrl}${endpoint}`;
-    const timestamp = Date.now();
-
-    // Prepare headers
-    const headers: Record<string, string> = {
-      'Content-Type': 'application/json',
-      'x-api-key': this.apiKey,
-      ...(options.headers as Record<string, string> || {}),
-    };
-
-    // Layer 2: Add signature headers if apiSecret is provided
-    if (this.apiSecret) {
-      const method = options.method || 'GET';
-      const body = options.body;
-
-      // Generate signature (async for ESM compatibility)
-      const signature = await this.generateSignature(method, endpoint, timestamp, body);
-
-      headers['X-API-Secret'] = this.apiSecret;
-      headers['X-Signature'] = signature;
-      headers['X-Timestamp'] = timestamp.toString();
-    }
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
+    // Headers are rebuilt per attempt so a retry after a 429 is signed afresh
+    const response = await this.rateLimiter.fetch(url, async () => {
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        ...(options.headers as Record<string, string> || {}),
+      };
+
+      // Layer 2: Add signature headers if apiSecret is provided
+      // (a fresh X-Nonce per request, so captured requests can't be replayed)
+      if (this.apiSecret) {
+        Object.assign(headers, await createSignatureHeaders(options.method || 'GET', endpoint, options.body, this.apiSecret));
+      }
+
+      return { ...options, headers };
     });
 
     if (!response.ok) {
@@ -555,37 +748,6 @@ export class ObitoX {
     return response.json() as Promise<T>;
   }
 
-  /**
-   * Generate HMAC-SHA256 signature for request (Layer 2 Security)
-   * 
-   * @param method - HTTP method
-   * @param path - Request path
-   * @param timestamp - Unix timestamp
-   * @param body - Request body
-   * @returns HMAC-SHA256 signature (hex)
-   * 
-   * @private
-   */
-  private async generateSignature(method: string, path: string, timestamp: number, body: any): Promise<string> {
-    // Dynamic import for Node.js crypto (ESM compatible)
-    const { createHmac } = await import('crypto');
-
-    // Normalize body
-    const bodyString = typeof body === 'string'
-      ? body
-      : body
-        ? JSON.stringify(body)
-        : '';
-
-    // Create message: METHOD|PATH|TIMESTAMP|BODY
-    const message = `${method.toUpperCase()}|${path}|${timestamp}|${bodyString}`;
-
-    // Generate HMAC-SHA256
-    const hmac = createHmac('sha256', this.apiSecret!);
-    hmac.update(message);
-    return hmac.digest('hex');
-  }
-
   // ============================================================================
   // R2-Specific Methods (Advanced Features)
   // ============================================================================
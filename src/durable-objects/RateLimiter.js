@@ -5,64 +5,110 @@
  * for a single user/identifier — entirely in memory.
  * 
  * Syncs quota to Redis every 15 min (or immediately on limit hit).
+ *
+ * Limits arrive with each check (resolved from subscription_plans by the
+ * rate-limiter middleware); DEFAULT_PLANS only covers callers that omit them.
+ *
+ * Each check also carries a cost (utils/request-costs.js): both the window
+ * and the quota are counted in units, so a 100-file batch uses 100.
+ *
+ * Every response carries RateLimit-* / Retry-After / X-Quota-Remaining
+ * headers (utils/rate-limit-headers.js) for the middleware to pass on.
  */
+import { DEFAULT_PLANS, BURST_COOLDOWN_MS } from '../../utils/plan-limits.js';
+import { buildRateLimitHeaders } from '../../utils/rate-limit-headers.js';
+
 export class RateLimiter {
     constructor(ctx, env) {
         this.ctx = ctx;
         this.env = env;
 
         // Per-minute rate window (sliding window)
-        this.requests = []; // array of timestamps
+        this.requests = []; // array of { ts, cost }
+        this.burstStartedAt = 0; // start of the current / last burst window
 
         // Monthly quota
-        this.quotaCount = 0;
+        this.quotaCount = 0;    // units charged this month
+        this.requestCount = 0;  // requests made this month (unweighted)
         this.quotaMonth = null; // 'YYYY-MM'
         this.quotaLimit = 0;
         this.quotaLoaded = false;
         this.quotaDirty = false;
 
-        // Ban cache (loaded from Redis once, cached here)
-        this.banCache = null;
-        this.banCacheLoadedAt = 0;
+        // Ban cache (loaded from Redis once, cached here). Keyed by the
+        // request's identifier: one user's DO serves all of their keys / IPs
+        this.banCache = new Map(); // identifier → { result, loadedAt }
         this.BAN_CACHE_TTL = 60_000; // re-check Redis every 60s
     }
 
     async fetch(request) {
-        const { identifier, tier, userId, month } = await request.json();
+        const { identifier, tier, userId, month, limits: planLimits, cost: requestCost } = await request.json();
 
         try {
+            const limits = planLimits || this.getTierLimits(tier);
+            const cost = Number.isInteger(requestCost) && requestCost > 0 ? requestCost : 1;
+            const quotaRemaining = (used) => (limits.requestsPerMonth === -1
+                ? undefined
+                : Math.max(0, limits.requestsPerMonth - used));
+
             // Load quota from Redis on first request or month change
-            await this.ensureQuotaLoaded(userId, month, tier);
+            await this.ensureQuotaLoaded(userId, month, limits);
 
             const now = Date.now();
-            const limits = this.getTierLimits(tier);
 
             // ── Check ban (cached, only hits Redis every 60s) ─────────────
             const banResult = await this.checkBan(identifier, userId, now);
-            if (banResult) return Response.json(banResult, { status: 429 });
+            if (banResult) {
+                const remaining = banResult.banInfo.remainingSeconds;
+                return Response.json(banResult, {
+                    status: 429,
+                    headers: buildRateLimitHeaders({
+                        retryAfter: remaining !== undefined
+                            ? remaining - (now - this.banCache.get(identifier).loadedAt) / 1000
+                            : undefined   // permanent — retrying won't help
+                    })
+                });
+            }
 
             // ── Check monthly quota ───────────────────────────────────────
             if (limits.requestsPerMonth !== -1 &&
-                this.quotaCount >= limits.requestsPerMonth) {
+                this.quotaCount + cost > limits.requestsPerMonth) {
 
                 // Sync immediately so Redis is accurate when limit hit
                 await this.syncQuotaToRedis(userId, month);
 
+                const remaining = Math.max(0, limits.requestsPerMonth - this.quotaCount);
                 return Response.json({
                     success: false,
                     error: 'QUOTA_EXCEEDED',
-                    message: `Monthly quota limit reached. ${this.quotaCount}/${limits.requestsPerMonth}`,
-                    hint: tier === 'free' ? 'Upgrade to PRO for 50,000 requests/month' : 'Resets next month'
-                }, { status: 429 });
+                    message: remaining > 0
+                        ? `This request costs ${cost} units but only ${remaining} remain this month. ${this.quotaCount}/${limits.requestsPerMonth}`
+                        : `Monthly quota limit reached. ${this.quotaCount}/${limits.requestsPerMonth}`,
+                    hint: remaining > 0
+                        ? 'Split the batch into smaller requests'
+                        : tier === 'free' ? 'Upgrade to PRO for 50,000 requests/month' : 'Resets next month',
+                    cost
+                }, {
+                    status: 429,
+                    headers: buildRateLimitHeaders({
+                        retryAfter: this.secondsUntilMonthEnd(month, now),
+                        quotaRemaining: remaining
+                    })
+                });
             }
 
             // ── Check per-minute rate limit (sliding window) ──────────────
             const windowStart = now - 60_000;
-            // Evict old timestamps
-            this.requests = this.requests.filter(ts => ts > windowStart);
+            // Evict old entries
+            this.requests = this.requests.filter(entry => entry.ts > windowStart);
+            const windowUsed = this.requests.reduce((sum, entry) => sum + entry.cost, 0);
 
+            // A batch bigger than the whole per-minute limit still goes through
+            // on an empty window — it then holds the window for the full minute
             if (limits.requestsPerMinute !== -1 &&
-                this.requests.length >= limits.requestsPerMinute) {
+                windowUsed > 0 &&
+                windowUsed + cost > limits.requestsPerMinute &&
+                !this.canBurst(limits, now, windowUsed + cost)) {
 
                 // Track violation in Redis (non-blocking)
                 this.ctx.waitUntil(this.trackViolation(identifier, userId));
@@ -72,17 +118,30 @@ export class RateLimiter {
                     error: 'RATE_LIMIT_EXCEEDED',
                     message: `Rate limit exceeded for ${tier.toUpperCase()} tier`,
                     limit: limits.requestsPerMinute,
-                    current: this.requests.length
-                }, { status: 429 });
+                    burst: limits.burstAllowance || 0,
+                    current: windowUsed,
+                    cost
+                }, {
+                    status: 429,
+                    headers: buildRateLimitHeaders({
+                        limit: limits.requestsPerMinute,
+                        remaining: limits.requestsPerMinute - windowUsed,
+                        reset: this.secondsUntilWindowFrees(now),
+                        retryAfter: this.secondsUntilAvailable(limits.requestsPerMinute, cost, now),
+                        quotaRemaining: quotaRemaining(this.quotaCount)
+                    })
+                });
             }
 
             // ── Allow request ─────────────────────────────────────────────
-            this.requests.push(now);
-            this.quotaCount++;
+            this.requests.push({ ts: now, cost });
+            this.quotaCount += cost;
+            this.requestCount++;
             this.quotaDirty = true;
 
             // Persist to DO local storage to survive memory eviction before 15m alarm
             this.ctx.waitUntil(this.ctx.storage.put(`quotaCount:${month}`, this.quotaCount).catch(() => { }));
+            this.ctx.waitUntil(this.ctx.storage.put(`requestCount:${month}`, this.requestCount).catch(() => { }));
             this.ctx.waitUntil(this.ctx.storage.put(`quotaDirty:${month}`, 1).catch(() => { }));
 
             // Schedule 15-min sync alarm if not already scheduled
@@ -90,15 +149,24 @@ export class RateLimiter {
 
             return Response.json({
                 success: true,
+                cost,
                 quota: {
                     current: this.quotaCount,
                     limit: limits.requestsPerMonth,
                     tier
                 },
                 rateLimit: {
-                    current: this.requests.length,
-                    limit: limits.requestsPerMinute
+                    current: windowUsed + cost,
+                    limit: limits.requestsPerMinute,
+                    burst: limits.burstAllowance || 0
                 }
+            }, {
+                headers: buildRateLimitHeaders({
+                    limit: limits.requestsPerMinute,
+                    remaining: limits.requestsPerMinute - (windowUsed + cost),
+                    reset: this.secondsUntilWindowFrees(now),
+                    quotaRemaining: quotaRemaining(this.quotaCount)
+                })
             });
 
         } catch (err) {
@@ -141,6 +209,8 @@ export class RateLimiter {
                 if (this.quotaCount === 0) {
                     const storedQuota = await this.ctx.storage.get(`quotaCount:${month}`);
                     if (storedQuota !== undefined) this.quotaCount = storedQuota;
+                    const storedRequests = await this.ctx.storage.get(`requestCount:${month}`);
+                    if (storedRequests !== undefined) this.requestCount = storedRequests;
                 }
 
                 // Only proceed if we actually have quota to sync
@@ -159,7 +229,10 @@ export class RateLimiter {
     }
 
     // ── Load quota from Redis on cold start ───────────────────────────────────
-    async ensureQuotaLoaded(userId, month, tier) {
+    async ensureQuotaLoaded(userId, month, limits) {
+        // Plan changes apply immediately, without waiting for a month rollover
+        this.quotaLimit = limits.requestsPerMonth;
+
         // Already loaded for this month
         if (this.quotaLoaded && this.quotaMonth === month) return;
 
@@ -168,14 +241,15 @@ export class RateLimiter {
         await this.ctx.storage.put('month', month);
 
         this.quotaMonth = month;
-        this.quotaLimit = this.getTierLimits(tier).requestsPerMonth;
 
         // Try to load from DO storage first (survives memory eviction)
         try {
             const storedQuota = await this.ctx.storage.get(`quotaCount:${month}`);
             if (storedQuota !== undefined) {
                 const storedDirty = await this.ctx.storage.get(`quotaDirty:${month}`);
+                const storedRequests = await this.ctx.storage.get(`requestCount:${month}`);
                 this.quotaCount = storedQuota;
+                this.requestCount = storedRequests ?? storedQuota;   // pre-weighting storage had no separate count
                 this.quotaDirty = storedDirty === 1;
                 this.quotaLoaded = true;
                 return;
@@ -188,12 +262,17 @@ export class RateLimiter {
         try {
             const redis = await this.getRedis();
             if (redis) {
-                const stored = await redis.get(`quota:${userId}:${month}`);
+                const [stored, storedRequests] = await redis.mget(
+                    `quota:${userId}:${month}`,
+                    `quota_requests:${userId}:${month}`
+                );
                 this.quotaCount = stored ? parseInt(stored, 10) : 0;
+                this.requestCount = storedRequests ? parseInt(storedRequests, 10) : this.quotaCount;
             }
         } catch (err) {
             console.error('[RateLimiter DO] Failed to load quota from Redis:', err.message);
             this.quotaCount = 0;
+            this.requestCount = 0;
         }
 
         this.quotaLoaded = true;
@@ -206,14 +285,17 @@ export class RateLimiter {
             if (!redis) return;
 
             const key = `quota:${userId}:${month}`;
+            const requestsKey = `quota_requests:${userId}:${month}`;
             const pipeline = redis.pipeline();
             pipeline.set(key, this.quotaCount);
             pipeline.expire(key, 30 * 24 * 60 * 60); // 30 days TTL preserved ✅
+            pipeline.set(requestsKey, this.requestCount);
+            pipeline.expire(requestsKey, 30 * 24 * 60 * 60);
             await pipeline.exec();
 
             this.quotaDirty = false;
             await this.ctx.storage.put(`quotaDirty:${month}`, 0).catch(() => { });
-            console.log(`[RateLimiter DO] Synced quota ${userId}: ${this.quotaCount}`);
+            console.log(`[RateLimiter DO] Synced quota ${userId}: ${this.quotaCount} units / ${this.requestCount} requests`);
         } catch (err) {
             console.error('[RateLimiter DO] Sync failed:', err.message);
         }
@@ -222,50 +304,50 @@ export class RateLimiter {
     // ── Check ban status (cached, 60s TTL) ────────────────────────────────────
     async checkBan(identifier, userId, now) {
         // Use cache if fresh
-        if (this.banCache !== null && (now - this.banCacheLoadedAt) < this.BAN_CACHE_TTL) {
-            return this.banCache; // null = not banned
+        const cached = this.banCache.get(identifier);
+        if (cached && (now - cached.loadedAt) < this.BAN_CACHE_TTL) {
+            return cached.result; // null = not banned
         }
+        const cache = (result) => {
+            this.banCache.set(identifier, { result, loadedAt: now });
+            return result;
+        };
 
         // Refresh from Redis
         try {
             const redis = await this.getRedis();
-            if (!redis) { this.banCache = null; return null; }
+            if (!redis) { this.banCache.delete(identifier); return null; }
 
             const [tempBan, permBan] = await redis.mget(
                 `ban:${identifier}`,
                 `perm_ban:${identifier}`
             );
 
-            this.banCacheLoadedAt = now;
-
             if (permBan) {
                 const data = JSON.parse(permBan);
-                this.banCache = {
+                return cache({
                     success: false, error: 'BANNED',
                     message: 'Permanently banned',
                     banInfo: { level: 'PERMANENT', isPermanent: true, reason: data.reason }
-                };
-                return this.banCache;
+                });
             }
 
             if (tempBan) {
                 const data = JSON.parse(tempBan);
                 const remaining = Math.ceil((data.expiresAt - now) / 1000);
                 if (remaining > 0) {
-                    this.banCache = {
+                    return cache({
                         success: false, error: 'BANNED',
                         message: `Banned for ${data.banLevel}`,
                         banInfo: { level: data.banLevel, isPermanent: false, remainingSeconds: remaining }
-                    };
-                    return this.banCache;
+                    });
                 }
             }
 
-            this.banCache = null; // not banned
-            return null;
+            return cache(null); // not banned
 
         } catch (err) {
-            this.banCache = null;
+            this.banCache.delete(identifier);
             return null;
         }
     }
@@ -293,12 +375,43 @@ export class RateLimiter {
         }
     }
 
+    // ── Burst: up to burstAllowance extra units for one minute, then a cooldown ──
+    canBurst(limits, now, units) {
+        const burst = limits.burstAllowance || 0;
+        if (burst <= 0 || units > limits.requestsPerMinute + burst) return false;
+
+        if (now - this.burstStartedAt < 60_000) return true;            // burst already running
+        if (now - this.burstStartedAt < BURST_COOLDOWN_MS) return false; // cooling down
+
+        this.burstStartedAt = now;
+        return true;
+    }
+
+    // ── Header timing ─────────────────────────────────────────────────────────
+    // Seconds until the oldest entry leaves the window (a full window when empty)
+    secondsUntilWindowFrees(now) {
+        return this.requests.length ? (this.requests[0].ts + 60_000 - now) / 1000 : 60;
+    }
+
+    // Seconds until enough entries expire for `cost` more units to fit
+    secondsUntilAvailable(limit, cost, now) {
+        let used = this.requests.reduce((sum, entry) => sum + entry.cost, 0);
+        for (const entry of this.requests) {   // oldest first
+            used -= entry.cost;
+            if (used + cost <= limit || used === 0) {
+                return (entry.ts + 60_000 - now) / 1000;
+            }
+        }
+        return 60;
+    }
+
+    // Seconds until the quota month (UTC, 'YYYY-MM') rolls over
+    secondsUntilMonthEnd(month, now) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return (Date.UTC(year, monthIndex, 1) - now) / 1000;   // monthIndex is already next month (0-based)
+    }
+
     getTierLimits(tier) {
-        const LIMITS = {
-            free: { requestsPerMinute: 10, requestsPerMonth: 1000 },
-            pro: { requestsPerMinute: 100, requestsPerMonth: 50000 },
-            enterprise: { requestsPerMinute: -1, requestsPerMonth: -1 }
-        };
-        return LIMITS[tier] || LIMITS.free;
+        return DEFAULT_PLANS[tier] || DEFAULT_PLANS.free;
     }
 }
@@ -9,7 +9,11 @@ export {
   parseWebhookPayload,
   createWebhookSignature,
   type WebhookPayload,
-  type WebhookEventType
+  type WebhookEventType,
+  type WebhookEventPayload,
+  type WebhookEventDataMap,
+  type UploadWebhookPayload,
+  type WebhookFile
 } from './utils/webhook-verifier';
 
 // ✅ ADDED: Network detector for smart expiry
@@ -21,6 +25,35 @@ export {
   type NetworkInfo
 } from './utils/network-detector';
 
+// Multipart resume state (persisted uploadId + part ETags)
+export {
+  getDefaultMultipartStore,
+  getFileFingerprint,
+  type MultipartStateStore,
+  type MultipartUploadState
+} from './utils/multipart-store';
+
+// Request signing (Ed25519 key pairs / custom signers)
+export {
+  createEd25519Signer,
+  generateEd25519KeyPair,
+  type RequestSigner,
+  type RequestCredential
+} from './utils/signature';
+
+// Rate limit backoff settings / budget
+export {
+  type RateLimitOptions,
+  type RateLimitStatus
+} from './utils/rate-limit';
+
+// Resumable TUS client (Supabase resumable uploads)
+export {
+  TusUpload,
+  type TusUploadOptions,
+  type TusUploadState
+} from './utils/tus-client';
+
 // ============================================================================
 // Provider Exports (for advanced usage)
 // ============================================================================
@@ -51,6 +84,18 @@ export type { R2Config } from './types/r2.types.js';
 export { S3Provider } from './providers/s3/s3.provider.js';
 export type { S3Config } from './types/s3.types.js';
 
+/**
+ * Direct GcsProvider export for advanced usage
+ */
+export { GcsProvider } from './providers/gcs/gcs.provider.js';
+export type { GcsConfig } from './types/gcs.types.js';
+
+/**
+ * Direct AzureProvider export for advanced usage
+ */
+export { AzureProvider } from './providers/azure/azure.provider.js';
+export type { AzureConfig } from './types/azure.types.js';
+
 /**
  * Direct SupabaseProvider export for advanced usage
  */
@@ -0,0 +1,562 @@
+/**
+ * Azure Blob Storage Provider
+ *
+ * Implementation of Azure Blob Storage for the ObitoX SDK.
+ * The ObitoX API signs service SAS URLs with your storage account key (pure crypto),
+ * and files are uploaded directly to Azure via PUT. Large files are staged as
+ * blocks and committed with Put Block List.
+ *
+ * @module providers/azure
+ */
+
+import { BaseProvider } from '../base.provider.js';
+import type {
+    AzureUploadOptions,
+    AzureDeleteOptions,
+    AzureBatchDeleteOptions,
+    AzureDownloadOptions,
+    AzureListOptions,
+    AzureListContainersOptions,
+    AzureUploadResponse,
+    AzureMultipartInitResponse,
+    AzureMultipartCompleteResponse,
+    AzureDownloadResponse,
+    AzureListResponse,
+    AzureListContainersResponse,
+    AzureBatchDeleteResponse,
+    AzureCorsConfigOptions,
+    AzureCorsConfigResponse,
+    AzureCorsVerifyResponse,
+    AzureConfig,
+} from '../../types/azure.types.js';
+import { normalizeNetworkInfo } from '../../utils/network-detector.js';
+import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
+import type { RequestCredential } from '../../utils/signature.js';
+import {
+    validateAzureCredentials,
+    extractAzureBlobName,
+    AZURE_MULTIPART_THRESHOLD,
+    AZURE_DEFAULT_PART_SIZE,
+    AZURE_DEFAULT_CONCURRENCY,
+} from './azure.utils.js';
+
+type ProgressCallback = (progress: number, bytesUploaded: number, totalBytes: number) => void;
+
+/**
+ * Azure Provider
+ *
+ * @example
+ * ```typescript
+ * const provider = new AzureProvider('your-api-key', 'https://api.obitox.com');
+ *
+ * const fileUrl = await provider.upload(file, {
+ *   provider: 'AZURE',
+ *   azureAccountName: 'mystorageacct',
+ *   azureAccountKey: process.env.AZURE_STORAGE_KEY,
+ *   azureContainer: 'uploads',
+ *   onProgress: (progress) => console.log(`${progress}% uploaded`)
+ * });
+ * ```
+ */
+export class AzureProvider extends BaseProvider<
+    AzureUploadOptions,
+    Partial<AzureDeleteOptions> & { fileUrl: string },
+    AzureDownloadOptions
+> {
+    private config: AzureConfig;
+
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: AzureConfig) {
+        super('AZURE', apiKey, baseUrl, apiSecret);
+        this.config = config || {} as AzureConfig;
+    }
+
+    /**
+     * Merge per-call credentials with stored config (passed options win)
+     * @private
+     */
+    private getCredentials(options: Record<string, any> = {}) {
+        return {
+            azureAccountName: options.azureAccountName || this.config.accountName || '',
+            azureAccountKey: options.azureAccountKey || this.config.accountKey || '',
+            azureContainer: options.azureContainer || this.config.container || ''
+        };
+    }
+
+    // ============================================================================
+    // CORE: Single File Upload
+    // ============================================================================
+
+    /**
+     * Upload file to Azure
+     *
+     * Files larger than `multipartThreshold` (default 100MB) are staged as blocks.
+     *
+     * @param file - File or Blob to upload
+     * @param options - Azure upload options
+     * @returns Promise resolving to the public blob URL
+     * @throws Error if upload fails or credentials are invalid
+     */
+    async upload(file: File | Blob, options: Partial<Omit<AzureUploadOptions, 'filename' | 'contentType'>> = {}): Promise<string> {
+        const startTime = Date.now();
+
+        const filename = file instanceof File ? file.name : 'uploaded-file';
+        const contentType = (file instanceof File && file.type) || 'application/octet-stream';
+
+        const credentials = this.getCredentials(options);
+        const azurePublicUrl = options.azurePublicUrl || this.config.publicUrl;
+
+        const validation = validateAzureCredentials(credentials);
+        if (!validation.valid) {
+            throw new Error(`Azure Credentials Invalid: ${validation.error}`);
+        }
+
+        const controller = new AbortController();
+
+        try {
+            // ==================== FILE VALIDATION ====================
+            if (options.validation !== null && options.validation !== undefined) {
+                const validationResult = await validateFile(file, options.validation);
+
+                if (!validationResult.valid) {
+                    if (typeof options.validation === 'object' && options.validation.onError) {
+                        options.validation.onError(validationResult.errors);
+                    }
+                    throw new Error(`Validation failed: ${validationResult.errors.join('; ')}`);
+                }
+            }
+
+            // ==================== LARGE FILES: BLOCK STAGING ====================
+            if (file.size > (options.multipartThreshold ?? AZURE_MULTIPART_THRESHOLD)) {
+                const publicUrl = await this.uploadInBlocks(file, filename, contentType, credentials, azurePublicUrl, options);
+                console.log(`🚀 Azure block upload completed in ${Date.now() - startTime}ms`);
+                return publicUrl;
+            }
+
+            const networkInfo = normalizeNetworkInfo(options.networkInfo);
+
+            // Magic bytes for server-side validation
+            const magicBytes = await readMagicBytes(file);
+
+            // STEP 1: Get SAS upload URL from ObitoX API (pure crypto)
+            const response = await this.makeRequest<AzureUploadResponse>(
+                '/api/v1/upload/azure/signed-url',
+                {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        filename,
+                        contentType,
+                        fileSize: file.size,
+                        ...credentials,
+                        azurePublicUrl,
+                        expiresIn: options.expiresIn || 3600,
+                        networkInfo,
+                        magicBytes,
+                        ...(options.webhook && { webhook: options.webhook })
+                    }),
+                }
+            );
+
+            if (!response.success) {
+                throw new Error('Failed to generate Azure upload URL');
+            }
+
+            const { uploadUrl, publicUrl, webhook: webhookInfo, data } = response;
+
+            // STEP 2: Upload directly to Azure (x-ms-blob-type is required by Put Blob)
+            if (typeof XMLHttpRequest !== 'undefined') {
+                await this.uploadWithXHR(uploadUrl, file, data.headers, options.onProgress, controller.signal);
+            } else {
+                await this.uploadWithFetch(uploadUrl, file, data.headers, options.onProgress);
+            }
+
+            console.log(`🚀 Azure upload completed in ${Date.now() - startTime}ms`);
+
+            // ==================== WEBHOOK CONFIRMATION ====================
+            if (webhookInfo?.webhookId && options.webhook?.autoConfirm !== false) {
+                try {
+                    await this.makeRequest('/api/v1/webhooks/confirm', {
+                        method: 'POST',
+                        body: JSON.stringify({ webhookId: webhookInfo.webhookId })
+                    });
+                } catch (confirmError) {
+                    console.warn(`⚠️ Webhook confirmation failed:`, confirmError);
+                    // Don't throw - webhook will be delivered by worker
+                }
+            }
+
+            return publicUrl;
+
+        } catch (error) {
+            if (error instanceof Error && (error.name === 'AbortError' || error.message === 'Upload cancelled')) {
+                if (options.onCancel) {
+                    options.onCancel();
+                }
+                throw new Error('Upload cancelled');
+            }
+
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            throw new Error(`Azure Upload Failed: ${errorMessage}`);
+        }
+    }
+
+    /**
+     * Upload using XMLHttpRequest for REAL progress tracking (Browser)
+     * @private
+     */
+    private uploadWithXHR(
+        signedUrl: string,
+        body: File | Blob,
+        headers: Record<string, string>,
+        onProgress?: ProgressCallback,
+        signal?: AbortSignal
+    ): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) {
+                        onProgress((e.loaded / e.total) * 100, e.loaded, e.total);
+                    }
+                });
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    xhr.abort();
+                    reject(new Error('Upload cancelled'));
+                });
+            }
+
+            xhr.addEventListener('load', () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    if (onProgress) onProgress(100, body.size, body.size);
+                    resolve();
+                } else {
+                    reject(new Error(`Upload failed with status ${xhr.status}`));
+                }
+            });
+
+            xhr.addEventListener('error', () => reject(new Error('Upload failed - network error')));
+            xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+
+            xhr.open('PUT', signedUrl);
+            for (const [name, value] of Object.entries(headers)) {
+                xhr.setRequestHeader(name, value);
+            }
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * Upload using fetch (Node.js)
+     * @private
+     */
+    private async uploadWithFetch(
+        signedUrl: string,
+        body: File | Blob,
+        headers: Record<string, string>,
+        onProgress?: ProgressCallback
+    ): Promise<void> {
+        if (onProgress) onProgress(0, 0, body.size);
+
+        const response = await fetch(signedUrl, {
+            method: 'PUT',
+            body,
+            headers
+        });
+
+        if (!response.ok) {
+            throw new Error(`Upload failed: ${response.status}`);
+        }
+
+        if (onProgress) onProgress(100, body.size, body.size);
+    }
+
+    // ============================================================================
+    // ADVANCED: Block Staging (for files >100MB)
+    // ============================================================================
+
+    /**
+     * Stage the file as blocks and commit them
+     *
+     * 1. POST /azure/multipart/initiate → one SAS URL per block
+     * 2. PUT each slice to its block URL (`concurrency` at a time)
+     * 3. POST /azure/multipart/complete → Put Block List
+     *
+     * @private
+     */
+    private async uploadInBlocks(
+        file: File | Blob,
+        filename: string,
+        contentType: string,
+        credentials: ReturnType<AzureProvider['getCredentials']>,
+        azurePublicUrl: string | undefined,
+        options: Partial<AzureUploadOptions>
+    ): Promise<string> {
+        const init = await this.makeRequest<AzureMultipartInitResponse>('/api/v1/upload/azure/multipart/initiate', {
+            method: 'POST',
+            body: JSON.stringify({
+                filename,
+                contentType,
+                fileSize: file.size,
+                ...credentials,
+                azurePublicUrl,
+                partSize: options.partSize || AZURE_DEFAULT_PART_SIZE,
+                expiresIn: options.expiresIn || 3600
+            })
+        });
+
+        if (!init.success) {
+            throw new Error('Failed to initiate Azure block upload');
+        }
+
+        const { uploadId, objectKey, partSize, partUrls } = init;
+        const uploadedPerPart = new Map<number, number>();
+        const reportProgress = () => {
+            if (!options.onProgress) return;
+            let uploaded = 0;
+            uploadedPerPart.forEach(bytes => { uploaded += bytes; });
+            options.onProgress((uploaded / file.size) * 100, uploaded, file.size);
+        };
+
+        // Simple worker pool: each worker pulls the next block until none are left
+        let next = 0;
+        const worker = async () => {
+            while (next < partUrls.length) {
+                const part = partUrls[next++];
+                const start = (part.partNumber - 1) * partSize;
+                const chunk = file.slice(start, Math.min(start + partSize, file.size));
+
+                const response = await fetch(part.uploadUrl, { method: 'PUT', body: chunk });
+                if (!response.ok) {
+                    throw new Error(`Block ${part.partNumber} failed with status ${response.status}`);
+                }
+
+                uploadedPerPart.set(part.partNumber, chunk.size);
+                reportProgress();
+            }
+        };
+
+        const concurrency = Math.max(1, Math.min(options.concurrency || AZURE_DEFAULT_CONCURRENCY, partUrls.length));
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        const complete = await this.makeRequest<AzureMultipartCompleteResponse>('/api/v1/upload/azure/multipart/complete', {
+            method: 'POST',
+            body: JSON.stringify({
+                uploadId,
+                objectKey,
+                contentType,
+                parts: partUrls.map(part => ({ partNumber: part.partNumber })),
+                ...credentials,
+                azurePublicUrl
+            })
+        });
+
+        if (!complete.success) {
+            throw new Error('Failed to commit Azure block list');
+        }
+
+        return complete.publicUrl;
+    }
+
+    // ============================================================================
+    // DOWNLOAD: Time-Limited Download URLs
+    // ============================================================================
+
+    /**
+     * Get a read-only SAS download URL for a blob
+     *
+     * @param options - Azure download options
+     * @returns Promise resolving to the download URL
+     */
+    async download(options: Partial<AzureDownloadOptions> & { fileKey?: string }): Promise<string> {
+        const credentials = this.getCredentials(options);
+        const fileKey = options.fileKey || (options.fileUrl ? extractAzureBlobName(options.fileUrl, credentials.azureContainer) : options.filename);
+
+        if (!fileKey) {
+            throw new Error('Azure download requires fileKey, fileUrl or filename');
+        }
+
+        const response = await this.makeRequest<AzureDownloadResponse>('/api/v1/upload/azure/download-url', {
+            method: 'POST',
+            body: JSON.stringify({
+                fileKey,
+                ...credentials,
+                azurePublicUrl: options.azurePublicUrl || this.config.publicUrl,
+                responseContentDisposition: options.responseContentDisposition,
+                responseContentType: options.responseContentType,
+                expiresIn: options.expiresIn || 3600
+            })
+        });
+
+        if (!response.success) {
+            throw new Error('Failed to generate Azure download URL');
+        }
+
+        return response.downloadUrl;
+    }
+
+    /**
+     * Alias for download() — mirrors R2Provider.getDownloadUrl
+     */
+    async getDownloadUrl(options: Partial<AzureDownloadOptions> & { fileKey: string }): Promise<string> {
+        return this.download(options);
+    }
+
+    // ============================================================================
+    // DELETE
+    // ============================================================================
+
+    /**
+     * Delete a blob from Azure
+     *
+     * @param options - fileUrl (public/SAS URL or bare blob name) plus optional credentials
+     * @throws Error if deletion fails
+     */
+    async delete(options: Partial<AzureDeleteOptions> & { fileUrl: string }): Promise<void> {
+        const credentials = this.getCredentials(options);
+        const fileKey = extractAzureBlobName(options.fileUrl, credentials.azureContainer);
+
+        if (!fileKey) {
+            throw new Error('Invalid Azure blob URL');
+        }
+
+        const response = await this.makeRequest<{ success: boolean }>('/api/v1/upload/azure/delete', {
+            method: 'POST',
+            body: JSON.stringify({ fileKey, ...credentials })
+        });
+
+        if (!response.success) {
+            throw new Error('Failed to delete Azure blob');
+        }
+    }
+
+    /**
+     * Delete up to 100 blobs in one request
+     *
+     * @param options - Batch delete options
+     * @returns Per-blob results
+     */
+    async batchDelete(options: AzureBatchDeleteOptions): Promise<AzureBatchDeleteResponse> {
+        return this.makeRequest<AzureBatchDeleteResponse>('/api/v1/upload/azure/batch/delete', {
+            method: 'POST',
+            body: JSON.stringify({
+                keys: options.fileKeys,
+                ...this.getCredentials(options)
+            })
+        });
+    }
+
+    // ============================================================================
+    // LIST
+    // ============================================================================
+
+    /**
+     * List blobs in the container
+     *
+     * @param options - Prefix / pagination options
+     * @returns Promise resolving to list response
+     */
+    async listFiles(options: AzureListOptions = {}): Promise<AzureListResponse> {
+        const response = await this.makeRequest<any>('/api/v1/upload/azure/list', {
+            method: 'POST',
+            body: JSON.stringify({
+                prefix: options.prefix,
+                maxKeys: options.maxKeys,
+                continuationToken: options.continuationToken,
+                ...this.getCredentials(options)
+            })
+        });
+
+        return {
+            success: response.success,
+            provider: 'azure',
+            files: response.data?.files || [],
+            count: response.data?.count || 0,
+            truncated: response.data?.isTruncated || false,
+            continuationToken: response.data?.nextContinuationToken || undefined,
+            container: response.data?.container,
+            prefix: response.data?.prefix,
+            performance: response.performance
+        };
+    }
+
+    /**
+     * Alias for listFiles()
+     */
+    async list(options: AzureListOptions = {}): Promise<AzureListResponse> {
+        return this.listFiles(options);
+    }
+
+    /**
+     * List containers in the storage account
+     *
+     * @param options - Prefix / pagination options
+     * @returns Promise resolving to container list
+     */
+    async listContainers(options: AzureListContainersOptions = {}): Promise<AzureListContainersResponse> {
+        const { azureAccountName, azureAccountKey } = this.getCredentials(options);
+
+        const response = await this.makeRequest<any>('/api/v1/upload/azure/containers', {
+            method: 'POST',
+            body: JSON.stringify({
+                azureAccountName,
+                azureAccountKey,
+                prefix: options.prefix,
+                maxResults: options.maxResults,
+                continuationToken: options.continuationToken
+            })
+        });
+
+        return {
+            success: response.success,
+            provider: 'azure',
+            containers: response.data?.containers || [],
+            count: response.data?.count || 0,
+            truncated: response.data?.isTruncated || false,
+            continuationToken: response.data?.nextContinuationToken || undefined
+        };
+    }
+
+    // ============================================================================
+    // CORS CONFIGURATION
+    // ============================================================================
+
+    /**
+     * Configure CORS so browsers can PUT to SAS URLs
+     *
+     * Azure CORS is account-wide: this replaces the CORS rules for every
+     * container in the storage account.
+     *
+     * @param options - Allowed origins (default: ['*'])
+     * @returns Applied configuration
+     */
+    async configureCors(options: AzureCorsConfigOptions = {}): Promise<AzureCorsConfigResponse> {
+        const { azureAccountName, azureAccountKey } = this.getCredentials(options);
+
+        return this.makeRequest<AzureCorsConfigResponse>('/api/v1/upload/azure/cors/setup', {
+            method: 'POST',
+            body: JSON.stringify({
+                azureAccountName,
+                azureAccountKey,
+                allowedOrigins: options.allowedOrigins || options.origins
+            })
+        });
+    }
+
+    /**
+     * Verify the storage account CORS configuration
+     *
+     * @param options - Optional credential overrides
+     * @returns Verification result with issues / recommendation
+     */
+    async verifyCors(options: Partial<AzureCorsConfigOptions> = {}): Promise<AzureCorsVerifyResponse> {
+        const { azureAccountName, azureAccountKey } = this.getCredentials(options);
+
+        return this.makeRequest<AzureCorsVerifyResponse>('/api/v1/upload/azure/cors/verify', {
+            method: 'POST',
+            body: JSON.stringify({ azureAccountName, azureAccountKey })
+        });
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Azure Utility Functions
+ *
+ * Credential validation, URL helpers and block staging constants for the
+ * Azure Blob Storage provider.
+ *
+ * @module providers/azure/utils
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Files above this size are uploaded as staged blocks (matches the API minimum) */
+export const AZURE_MULTIPART_THRESHOLD = 100 * 1024 * 1024;
+
+/** Default block size for staged uploads */
+export const AZURE_DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+
+/** Default number of blocks uploaded in parallel */
+export const AZURE_DEFAULT_CONCURRENCY = 4;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validation result interface
+ */
+export interface AzureValidationResult {
+    /** Whether validation passed */
+    valid: boolean;
+
+    /** Error message if validation failed */
+    error?: string;
+}
+
+/**
+ * Validate Azure credentials format
+ *
+ * Client-side format check only — Azure itself rejects bad keys at upload time.
+ *
+ * @param credentials - Account name, account key and container
+ * @returns Validation result with error message if invalid
+ */
+export function validateAzureCredentials(credentials: {
+    azureAccountName?: string;
+    azureAccountKey?: string;
+    azureContainer?: string;
+}): AzureValidationResult {
+    const { azureAccountName, azureAccountKey, azureContainer } = credentials;
+
+    if (!azureAccountName || typeof azureAccountName !== 'string') {
+        return { valid: false, error: 'azureAccountName is required (string)' };
+    }
+
+    if (!azureAccountKey || typeof azureAccountKey !== 'string') {
+        return { valid: false, error: 'azureAccountKey is required (string)' };
+    }
+
+    if (!azureContainer || typeof azureContainer !== 'string') {
+        return { valid: false, error: 'azureContainer is required (string)' };
+    }
+
+    if (!/^[a-z0-9]{3,24}$/.test(azureAccountName)) {
+        return { valid: false, error: 'azureAccountName must be 3-24 lowercase letters and numbers' };
+    }
+
+    if (!/^[A-Za-z0-9+/]{86}==$/.test(azureAccountKey)) {
+        return { valid: false, error: 'azureAccountKey must be the 88-character base64 access key' };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// URL HELPERS
+// ============================================================================
+
+/**
+ * Extract the blob name from an Azure URL
+ *
+ * Handles {account}.blob.core.windows.net/{container}/{blob} (SAS query is ignored)
+ * and custom domains (where the whole path is the blob name).
+ *
+ * @param fileUrl - Public or SAS URL, or a bare blob name
+ * @param container - Container name (used to strip the container segment)
+ * @returns Decoded blob name
+ */
+export function extractAzureBlobName(fileUrl: string, container?: string): string {
+    if (!/^https?:\/\//i.test(fileUrl)) {
+        return fileUrl;
+    }
+
+    const url = new URL(fileUrl);
+    let path = url.pathname.replace(/^\/+/, '');
+
+    if (url.hostname.endsWith('.blob.core.windows.net')) {
+        const [pathContainer, ...rest] = path.split('/');
+        if (!container || pathContainer === container) {
+            path = rest.join('/');
+        }
+    }
+
+    return decodeURIComponent(path);
+}
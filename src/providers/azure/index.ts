@@ -0,0 +1,33 @@
+/**
+ * Azure Provider - Public Exports
+ *
+ * Exports the Azure Blob Storage provider implementation and related types/utilities.
+ *
+ * @module providers/azure
+ */
+
+export { AzureProvider } from './azure.provider.js';
+export * from './azure.utils.js';
+
+// Re-export all Azure types from the types module
+export type {
+    AzureConfig,
+    AzureUploadOptions,
+    AzureDeleteOptions,
+    AzureBatchDeleteOptions,
+    AzureDownloadOptions,
+    AzureListOptions,
+    AzureListContainersOptions,
+    AzureUploadResponse,
+    AzureMultipartInitResponse,
+    AzureMultipartCompleteResponse,
+    AzureDownloadResponse,
+    AzureListResponse,
+    AzureListContainersResponse,
+    AzureBatchDeleteResponse,
+    AzureCorsConfigOptions,
+    AzureCorsRule,
+    AzureCorsConfigResponse,
+    AzureCorsVerifyResponse,
+    ExtractAzureOptions,
+} from '../../types/azure.types.js';
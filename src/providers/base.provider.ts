@@ -13,6 +13,9 @@
  * - Extensibility: Adding new providers is straightforward
  */
 
+import { createSignatureHeaders, type RequestCredential } from '../utils/signature.js';
+import { getRateLimitTracker } from '../utils/rate-limit.js';
+
 // ============================================================================
 // Provider Interface
 // ============================================================================
@@ -101,10 +104,10 @@ export abstract class BaseProvider<
     protected readonly apiKey: string;
 
     /**
-     * ObitoX API secret for request signing (secret key: sk_...)
+     * ObitoX API secret (sk_...) or Ed25519 signer for request signing
      * Required for Layer 2 security - request signatures
      */
-    protected readonly apiSecret?: string;
+    protected readonly apiSecret?: RequestCredential;
 
     /**
      * Base URL for ObitoX API
@@ -117,9 +120,9 @@ export abstract class BaseProvider<
      * @param providerName - Name of the provider
      * @param apiKey - ObitoX API key (public key: ox_...)
      * @param baseUrl - ObitoX API base URL
-     * @param apiSecret - Optional API secret (sk_...) for request signing
+     * @param apiSecret - Optional API secret (sk_...) or Ed25519 signer for request signing
      */
-    constructor(providerName: string, apiKey: string, baseUrl: string, apiSecret?: string) {
+    constructor(providerName: string, apiKey: string, baseUrl: string, apiSecret?: RequestCredential) {
         this.providerName = providerName;
         this.apiKey = apiKey;
         this.apiSecret = apiSecret;
@@ -156,7 +159,8 @@ export abstract class BaseProvider<
      * Make HTTP request to ObitoX API
      * 
      * Helper method for API calls with automatic error handling and signature generation.
-     * Automatically adds Layer 2 security headers if apiSecret is provided.
+     * Automatically adds Layer 2 security headers if apiSecret is provided, and
+     * backs off when the API reports the rate limit is used up.
      * 
      * @param endpoint - API endpoint (relative to baseUrl)
      * @param options - Fetch options
@@ -170,31 +174,22 @@ export abstract class BaseProvider<
         options: RequestInit = {}
     ): Promise<T> {
         const url = `${this.baseUrl}${endpoint}`;
-        const timestamp = Date.now();
-
-        // Prepare headers
-        const headers: Record<string, string> = {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            ...(options.headers as Record<string, string> || {}),
-        };
-
-        // Layer 2: Add signature headers if apiSecret is provided
-        if (this.apiSecret) {
-            const method = options.method || 'GET';
-            const body = options.body;
-
-            // Generate signature (async for ESM compatibility)
-            const signature = await this.generateSignature(method, endpoint, timestamp, body);
-
-            headers['X-API-Secret'] = this.apiSecret;
-            headers['X-Signature'] = signature;
-            headers['X-Timestamp'] = timestamp.toString();
-        }
 
-        const response = await fetch(url, {
-            ...options,
-            headers,
+        // Headers are rebuilt per attempt so a retry after a 429 is signed afresh
+        const response = await getRateLimitTracker(this.apiKey, this.baseUrl).fetch(url, async () => {
+            const headers: Record<string, string> = {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                ...(options.headers as Record<string, string> || {}),
+            };
+
+            // Layer 2: Add signature headers if apiSecret is provided
+            // (a fresh X-Nonce per request, so captured requests can't be replayed)
+            if (this.apiSecret) {
+                Object.assign(headers, await createSignatureHeaders(options.method || 'GET', endpoint, options.body, this.apiSecret));
+            }
+
+            return { ...options, headers };
         });
 
         if (!response.ok) {
@@ -207,37 +202,6 @@ export abstract class BaseProvider<
         return response.json() as Promise<T>;
     }
 
-    /**
-     * Generate HMAC-SHA256 signature for request (Layer 2 Security)
-     * 
-     * @param method - HTTP method
-     * @param path - Request path
-     * @param timestamp - Unix timestamp
-     * @param body - Request body
-     * @returns HMAC-SHA256 signature (hex)
-     * 
-     * @private
-     */
-    private async generateSignature(method: string, path: string, timestamp: number, body: any): Promise<string> {
-        // Dynamic import for Node.js crypto (ESM compatible)
-        const { createHmac } = await import('crypto');
-
-        // Normalize body
-        const bodyString = typeof body === 'string'
-            ? body
-            : body
-                ? JSON.stringify(body)
-                : '';
-
-        // Create message: METHOD|PATH|TIMESTAMP|BODY
-        const message = `${method.toUpperCase()}|${path}|${timestamp}|${bodyString}`;
-
-        // Generate HMAC-SHA256
-        const hmac = createHmac('sha256', this.apiSecret!);
-        hmac.update(message);
-        return hmac.digest('hex');
-    }
-
     /**
      * Validate required fields
      * 
@@ -298,7 +262,7 @@ export abstract class BaseProvider<
 export type ProviderFactory<T extends IStorageProvider = IStorageProvider> = (
     apiKey: string,
     baseUrl: string,
-    apiSecret?: string  // Layer 2: Optional API secret for signatures
+    apiSecret?: RequestCredential  // Layer 2: Optional API secret / signer for signatures
 ) => T;
 
 // ============================================================================
@@ -340,10 +304,10 @@ export class ProviderRegistry implements IProviderRegistry {
     private providers: Map<string, ProviderFactory> = new Map();
     private instances: Map<string, IStorageProvider> = new Map();
     private apiKey: string;
-    private apiSecret?: string;  // Layer 2: API secret for signatures
+    private apiSecret?: RequestCredential;  // Layer 2: API secret / signer for signatures
     private baseUrl: string;
 
-    constructor(apiKey: string, baseUrl: string, apiSecret?: string) {
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential) {
         this.apiKey = apiKey;
         this.apiSecret = apiSecret;
         this.baseUrl = baseUrl;
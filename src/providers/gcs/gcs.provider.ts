@@ -0,0 +1,438 @@
+/**
+ * Google Cloud Storage Provider
+ *
+ * Implementation of Google Cloud Storage for the ObitoX SDK.
+ * The ObitoX API signs V4 URLs with your service-account key (pure crypto),
+ * and files are uploaded directly to GCS via PUT.
+ *
+ * @module providers/gcs
+ */
+
+import { BaseProvider } from '../base.provider.js';
+import type {
+    GcsUploadOptions,
+    GcsDeleteOptions,
+    GcsBatchDeleteOptions,
+    GcsDownloadOptions,
+    GcsListOptions,
+    GcsMetadataOptions,
+    GcsUploadResponse,
+    GcsDownloadResponse,
+    GcsListResponse,
+    GcsMetadataResponse,
+    GcsBatchDeleteResponse,
+    GcsCorsConfigOptions,
+    GcsCorsConfigResponse,
+    GcsCorsVerifyResponse,
+    GcsConfig,
+} from '../../types/gcs.types.js';
+import { normalizeNetworkInfo } from '../../utils/network-detector.js';
+import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
+import type { RequestCredential } from '../../utils/signature.js';
+import { validateGcsCredentials, resolveServiceAccount, extractGcsKeyFromUrl } from './gcs.utils.js';
+
+/**
+ * GCS Provider
+ *
+ * @example
+ * ```typescript
+ * const provider = new GcsProvider('your-api-key', 'https://api.obitox.com');
+ *
+ * const fileUrl = await provider.upload(file, {
+ *   provider: 'GCS',
+ *   gcsClientEmail: 'uploader@my-project.iam.gserviceaccount.com',
+ *   gcsPrivateKey: process.env.GCS_PRIVATE_KEY,
+ *   gcsBucket: 'my-uploads',
+ *   onProgress: (progress) => console.log(`${progress}% uploaded`)
+ * });
+ * ```
+ */
+export class GcsProvider extends BaseProvider<
+    GcsUploadOptions,
+    Partial<GcsDeleteOptions> & { fileUrl: string },
+    GcsDownloadOptions
+> {
+    private config: GcsConfig;
+
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: GcsConfig) {
+        super('GCS', apiKey, baseUrl, apiSecret);
+        this.config = config || {} as GcsConfig;
+    }
+
+    /**
+     * Merge per-call credentials with stored config (passed options win)
+     * @private
+     */
+    private getCredentials(options: Record<string, any> = {}) {
+        const stored = resolveServiceAccount(this.config);
+
+        return {
+            gcsClientEmail: options.gcsClientEmail || stored.clientEmail || '',
+            gcsPrivateKey: options.gcsPrivateKey || stored.privateKey || '',
+            gcsBucket: options.gcsBucket || this.config.bucket || ''
+        };
+    }
+
+    // ============================================================================
+    // CORE: Single File Upload
+    // ============================================================================
+
+    /**
+     * Upload file to GCS
+     *
+     * @param file - File or Blob to upload
+     * @param options - GCS upload options
+     * @returns Promise resolving to the public GCS URL
+     * @throws Error if upload fails or credentials are invalid
+     */
+    async upload(file: File | Blob, options: Partial<Omit<GcsUploadOptions, 'filename' | 'contentType'>> = {}): Promise<string> {
+        const startTime = Date.now();
+
+        const filename = file instanceof File ? file.name : 'uploaded-file';
+        const contentType = (file instanceof File && file.type) || 'application/octet-stream';
+
+        const credentials = this.getCredentials(options);
+        const gcsPublicUrl = options.gcsPublicUrl || this.config.publicUrl;
+
+        const validation = validateGcsCredentials(credentials);
+        if (!validation.valid) {
+            throw new Error(`GCS Credentials Invalid: ${validation.error}`);
+        }
+
+        const controller = new AbortController();
+
+        try {
+            // ==================== FILE VALIDATION ====================
+            if (options.validation !== null && options.validation !== undefined) {
+                const validationResult = await validateFile(file, options.validation);
+
+                if (!validationResult.valid) {
+                    if (typeof options.validation === 'object' && options.validation.onError) {
+                        options.validation.onError(validationResult.errors);
+                    }
+                    throw new Error(`Validation failed: ${validationResult.errors.join('; ')}`);
+                }
+            }
+
+            const networkInfo = normalizeNetworkInfo(options.networkInfo);
+
+            // Magic bytes for server-side validation (skip for large files >100MB)
+            const magicBytes = file.size <= 100 * 1024 * 1024
+                ? await readMagicBytes(file)
+                : null;
+
+            // STEP 1: Get V4 signed URL from ObitoX API (pure crypto)
+            const response = await this.makeRequest<GcsUploadResponse>(
+                '/api/v1/upload/gcs/signed-url',
+                {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        filename,
+                        contentType,
+                        fileSize: file.size,
+                        ...credentials,
+                        gcsPublicUrl,
+                        expiresIn: options.expiresIn || 3600,
+                        networkInfo,
+                        magicBytes,
+                        ...(options.webhook && { webhook: options.webhook })
+                    }),
+                }
+            );
+
+            if (!response.success) {
+                throw new Error('Failed to generate GCS upload URL');
+            }
+
+            const { uploadUrl, publicUrl, webhook: webhookInfo, data } = response;
+
+            // STEP 2: Upload directly to GCS (Content-Type and the size range are signed headers)
+            if (typeof XMLHttpRequest !== 'undefined') {
+                await this.uploadWithXHR(uploadUrl, file, data.headers, options.onProgress, controller.signal);
+            } else {
+                await this.uploadWithFetch(uploadUrl, file, data.headers, options.onProgress);
+            }
+
+            console.log(`🚀 GCS upload completed in ${Date.now() - startTime}ms`);
+
+            // ==================== WEBHOOK CONFIRMATION ====================
+            if (webhookInfo?.webhookId && options.webhook?.autoConfirm !== false) {
+                try {
+                    await this.makeRequest('/api/v1/webhooks/confirm', {
+                        method: 'POST',
+                        body: JSON.stringify({ webhookId: webhookInfo.webhookId })
+                    });
+                } catch (confirmError) {
+                    console.warn(`⚠️ Webhook confirmation failed:`, confirmError);
+                    // Don't throw - webhook will be delivered by worker
+                }
+            }
+
+            return publicUrl;
+
+        } catch (error) {
+            if (error instanceof Error && (error.name === 'AbortError' || error.message === 'Upload cancelled')) {
+                if (options.onCancel) {
+                    options.onCancel();
+                }
+                throw new Error('Upload cancelled');
+            }
+
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            throw new Error(`GCS Upload Failed: ${errorMessage}`);
+        }
+    }
+
+    /**
+     * Upload using XMLHttpRequest for REAL progress tracking (Browser)
+     * @private
+     */
+    private uploadWithXHR(
+        signedUrl: string,
+        file: File | Blob,
+        headers: Record<string, string>,
+        onProgress?: (progress: number, bytesUploaded: number, totalBytes: number) => void,
+        signal?: AbortSignal
+    ): Promise<void> {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) {
+                        onProgress((e.loaded / e.total) * 100, e.loaded, e.total);
+                    }
+                });
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    xhr.abort();
+                    reject(new Error('Upload cancelled'));
+                });
+            }
+
+            xhr.addEventListener('load', () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    if (onProgress) onProgress(100, file.size, file.size);
+                    resolve();
+                } else {
+                    reject(new Error(`Upload failed with status ${xhr.status}`));
+                }
+            });
+
+            xhr.addEventListener('error', () => reject(new Error('Upload failed - network error')));
+            xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+
+            xhr.open('PUT', signedUrl);
+            for (const [name, value] of Object.entries(headers)) {
+                xhr.setRequestHeader(name, value);
+            }
+            xhr.send(file);
+        });
+    }
+
+    /**
+     * Upload using fetch (Node.js)
+     * @private
+     */
+    private async uploadWithFetch(
+        signedUrl: string,
+        file: File | Blob,
+        headers: Record<string, string>,
+        onProgress?: (progress: number, bytesUploaded: number, totalBytes: number) => void
+    ): Promise<void> {
+        if (onProgress) onProgress(0, 0, file.size);
+
+        const response = await fetch(signedUrl, {
+            method: 'PUT',
+            body: file,
+            headers
+        });
+
+        if (!response.ok) {
+            throw new Error(`Upload failed: ${response.status}`);
+        }
+
+        if (onProgress) onProgress(100, file.size, file.size);
+    }
+
+    // ============================================================================
+    // DOWNLOAD: Time-Limited Download URLs
+    // ============================================================================
+
+    /**
+     * Get a signed download URL for a GCS object
+     *
+     * @param options - GCS download options
+     * @returns Promise resolving to the download URL
+     */
+    async download(options: Partial<GcsDownloadOptions> & { fileKey?: string }): Promise<string> {
+        const fileKey = options.fileKey || (options.fileUrl ? extractGcsKeyFromUrl(options.fileUrl, this.getCredentials(options).gcsBucket) : options.filename);
+
+        if (!fileKey) {
+            throw new Error('GCS download requires fileKey, fileUrl or filename');
+        }
+
+        const response = await this.makeRequest<GcsDownloadResponse>('/api/v1/upload/gcs/download-url', {
+            method: 'POST',
+            body: JSON.stringify({
+                fileKey,
+                ...this.getCredentials(options),
+                gcsPublicUrl: options.gcsPublicUrl || this.config.publicUrl,
+                responseContentDisposition: options.responseContentDisposition,
+                expiresIn: options.expiresIn || 3600
+            })
+        });
+
+        if (!response.success) {
+            throw new Error('Failed to generate GCS download URL');
+        }
+
+        return response.downloadUrl;
+    }
+
+    /**
+     * Alias for download() — mirrors R2Provider.getDownloadUrl
+     */
+    async getDownloadUrl(options: Partial<GcsDownloadOptions> & { fileKey: string }): Promise<string> {
+        return this.download(options);
+    }
+
+    // ============================================================================
+    // DELETE
+    // ============================================================================
+
+    /**
+     * Delete a file from GCS
+     *
+     * @param options - fileUrl (public/signed URL or bare key) plus optional credentials
+     * @throws Error if deletion fails
+     */
+    async delete(options: Partial<GcsDeleteOptions> & { fileUrl: string }): Promise<void> {
+        const credentials = this.getCredentials(options);
+        const fileKey = extractGcsKeyFromUrl(options.fileUrl, credentials.gcsBucket);
+
+        if (!fileKey) {
+            throw new Error('Invalid GCS file URL');
+        }
+
+        const response = await this.makeRequest<{ success: boolean }>('/api/v1/upload/gcs/delete', {
+            method: 'POST',
+            body: JSON.stringify({ fileKey, ...credentials })
+        });
+
+        if (!response.success) {
+            throw new Error('Failed to delete GCS file');
+        }
+    }
+
+    /**
+     * Delete up to 100 files in one request
+     *
+     * @param options - Batch delete options
+     * @returns Per-key results
+     */
+    async batchDelete(options: GcsBatchDeleteOptions): Promise<GcsBatchDeleteResponse> {
+        const fileKeys = (options as any).keys || options.fileKeys;
+
+        return this.makeRequest<GcsBatchDeleteResponse>('/api/v1/upload/gcs/batch/delete', {
+            method: 'POST',
+            body: JSON.stringify({
+                keys: fileKeys,
+                ...this.getCredentials(options)
+            })
+        });
+    }
+
+    // ============================================================================
+    // LIST + METADATA
+    // ============================================================================
+
+    /**
+     * List files in the bucket
+     *
+     * @param options - Prefix / pagination options
+     * @returns Promise resolving to list response
+     */
+    async listFiles(options: GcsListOptions = {}): Promise<GcsListResponse> {
+        const response = await this.makeRequest<any>('/api/v1/upload/gcs/list', {
+            method: 'POST',
+            body: JSON.stringify({
+                prefix: options.prefix,
+                maxKeys: options.maxKeys,
+                continuationToken: options.continuationToken,
+                ...this.getCredentials(options)
+            })
+        });
+
+        return {
+            success: response.success,
+            provider: 'gcs',
+            files: response.data?.files || [],
+            count: response.data?.count || 0,
+            truncated: response.data?.isTruncated || false,
+            continuationToken: response.data?.nextContinuationToken || undefined,
+            bucket: response.data?.bucket,
+            prefix: response.data?.prefix,
+            performance: response.performance
+        };
+    }
+
+    /**
+     * Alias for listFiles()
+     */
+    async list(options: GcsListOptions = {}): Promise<GcsListResponse> {
+        return this.listFiles(options);
+    }
+
+    /**
+     * Get object metadata without downloading the file
+     *
+     * @param options - Object key (and optional generation)
+     * @returns Promise resolving to metadata response
+     */
+    async getMetadata(options: GcsMetadataOptions): Promise<GcsMetadataResponse> {
+        return this.makeRequest<GcsMetadataResponse>('/api/v1/upload/gcs/metadata', {
+            method: 'POST',
+            body: JSON.stringify({
+                key: options.key,
+                generation: options.generation,
+                ...this.getCredentials(options)
+            })
+        });
+    }
+
+    // ============================================================================
+    // CORS CONFIGURATION
+    // ============================================================================
+
+    /**
+     * Configure CORS on the bucket so browsers can PUT to signed URLs
+     *
+     * @param options - Allowed origins (default: ['*'])
+     * @returns Applied configuration
+     */
+    async configureCors(options: GcsCorsConfigOptions = {}): Promise<GcsCorsConfigResponse> {
+        return this.makeRequest<GcsCorsConfigResponse>('/api/v1/upload/gcs/cors/setup', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...this.getCredentials(options),
+                allowedOrigins: options.allowedOrigins || options.origins
+            })
+        });
+    }
+
+    /**
+     * Verify the bucket CORS configuration
+     *
+     * @param options - Optional credential overrides
+     * @returns Verification result with issues / recommendation
+     */
+    async verifyCors(options: Partial<GcsCorsConfigOptions> = {}): Promise<GcsCorsVerifyResponse> {
+        return this.makeRequest<GcsCorsVerifyResponse>('/api/v1/upload/gcs/cors/verify', {
+            method: 'POST',
+            body: JSON.stringify(this.getCredentials(options))
+        });
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * GCS Utility Functions
+ *
+ * Credential validation and URL helpers for the Google Cloud Storage provider.
+ *
+ * @module providers/gcs/utils
+ */
+
+import type { GcsConfig } from '../../types/gcs.types.js';
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validation result interface
+ */
+export interface GcsValidationResult {
+    /** Whether validation passed */
+    valid: boolean;
+
+    /** Error message if validation failed */
+    error?: string;
+}
+
+/**
+ * Validate GCS credentials format
+ *
+ * Client-side format check only — GCS itself rejects bad keys at upload time.
+ *
+ * @param credentials - Service account email, private key and bucket
+ * @returns Validation result with error message if invalid
+ */
+export function validateGcsCredentials(credentials: {
+    gcsClientEmail?: string;
+    gcsPrivateKey?: string;
+    gcsBucket?: string;
+}): GcsValidationResult {
+    const { gcsClientEmail, gcsPrivateKey, gcsBucket } = credentials;
+
+    if (!gcsClientEmail || typeof gcsClientEmail !== 'string') {
+        return { valid: false, error: 'gcsClientEmail is required (string)' };
+    }
+
+    if (!gcsPrivateKey || typeof gcsPrivateKey !== 'string') {
+        return { valid: false, error: 'gcsPrivateKey is required (string)' };
+    }
+
+    if (!gcsBucket || typeof gcsBucket !== 'string') {
+        return { valid: false, error: 'gcsBucket is required (string)' };
+    }
+
+    if (!/@[a-z0-9.-]+\.gserviceaccount\.com$/i.test(gcsClientEmail)) {
+        return { valid: false, error: 'gcsClientEmail must be a service account email (…@….iam.gserviceaccount.com)' };
+    }
+
+    if (!gcsPrivateKey.includes('BEGIN PRIVATE KEY')) {
+        return { valid: false, error: 'gcsPrivateKey must be the PEM private_key from your service account JSON key' };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// CONFIG HELPERS
+// ============================================================================
+
+/**
+ * Resolve client email / private key from a GcsConfig
+ *
+ * Accepts either explicit fields or a parsed service account JSON key.
+ *
+ * @param config - GCS provider config
+ * @returns Email and private key (undefined if not configured)
+ */
+export function resolveServiceAccount(config: Partial<GcsConfig>): { clientEmail?: string; privateKey?: string } {
+    return {
+        clientEmail: config.clientEmail || config.serviceAccount?.client_email,
+        privateKey: config.privateKey || config.serviceAccount?.private_key,
+    };
+}
+
+// ============================================================================
+// URL HELPERS
+// ============================================================================
+
+/**
+ * Extract the object key from a GCS URL
+ *
+ * Handles storage.googleapis.com/{bucket}/{key}, {bucket}.storage.googleapis.com/{key}
+ * and custom domains (where the whole path is the key).
+ *
+ * @param fileUrl - Public or signed GCS URL, or a bare key
+ * @param bucket - Bucket name (used to strip the path-style prefix)
+ * @returns Decoded object key
+ */
+export function extractGcsKeyFromUrl(fileUrl: string, bucket?: string): string {
+    if (!/^https?:\/\//i.test(fileUrl)) {
+        return fileUrl;
+    }
+
+    const url = new URL(fileUrl);
+    let path = url.pathname.replace(/^\/+/, '');
+
+    if (url.hostname === 'storage.googleapis.com') {
+        const [pathBucket, ...rest] = path.split('/');
+        if (!bucket || pathBucket === bucket) {
+            path = rest.join('/');
+        }
+    }
+
+    return decodeURIComponent(path);
+}
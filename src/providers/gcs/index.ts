@@ -0,0 +1,31 @@
+/**
+ * GCS Provider - Public Exports
+ *
+ * Exports the Google Cloud Storage provider implementation and related types/utilities.
+ *
+ * @module providers/gcs
+ */
+
+export { GcsProvider } from './gcs.provider.js';
+export * from './gcs.utils.js';
+
+// Re-export all GCS types from the types module
+export type {
+    GcsConfig,
+    GcsServiceAccountKey,
+    GcsUploadOptions,
+    GcsDeleteOptions,
+    GcsBatchDeleteOptions,
+    GcsDownloadOptions,
+    GcsListOptions,
+    GcsMetadataOptions,
+    GcsUploadResponse,
+    GcsDownloadResponse,
+    GcsListResponse,
+    GcsMetadataResponse,
+    GcsBatchDeleteResponse,
+    GcsCorsConfigOptions,
+    GcsCorsConfigResponse,
+    GcsCorsVerifyResponse,
+    ExtractGcsOptions,
+} from '../../types/gcs.types.js';
@@ -61,9 +61,46 @@ export type {
     S3MetadataOptions,
     S3UploadResponse,
     S3MultipartInitResponse,
+    S3MultipartStatusResponse,
+    S3MultipartCompleteResponse,
+    S3ResumeUploadOptions,
     S3DownloadResponse,
     S3DeleteResponse,
     S3BatchDeleteResponse,
     S3ListResponse,
     S3MetadataResponse,
 } from './s3';
+
+// GCS provider
+export { GcsProvider } from './gcs';
+export type {
+    GcsUploadOptions,
+    GcsDeleteOptions,
+    GcsBatchDeleteOptions,
+    GcsDownloadOptions,
+    GcsListOptions,
+    GcsMetadataOptions,
+    GcsUploadResponse,
+    GcsDownloadResponse,
+    GcsListResponse,
+    GcsMetadataResponse,
+    GcsBatchDeleteResponse,
+} from './gcs';
+
+// Azure provider
+export { AzureProvider } from './azure';
+export type {
+    AzureUploadOptions,
+    AzureDeleteOptions,
+    AzureBatchDeleteOptions,
+    AzureDownloadOptions,
+    AzureListOptions,
+    AzureListContainersOptions,
+    AzureUploadResponse,
+    AzureMultipartInitResponse,
+    AzureMultipartCompleteResponse,
+    AzureDownloadResponse,
+    AzureListResponse,
+    AzureListContainersResponse,
+    AzureBatchDeleteResponse,
+} from './azure';
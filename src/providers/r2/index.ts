@@ -25,5 +25,8 @@ export type {
     R2AccessTokenResponse,
     R2ListResponse,
     R2BatchDeleteResponse,
+    R2MultipartInitResponse,
+    R2MultipartCompleteResponse,
+    R2ListPartsResponse,
     ExtractR2Options,
 } from '../../types/r2.types.js';
@@ -39,10 +39,20 @@ import type {
     R2CorsVerifyOptions,
     R2CorsVerifyResponse,
     R2Config,
+    R2MultipartInitResponse,
+    R2MultipartCompleteResponse,
+    R2ListPartsResponse,
 } from '../../types/r2.types.js';
 import { normalizeNetworkInfo } from '../../utils/network-detector.js';
 import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
-import { validateR2Credentials, validateBatchSize } from './r2.utils.js';
+import type { RequestCredential } from '../../utils/signature.js';
+import {
+    validateR2Credentials,
+    validateBatchSize,
+    R2_MULTIPART_THRESHOLD,
+    R2_DEFAULT_PART_SIZE,
+    R2_DEFAULT_CONCURRENCY
+} from './r2.utils.js';
 import { WebhookConfig } from '../../types/common.js';
 
 /**
@@ -74,7 +84,7 @@ export class R2Provider extends BaseProvider<
 > {
     private config: R2Config;
 
-    constructor(apiKey: string, baseUrl: string, apiSecret?: string, config?: R2Config) {
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: R2Config) {
         super('R2', apiKey, baseUrl, apiSecret);
         this.config = config || {} as R2Config;
     }
@@ -88,6 +98,7 @@ export class R2Provider extends BaseProvider<
      * 
      * Uses presigned URLs with pure crypto signing (no external API calls).
      * Files are uploaded directly to R2 via PUT request.
+     * Files above `multipartThreshold` (default 100MB) are uploaded as parallel parts.
      * 
      * @param file - File or Blob to upload
      * @param options - R2 upload options
@@ -115,9 +126,12 @@ export class R2Provider extends BaseProvider<
         } as R2UploadOptions;
 
         // Validate R2 credentials format (client-side, instant)
-        const validation = validateR2Credentials(mergedOptions);
-        if (!validation.valid) {
-            throw new Error(`R2 Credentials Invalid: ${validation.error}`);
+        // A preset may supply them server-side through its stored connection
+        if (!mergedOptions.preset) {
+            const validation = validateR2Credentials(mergedOptions);
+            if (!validation.valid) {
+                throw new Error(`R2 Credentials Invalid: ${validation.error}`);
+            }
         }
 
         // Create AbortController for cancellation
@@ -149,6 +163,20 @@ export class R2Provider extends BaseProvider<
                 }
             }
 
+            // ==================== MULTIPART (large files) ====================
+            // Presets are resolved on the signed-url route only, so preset uploads stay single-PUT
+            if (!mergedOptions.preset && file.size > (options.multipartThreshold || R2_MULTIPART_THRESHOLD)) {
+                const publicUrl = await this.uploadMultipart(file, mergedOptions, controller.signal);
+                console.log(`🚀 R2 multipart upload completed in ${Date.now() - startTime}ms`);
+
+                this.trackEvent('completed', publicUrl, {
+                    filename,
+                    fileSize: file.size,
+                }).catch(() => { });
+
+                return publicUrl;
+            }
+
             // Get network info for smart expiry
             const networkInfo = normalizeNetworkInfo(options.networkInfo);
 
@@ -172,6 +200,8 @@ export class R2Provider extends BaseProvider<
                         r2AccountId: mergedOptions.r2AccountId,
                         r2Bucket: mergedOptions.r2Bucket,
                         r2PublicUrl: mergedOptions.r2PublicUrl,
+                        ...(mergedOptions.preset && { preset: mergedOptions.preset }),
+                        ...(mergedOptions.keyTemplate && { keyTemplate: mergedOptions.keyTemplate, contentSha256: mergedOptions.contentSha256 }),
                         expiresIn: mergedOptions.expiresIn || 3600,
                         metadata: mergedOptions.metadata,
                         // ==================== SMART EXPIRY ====================
@@ -334,6 +364,153 @@ export class R2Provider extends BaseProvider<
         if (onProgress) onProgress(100, file.size, file.size);
     }
 
+    // ============================================================================
+    // MULTIPART: Large File Upload (>100MB)
+    // ============================================================================
+
+    /**
+     * Upload a large file as parallel parts
+     *
+     * initiate → PUT each part to its presigned URL → complete.
+     * The upload is aborted on R2 if any part fails, so no orphaned parts are billed.
+     * @private
+     */
+    private async uploadMultipart(
+        file: File | Blob,
+        options: R2UploadOptions,
+        signal: AbortSignal
+    ): Promise<string> {
+        const credentials = {
+            r2AccessKey: options.r2AccessKey,
+            r2SecretKey: options.r2SecretKey,
+            r2AccountId: options.r2AccountId,
+            r2Bucket: options.r2Bucket,
+        };
+
+        const init = await this.makeRequest<R2MultipartInitResponse>('/api/v1/upload/r2/multipart/initiate', {
+            method: 'POST',
+            body: JSON.stringify({
+                filename: options.filename,
+                contentType: options.contentType,
+                fileSize: file.size,
+                ...credentials,
+                r2PublicUrl: options.r2PublicUrl,
+                partSize: options.partSize || R2_DEFAULT_PART_SIZE,
+                expiresIn: options.expiresIn || 3600,
+                ...(options.keyTemplate && { keyTemplate: options.keyTemplate, contentSha256: options.contentSha256 })
+            })
+        });
+
+        if (!init.success) {
+            throw new Error('Failed to initiate R2 multipart upload');
+        }
+
+        const { uploadId, objectKey, partSize, partUrls } = init;
+        console.log(`✅ R2 multipart initiated: ${partUrls.length} parts`);
+
+        const completedParts: Array<{ partNumber: number; etag: string }> = [];
+        const uploadedPerPart = new Map<number, number>();
+        const reportProgress = () => {
+            if (!options.onProgress) return;
+            let uploaded = 0;
+            uploadedPerPart.forEach(bytes => { uploaded += bytes; });
+            options.onProgress((uploaded / file.size) * 100, uploaded, file.size);
+        };
+
+        // Simple worker pool: each worker pulls the next part until none are left
+        let next = 0;
+        const worker = async () => {
+            while (next < partUrls.length) {
+                const part = partUrls[next++];
+                const start = (part.partNumber - 1) * partSize;
+                const chunk = file.slice(start, Math.min(start + partSize, file.size));
+
+                const response = await fetch(part.uploadUrl, { method: 'PUT', body: chunk, signal });
+                if (!response.ok) {
+                    throw new Error(`Part ${part.partNumber} failed with status ${response.status}`);
+                }
+
+                // ETag must be exposed by the bucket CORS policy (configureCors does this)
+                const etag = response.headers.get('ETag');
+                if (!etag) {
+                    throw new Error(`Part ${part.partNumber} returned no ETag - run configureCors() to expose it`);
+                }
+
+                completedParts.push({ partNumber: part.partNumber, etag: etag.replace(/"/g, '') });
+                uploadedPerPart.set(part.partNumber, chunk.size);
+                reportProgress();
+            }
+        };
+
+        try {
+            const concurrency = Math.max(1, Math.min(options.concurrency || R2_DEFAULT_CONCURRENCY, partUrls.length));
+            await Promise.all(Array.from({ length: concurrency }, worker));
+
+            const complete = await this.makeRequest<R2MultipartCompleteResponse>('/api/v1/upload/r2/multipart/complete', {
+                method: 'POST',
+                body: JSON.stringify({
+                    uploadId,
+                    objectKey,
+                    parts: completedParts,
+                    ...credentials,
+                    r2PublicUrl: options.r2PublicUrl
+                })
+            });
+
+            if (!complete.success) {
+                throw new Error('Failed to complete R2 multipart upload');
+            }
+
+            return complete.publicUrl;
+
+        } catch (error) {
+            // Best effort: free the parts already stored on R2
+            await this.makeRequest('/api/v1/upload/r2/multipart/abort', {
+                method: 'POST',
+                body: JSON.stringify({ uploadId, objectKey, ...credentials })
+            }).catch(() => { });
+
+            throw error;
+        }
+    }
+
+    /**
+     * List the parts already uploaded for a multipart upload
+     *
+     * @param options - uploadId and objectKey from the initiate response
+     * @returns Uploaded parts with their ETags and sizes
+     *
+     * @example
+     * ```typescript
+     * const { data } = await r2.listParts({ uploadId, objectKey });
+     * console.log(`${data.count} parts (${data.totalSize} bytes) on R2`);
+     * ```
+     */
+    async listParts(options: {
+        uploadId: string;
+        objectKey: string;
+        maxParts?: number;
+        partNumberMarker?: string;
+        r2AccessKey?: string;
+        r2SecretKey?: string;
+        r2AccountId?: string;
+        r2Bucket?: string;
+    }): Promise<R2ListPartsResponse> {
+        return this.makeRequest<R2ListPartsResponse>('/api/v1/upload/r2/multipart/list-parts', {
+            method: 'POST',
+            body: JSON.stringify({
+                uploadId: options.uploadId,
+                objectKey: options.objectKey,
+                maxParts: options.maxParts,
+                partNumberMarker: options.partNumberMarker,
+                r2AccessKey: options.r2AccessKey || this.config.accessKey,
+                r2SecretKey: options.r2SecretKey || this.config.secretKey,
+                r2AccountId: options.r2AccountId || this.config.accountId,
+                r2Bucket: options.r2Bucket || this.config.bucket,
+            })
+        });
+    }
+
     // ============================================================================
     // BATCH: Upload Multiple Files (100 files in <500ms!)
     // ============================================================================
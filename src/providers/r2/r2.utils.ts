@@ -9,6 +9,19 @@
 
 import { R2UploadOptions, R2BatchUploadOptions } from '../../types/r2.types.js';
 
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Files above this size are uploaded with multipart (matches the API minimum) */
+export const R2_MULTIPART_THRESHOLD = 100 * 1024 * 1024;
+
+/** Default part size for multipart uploads */
+export const R2_DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+
+/** Default number of parts uploaded in parallel */
+export const R2_DEFAULT_CONCURRENCY = 4;
+
 // ============================================================================
 // VALIDATION
 // ============================================================================
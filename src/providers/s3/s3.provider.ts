@@ -34,6 +34,9 @@ import type {
     S3MetadataOptions,
     S3UploadResponse,
     S3MultipartInitResponse,
+    S3MultipartStatusResponse,
+    S3MultipartCompleteResponse,
+    S3ResumeUploadOptions,
     S3DownloadResponse,
     S3DeleteResponse,
     S3BatchDeleteResponse,
@@ -49,13 +52,27 @@ import type {
 } from '../../types/s3.types.js';
 import { normalizeNetworkInfo } from '../../utils/network-detector.js';
 import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
+import type { RequestCredential } from '../../utils/signature.js';
 import {
     validateS3Credentials,
     validateBatchSize,
     validateS3Region,
     validateStorageClass,
-    validateEncryptionType
+    validateEncryptionType,
+    S3_DEFAULT_PART_SIZE,
+    S3_DEFAULT_CONCURRENCY,
+    S3_DEFAULT_MAX_RETRIES
 } from './s3.utils.js';
+import {
+    getDefaultMultipartStore,
+    getFileFingerprint,
+    loadMultipartState,
+    saveMultipartState,
+    clearMultipartState,
+    findMultipartUploadId,
+    type MultipartStateStore,
+    type MultipartUploadState
+} from '../../utils/multipart-store.js';
 
 /**
  * S3 Provider
@@ -89,7 +106,7 @@ export class S3Provider extends BaseProvider<
 > {
     private config: S3Config;
 
-    constructor(apiKey: string, baseUrl: string, apiSecret?: string, config?: S3Config) {
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: S3Config) {
         super('S3', apiKey, baseUrl, apiSecret);
         this.config = config || {} as S3Config;
     }
@@ -136,9 +153,12 @@ export class S3Provider extends BaseProvider<
         } as S3UploadOptions;
 
         // Validate S3 credentials format (client-side, instant)
-        const validation = validateS3Credentials(mergedOptions);
-        if (!validation.valid) {
-            throw new Error(`S3 Credentials Invalid: ${validation.error}`);
+        // A preset may supply them server-side through its stored connection
+        if (!mergedOptions.preset) {
+            const validation = validateS3Credentials(mergedOptions);
+            if (!validation.valid) {
+                throw new Error(`S3 Credentials Invalid: ${validation.error}`);
+            }
         }
 
         // Validate region (if provided)
@@ -222,6 +242,8 @@ export class S3Provider extends BaseProvider<
                         s3KmsKeyId: (mergedOptions as any).s3KmsKeyId,
                         s3CloudFrontDomain: (mergedOptions as any).s3CloudFrontDomain,
                         s3EnableVersioning: (mergedOptions as any).s3EnableVersioning,
+                        ...(mergedOptions.preset && { preset: mergedOptions.preset }),
+                        ...(mergedOptions.keyTemplate && { keyTemplate: mergedOptions.keyTemplate, contentSha256: mergedOptions.contentSha256 }),
                         expiresIn: mergedOptions.expiresIn || 3600,
                         metadata: (mergedOptions as any).metadata,
                         // ==================== SMART EXPIRY ====================
@@ -637,12 +659,26 @@ export class S3Provider extends BaseProvider<
     // ============================================================================
 
     /**
-     * Initiate multipart upload for large files (>100MB)
-     * 
+     * Upload a large file (>100MB) in parallel parts
+     *
+     * The uploadId and each finished part's ETag are persisted as the upload runs,
+     * so an interrupted upload can be continued with resumeUpload() instead of
+     * starting over. Cancelling via onCancel aborts the upload on S3.
+     *
      * @param file - Large file to upload
      * @param options - S3 multipart upload options
      * @returns Promise resolving to the final file URL
-     * @throws Error if upload fails
+     * @throws Error if upload fails (the upload stays resumable)
+     *
+     * @example
+     * ```typescript
+     * try {
+     *   await s3.multipartUpload(file, { partSize: 16 * 1024 * 1024, concurrency: 6 });
+     * } catch {
+     *   const uploadId = await s3.findResumableUpload(file);
+     *   if (uploadId) await s3.resumeUpload(file, uploadId);
+     * }
+     * ```
      */
     async multipartUpload(file: File | Blob, options: S3MultipartUploadOptions): Promise<string> {
         const startTime = Date.now();
@@ -651,13 +687,17 @@ export class S3Provider extends BaseProvider<
         const filename = file instanceof File ? file.name : 'uploaded-file';
         const contentType = file instanceof File ? file.type : 'application/octet-stream';
 
+        const credentials = this.getMultipartCredentials(options);
+
         // Validate S3 credentials
-        const fullOptions = { ...options, filename, contentType, provider: 'S3' as const };
+        const fullOptions = { ...options, ...credentials, filename, contentType, provider: 'S3' as const };
         const validation = validateS3Credentials(fullOptions);
         if (!validation.valid) {
             throw new Error(`S3 Credentials Invalid: ${validation.error}`);
         }
 
+        const store = options.stateStore || getDefaultMultipartStore();
+
         try {
             // STEP 1: Initiate multipart upload
             const initResponse = await this.makeRequest<S3MultipartInitResponse>(
@@ -668,14 +708,14 @@ export class S3Provider extends BaseProvider<
                         filename,
                         contentType,
                         fileSize: file.size,
-                        s3AccessKey: options.s3AccessKey,
-                        s3SecretKey: options.s3SecretKey,
-                        s3Bucket: options.s3Bucket,
-                        s3Region: options.s3Region || 'us-east-1',
-                        s3StorageClass: options.s3StorageClass,
-                        s3EncryptionType: options.s3EncryptionType,
-                        s3KmsKeyId: options.s3KmsKeyId,
-                        partSize: options.partSize || 10485760 // 10MB default
+                        ...credentials,
+                        s3StorageClass: options.s3StorageClass || this.config.storageClass,
+                        s3EncryptionType: options.s3EncryptionType || this.config.encryptionType,
+                        s3KmsKeyId: options.s3KmsKeyId || this.config.kmsKeyId,
+                        s3CloudFrontDomain: options.s3CloudFrontDomain || this.config.cloudFrontDomain,
+                        partSize: options.partSize || S3_DEFAULT_PART_SIZE,
+                        expiresIn: options.expiresIn,
+                        ...(options.keyTemplate && { keyTemplate: options.keyTemplate, contentSha256: options.contentSha256 })
                     }),
                 }
             );
@@ -684,18 +724,27 @@ export class S3Provider extends BaseProvider<
                 throw new Error('Failed to initiate S3 multipart upload');
             }
 
-            const { uploadId, partUrls, key } = initResponse;
+            const { uploadId, objectKey, partSize, partUrls } = initResponse;
 
             console.log(`✅ S3 multipart upload initiated: ${partUrls.length} parts`);
 
-            // STEP 2: Upload parts (this is simplified - real implementation would need part splitting)
-            // For now, return the key - actual part upload would be handled by the client
-            const totalTime = Date.now() - startTime;
-            console.log(`🚀 S3 multipart upload setup completed in ${totalTime}ms`);
+            const state: MultipartUploadState = {
+                uploadId,
+                objectKey,
+                partSize,
+                fileSize: file.size,
+                filename,
+                fingerprint: getFileFingerprint(file),
+                parts: [],
+                createdAt: new Date().toISOString()
+            };
+            await saveMultipartState(store, state);
+
+            // STEP 2: Upload parts, STEP 3: complete
+            const publicUrl = await this.runMultipartUpload(file, state, partUrls, credentials, options, store);
 
-            // Return the S3 public URL for the key
-            const region = options.s3Region || 'us-east-1';
-            return `https://${options.s3Bucket}.s3.${region}.amazonaws.com/${key}`;
+            console.log(`🚀 S3 multipart upload completed in ${Date.now() - startTime}ms`);
+            return initResponse.cdnUrl || publicUrl;
 
         } catch (error) {
             const totalTime = Date.now() - startTime;
@@ -704,6 +753,293 @@ export class S3Provider extends BaseProvider<
         }
     }
 
+    /**
+     * Resume an interrupted multipart upload
+     *
+     * Asks S3 which parts it already has (ListParts), uploads only the missing
+     * ones with fresh presigned URLs, then completes the upload.
+     *
+     * @param file - The same file that was originally being uploaded
+     * @param uploadId - uploadId of the interrupted upload (see findResumableUpload)
+     * @param options - Optional overrides (credentials, concurrency, retries)
+     * @returns Promise resolving to the final file URL
+     * @throws Error if the upload no longer exists on S3 or cannot be completed
+     */
+    async resumeUpload(file: File | Blob, uploadId: string, options: S3ResumeUploadOptions = {}): Promise<string> {
+        const startTime = Date.now();
+        const store = options.stateStore || getDefaultMultipartStore();
+        const credentials = this.getMultipartCredentials(options);
+
+        const saved = await loadMultipartState(store, uploadId);
+        const objectKey = options.objectKey || saved?.objectKey;
+        const partSize = options.partSize || saved?.partSize || S3_DEFAULT_PART_SIZE;
+
+        if (!objectKey) {
+            throw new Error('S3 Resume Failed: objectKey is required when no saved state exists for this upload');
+        }
+
+        if (saved && saved.fileSize !== file.size) {
+            throw new Error('S3 Resume Failed: file size does not match the interrupted upload');
+        }
+
+        // STEP 1: Ask S3 which parts it already has (source of truth over saved ETags)
+        const status = await this.getMultipartStatus({
+            uploadId,
+            objectKey,
+            fileSize: file.size,
+            partSize,
+            ...credentials,
+            expiresIn: options.expiresIn
+        });
+
+        const state: MultipartUploadState = {
+            uploadId,
+            objectKey,
+            partSize,
+            fileSize: file.size,
+            filename: saved?.filename || (file instanceof File ? file.name : 'uploaded-file'),
+            fingerprint: saved?.fingerprint || getFileFingerprint(file),
+            parts: status.parts.map(part => ({ partNumber: part.partNumber, etag: part.etag })),
+            createdAt: saved?.createdAt || new Date().toISOString()
+        };
+        await saveMultipartState(store, state);
+
+        console.log(`🔄 Resuming S3 multipart upload: ${status.uploadedParts}/${status.partCount} parts already uploaded`);
+
+        // STEP 2: Upload missing parts, STEP 3: complete
+        const publicUrl = await this.runMultipartUpload(file, state, status.partUrls || [], credentials, options, store);
+
+        console.log(`🚀 S3 multipart upload resumed and completed in ${Date.now() - startTime}ms`);
+        return publicUrl;
+    }
+
+    /**
+     * Find an unfinished multipart upload of this file in the state store
+     *
+     * @param file - File to look up (matched by name, size and lastModified)
+     * @param stateStore - Store used for the original upload (default: localStorage / in-memory)
+     * @returns uploadId to pass to resumeUpload(), or null
+     */
+    async findResumableUpload(file: File | Blob, stateStore?: MultipartStateStore): Promise<string | null> {
+        return findMultipartUploadId(stateStore || getDefaultMultipartStore(), file);
+    }
+
+    /**
+     * Get the parts S3 already has for a multipart upload
+     *
+     * @param options - uploadId and objectKey; send fileSize + partSize to also get URLs for missing parts
+     * @returns Uploaded parts and (optionally) fresh URLs for the missing parts
+     */
+    async getMultipartStatus(options: {
+        uploadId: string;
+        objectKey: string;
+        fileSize?: number;
+        partSize?: number;
+        expiresIn?: number;
+        s3AccessKey?: string;
+        s3SecretKey?: string;
+        s3Bucket?: string;
+        s3Region?: string;
+        s3Endpoint?: string;
+    }): Promise<S3MultipartStatusResponse> {
+        return this.makeRequest<S3MultipartStatusResponse>('/api/v1/upload/s3/multipart/status', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...options,
+                ...this.getMultipartCredentials(options)
+            })
+        });
+    }
+
+    /**
+     * Abort a multipart upload and discard its saved state
+     *
+     * S3 keeps (and bills) uploaded parts until the upload is completed or aborted.
+     *
+     * @param options - uploadId, plus objectKey if no state was saved
+     */
+    async abortMultipartUpload(options: {
+        uploadId: string;
+        objectKey?: string;
+        stateStore?: MultipartStateStore;
+        s3AccessKey?: string;
+        s3SecretKey?: string;
+        s3Bucket?: string;
+        s3Region?: string;
+        s3Endpoint?: string;
+    }): Promise<void> {
+        const store = options.stateStore || getDefaultMultipartStore();
+        const saved = await loadMultipartState(store, options.uploadId);
+        const objectKey = options.objectKey || saved?.objectKey;
+
+        if (!objectKey) {
+            throw new Error('S3 Abort Failed: objectKey is required when no saved state exists for this upload');
+        }
+
+        await this.makeRequest('/api/v1/upload/s3/multipart/abort', {
+            method: 'POST',
+            body: JSON.stringify({
+                uploadId: options.uploadId,
+                objectKey,
+                ...this.getMultipartCredentials(options)
+            })
+        });
+
+        if (saved) {
+            await clearMultipartState(store, saved);
+        }
+    }
+
+    /**
+     * Credentials sent with every multipart call (options override stored config)
+     * @private
+     */
+    private getMultipartCredentials(options: {
+        s3AccessKey?: string;
+        s3SecretKey?: string;
+        s3Bucket?: string;
+        s3Region?: string;
+        s3Endpoint?: string;
+    }) {
+        return {
+            s3AccessKey: options.s3AccessKey || this.config.accessKey,
+            s3SecretKey: options.s3SecretKey || this.config.secretKey,
+            s3Bucket: options.s3Bucket || this.config.bucket,
+            s3Region: options.s3Region || this.config.region || 'us-east-1',
+            s3Endpoint: options.s3Endpoint || this.config.endpoint
+        };
+    }
+
+    /**
+     * Upload the given parts with a worker pool, persist ETags, then complete
+     *
+     * Parts already in state.parts are counted towards progress but not re-sent.
+     * @private
+     */
+    private async runMultipartUpload(
+        file: File | Blob,
+        state: MultipartUploadState,
+        partUrls: Array<{ partNumber: number; uploadUrl: string }>,
+        credentials: ReturnType<S3Provider['getMultipartCredentials']>,
+        options: Partial<S3MultipartUploadOptions>,
+        store: MultipartStateStore
+    ): Promise<string> {
+        const { uploadId, objectKey, partSize } = state;
+        const maxRetries = options.maxRetries ?? S3_DEFAULT_MAX_RETRIES;
+        const controller = new AbortController();
+        let cancelled = false;
+
+        const partBytes = (partNumber: number) =>
+            Math.min(partSize, file.size - (partNumber - 1) * partSize);
+
+        let uploadedBytes = state.parts.reduce((sum, part) => sum + partBytes(part.partNumber), 0);
+        if (options.onProgress) {
+            options.onProgress((uploadedBytes / file.size) * 100, uploadedBytes, file.size);
+        }
+
+        // Simple worker pool: each worker pulls the next part until none are left
+        let next = 0;
+        const worker = async () => {
+            while (next < partUrls.length && !controller.signal.aborted) {
+                const part = partUrls[next++];
+                const start = (part.partNumber - 1) * partSize;
+                const chunk = file.slice(start, Math.min(start + partSize, file.size));
+
+                const etag = await this.uploadPartWithRetry(part.uploadUrl, chunk, part.partNumber, maxRetries, controller.signal);
+
+                state.parts.push({ partNumber: part.partNumber, etag });
+                await saveMultipartState(store, state);
+
+                uploadedBytes += chunk.size;
+                if (options.onProgress) {
+                    options.onProgress((uploadedBytes / file.size) * 100, uploadedBytes, file.size);
+                }
+                if (options.onPartComplete) {
+                    options.onPartComplete({ partNumber: part.partNumber, etag }, uploadId);
+                }
+            }
+        };
+
+        try {
+            const concurrency = Math.max(1, Math.min(options.concurrency || S3_DEFAULT_CONCURRENCY, partUrls.length));
+            await Promise.all(Array.from({ length: concurrency }, worker));
+        } catch (error) {
+            // Stop the other workers; the saved state keeps the upload resumable
+            controller.abort();
+
+            if (error instanceof Error && (error.name === 'AbortError' || error.message === 'Upload cancelled')) {
+                cancelled = true;
+            } else {
+                throw error;
+            }
+        }
+
+        if (cancelled) {
+            await this.abortMultipartUpload({ uploadId, objectKey, stateStore: store, ...credentials }).catch(() => { });
+            if (options.onCancel) {
+                options.onCancel();
+            }
+            throw new Error('Upload cancelled');
+        }
+
+        // STEP 3: Complete (parts must be in ascending order)
+        const parts = [...state.parts].sort((a, b) => a.partNumber - b.partNumber);
+        const complete = await this.makeRequest<S3MultipartCompleteResponse>('/api/v1/upload/s3/multipart/complete', {
+            method: 'POST',
+            body: JSON.stringify({ uploadId, objectKey, parts, ...credentials })
+        });
+
+        if (!complete.success) {
+            throw new Error('Failed to complete S3 multipart upload');
+        }
+
+        await clearMultipartState(store, state);
+        return complete.publicUrl;
+    }
+
+    /**
+     * PUT one part, retrying with exponential backoff
+     * @private
+     * @returns The part ETag (requires ETag in the bucket CORS ExposeHeaders)
+     */
+    private async uploadPartWithRetry(
+        uploadUrl: string,
+        chunk: Blob,
+        partNumber: number,
+        maxRetries: number,
+        signal: AbortSignal
+    ): Promise<string> {
+        let lastError: unknown;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), 10000)));
+            }
+
+            try {
+                const response = await fetch(uploadUrl, { method: 'PUT', body: chunk, signal });
+
+                if (!response.ok) {
+                    throw new Error(`Part ${partNumber} failed with status ${response.status}`);
+                }
+
+                const etag = response.headers.get('ETag');
+                if (!etag) {
+                    throw new Error(`Part ${partNumber} returned no ETag - run configureCors() to expose it`);
+                }
+
+                return etag;
+            } catch (error) {
+                if (signal.aborted || (error instanceof Error && error.name === 'AbortError')) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
     // ============================================================================
     // ADVANCED: Batch Delete (up to 1000 files)
     // ============================================================================
@@ -9,6 +9,19 @@
 
 import type { S3UploadOptions, S3DeleteOptions, S3BatchDeleteOptions } from '../../types/s3.types.js';
 
+// ============================================================================
+// Multipart Defaults
+// ============================================================================
+
+/** Default part size for multipart uploads (10MB) */
+export const S3_DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+
+/** Default number of parts uploaded in parallel */
+export const S3_DEFAULT_CONCURRENCY = 4;
+
+/** Default retries per part before a multipart upload fails */
+export const S3_DEFAULT_MAX_RETRIES = 3;
+
 // ============================================================================
 // Credential Validation
 // ============================================================================
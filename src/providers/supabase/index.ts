@@ -12,4 +12,6 @@ export type {
     SupabaseListBucketsOptions,
     SupabaseBucketInfo,
     SupabaseCancelOptions,
+    SupabaseResumableUploadResponse,
+    SupabaseResumableUpload,
 } from '../../types/supabase.types.js';
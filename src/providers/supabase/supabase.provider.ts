@@ -9,6 +9,7 @@
  * - Private bucket support with signed URLs
  * - Progress tracking simulation
  * - Upload cancellation support
+ * - Resumable (TUS) uploads with pause/resume for large files
  * - Bucket management operations
  * 
  * @module providers/supabase
@@ -22,9 +23,17 @@ import type {
     SupabaseListBucketsOptions,
     SupabaseBucketInfo,
     SupabaseConfig,
+    SupabaseResumableUploadResponse,
+    SupabaseResumableUpload,
 } from '../../types/supabase.types.js';
 import type { UploadResponse, DownloadResponse } from '../../types/common.js';
 import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
+import type { RequestCredential } from '../../utils/signature.js';
+import { TusUpload } from '../../utils/tus-client.js';
+import { getDefaultMultipartStore, getFileFingerprint } from '../../utils/multipart-store.js';
+
+/** Files above this size use resumable (TUS) uploads - Supabase's recommended cutoff */
+const SUPABASE_RESUMABLE_THRESHOLD = 6 * 1024 * 1024;
 
 /**
  * Supabase Storage Provider
@@ -69,7 +78,7 @@ export class SupabaseProvider extends BaseProvider<
 
     private config: SupabaseConfig;
 
-    constructor(apiKey: string, baseUrl: string, apiSecret?: string, config?: SupabaseConfig) {
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: SupabaseConfig) {
         super('SUPABASE', apiKey, baseUrl, apiSecret);
         this.config = config || {} as SupabaseConfig;
     }
@@ -79,6 +88,7 @@ export class SupabaseProvider extends BaseProvider<
      * 
      * Supports both public and private buckets.
      * For private buckets, automatically generates signed URLs.
+     * Files over 6MB use a resumable (TUS) upload unless `resumable: false`.
      * 
      * @param file - File or Blob to upload
      * @param options - Supabase upload options
@@ -131,31 +141,62 @@ export class SupabaseProvider extends BaseProvider<
                 }
             }
 
-            // Step 1: Get signed URL from ObitoX API
-            const signedUrlResult = await this.getSignedUrl(filename, contentType, {
-                ...mergedOptions,
-                fileSize: file.size,  // Always pass actual file size
-            });
+            let finalFileUrl: string | null | undefined;
+            let uploadedFilename: string;
 
-            if (!signedUrlResult.data.token || !signedUrlResult.data.bucket) {
-                throw new Error('Missing required Supabase upload parameters: token or bucket');
-            }
+            // Resumable (TUS) by default above 6MB - webhooks are only created for single-PUT uploads
+            const useResumable = options.resumable ?? (file.size > SUPABASE_RESUMABLE_THRESHOLD && !options.webhook);
 
-            // Step 2: Upload to Supabase using signed URL
-            await this.uploadToSupabaseSignedUrl(
-                signedUrlResult.data.uploadUrl || '',
-                signedUrlResult.data.token,
-                signedUrlResult.data.filename || filename,
-                signedUrlResult.data.bucket,
-                file,
-                options.onProgress,
-                options.onCancel
-            );
+            if (useResumable) {
+                const resumable = await this.createResumableUpload(file, mergedOptions);
 
-            // Step 3: Get final URL (signed URL for private buckets)
-            let finalFileUrl = signedUrlResult.data.fileUrl;
-            const uploadedFilename = signedUrlResult.data.filename || filename;
+                if (options.onResumableUpload) {
+                    options.onResumableUpload(resumable.upload);
+                }
+
+                try {
+                    await resumable.upload.start();
+                } catch (error) {
+                    if (resumable.upload.state === 'aborted') {
+                        if (options.onCancel) {
+                            options.onCancel();
+                        }
+                        throw new Error('Upload cancelled');
+                    }
+                    throw error;
+                }
 
+                console.log(`✅ Resumable upload to Supabase: ${resumable.bucket}/${resumable.filename}`);
+
+                finalFileUrl = resumable.fileUrl;
+                uploadedFilename = resumable.filename;
+            } else {
+                // Step 1: Get signed URL from ObitoX API
+                const signedUrlResult = await this.getSignedUrl(filename, contentType, {
+                    ...mergedOptions,
+                    fileSize: file.size,  // Always pass actual file size
+                });
+
+                if (!signedUrlResult.data.token || !signedUrlResult.data.bucket) {
+                    throw new Error('Missing required Supabase upload parameters: token or bucket');
+                }
+
+                // Step 2: Upload to Supabase using signed URL
+                await this.uploadToSupabaseSignedUrl(
+                    signedUrlResult.data.uploadUrl || '',
+                    signedUrlResult.data.token,
+                    signedUrlResult.data.filename || filename,
+                    signedUrlResult.data.bucket,
+                    file,
+                    options.onProgress,
+                    options.onCancel
+                );
+
+                finalFileUrl = signedUrlResult.data.fileUrl;
+                uploadedFilename = signedUrlResult.data.filename || filename;
+            }
+
+            // Step 3: Get final URL (signed URL for private buckets)
             // If backend didn't return a public URL, it's a private bucket - get signed URL
             // (Backend returns null fileUrl for private buckets)
             if (!finalFileUrl) {
@@ -202,6 +243,71 @@ export class SupabaseProvider extends BaseProvider<
         }
     }
 
+    /**
+     * Prepare a resumable (TUS) upload without starting it
+     *
+     * The API issues a token scoped to one bucket/path; the file then goes
+     * straight to Supabase in 6MB chunks. If the same file was interrupted
+     * before (same name, size and lastModified), the earlier upload is continued.
+     *
+     * @param file - File or Blob to upload
+     * @param options - Supabase upload options (credentials default to provider config)
+     * @returns Upload handle plus the final object name and URL
+     */
+    async createResumableUpload(
+        file: File | Blob,
+        options: Partial<Omit<SupabaseUploadOptions, 'filename' | 'contentType'>> = {}
+    ): Promise<SupabaseResumableUpload> {
+        const filename = file instanceof File ? file.name : 'uploaded-file';
+        const contentType = file instanceof File && file.type ? file.type : 'application/octet-stream';
+        const supabaseUrl = options.supabaseUrl || this.config.url;
+        const supabaseToken = options.supabaseToken || this.config.token;
+        const bucket = options.bucket || this.config.bucket;
+
+        const store = options.stateStore || getDefaultMultipartStore();
+        const storageKey = `supabase:${bucket}:${getFileFingerprint(file)}`;
+        const objectNameKey = `obitox:supabase-object:${storageKey}`;
+        const previousObjectName = await store.get(objectNameKey);
+
+        const response = await this.makeRequest<SupabaseResumableUploadResponse>('/api/v1/upload/supabase/resumable', {
+            method: 'POST',
+            body: JSON.stringify({
+                filename,
+                contentType,
+                fileSize: file.size,
+                supabaseUrl,
+                supabaseToken,
+                bucket,
+                ...(previousObjectName && { objectName: previousObjectName })
+            }),
+        });
+
+        const { data } = response;
+        await store.set(objectNameKey, data.filename);
+
+        const upload = new TusUpload(file, {
+            endpoint: data.endpoint,
+            headers: data.headers,
+            metadata: data.metadata,
+            chunkSize: data.chunkSize,
+            storageKey,
+            store,
+            onProgress: options.onProgress,
+            onStateChange: (state) => {
+                if (state === 'completed' || state === 'aborted') {
+                    Promise.resolve(store.remove(objectNameKey)).catch(() => { });
+                }
+            }
+        });
+
+        return {
+            upload,
+            filename: data.filename,
+            bucket: data.bucket,
+            fileUrl: data.fileUrl
+        };
+    }
+
     /**
      * Delete file from Supabase Storage
      * 
@@ -362,6 +468,8 @@ export class SupabaseProvider extends BaseProvider<
                 bucket: options.bucket,
                 expiresIn: options.expiresIn || 3600,
                 fileSize: options.fileSize,
+                ...(options.preset && { preset: options.preset }),
+                ...(options.keyTemplate && { keyTemplate: options.keyTemplate, contentSha256: options.contentSha256 }),
                 // ✅ Include webhook options if provided
                 ...(options.webhook && { webhook: options.webhook })
             }),
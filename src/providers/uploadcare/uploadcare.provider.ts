@@ -27,6 +27,7 @@ import type {
 } from '../../types/uploadcare.types.js';
 import type { UploadResponse, ApiResponse } from '../../types/common.js';
 import { validateFile, readMagicBytes } from '../../utils/file-validator.js';
+import type { RequestCredential } from '../../utils/signature.js';
 
 /**
  * Uploadcare CDN Provider
@@ -65,7 +66,7 @@ export class UploadcareProvider extends BaseProvider<
 
     private config: UploadcareConfig;
 
-    constructor(apiKey: string, baseUrl: string, apiSecret?: string, config?: UploadcareConfig) {
+    constructor(apiKey: string, baseUrl: string, apiSecret?: RequestCredential, config?: UploadcareConfig) {
         super('UPLOADCARE', apiKey, baseUrl, apiSecret);
         this.config = config || {} as UploadcareConfig;
     }
@@ -0,0 +1,419 @@
+/**
+ * Azure Blob Storage Provider Types
+ *
+ * Type definitions specific to Azure Blob Storage.
+ * Uploads use service SAS URLs signed with the storage account key, so files go
+ * straight from the client to Azure without passing through the ObitoX API.
+ *
+ * @module types/azure
+ */
+
+import { BaseUploadOptions, BaseDeleteOptions, BaseDownloadOptions, NetworkInfo, ValidationConfig, WebhookConfig } from './common.js';
+
+// ============================================================================
+// Azure Configuration (Provider Instance Pattern)
+// ============================================================================
+
+/**
+ * Azure Provider Configuration
+ *
+ * Used to initialize an Azure provider instance with stored credentials.
+ *
+ * @example
+ * ```typescript
+ * const azure = client.azure({
+ *   accountName: 'mystorageacct',
+ *   accountKey: process.env.AZURE_STORAGE_KEY,
+ *   container: 'uploads'
+ * });
+ *
+ * await azure.upload(file);
+ * await azure.configureCors({ origins: ['https://app.com'] });
+ * ```
+ */
+export interface AzureConfig {
+    /**
+     * Storage account name (3-24 lowercase letters and numbers)
+     */
+    accountName: string;
+
+    /**
+     * Storage account access key ("key1" or "key2", base64)
+     */
+    accountKey: string;
+
+    /**
+     * Blob container name
+     */
+    container: string;
+
+    /**
+     * Custom public URL domain (optional)
+     * Use your own domain / Azure CDN endpoint instead of {account}.blob.core.windows.net/{container}
+     */
+    publicUrl?: string;
+}
+
+// ============================================================================
+// Azure Upload Options
+// ============================================================================
+
+/**
+ * Azure-specific upload options
+ *
+ * Files larger than `multipartThreshold` are uploaded as staged blocks
+ * (Put Block + Put Block List), the Azure equivalent of S3 multipart.
+ *
+ * @example
+ * ```typescript
+ * const options: AzureUploadOptions = {
+ *   filename: 'avatar.jpg',
+ *   contentType: 'image/jpeg',
+ *   provider: 'AZURE',
+ *   azureAccountName: 'mystorageacct',
+ *   azureAccountKey: 'base64key...',
+ *   azureContainer: 'uploads'
+ * };
+ * ```
+ */
+export interface AzureUploadOptions extends BaseUploadOptions {
+    /** Must be 'AZURE' */
+    provider: 'AZURE';
+
+    /** Storage account name */
+    azureAccountName: string;
+
+    /** Storage account access key */
+    azureAccountKey: string;
+
+    /** Blob container name */
+    azureContainer: string;
+
+    /** Custom public URL domain (optional) */
+    azurePublicUrl?: string;
+
+    /**
+     * Switch to block staging above this size in bytes (default: 100MB)
+     */
+    multipartThreshold?: number;
+
+    /**
+     * Block size for staged uploads in bytes (default: 10MB)
+     */
+    partSize?: number;
+
+    /**
+     * Blocks uploaded in parallel during staged uploads (default: 4)
+     */
+    concurrency?: number;
+
+    // ==================== SMART EXPIRY ====================
+    networkInfo?: NetworkInfo | null;
+
+    // ==================== FILE VALIDATION ====================
+    validation?: ValidationConfig | 'images' | 'documents' | 'videos' | 'audio' | 'archives' | 'any' | null;
+
+    // ==================== WEBHOOK ====================
+    webhook?: WebhookConfig | null;
+}
+
+// ============================================================================
+// Azure Delete Options
+// ============================================================================
+
+/**
+ * Azure delete options
+ */
+export interface AzureDeleteOptions extends BaseDeleteOptions {
+    /** Must be 'AZURE' */
+    provider: 'AZURE';
+
+    azureAccountName: string;
+    azureAccountKey: string;
+    azureContainer: string;
+}
+
+/**
+ * Azure batch delete options (up to 100 blobs)
+ */
+export interface AzureBatchDeleteOptions {
+    /** Blob names to delete */
+    fileKeys: string[];
+
+    azureAccountName?: string;
+    azureAccountKey?: string;
+    azureContainer?: string;
+}
+
+// ============================================================================
+// Azure Download Options
+// ============================================================================
+
+/**
+ * Azure download options
+ */
+export interface AzureDownloadOptions extends BaseDownloadOptions {
+    /** Must be 'AZURE' */
+    provider: 'AZURE';
+
+    /** Blob name */
+    fileKey: string;
+
+    azureAccountName: string;
+    azureAccountKey: string;
+    azureContainer: string;
+    azurePublicUrl?: string;
+
+    /**
+     * Override Content-Disposition on download (optional)
+     * e.g. 'attachment; filename="report.pdf"'
+     */
+    responseContentDisposition?: string;
+
+    /** Override Content-Type on download (optional) */
+    responseContentType?: string;
+}
+
+// ============================================================================
+// Azure List Options
+// ============================================================================
+
+/**
+ * Azure blob list options
+ */
+export interface AzureListOptions {
+    azureAccountName?: string;
+    azureAccountKey?: string;
+    azureContainer?: string;
+
+    /** Only list blobs whose names start with this prefix */
+    prefix?: string;
+
+    /** Maximum blobs to return (max 5000) */
+    maxKeys?: number;
+
+    /** Marker from a previous truncated response */
+    continuationToken?: string;
+}
+
+/**
+ * Azure container list options
+ */
+export interface AzureListContainersOptions {
+    azureAccountName?: string;
+    azureAccountKey?: string;
+
+    /** Only list containers whose names start with this prefix */
+    prefix?: string;
+
+    /** Maximum containers to return (max 5000) */
+    maxResults?: number;
+
+    /** Marker from a previous truncated response */
+    continuationToken?: string;
+}
+
+// ============================================================================
+// Azure Response Types
+// ============================================================================
+
+/**
+ * Azure SAS upload URL response
+ */
+export interface AzureUploadResponse {
+    success: true;
+    uploadUrl: string;
+    publicUrl: string;
+    uploadId: string;
+    provider: 'azure';
+    expiresIn: number;
+    expiresAt: string;
+    data: {
+        filename: string;
+        originalFilename: string;
+        contentType: string;
+        container: string;
+        method: 'PUT';
+        /** Headers the PUT must send (x-ms-blob-type is mandatory) */
+        headers: Record<string, string>;
+    };
+    webhook?: {
+        webhookId: string;
+        webhookSecret: string;
+        triggerMode: 'manual' | 'auto';
+    } | null;
+    performance?: {
+        requestId: string;
+        totalTime: string;
+        breakdown: {
+            memoryGuard: string;
+            cryptoSigning: string;
+        };
+    };
+}
+
+/**
+ * Azure block upload initiate response
+ */
+export interface AzureMultipartInitResponse {
+    success: true;
+    uploadId: string;
+    objectKey: string;
+    partSize: number;
+    partCount: number;
+    partUrls: Array<{
+        partNumber: number;
+        blockId: string;
+        uploadUrl: string;
+    }>;
+    publicUrl: string;
+    provider: 'azure';
+    container: string;
+}
+
+/**
+ * Azure block upload complete response
+ */
+export interface AzureMultipartCompleteResponse {
+    success: true;
+    container: string;
+    key: string;
+    etag: string;
+    publicUrl: string;
+    blockCount: number;
+    provider: 'azure';
+}
+
+/**
+ * Azure download URL response
+ */
+export interface AzureDownloadResponse {
+    success: true;
+    downloadUrl: string;
+    publicUrl: string;
+    fileKey: string;
+    container: string;
+    expiresIn: number;
+    expiresAt: string;
+    provider: 'azure';
+}
+
+/**
+ * Azure blob list response
+ */
+export interface AzureListResponse {
+    success: boolean;
+    provider: 'azure';
+    files: Array<{
+        key: string;
+        size: number;
+        lastModified: string | null;
+        etag: string;
+        contentType: string | null;
+        blobType: string | null;
+        accessTier: string | null;
+    }>;
+    count: number;
+    truncated: boolean;
+    continuationToken?: string;
+    container?: string;
+    prefix?: string;
+    performance?: {
+        totalTime: string;
+    };
+}
+
+/**
+ * Azure container list response
+ */
+export interface AzureListContainersResponse {
+    success: boolean;
+    provider: 'azure';
+    containers: Array<{
+        name: string;
+        lastModified: string | null;
+        etag: string;
+        publicAccess: 'none' | 'blob' | 'container';
+    }>;
+    count: number;
+    truncated: boolean;
+    continuationToken?: string;
+}
+
+/**
+ * Azure batch delete response
+ */
+export interface AzureBatchDeleteResponse {
+    success: true;
+    provider: 'azure';
+    deleted: Array<{ key: string }>;
+    errors: Array<{ key: string; code: string; message: string }>;
+    summary: {
+        total: number;
+        deleted: number;
+        failed: number;
+    };
+}
+
+// ============================================================================
+// Azure CORS Configuration Types
+// ============================================================================
+
+/**
+ * Azure CORS configuration options
+ * CORS is set on the storage account and applies to every container in it
+ */
+export interface AzureCorsConfigOptions {
+    azureAccountName?: string;
+    azureAccountKey?: string;
+
+    /** Origins allowed to upload (default: ['*']) */
+    allowedOrigins?: string[];
+
+    /** Alias for allowedOrigins */
+    origins?: string[];
+}
+
+/**
+ * Azure CORS rule (S3 shape)
+ */
+export interface AzureCorsRule {
+    AllowedMethods: string[];
+    AllowedOrigins: string[];
+    AllowedHeaders: string[];
+    ExposeHeaders: string[];
+    MaxAgeSeconds: number;
+}
+
+/**
+ * Azure CORS configuration response
+ */
+export interface AzureCorsConfigResponse {
+    success: boolean;
+    message: string;
+    configuration: {
+        CORSRules: AzureCorsRule[];
+    };
+}
+
+/**
+ * Azure CORS verification response
+ */
+export interface AzureCorsVerifyResponse {
+    success: boolean;
+    message?: string;
+    configured: boolean;
+    isValid?: boolean;
+    corsRules?: AzureCorsRule[];
+    issues?: string[];
+    recommendation?: string;
+}
+
+// ============================================================================
+// Utility Types
+// ============================================================================
+
+/**
+ * Extract Azure-specific options from generic options
+ */
+export type ExtractAzureOptions<T> = T extends { provider: 'AZURE' } ? T : never;
@@ -7,6 +7,8 @@
  * @module types/common
  */
 
+import type { RateLimitOptions } from '../utils/rate-limit.js';
+
 // ============================================================================
 // Configuration
 // ============================================================================
@@ -15,12 +17,17 @@
  * ObitoX SDK Configuration
  * @property apiKey - Your ObitoX API key for authentication (public key: ox_...)
  * @property apiSecret - Your ObitoX API secret for request signing (secret key: sk_...)
+ * @property signingKey - Ed25519 private key (PKCS#8 PEM or CryptoKey) whose public key is
+ *   registered on the API key; used instead of apiSecret to sign requests
  * @property baseUrl - Optional custom API base URL (defaults to production)
+ * @property rateLimit - Automatic backoff on rate limits (enabled by default)
  */
 export interface ObitoXConfig {
     apiKey: string;
     apiSecret?: string;  // Optional for backwards compatibility
+    signingKey?: string | CryptoKey;
     baseUrl?: string;
+    rateLimit?: RateLimitOptions;
 }
 
 // ============================================================================
@@ -30,7 +37,7 @@ export interface ObitoXConfig {
 /**
  * Supported storage providers
  */
-export type StorageProvider = 'SUPABASE' | 'UPLOADCARE' | 'R2' | 'S3';
+export type StorageProvider = 'SUPABASE' | 'UPLOADCARE' | 'R2' | 'S3' | 'GCS' | 'AZURE';
 
 /**
  * Legacy provider types for backward compatibility
@@ -262,6 +269,24 @@ export interface BaseUploadOptions {
     /** Signed URL expiration time in seconds (provider-specific) */
     expiresIn?: number;
 
+    /**
+     * Name of a server-side upload preset (created via /api/v1/presets).
+     * The preset's provider config, validation rules, expiry and webhook
+     * settings replace the matching options on the server.
+     */
+    preset?: string;
+
+    /**
+     * Object key template for the generated path (S3, R2, Supabase),
+     * e.g. `{userId}/{yyyy}/{mm}/{uuid}{ext}` or `avatars/{sha256}.{ext}`.
+     * Variables: {userId} {yyyy} {mm} {dd} {hh} {timestamp} {uuid} {random}
+     * {filename} {ext} {sha256}. A preset's template takes precedence.
+     */
+    keyTemplate?: string;
+
+    /** Hex SHA-256 of the file content — required when keyTemplate uses {sha256} */
+    contentSha256?: string;
+
     /** Progress callback - track upload progress */
     onProgress?: (progress: number, bytesUploaded: number, totalBytes: number) => void;
 
@@ -506,6 +531,24 @@ export interface ValidateApiKeyResponse {
 
             /** Last used timestamp (ISO 8601) */
             last_used_at: string;
+
+            /** Granted scopes, e.g. `upload:write`, `files:delete` (`*` = all) */
+            scopes?: string[];
+
+            /** Providers this key may use (null = any) */
+            allowed_providers?: string[] | null;
+
+            /** Buckets / containers this key may use (null = any) */
+            allowed_buckets?: string[] | null;
+
+            /** IPs / CIDR ranges this key may be used from (null = any) */
+            allowed_ips?: string[] | null;
+
+            /** Browser origins this key may be used from (null = any) */
+            allowed_origins?: string[] | null;
+
+            /** How requests must be signed (`ed25519` once a signing key is registered) */
+            signing_algorithm?: 'ed25519' | 'hmac-sha256';
         };
 
         /** User information */
@@ -531,6 +574,99 @@ export interface ValidateApiKeyResponse {
     };
 }
 
+/**
+ * Result of rotating an API secret
+ */
+export interface RotateApiSecretResponse {
+    /** API key ID (the ox_ key itself is unchanged) */
+    api_key_id: string;
+
+    /** New sk_ secret — shown once, store it now */
+    secret: string;
+
+    /** Rotation timestamp (ISO 8601) */
+    rotated_at: string;
+
+    /** How long the old secret keeps working */
+    grace_period_seconds: number;
+
+    /** When the old secret stops working (null if revoked immediately) */
+    previous_secret_expires_at: string | null;
+}
+
+/**
+ * Result of registering or removing an Ed25519 signing key
+ */
+export interface SigningKeyResponse {
+    /** API key ID */
+    api_key_id: string;
+
+    /** How requests for this key must now be signed */
+    signing_algorithm: 'ed25519' | 'hmac-sha256';
+
+    /** Registered public key (base64, 32 raw bytes) — absent after removal */
+    public_key?: string;
+}
+
+// ============================================================================
+// Client Upload Token Types
+// ============================================================================
+
+/**
+ * Options for minting a browser upload token (server-side only)
+ *
+ * The token is bound to a stored connection, so the browser never sees
+ * provider credentials or the API key.
+ */
+export interface CreateUploadTokenOptions {
+    /** Provider the token may upload to */
+    provider: 's3' | 'r2' | 'supabase' | 'gcs' | 'azure' | 'uploadcare';
+
+    /** Stored connection that signs the upload */
+    connectionId: string;
+
+    /** Bucket (Azure: container) to pin — defaults to the connection's */
+    bucket?: string;
+
+    /** Object keys must start with this prefix (S3, R2, Supabase), e.g. `avatars/` */
+    keyPrefix?: string;
+
+    /** Maximum file size in bytes */
+    maxFileSize?: number;
+
+    /** Allowed content types, wildcards allowed (`image/*`) */
+    allowedTypes?: string[];
+
+    /** How many signed URLs the token can request (default: 1) */
+    maxUses?: number;
+
+    /** Upload preset applied to every request made with the token (S3, R2, Supabase) */
+    preset?: string;
+
+    /** Token lifetime in seconds, 60-86400 (default: 900) */
+    expiresIn?: number;
+}
+
+/**
+ * Minted upload token
+ */
+export interface UploadTokenResponse {
+    /** Token to hand to the browser — sent as the `X-Upload-Token` header */
+    token: string;
+
+    /** Token ID (for revocation) */
+    tokenId: string;
+
+    /** Provider the token is for */
+    provider: string;
+
+    /** Constraints the token enforces */
+    constraints: Omit<CreateUploadTokenOptions, 'provider' | 'connectionId' | 'expiresIn'>;
+
+    /** Expiry timestamp (ISO 8601) */
+    expiresAt: string;
+}
+
 // ============================================================================
 // Webhook Types
 // ============================================================================
@@ -702,4 +838,8 @@ export type ProviderOptions<P extends AllProviders> = P extends 'SUPABASE'
     ? { provider: 'R2' }
     : P extends 'S3'
     ? { provider: 'S3' }
+    : P extends 'GCS'
+    ? { provider: 'GCS' }
+    : P extends 'AZURE'
+    ? { provider: 'AZURE' }
     : never;
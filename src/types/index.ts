@@ -26,6 +26,8 @@ export * from './supabase.types';
 export * from './uploadcare.types';
 export * from './r2.types';
 export * from './s3.types';
+export * from './gcs.types';
+export * from './azure.types';
 
 // ============================================================================
 // Unified Upload Options
@@ -35,6 +37,8 @@ import type { SupabaseUploadOptions } from './supabase.types';
 import type { UploadcareUploadOptions } from './uploadcare.types';
 import type { R2UploadOptions } from './r2.types';
 import type { S3UploadOptions } from './s3.types';
+import type { GcsUploadOptions } from './gcs.types';
+import type { AzureUploadOptions } from './azure.types';
 import type { BaseUploadOptions } from './common';
 
 /**
@@ -45,7 +49,9 @@ export type UploadOptions =
     | SupabaseUploadOptions
     | UploadcareUploadOptions
     | R2UploadOptions
-    | S3UploadOptions;
+    | S3UploadOptions
+    | GcsUploadOptions
+    | AzureUploadOptions;
 
 // ============================================================================
 // Unified Delete Options
@@ -55,6 +61,8 @@ import type { SupabaseDeleteOptions } from './supabase.types';
 import type { UploadcareDeleteOptions } from './uploadcare.types';
 import type { R2DeleteOptions } from './r2.types';
 import type { S3DeleteOptions } from './s3.types';
+import type { GcsDeleteOptions } from './gcs.types';
+import type { AzureDeleteOptions } from './azure.types';
 
 /**
  * Union type of all provider delete options
@@ -63,7 +71,9 @@ export type DeleteFileOptions =
     | SupabaseDeleteOptions
     | UploadcareDeleteOptions
     | R2DeleteOptions
-    | S3DeleteOptions;
+    | S3DeleteOptions
+    | GcsDeleteOptions
+    | AzureDeleteOptions;
 
 // ============================================================================
 // Unified Download Options
@@ -73,6 +83,8 @@ import type { SupabaseDownloadOptions } from './supabase.types';
 import type { UploadcareDownloadOptions } from './uploadcare.types';
 import type { R2DownloadOptions } from './r2.types';
 import type { S3DownloadOptions } from './s3.types';
+import type { GcsDownloadOptions } from './gcs.types';
+import type { AzureDownloadOptions } from './azure.types';
 
 /**
  * Union type of all provider download options
@@ -81,7 +93,9 @@ export type DownloadFileOptions =
     | SupabaseDownloadOptions
     | UploadcareDownloadOptions
     | R2DownloadOptions
-    | S3DownloadOptions;
+    | S3DownloadOptions
+    | GcsDownloadOptions
+    | AzureDownloadOptions;
 
 
 // ============================================================================
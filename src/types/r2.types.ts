@@ -154,6 +154,23 @@ export interface R2UploadOptions extends BaseUploadOptions {
      */
     tokenPermissions?: ('read' | 'write' | 'delete')[];
 
+    // ==================== MULTIPART ====================
+    /**
+     * Switch to multipart upload above this size in bytes (default: 100MB)
+     */
+    multipartThreshold?: number;
+
+    /**
+     * Part size for multipart uploads in bytes (default: 10MB, min 5MiB)
+     * R2 requires every part except the last to be the same size
+     */
+    partSize?: number;
+
+    /**
+     * Parts uploaded in parallel during multipart uploads (default: 4)
+     */
+    concurrency?: number;
+
     // ==================== SMART EXPIRY ====================
     /**
      * Network information for smart presigned URL expiry (optional)
@@ -911,6 +928,94 @@ export interface R2BatchDeleteResponse {
     provider: 'r2';
 }
 
+/**
+ * R2 multipart upload initiate response
+ */
+export interface R2MultipartInitResponse {
+    /** Request succeeded */
+    success: true;
+
+    /** R2 upload ID (pass to complete/abort/list-parts) */
+    uploadId: string;
+
+    /** Object key the parts are assembled into */
+    objectKey: string;
+
+    /** Size of every part except the last */
+    partSize: number;
+
+    /** Number of parts */
+    partCount: number;
+
+    /** Presigned PUT URL per part */
+    partUrls: Array<{
+        partNumber: number;
+        uploadUrl: string;
+    }>;
+
+    /** Public URL of the object once completed */
+    publicUrl: string;
+
+    /** Provider identifier */
+    provider: 'r2';
+
+    /** Bucket name */
+    bucket: string;
+
+    /** Part URL expiry in seconds */
+    expiresIn: number;
+}
+
+/**
+ * R2 multipart upload complete response
+ */
+export interface R2MultipartCompleteResponse {
+    /** Request succeeded */
+    success: true;
+
+    /** Bucket name */
+    bucket: string;
+
+    /** Object key */
+    key: string;
+
+    /** ETag of the assembled object */
+    etag: string;
+
+    /** Public URL of the object */
+    publicUrl: string;
+
+    /** Provider identifier */
+    provider: 'r2';
+}
+
+/**
+ * R2 list parts response
+ */
+export interface R2ListPartsResponse {
+    /** Request succeeded */
+    success: true;
+
+    /** Provider identifier */
+    provider: 'r2';
+
+    data: {
+        uploadId: string;
+        objectKey: string;
+        parts: Array<{
+            partNumber: number;
+            etag: string;
+            size: number;
+            lastModified: string | null;
+        }>;
+        count: number;
+        totalSize: number;
+        isTruncated: boolean;
+        /** Pass as partNumberMarker to fetch the next page */
+        nextPartNumberMarker: string | null;
+    };
+}
+
 // ============================================================================
 // R2 CORS Configuration Types (Option A: Backend Auto-Configuration)
 // ============================================================================
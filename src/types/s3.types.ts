@@ -16,6 +16,7 @@
  */
 
 import { BaseUploadOptions, BaseDeleteOptions, BaseDownloadOptions, NetworkInfo, ValidationConfig, WebhookConfig } from './common.js';
+import type { MultipartStateStore } from '../utils/multipart-store.js';
 
 // ============================================================================
 // S3 Configuration (Provider Instance Pattern)
@@ -309,6 +310,40 @@ export interface S3MultipartUploadOptions extends Omit<S3UploadOptions, 'provide
      * Recommendation: Use 10MB for most files, increase for very large files
      */
     partSize?: number;
+
+    /**
+     * Parts uploaded in parallel (optional)
+     * Default: 4
+     */
+    concurrency?: number;
+
+    /**
+     * Retries per part before the upload fails (optional)
+     * Retries use exponential backoff. Default: 3
+     */
+    maxRetries?: number;
+
+    /**
+     * Where the uploadId and part ETags are persisted for resumeUpload() (optional)
+     * Default: localStorage in browsers, in-memory in Node.js
+     */
+    stateStore?: MultipartStateStore;
+
+    /**
+     * Called after each part is stored on S3 (optional)
+     */
+    onPartComplete?: (part: { partNumber: number; etag: string }, uploadId: string) => void;
+}
+
+/**
+ * Options for resuming an interrupted multipart upload
+ *
+ * Credentials default to the provider config. objectKey and partSize are read
+ * from the saved state and only need passing when no state was persisted.
+ */
+export interface S3ResumeUploadOptions extends Partial<Omit<S3MultipartUploadOptions, 'filename' | 'contentType'>> {
+    /** Object key returned by the original initiate call */
+    objectKey?: string;
 }
 
 // ============================================================================
@@ -631,18 +666,24 @@ export interface S3MultipartInitResponse {
     /** Unique upload ID for this multipart upload */
     uploadId: string;
 
-    /** Array of presigned URLs for each part */
-    partUrls: string[];
-
     /** S3 object key */
-    key: string;
-
-    /** Total number of parts */
-    partsCount: number;
+    objectKey: string;
 
     /** Part size in bytes */
     partSize: number;
 
+    /** Total number of parts */
+    partCount: number;
+
+    /** Presigned PUT URL per part */
+    partUrls: Array<{ partNumber: number; uploadUrl: string }>;
+
+    /** Public URL of the object once completed */
+    publicUrl: string;
+
+    /** CloudFront CDN URL (if s3CloudFrontDomain was provided) */
+    cdnUrl?: string | null;
+
     /** Provider identifier */
     provider: 's3';
 
@@ -657,6 +698,55 @@ export interface S3MultipartInitResponse {
     };
 }
 
+/**
+ * S3 multipart upload status response (ListParts)
+ */
+export interface S3MultipartStatusResponse {
+    /** Request succeeded */
+    success: true;
+
+    uploadId: string;
+    objectKey: string;
+
+    /** Parts S3 already has */
+    parts: Array<{ partNumber: number; etag: string; size: number; lastModified: string }>;
+
+    /** Number of parts already uploaded */
+    uploadedParts: number;
+
+    /** Bytes already uploaded */
+    uploadedBytes: number;
+
+    /** Total parts (only when fileSize + partSize were sent) */
+    partCount: number | null;
+
+    /** Part numbers still to upload (only when fileSize + partSize were sent) */
+    missingParts: number[] | null;
+
+    /** Fresh presigned URLs for the missing parts (only when fileSize + partSize were sent) */
+    partUrls: Array<{ partNumber: number; uploadUrl: string }> | null;
+
+    /** Provider identifier */
+    provider: 's3';
+}
+
+/**
+ * S3 multipart upload complete response
+ */
+export interface S3MultipartCompleteResponse {
+    /** Request succeeded */
+    success: true;
+
+    location: string;
+    bucket: string;
+    key: string;
+    etag: string;
+    publicUrl: string;
+
+    /** Provider identifier */
+    provider: 's3';
+}
+
 /**
  * S3 download response
  */
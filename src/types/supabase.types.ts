@@ -8,6 +8,8 @@
  */
 
 import { BaseUploadOptions, BaseDeleteOptions, BaseDownloadOptions, BucketInfo, WebhookConfig, ValidationConfig } from './common';
+import type { MultipartStateStore } from '../utils/multipart-store.js';
+import type { TusUpload } from '../utils/tus-client.js';
 
 // ============================================================================
 // Supabase Configuration (Provider Instance Pattern)
@@ -127,6 +129,93 @@ export interface SupabaseUploadOptions extends BaseUploadOptions {
      * ```
      */
     validation?: ValidationConfig | 'images' | 'documents' | 'videos' | 'audio' | 'archives' | 'any' | null;
+
+    /**
+     * Use a resumable (TUS) upload in 6MB chunks (optional)
+     * Default: automatic for files larger than 6MB. Set false to force a single PUT.
+     */
+    resumable?: boolean;
+
+    /**
+     * Where resumable upload URLs are persisted so a reload can continue (optional)
+     * Default: localStorage in browsers, in-memory in Node.js
+     */
+    stateStore?: MultipartStateStore;
+
+    /**
+     * Receives the resumable upload handle as soon as it starts (optional)
+     * Use it to pause() / resume() / abort() the upload.
+     */
+    onResumableUpload?: (upload: TusUpload) => void;
+}
+
+// ============================================================================
+// Supabase Resumable (TUS) Upload
+// ============================================================================
+
+/**
+ * Response of POST /api/v1/upload/supabase/resumable
+ */
+export interface SupabaseResumableUploadResponse {
+    success: true;
+    data: {
+        /** TUS creation endpoint */
+        endpoint: string;
+
+        /** Upload token scoped to this bucket/path */
+        token: string;
+
+        protocol: 'tus';
+        tusVersion: string;
+
+        /** Chunk size Supabase requires (6MB) */
+        chunkSize: number;
+
+        /** Headers every TUS request must send */
+        headers: Record<string, string>;
+
+        /** Upload-Metadata values (bucketName, objectName, contentType, cacheControl) */
+        metadata: Record<string, string>;
+
+        /** Stored object name (pass back as objectName to resume) */
+        filename: string;
+        originalName: string;
+        fileSize: number;
+        bucket: string;
+        isPrivate: boolean;
+        resumed: boolean;
+        expiresIn: number;
+        expiresAt: string;
+
+        /** Public URL (null for private buckets) */
+        fileUrl: string | null;
+    };
+}
+
+/**
+ * A prepared resumable upload
+ *
+ * @example
+ * ```typescript
+ * const { upload, fileUrl } = await supabase.createResumableUpload(file);
+ * const done = upload.start();
+ * pauseButton.onclick = () => upload.pause();
+ * resumeButton.onclick = () => upload.resume();
+ * await done;
+ * ```
+ */
+export interface SupabaseResumableUpload {
+    /** TUS upload handle (start, pause, resume, abort) */
+    upload: TusUpload;
+
+    /** Stored object name */
+    filename: string;
+
+    /** Bucket name */
+    bucket: string;
+
+    /** Public URL once finished (null for private buckets) */
+    fileUrl: string | null;
 }
 
 // ============================================================================
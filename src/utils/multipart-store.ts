@@ -0,0 +1,134 @@
+/**
+ * Multipart Upload State Store
+ *
+ * Persists the uploadId and finished part ETags of a multipart upload so it can
+ * be resumed after a tab close or network drop instead of starting over.
+ *
+ * Browsers use localStorage by default; Node.js falls back to an in-memory map
+ * (pass your own store to persist across processes).
+ *
+ * @module multipart-store
+ */
+
+/**
+ * Saved state of an in-progress multipart upload
+ */
+export interface MultipartUploadState {
+    /** Provider upload ID */
+    uploadId: string;
+
+    /** Object key the parts are assembled into */
+    objectKey: string;
+
+    /** Size of every part except the last */
+    partSize: number;
+
+    /** Total file size in bytes */
+    fileSize: number;
+
+    /** Original filename */
+    filename: string;
+
+    /** Fingerprint of the file (name, size, lastModified) */
+    fingerprint: string;
+
+    /** Parts confirmed uploaded */
+    parts: Array<{ partNumber: number; etag: string }>;
+
+    /** When the upload was started (ISO string) */
+    createdAt: string;
+}
+
+/**
+ * Storage backend for multipart state (sync or async)
+ */
+export interface MultipartStateStore {
+    get(key: string): string | null | Promise<string | null>;
+    set(key: string, value: string): void | Promise<void>;
+    remove(key: string): void | Promise<void>;
+}
+
+const STATE_PREFIX = 'obitox:multipart:';
+const FINGERPRINT_PREFIX = 'obitox:multipart-file:';
+
+const memoryStore = new Map<string, string>();
+
+/**
+ * Get the default store: localStorage in browsers, in-memory map elsewhere
+ */
+export function getDefaultMultipartStore(): MultipartStateStore {
+    if (typeof localStorage !== 'undefined') {
+        return {
+            get: (key) => localStorage.getItem(key),
+            set: (key, value) => localStorage.setItem(key, value),
+            remove: (key) => localStorage.removeItem(key),
+        };
+    }
+
+    return {
+        get: (key) => memoryStore.get(key) ?? null,
+        set: (key, value) => { memoryStore.set(key, value); },
+        remove: (key) => { memoryStore.delete(key); },
+    };
+}
+
+/**
+ * Build a stable fingerprint for a file
+ *
+ * @param file - File or Blob being uploaded
+ * @returns Fingerprint string (name, size and lastModified)
+ */
+export function getFileFingerprint(file: File | Blob): string {
+    const name = file instanceof File ? file.name : 'uploaded-file';
+    const lastModified = file instanceof File ? file.lastModified : 0;
+    return `${name}:${file.size}:${lastModified}`;
+}
+
+/**
+ * Load saved state for an upload
+ */
+export async function loadMultipartState(
+    store: MultipartStateStore,
+    uploadId: string
+): Promise<MultipartUploadState | null> {
+    const raw = await store.get(STATE_PREFIX + uploadId);
+    if (!raw) return null;
+
+    try {
+        return JSON.parse(raw) as MultipartUploadState;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Save state for an upload (also indexes it by file fingerprint)
+ */
+export async function saveMultipartState(
+    store: MultipartStateStore,
+    state: MultipartUploadState
+): Promise<void> {
+    await store.set(STATE_PREFIX + state.uploadId, JSON.stringify(state));
+    await store.set(FINGERPRINT_PREFIX + state.fingerprint, state.uploadId);
+}
+
+/**
+ * Remove saved state once an upload is completed or aborted
+ */
+export async function clearMultipartState(
+    store: MultipartStateStore,
+    state: Pick<MultipartUploadState, 'uploadId' | 'fingerprint'>
+): Promise<void> {
+    await store.remove(STATE_PREFIX + state.uploadId);
+    await store.remove(FINGERPRINT_PREFIX + state.fingerprint);
+}
+
+/**
+ * Find the uploadId of an unfinished upload of this file, if any
+ */
+export async function findMultipartUploadId(
+    store: MultipartStateStore,
+    file: File | Blob
+): Promise<string | null> {
+    return (await store.get(FINGERPRINT_PREFIX + getFileFingerprint(file))) ?? null;
+}
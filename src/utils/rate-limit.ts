@@ -0,0 +1,173 @@
+/**
+ * Rate Limit Backoff
+ *
+ * Reads the API's budget headers (RateLimit-Limit / -Remaining / -Reset,
+ * Retry-After, X-Quota-Remaining) and paces requests accordingly:
+ * - Once a window is used up, the next request waits for RateLimit-Reset
+ *   instead of being sent only to be rejected
+ * - A 429 is retried after its Retry-After, up to `maxRetries` times
+ * - Waits longer than `maxWaitMs` (e.g. a monthly quota reset) are not
+ *   attempted — the error is returned to the caller straight away
+ *
+ * The client and its providers share one tracker per API key, so they all
+ * see the same budget.
+ *
+ * @module utils/rate-limit
+ */
+
+/**
+ * Automatic backoff settings
+ */
+export interface RateLimitOptions {
+    /** Wait and retry when rate limited (default: true) */
+    autoRetry?: boolean;
+    /** Retries per request after a 429 (default: 3) */
+    maxRetries?: number;
+    /** Longest wait to accept, in milliseconds (default: 60000) */
+    maxWaitMs?: number;
+}
+
+/**
+ * Budget reported by the most recent API response
+ */
+export interface RateLimitStatus {
+    /** Units allowed per minute */
+    limit?: number;
+    /** Units left in the current minute */
+    remaining?: number;
+    /** When the window frees up (epoch ms) */
+    resetAt?: number;
+    /** Units left in the monthly quota */
+    quotaRemaining?: number;
+}
+
+const DEFAULT_OPTIONS: Required<RateLimitOptions> = {
+    autoRetry: true,
+    maxRetries: 3,
+    maxWaitMs: 60_000,
+};
+
+const sleep = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+const readNumber = (headers: Headers, name: string): number | undefined => {
+    const value = headers.get(name);
+    if (value === null || value.trim() === '') return undefined;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+/**
+ * Retry-After as milliseconds (delta-seconds or an HTTP date)
+ */
+function parseRetryAfter(headers: Headers): number | undefined {
+    const value = headers.get('Retry-After');
+    if (!value) return undefined;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Tracks the API's rate limit headers and delays requests to match
+ */
+export class RateLimitTracker {
+    private readonly options: Required<RateLimitOptions>;
+    private status: RateLimitStatus = {};
+
+    constructor(options: RateLimitOptions = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Budget from the latest response
+     */
+    getStatus(): RateLimitStatus {
+        return { ...this.status };
+    }
+
+    /**
+     * Record the headers of a response
+     */
+    update(response: Response): void {
+        const headers = response.headers;
+        const limit = readNumber(headers, 'RateLimit-Limit');
+        const remaining = readNumber(headers, 'RateLimit-Remaining');
+        const reset = readNumber(headers, 'RateLimit-Reset');
+        const quotaRemaining = readNumber(headers, 'X-Quota-Remaining');
+
+        if (limit !== undefined) this.status.limit = limit;
+        if (remaining !== undefined) this.status.remaining = remaining;
+        if (reset !== undefined) this.status.resetAt = Date.now() + reset * 1000;
+        if (quotaRemaining !== undefined) this.status.quotaRemaining = quotaRemaining;
+    }
+
+    /**
+     * Wait for the window to reset if the last response said it was used up
+     */
+    async waitForCapacity(): Promise<void> {
+        if (!this.options.autoRetry || this.status.remaining !== 0 || !this.status.resetAt) return;
+
+        const wait = this.status.resetAt - Date.now();
+        if (wait > 0 && wait <= this.options.maxWaitMs) {
+            await sleep(wait);
+        }
+    }
+
+    /**
+     * How long to wait before retrying a response, or null to give up
+     *
+     * @param response - The rejected response
+     * @param attempt - Retries already made (0-based)
+     */
+    retryDelay(response: Response, attempt: number): number | null {
+        if (response.status !== 429 || !this.options.autoRetry || attempt >= this.options.maxRetries) {
+            return null;
+        }
+
+        const delay = parseRetryAfter(response.headers) ?? 1000 * 2 ** attempt;
+        return delay <= this.options.maxWaitMs ? delay : null;
+    }
+
+    /**
+     * fetch() with proactive waiting and 429 retries
+     *
+     * @param url - Request URL
+     * @param buildInit - Builds the request for each attempt (signatures need a fresh timestamp and nonce)
+     */
+    async fetch(url: string, buildInit: () => Promise<RequestInit>): Promise<Response> {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForCapacity();
+
+            const response = await fetch(url, await buildInit());
+            this.update(response);
+
+            const delay = this.retryDelay(response, attempt);
+            if (delay === null) return response;
+
+            await sleep(delay);
+        }
+    }
+}
+
+const trackers = new Map<string, RateLimitTracker>();
+
+/**
+ * Shared tracker for an API key
+ *
+ * @param apiKey - ObitoX API key
+ * @param baseUrl - API base URL
+ * @param options - Backoff settings (applied when the tracker is first created)
+ */
+export function getRateLimitTracker(apiKey: string, baseUrl: string, options?: RateLimitOptions): RateLimitTracker {
+    const key = `${baseUrl}|${apiKey}`;
+    let tracker = trackers.get(key);
+
+    if (!tracker || options) {
+        tracker = new RateLimitTracker(options);
+        trackers.set(key, tracker);
+    }
+    return tracker;
+}
@@ -0,0 +1,374 @@
+/**
+ * Minimal TUS 1.0.0 Client
+ *
+ * Resumable uploads over the TUS protocol (create → PATCH chunks → done).
+ * Each chunk is confirmed by the server before the next one is sent, so a
+ * dropped connection only loses the chunk in flight. Uploads can be paused,
+ * resumed, and continued across page reloads via a persisted upload URL.
+ *
+ * Works in browsers and Node.js 18+ (fetch-based).
+ *
+ * @module tus-client
+ */
+
+import type { MultipartStateStore } from './multipart-store.js';
+
+const TUS_VERSION = '1.0.0';
+const TUS_URL_PREFIX = 'obitox:tus:';
+
+/**
+ * TUS upload options
+ */
+export interface TusUploadOptions {
+    /** TUS creation endpoint */
+    endpoint: string;
+
+    /** Extra headers sent with every request (auth, x-signature, ...) */
+    headers?: Record<string, string>;
+
+    /** Upload-Metadata key/value pairs (values are base64-encoded for you) */
+    metadata?: Record<string, string>;
+
+    /** Chunk size in bytes */
+    chunkSize: number;
+
+    /** Delays between retries of a failed request, in ms (default: [0, 1000, 3000, 5000]) */
+    retryDelays?: number[];
+
+    /** Existing upload URL to resume (skips creation) */
+    uploadUrl?: string | null;
+
+    /** Persist the upload URL under this key so a reload can resume it */
+    storageKey?: string;
+
+    /** Store for the persisted upload URL */
+    store?: MultipartStateStore;
+
+    /** Called after every confirmed chunk */
+    onProgress?: (progress: number, bytesUploaded: number, totalBytes: number) => void;
+
+    /** Called when the upload is paused or resumed */
+    onStateChange?: (state: TusUploadState) => void;
+}
+
+/**
+ * Upload lifecycle state
+ */
+export type TusUploadState = 'idle' | 'uploading' | 'paused' | 'completed' | 'aborted' | 'failed';
+
+/**
+ * Encode Upload-Metadata header (comma-separated "key base64(value)")
+ */
+function encodeMetadata(metadata: Record<string, string>): string {
+    return Object.entries(metadata)
+        .map(([key, value]) => {
+            const bytes = new TextEncoder().encode(value);
+            let binary = '';
+            bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+            return `${key} ${btoa(binary)}`;
+        })
+        .join(',');
+}
+
+/**
+ * A single resumable upload
+ *
+ * @example
+ * ```typescript
+ * const upload = new TusUpload(file, { endpoint, chunkSize: 6 * 1024 * 1024, headers });
+ * const done = upload.start();
+ * pauseButton.onclick = () => upload.pause();
+ * resumeButton.onclick = () => upload.resume();
+ * await done;
+ * ```
+ */
+export class TusUpload {
+    private readonly file: File | Blob;
+    private readonly options: TusUploadOptions;
+    private uploadUrl: string | null;
+    private offset = 0;
+    private controller: AbortController | null = null;
+    private resumeWaiter: (() => void) | null = null;
+    private sending = false;
+    private _state: TusUploadState = 'idle';
+
+    constructor(file: File | Blob, options: TusUploadOptions) {
+        this.file = file;
+        this.options = options;
+        this.uploadUrl = options.uploadUrl || null;
+    }
+
+    /** Current lifecycle state */
+    get state(): TusUploadState {
+        return this._state;
+    }
+
+    /** Upload URL assigned by the server (null until created) */
+    get url(): string | null {
+        return this.uploadUrl;
+    }
+
+    /** Bytes confirmed by the server */
+    get bytesUploaded(): number {
+        return this.offset;
+    }
+
+    /**
+     * Start (or continue) the upload
+     *
+     * The promise stays pending while paused and resolves once every byte is stored.
+     * @returns The upload URL
+     */
+    async start(): Promise<string> {
+        if (this.is('uploading') || this.is('paused')) {
+            throw new Error('Upload already started');
+        }
+
+        this.setState('uploading');
+
+        try {
+            if (!this.uploadUrl && this.options.store && this.options.storageKey) {
+                this.uploadUrl = await this.options.store.get(TUS_URL_PREFIX + this.options.storageKey);
+            }
+
+            if (this.uploadUrl) {
+                // Resume: ask the server how much it already has
+                try {
+                    this.offset = await this.withRetry(() => this.fetchOffset());
+                } catch (error) {
+                    // Upload expired or was removed server-side: start over
+                    const status = (error as { status?: number }).status;
+                    if (status !== 403 && status !== 404 && status !== 410) {
+                        throw error;
+                    }
+                    this.uploadUrl = null;
+                }
+            }
+
+            if (!this.uploadUrl) {
+                this.uploadUrl = await this.withRetry(() => this.create());
+                this.offset = 0;
+                if (this.options.store && this.options.storageKey) {
+                    await this.options.store.set(TUS_URL_PREFIX + this.options.storageKey, this.uploadUrl);
+                }
+            }
+
+            this.reportProgress();
+
+            while (this.offset < this.file.size) {
+                if (this.is('paused')) {
+                    await new Promise<void>(resolve => { this.resumeWaiter = resolve; });
+                    // Server may have received part of the interrupted chunk
+                    this.offset = await this.withRetry(() => this.fetchOffset());
+                }
+
+                if (this.is('aborted')) {
+                    throw new Error('Upload cancelled');
+                }
+
+                try {
+                    this.sending = true;
+                    this.offset = await this.withRetry(() => this.sendChunk());
+                    this.reportProgress();
+                } catch (error) {
+                    // A pause aborts the in-flight PATCH; anything else is fatal
+                    if (!this.is('paused')) {
+                        throw error;
+                    }
+                } finally {
+                    this.sending = false;
+                }
+            }
+
+            if (this.options.store && this.options.storageKey) {
+                await this.options.store.remove(TUS_URL_PREFIX + this.options.storageKey);
+            }
+
+            this.setState('completed');
+            return this.uploadUrl;
+
+        } catch (error) {
+            if (!this.is('aborted')) {
+                this.setState('failed');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Pause the upload (the chunk in flight is dropped and re-sent on resume)
+     */
+    pause(): void {
+        if (!this.is('uploading')) return;
+
+        this.setState('paused');
+        if (this.sending) {
+            this.controller?.abort();
+        }
+    }
+
+    /**
+     * Resume a paused upload
+     */
+    resume(): void {
+        if (!this.is('paused')) return;
+
+        this.setState('uploading');
+        this.resumeWaiter?.();
+        this.resumeWaiter = null;
+    }
+
+    /**
+     * Abort the upload and terminate it on the server (best effort)
+     */
+    async abort(): Promise<void> {
+        const wasPaused = this.is('paused');
+        this.setState('aborted');
+        this.controller?.abort();
+
+        if (wasPaused) {
+            this.resumeWaiter?.();
+            this.resumeWaiter = null;
+        }
+
+        if (this.uploadUrl) {
+            await fetch(this.uploadUrl, {
+                method: 'DELETE',
+                headers: this.buildHeaders()
+            }).catch(() => { });
+        }
+
+        if (this.options.store && this.options.storageKey) {
+            await this.options.store.remove(TUS_URL_PREFIX + this.options.storageKey);
+        }
+    }
+
+    // ========================================================================
+    // Protocol
+    // ========================================================================
+
+    private async create(): Promise<string> {
+        const response = await this.request(this.options.endpoint, {
+            method: 'POST',
+            headers: {
+                ...this.buildHeaders(),
+                'Upload-Length': String(this.file.size),
+                ...(this.options.metadata && { 'Upload-Metadata': encodeMetadata(this.options.metadata) })
+            }
+        });
+
+        const location = response.headers.get('Location');
+        if (!location) {
+            throw new Error('TUS server did not return an upload URL');
+        }
+
+        return new URL(location, this.options.endpoint).toString();
+    }
+
+    private async fetchOffset(): Promise<number> {
+        const response = await this.request(this.uploadUrl as string, {
+            method: 'HEAD',
+            headers: this.buildHeaders()
+        });
+
+        return parseInt(response.headers.get('Upload-Offset') || '0', 10);
+    }
+
+    private async sendChunk(): Promise<number> {
+        const chunk = this.file.slice(this.offset, Math.min(this.offset + this.options.chunkSize, this.file.size));
+
+        const response = await this.request(this.uploadUrl as string, {
+            method: 'PATCH',
+            headers: {
+                ...this.buildHeaders(),
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(this.offset)
+            },
+            body: chunk
+        });
+
+        return parseInt(response.headers.get('Upload-Offset') || String(this.offset + chunk.size), 10);
+    }
+
+    private async request(url: string, init: RequestInit): Promise<Response> {
+        this.controller = new AbortController();
+
+        const response = await fetch(url, { ...init, signal: this.controller.signal });
+
+        if (!response.ok) {
+            const error = new Error(`TUS ${init.method} failed with status ${response.status}`);
+            (error as Error & { status?: number }).status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Retry transient failures (network errors, 409 offset mismatch, 423, 5xx)
+     * Client errors other than those are not retried.
+     */
+    private async withRetry<T>(operation: () => Promise<T>): Promise<T> {
+        const delays = this.options.retryDelays || [0, 1000, 3000, 5000];
+        let lastError: unknown;
+
+        for (let attempt = 0; attempt <= delays.length; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, delays[attempt - 1]));
+            }
+
+            if (this.is('aborted')) {
+                throw new Error('Upload cancelled');
+            }
+
+            try {
+                return await operation();
+            } catch (error) {
+                lastError = error;
+                const status = (error as { status?: number }).status;
+
+                if (this.is('paused') || this.is('aborted')) {
+                    throw error;
+                }
+
+                if (status && status < 500 && status !== 409 && status !== 423) {
+                    throw error;
+                }
+
+                // Offset mismatch: resync before retrying the chunk
+                if (status === 409 && this.uploadUrl) {
+                    this.offset = await this.fetchOffset().catch(() => this.offset);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    private buildHeaders(): Record<string, string> {
+        return {
+            ...this.options.headers,
+            'Tus-Resumable': TUS_VERSION
+        };
+    }
+
+    private reportProgress(): void {
+        if (this.options.onProgress) {
+            this.options.onProgress((this.offset / this.file.size) * 100, this.offset, this.file.size);
+        }
+    }
+
+    /**
+     * State check that TypeScript won't narrow away (pause/abort flip it mid-await)
+     */
+    private is(state: TusUploadState): boolean {
+        return this._state === state;
+    }
+
+    private setState(state: TusUploadState): void {
+        this._state = state;
+        if (this.options.onStateChange) {
+            this.options.onStateChange(state);
+        }
+    }
+}
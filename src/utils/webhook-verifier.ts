@@ -11,52 +11,151 @@
  * import { verifyWebhookSignature } from '@obitox/sdk';
  * 
  * // Verify webhook payload
- * const isValid = verifyWebhookSignature({
- *   payload: rawBody,        // The raw request body as string
- *   signature: signature,     // The X-Webhook-Signature header
- *   secret: webhookSecret    // Your webhook secret from dashboard
+ * const isValid = await verifyWebhookSignature({
+ *   payload: rawBody,                               // The raw request body as string
+ *   signature: req.headers['x-obitox-signature'],   // or the older X-Webhook-Signature header
+ *   secret: webhookSecret                           // Your webhook secret from dashboard
  * });
  * 
  * if (!isValid) {
  *   throw new Error('Invalid webhook signature');
  * }
  * ```
+ * 
+ * X-ObitoX-Signature looks like `t=1767225600,v1=<hex>,v1=<hex>`. While an
+ * endpoint secret is being rotated it carries one v1 per active secret, and a
+ * match against any of them is accepted — so it keeps verifying whether your
+ * server holds the old secret or the new one.
  */
 
+import type { WebhookPayload as CommonUploadWebhookPayload } from '../types/common.js';
+
 // Webhook event types from ObitoX
+// (account webhook endpoints subscribe to any of these, or '*' for all)
 export type WebhookEventType = 
   | 'file.uploaded'
   | 'file.deleted'
   | 'file.downloaded'
   | 'upload.completed'
-  | 'upload.failed';
-
-// Webhook payload structure from ObitoX
-export interface WebhookPayload {
-  id: string;
-  event: WebhookEventType;
-  timestamp: string;
-  apiKeyId: string;
-  provider: string;
-  data: {
-    filename: string;
-    fileUrl: string;
-    fileSize?: number;
-    contentType?: string;
+  | 'upload.failed'
+  | 'batch_delete.completed'
+  | 'malware.detected'
+  | 'quota.warning'
+  | 'api_key.rotated';
+
+/** File details carried by upload events */
+export interface WebhookFile {
+  url: string;
+  key: string;
+  filename?: string;
+  size?: number;
+  contentType?: string;
+  etag?: string;
+  lastModified?: string;
+}
+
+/** `data` of each event an account webhook endpoint can receive */
+export interface WebhookEventDataMap {
+  'upload.completed': {
+    file: WebhookFile;
+    provider: string;
+    bucket: string;
     metadata?: Record<string, unknown>;
   };
-  retryCount?: number;
+  'file.deleted': {
+    provider: string;
+    bucket?: string;
+    key: string;
+    versionId?: string | null;
+  };
+  'batch_delete.completed': {
+    provider: string;
+    bucket: string;
+    deleted: string[];
+    failed: Array<{ key: string; code?: string; message?: string }>;
+    total: number;
+  };
+  'malware.detected': {
+    provider: string;
+    key: string;
+    virusName: string | null;
+    scannedAt: string | null;
+    file: { filename: string; size: number; mimeType: string };
+  };
+  'quota.warning': {
+    threshold: 50 | 80 | 100;
+    current: number;
+    limit: number;
+    percentage: number;
+    tier: string;
+    resetAt: string;
+  };
+  'api_key.rotated': {
+    apiKeyId: string;
+    rotatedAt: string;
+    previousSecretExpiresAt: string | null;
+  };
+}
+
+/** Body delivered to an account webhook endpoint */
+export type WebhookEventPayload<T extends keyof WebhookEventDataMap = keyof WebhookEventDataMap> = {
+  [K in T]: {
+    event: K;
+    webhookId: string;          // "test_..." for test pings
+    endpointId: string;
+    timestamp: string;
+    data: WebhookEventDataMap[K];
+  };
+}[T];
+
+/** Body delivered to a webhook configured on a single upload */
+export type UploadWebhookPayload = CommonUploadWebhookPayload;
+
+// Webhook payload structure from ObitoX (narrow on `event`, then on `'data' in payload`)
+export type WebhookPayload = WebhookEventPayload | UploadWebhookPayload;
+
+// Max age of a timestamped signature, in seconds (limits replay of captured requests)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Split an X-ObitoX-Signature value into its timestamp and v1 signatures
+ * 
+ * @param header - "t=...,v1=...[,v1=...]"
+ * @returns Parsed parts, or null if malformed
+ */
+function parseSignatureHeader(header: string): { timestamp: number; signatures: string[] } | null {
+  let timestamp = NaN;
+  const signatures: string[] = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      timestamp = Number(value);
+    } else if (key === 'v1' && value) {
+      signatures.push(value);
+    }
+  }
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return null;
+  }
+  return { timestamp, signatures };
 }
 
 /**
  * Verify a webhook signature from ObitoX
  * 
  * Uses HMAC-SHA256 with timing-safe comparison to prevent timing attacks.
+ * Accepts either header:
+ * - X-ObitoX-Signature (`t=...,v1=...`): valid if any v1 matches HMAC(`${t}.${payload}`)
+ *   and t is within `tolerance` seconds of now
+ * - X-Webhook-Signature (`sha256=<hex>`): HMAC of the payload alone, no timestamp check
  * 
  * @param options - Verification options
  * @param options.payload - The raw request body (string) that was signed
- * @param options.signature - The signature from the X-Webhook-Signature header
+ * @param options.signature - The X-ObitoX-Signature (preferred) or X-Webhook-Signature header
  * @param options.secret - Your webhook secret from the ObitoX dashboard
+ * @param options.tolerance - Max signature age in seconds for X-ObitoX-Signature (default 300, 0 = no limit)
  * @returns true if signature is valid, false otherwise
  * 
  * @security CRITICAL: Always verify webhook signatures in production!
@@ -66,8 +165,9 @@ export async function verifyWebhookSignature(options: {
   payload: string;
   signature: string;
   secret: string;
+  tolerance?: number;
 }): Promise<boolean> {
-  const { payload, signature, secret } = options;
+  const { payload, signature, secret, tolerance = DEFAULT_TOLERANCE_SECONDS } = options;
 
   if (!payload || !signature || !secret) {
     console.error('[Webhook Verifier] Missing required parameters');
@@ -78,23 +178,31 @@ export async function verifyWebhookSignature(options: {
     // Dynamic import for Node.js crypto (ESM compatible)
     const { createHmac, timingSafeEqual } = await import('crypto');
 
-    // Compute expected signature
-    const expectedSignature = createHmac('sha256', secret)
-      .update(payload)
-      .digest('hex');
+    // Timing-safe comparison of a hex signature against HMAC(content)
+    const matches = (candidate: string, content: string): boolean => {
+      const expectedBuffer = createHmac('sha256', secret).update(content).digest();
+      const signatureBuffer = Buffer.from(candidate, 'hex');
+      return signatureBuffer.length === expectedBuffer.length
+        && timingSafeEqual(signatureBuffer, expectedBuffer);
+    };
+
+    if (signature.startsWith('t=')) {
+      const parsed = parseSignatureHeader(signature);
+      if (!parsed) {
+        console.error('[Webhook Verifier] Malformed signature header');
+        return false;
+      }
 
-    // Timing-safe comparison to prevent timing attacks
-    const signatureBuffer = Buffer.from(signature, 'hex');
-    const expectedBuffer = Buffer.from(expectedSignature, 'hex');
+      if (tolerance > 0 && Math.abs(Date.now() / 1000 - parsed.timestamp) > tolerance) {
+        console.error('[Webhook Verifier] Signature timestamp outside tolerance');
+        return false;
+      }
 
-    // Check buffer lengths match
-    if (signatureBuffer.length !== expectedBuffer.length) {
-      console.error('[Webhook Verifier] Signature length mismatch');
-      return false;
+      const signedContent = `${parsed.timestamp}.${payload}`;
+      return parsed.signatures.some(candidate => matches(candidate, signedContent));
     }
 
-    // Use timing-safe comparison
-    return timingSafeEqual(signatureBuffer, expectedBuffer);
+    return matches(signature.replace(/^sha256=/, ''), payload);
   } catch (error) {
     console.error('[Webhook Verifier] Verification error:', error instanceof Error ? error.message : error);
     return false;
@@ -105,20 +213,23 @@ export async function verifyWebhookSignature(options: {
  * Parse and verify webhook payload
  * 
  * @param body - The raw request body
- * @param signature - The X-Webhook-Signature header
+ * @param signature - The X-ObitoX-Signature or X-Webhook-Signature header
  * @param secret - Your webhook secret
+ * @param tolerance - Max signature age in seconds (see verifyWebhookSignature)
  * @returns Parsed payload if valid, null otherwise
  */
 export async function parseWebhookPayload(
   body: string,
   signature: string,
-  secret: string
+  secret: string,
+  tolerance?: number
 ): Promise<WebhookPayload | null> {
   // First verify the signature
   const isValid = await verifyWebhookSignature({
     payload: body,
     signature,
-    secret
+    secret,
+    tolerance
   });
 
   if (!isValid) {
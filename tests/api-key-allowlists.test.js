@@ -0,0 +1,132 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    parseIp,
+    ipMatchesCidr,
+    getRequestOrigin,
+    originMatches,
+    checkKeyAllowlists
+} from '../utils/api-key-allowlists.js';
+
+describe('parseIp', () => {
+    test('parses IPv4 into 4 bytes', () => {
+        expect(parseIp('203.0.113.7')).toEqual([203, 0, 113, 7]);
+    });
+
+    test('parses IPv6 into 16 bytes', () => {
+        const bytes = parseIp('2001:db8::1');
+        expect(bytes).toHaveLength(16);
+        expect(bytes.slice(0, 4)).toEqual([0x20, 0x01, 0x0d, 0xb8]);
+        expect(bytes[15]).toBe(1);
+    });
+
+    test('treats IPv4-mapped IPv6 as IPv4', () => {
+        expect(parseIp('::ffff:10.0.0.1')).toEqual([10, 0, 0, 1]);
+    });
+
+    test('strips brackets and zone IDs', () => {
+        expect(parseIp('[fe80::1%eth0]')).toHaveLength(16);
+    });
+
+    test.each(['', '1.2.3', '1.2.3.256', '1::2::3', 'example.com', null])('rejects %p', (ip) => {
+        expect(parseIp(ip)).toBeNull();
+    });
+});
+
+describe('ipMatchesCidr', () => {
+    test('matches IPv4 ranges', () => {
+        expect(ipMatchesCidr('10.20.30.40', '10.0.0.0/8')).toBe(true);
+        expect(ipMatchesCidr('11.0.0.1', '10.0.0.0/8')).toBe(false);
+        expect(ipMatchesCidr('192.168.1.130', '192.168.1.128/25')).toBe(true);
+        expect(ipMatchesCidr('192.168.1.127', '192.168.1.128/25')).toBe(false);
+    });
+
+    test('treats a bare address as a single host', () => {
+        expect(ipMatchesCidr('203.0.113.7', '203.0.113.7')).toBe(true);
+        expect(ipMatchesCidr('203.0.113.8', '203.0.113.7')).toBe(false);
+    });
+
+    test('matches IPv6 ranges', () => {
+        expect(ipMatchesCidr('2001:db8:1234::5', '2001:db8::/32')).toBe(true);
+        expect(ipMatchesCidr('2001:db9::5', '2001:db8::/32')).toBe(false);
+    });
+
+    test('matches a dual-stack socket address against an IPv4 range', () => {
+        expect(ipMatchesCidr('::ffff:10.1.1.1', '10.0.0.0/8')).toBe(true);
+    });
+
+    test('never matches across address families or with a bad prefix', () => {
+        expect(ipMatchesCidr('10.0.0.1', '::/0')).toBe(false);
+        expect(ipMatchesCidr('10.0.0.1', '10.0.0.0/33')).toBe(false);
+        expect(ipMatchesCidr('10.0.0.1', '10.0.0.0/abc')).toBe(false);
+    });
+
+    test('/0 matches every address of the family', () => {
+        expect(ipMatchesCidr('8.8.8.8', '0.0.0.0/0')).toBe(true);
+    });
+});
+
+describe('getRequestOrigin', () => {
+    test('prefers the Origin header', () => {
+        expect(getRequestOrigin({ headers: { origin: 'https://App.Example.com', referer: 'https://other.com/x' } }))
+            .toBe('https://app.example.com');
+    });
+
+    test('falls back to the Referer origin', () => {
+        expect(getRequestOrigin({ headers: { referer: 'https://app.example.com/page?q=1' } }))
+            .toBe('https://app.example.com');
+    });
+
+    test('ignores an opaque "null" origin and unparseable referers', () => {
+        expect(getRequestOrigin({ headers: { origin: 'null' } })).toBeNull();
+        expect(getRequestOrigin({ headers: { referer: 'not a url' } })).toBeNull();
+        expect(getRequestOrigin({ headers: {} })).toBeNull();
+    });
+});
+
+describe('originMatches', () => {
+    test('matches exact origins, ignoring case and trailing slashes', () => {
+        expect(originMatches('https://app.example.com', 'HTTPS://app.example.com/')).toBe(true);
+        expect(originMatches('http://app.example.com', 'https://app.example.com')).toBe(false);
+    });
+
+    test('an entry without a scheme matches either scheme', () => {
+        expect(originMatches('http://app.example.com', 'app.example.com')).toBe(true);
+        expect(originMatches('https://app.example.com', 'app.example.com')).toBe(true);
+    });
+
+    test('*. matches subdomains but not the bare domain or look-alikes', () => {
+        expect(originMatches('https://a.example.com', 'https://*.example.com')).toBe(true);
+        expect(originMatches('https://a.b.example.com', 'https://*.example.com')).toBe(true);
+        expect(originMatches('https://example.com', 'https://*.example.com')).toBe(false);
+        expect(originMatches('https://evilexample.com', 'https://*.example.com')).toBe(false);
+    });
+
+    test('* matches everything', () => {
+        expect(originMatches('https://anything.test', '*')).toBe(true);
+    });
+});
+
+describe('checkKeyAllowlists', () => {
+    test('allows everything when the key has no lists', () => {
+        expect(checkKeyAllowlists({ allowed_ips: null, allowed_origins: [] }, { ip: '1.2.3.4', origin: null }))
+            .toBeNull();
+    });
+
+    test('rejects an IP outside the list', () => {
+        const key = { allowed_ips: ['10.0.0.0/8'] };
+        expect(checkKeyAllowlists(key, { ip: '10.9.9.9', origin: null })).toBeNull();
+        expect(checkKeyAllowlists(key, { ip: '8.8.8.8', origin: null }))
+            .toMatchObject({ error: 'IP_NOT_ALLOWED' });
+        expect(checkKeyAllowlists(key, { ip: undefined, origin: null }))
+            .toMatchObject({ error: 'IP_NOT_ALLOWED' });
+    });
+
+    test('rejects a disallowed or missing origin', () => {
+        const key = { allowed_origins: ['https://*.example.com'] };
+        expect(checkKeyAllowlists(key, { ip: '1.2.3.4', origin: 'https://app.example.com' })).toBeNull();
+        expect(checkKeyAllowlists(key, { ip: '1.2.3.4', origin: 'https://evil.test' }))
+            .toMatchObject({ error: 'ORIGIN_NOT_ALLOWED' });
+        expect(checkKeyAllowlists(key, { ip: '1.2.3.4', origin: null }))
+            .toMatchObject({ error: 'ORIGIN_NOT_ALLOWED' });
+    });
+});
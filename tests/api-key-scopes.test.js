@@ -0,0 +1,83 @@
+import { describe, test, expect } from '@jest/globals';
+import { hasScope, getRequestBucket, checkKeyRestrictions } from '../utils/api-key-scopes.js';
+import { SUPABASE_BUCKET, PRIVATE_BUCKET } from '../controllers/providers/supabase/supabase.config.js';
+
+describe('hasScope', () => {
+    test('keys without scopes keep full access', () => {
+        expect(hasScope({ scopes: null }, 'files:delete')).toBe(true);
+        expect(hasScope({ scopes: [] }, 'files:delete')).toBe(true);
+        expect(hasScope(undefined, 'upload:write')).toBe(true);
+    });
+
+    test('matches exact scopes only', () => {
+        const key = { scopes: ['upload:write', 'files:list'] };
+        expect(hasScope(key, 'upload:write')).toBe(true);
+        expect(hasScope(key, 'files:list')).toBe(true);
+        expect(hasScope(key, 'files:delete')).toBe(false);
+    });
+
+    test('supports * and resource wildcards', () => {
+        expect(hasScope({ scopes: ['*'] }, 'connections:manage')).toBe(true);
+        expect(hasScope({ scopes: ['files:*'] }, 'files:delete')).toBe(true);
+        expect(hasScope({ scopes: ['files:*'] }, 'upload:write')).toBe(false);
+    });
+});
+
+describe('getRequestBucket', () => {
+    test('reads the provider-specific bucket field', () => {
+        expect(getRequestBucket({ s3Bucket: 'photos' }, 's3')).toBe('photos');
+        expect(getRequestBucket({ r2Bucket: 'assets' }, 'r2')).toBe('assets');
+        expect(getRequestBucket({ azureContainer: 'docs' }, 'azure')).toBe('docs');
+    });
+
+    test('falls back to a generic bucket field', () => {
+        expect(getRequestBucket({ bucket: 'photos' }, 's3')).toBe('photos');
+        expect(getRequestBucket({ bucket: 'photos' }, null)).toBe('photos');
+    });
+
+    test('is null when no bucket is named', () => {
+        expect(getRequestBucket({}, 's3')).toBeNull();
+        expect(getRequestBucket({ s3Bucket: 42 }, 's3')).toBeNull();
+    });
+
+    test('Supabase reads the bucket from fileUrl first', () => {
+        const fileUrl = 'https://proj.supabase.co/storage/v1/object/public/avatars/me.png';
+        expect(getRequestBucket({ fileUrl, bucket: 'other' }, 'supabase')).toBe('avatars');
+    });
+
+    test('Supabase falls back to the server default bucket', () => {
+        expect(getRequestBucket({}, 'supabase')).toBe(SUPABASE_BUCKET);
+        expect(getRequestBucket({ makePrivate: true }, 'supabase')).toBe(PRIVATE_BUCKET);
+        expect(getRequestBucket({ fileUrl: 'not a url', bucket: 'named' }, 'supabase')).toBe('named');
+    });
+});
+
+describe('checkKeyRestrictions', () => {
+    const restricted = { allowed_providers: ['s3', 'supabase'], allowed_buckets: ['photos'] };
+
+    test('allows unrestricted keys anywhere', () => {
+        expect(checkKeyRestrictions({}, { provider: 'gcs', bucket: 'x' }, { requireTarget: true })).toBeNull();
+    });
+
+    test('rejects providers and buckets outside the lists', () => {
+        expect(checkKeyRestrictions(restricted, { provider: 'r2', bucket: 'photos' }))
+            .toMatchObject({ error: 'PROVIDER_NOT_ALLOWED' });
+        expect(checkKeyRestrictions(restricted, { provider: 's3', bucket: 'private' }))
+            .toMatchObject({ error: 'BUCKET_NOT_ALLOWED' });
+        expect(checkKeyRestrictions(restricted, { provider: 's3', bucket: 'photos' })).toBeNull();
+    });
+
+    test('a missing target passes unless requireTarget is set', () => {
+        expect(checkKeyRestrictions(restricted, { provider: null, bucket: null })).toBeNull();
+        expect(checkKeyRestrictions(restricted, { provider: null, bucket: 'photos' }, { requireTarget: true }))
+            .toMatchObject({ error: 'PROVIDER_REQUIRED' });
+        expect(checkKeyRestrictions(restricted, { provider: 's3', bucket: null }, { requireTarget: true }))
+            .toMatchObject({ error: 'BUCKET_REQUIRED' });
+    });
+
+    test('providers without buckets never need one', () => {
+        const key = { allowed_buckets: ['photos'] };
+        expect(checkKeyRestrictions(key, { provider: 'uploadcare', bucket: null }, { requireTarget: true }))
+            .toBeNull();
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    generateUniqueFilename,
+    sanitizeFilename,
+    validateKeyTemplate,
+    renderKeyTemplate,
+    isSafeObjectKey,
+    resolveObjectKey
+} from '../controllers/providers/shared/filename.helper.js';
+
+const SHA256 = 'a'.repeat(64);
+const NOW = new Date(Date.UTC(2026, 0, 2, 3, 4, 5));
+
+describe('generateUniqueFilename', () => {
+    test('keeps the extension and sanitizes the base name', () => {
+        const name = generateUniqueFilename('my photo (1).png');
+        expect(name).toMatch(/^upl\d+_[a-z0-9]+\.my_photo__1_\.png$/);
+    });
+
+    test('prefixes a folder', () => {
+        expect(generateUniqueFilename('a.txt', 'docs')).toMatch(/^docs\/upl/);
+    });
+});
+
+describe('sanitizeFilename', () => {
+    test('replaces anything outside [a-zA-Z0-9._-]', () => {
+        expect(sanitizeFilename('../a b/c.png')).toBe('.._a_b_c.png');
+    });
+});
+
+describe('validateKeyTemplate', () => {
+    test('accepts a template with a unique variable', () => {
+        expect(validateKeyTemplate('{userId}/{yyyy}/{mm}/{uuid}{ext}')).toEqual({ valid: true });
+        expect(validateKeyTemplate('avatars/{sha256}.{ext}')).toEqual({ valid: true });
+    });
+
+    test.each([
+        ['', 'INVALID_KEY_TEMPLATE'],
+        [42, 'INVALID_KEY_TEMPLATE'],
+        ['a'.repeat(513), 'INVALID_KEY_TEMPLATE'],
+        ['{uuid}/{nope}', 'UNKNOWN_TEMPLATE_VARIABLE'],
+        ['uploads/{uuid} copy', 'INVALID_KEY_TEMPLATE'],
+        ['/{uuid}', 'INVALID_KEY_TEMPLATE'],
+        ['a//{uuid}', 'INVALID_KEY_TEMPLATE'],
+        ['{userId}/{filename}', 'KEY_TEMPLATE_NOT_UNIQUE']
+    ])('rejects %p with %s', (template, error) => {
+        expect(validateKeyTemplate(template)).toMatchObject({ valid: false, error });
+    });
+});
+
+describe('renderKeyTemplate', () => {
+    test('fills in date, user and file variables', () => {
+        const result = renderKeyTemplate('{userId}/{yyyy}/{mm}/{dd}/{hh}/{timestamp}-{filename}{ext}', {
+            filename: 'Report.PDF',
+            userId: 'user_1',
+            now: NOW
+        });
+        expect(result).toEqual({ valid: true, key: `user_1/2026/01/02/03/${NOW.getTime()}-Report.pdf` });
+    });
+
+    test('.{ext} renders a single dot, and no dot without an extension', () => {
+        expect(renderKeyTemplate('{sha256}.{ext}', { filename: 'a.png', contentSha256: SHA256 }).key)
+            .toBe(`${SHA256}.png`);
+        expect(renderKeyTemplate('{sha256}.{ext}', { filename: 'README', contentSha256: SHA256 }).key)
+            .toBe(SHA256);
+    });
+
+    test('sanitizes values so they cannot add path separators', () => {
+        const { key } = renderKeyTemplate('{userId}/{random}', { filename: 'a', userId: '../../etc' });
+        expect(key.split('/')).toHaveLength(2);
+        expect(key.startsWith('.._.._etc/')).toBe(true);
+    });
+
+    test('requires a valid contentSha256 for {sha256}', () => {
+        expect(renderKeyTemplate('{sha256}', { filename: 'a.png', contentSha256: 'abc' }))
+            .toMatchObject({ valid: false, error: 'MISSING_CONTENT_SHA256' });
+    });
+
+    test('rejects keys that render "." or ".." segments', () => {
+        expect(renderKeyTemplate('{filename}/{uuid}', { filename: '..' }))
+            .toMatchObject({ valid: false, error: 'INVALID_OBJECT_KEY' });
+    });
+});
+
+describe('isSafeObjectKey', () => {
+    test('accepts plain keys and nested paths', () => {
+        expect(isSafeObjectKey('abcdefgh_photo_1700000000000_ab12.png')).toBe(true);
+        expect(isSafeObjectKey('users/123/avatar.png')).toBe(true);
+    });
+
+    test.each([
+        '',
+        'a/../b',
+        '../b',
+        'a/./b',
+        'a//b',
+        '/a',
+        'a/',
+        'a b',
+        'a\\b',
+        'a'.repeat(1025),
+        null,
+        42
+    ])('rejects %p', (key) => {
+        expect(isSafeObjectKey(key)).toBe(false);
+    });
+});
+
+describe('resolveObjectKey', () => {
+    test('uses the provider default without a keyTemplate', () => {
+        expect(resolveObjectKey({}, { filename: 'a.png' }, () => 'default-key'))
+            .toEqual({ valid: true, key: 'default-key' });
+    });
+
+    test('renders a valid keyTemplate', () => {
+        const result = resolveObjectKey({ keyTemplate: 'u/{userId}/{uuid}' }, { filename: 'a.png', userId: 'me' }, () => 'x');
+        expect(result.valid).toBe(true);
+        expect(result.key).toMatch(/^u\/me\/[0-9a-f-]{36}$/);
+    });
+
+    test('returns the template error for an invalid keyTemplate', () => {
+        expect(resolveObjectKey({ keyTemplate: '{nope}' }, { filename: 'a.png' }, () => 'x'))
+            .toMatchObject({ valid: false, error: 'UNKNOWN_TEMPLATE_VARIABLE' });
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import {
+    UPLOAD_TOKEN_TYPE,
+    MAX_TOKEN_USES,
+    getBucketField,
+    normalizeKeyPrefix,
+    validateUploadTokenInput,
+    signUploadToken,
+    verifyUploadToken,
+    consumeUploadTokenUse,
+    isContentTypeAllowed
+} from '../utils/upload-tokens.js';
+
+const valid = { provider: 's3', connectionId: 'conn_1' };
+
+describe('getBucketField', () => {
+    test('names the request field that holds the bucket', () => {
+        expect(getBucketField('s3')).toBe('s3Bucket');
+        expect(getBucketField('azure')).toBe('azureContainer');
+        expect(getBucketField('uploadcare')).toBeNull();
+        expect(getBucketField('nope')).toBeNull();
+    });
+});
+
+describe('normalizeKeyPrefix', () => {
+    test('always ends with a slash', () => {
+        expect(normalizeKeyPrefix('avatars')).toBe('avatars/');
+        expect(normalizeKeyPrefix('users/123/')).toBe('users/123/');
+    });
+});
+
+describe('validateUploadTokenInput', () => {
+    test('accepts the minimal input', () => {
+        expect(validateUploadTokenInput(valid)).toEqual({ valid: true });
+    });
+
+    test('accepts every constraint', () => {
+        expect(validateUploadTokenInput({
+            ...valid,
+            bucket: 'photos',
+            keyPrefix: 'users/123/',
+            maxFileSize: 1024,
+            allowedTypes: ['image/*', 'application/pdf'],
+            maxUses: 5,
+            preset: 'avatars',
+            expiresIn: 600
+        })).toEqual({ valid: true });
+    });
+
+    test.each([
+        [{ provider: 'ftp' }, 'INVALID_PROVIDER'],
+        [{ connectionId: '' }, 'MISSING_CONNECTION_ID'],
+        [{ bucket: '' }, 'INVALID_BUCKET'],
+        [{ provider: 'uploadcare', bucket: 'x' }, 'INVALID_BUCKET'],
+        [{ provider: 'gcs', keyPrefix: 'a/' }, 'KEY_PREFIX_NOT_SUPPORTED'],
+        [{ keyPrefix: '../etc' }, 'INVALID_KEY_PREFIX'],
+        [{ keyPrefix: 'a/./b' }, 'INVALID_KEY_PREFIX'],
+        [{ keyPrefix: '/abs' }, 'INVALID_KEY_PREFIX'],
+        [{ keyPrefix: 'a//b' }, 'INVALID_KEY_PREFIX'],
+        [{ maxFileSize: 0 }, 'INVALID_MAX_FILE_SIZE'],
+        [{ maxFileSize: 1.5 }, 'INVALID_MAX_FILE_SIZE'],
+        [{ allowedTypes: [] }, 'INVALID_ALLOWED_TYPES'],
+        [{ allowedTypes: ['image'] }, 'INVALID_ALLOWED_TYPES'],
+        [{ maxUses: MAX_TOKEN_USES + 1 }, 'INVALID_MAX_USES'],
+        [{ provider: 'gcs', preset: 'avatars' }, 'PRESET_NOT_SUPPORTED'],
+        [{ preset: 'bad name!' }, 'INVALID_PRESET'],
+        [{ expiresIn: 30 }, 'INVALID_EXPIRY']
+    ])('rejects %p with %s', (override, error) => {
+        expect(validateUploadTokenInput({ ...valid, ...override })).toMatchObject({ valid: false, error });
+    });
+});
+
+describe('signUploadToken / verifyUploadToken', () => {
+    const secret = process.env.JWT_SECRET;
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    afterAll(() => {
+        if (secret === undefined) {
+            delete process.env.JWT_SECRET;
+        } else {
+            process.env.JWT_SECRET = secret;
+        }
+    });
+
+    test('round-trips claims', () => {
+        const { token, tokenId, expiresAt } = signUploadToken({ userId: 'user_1', provider: 's3' }, 300);
+        const result = verifyUploadToken(token);
+
+        expect(result.valid).toBe(true);
+        expect(result.claims).toMatchObject({ userId: 'user_1', provider: 's3', type: UPLOAD_TOKEN_TYPE, jti: tokenId });
+        expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    test('rejects tampered and foreign tokens', () => {
+        const { token } = signUploadToken({ userId: 'user_1' }, 300);
+        expect(verifyUploadToken(`${token}x`)).toMatchObject({ valid: false, error: 'INVALID_TOKEN' });
+
+        const other = jwt.sign({ userId: 'user_1' }, 'test-secret', { jwtid: 'id_1' });
+        expect(verifyUploadToken(other)).toMatchObject({ valid: false, error: 'INVALID_TOKEN_TYPE' });
+    });
+
+    test('rejects expired tokens', () => {
+        const expired = jwt.sign(
+            { userId: 'user_1', type: UPLOAD_TOKEN_TYPE, exp: Math.floor(Date.now() / 1000) - 10 },
+            'test-secret',
+            { jwtid: 'id_2' }
+        );
+        expect(verifyUploadToken(expired)).toMatchObject({ valid: false, error: 'TOKEN_EXPIRED' });
+    });
+
+    test('refuses to sign or verify without JWT_SECRET', () => {
+        delete process.env.JWT_SECRET;
+        expect(() => signUploadToken({ userId: 'user_1' }, 300)).toThrow(/JWT_SECRET/);
+        expect(verifyUploadToken('anything')).toMatchObject({ valid: false, error: 'TOKEN_VERIFICATION_FAILED' });
+        process.env.JWT_SECRET = 'test-secret';
+    });
+});
+
+describe('consumeUploadTokenUse', () => {
+    test('tokens without maxUses are not counted', async () => {
+        await expect(consumeUploadTokenUse({ jti: 'id_1' })).resolves.toEqual({ allowed: true });
+    });
+});
+
+describe('isContentTypeAllowed', () => {
+    test('matches exact types and wildcards, ignoring case and parameters', () => {
+        expect(isContentTypeAllowed('image/png', ['image/*'])).toBe(true);
+        expect(isContentTypeAllowed('Application/PDF; charset=binary', ['application/pdf'])).toBe(true);
+        expect(isContentTypeAllowed('video/mp4', ['image/*', 'application/pdf'])).toBe(false);
+    });
+
+    test('rejects a missing content type', () => {
+        expect(isContentTypeAllowed(undefined, ['image/*'])).toBe(false);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    isBlockedAddress,
+    getUrlHost,
+    getWebhookUrlError,
+    assertDeliverableUrl
+} from '../utils/webhook/url-guard.js';
+
+describe('isBlockedAddress', () => {
+    test.each([
+        '127.0.0.1',
+        '10.1.2.3',
+        '172.16.0.1',
+        '172.31.255.255',
+        '192.168.1.1',
+        '169.254.169.254',
+        '100.64.0.1',
+        '0.0.0.0',
+        '224.0.0.1',
+        '255.255.255.255'
+    ])('blocks IPv4 %s', (address) => {
+        expect(isBlockedAddress(address)).toBe(true);
+    });
+
+    test.each([
+        '::',
+        '::1',
+        '::ffff:127.0.0.1',
+        '::ffff:7f00:1',
+        '64:ff9b::a9fe:a9fe',
+        'fc00::1',
+        'fd12:3456::1',
+        'fe80::1%eth0',
+        'ff02::1'
+    ])('blocks IPv6 %s', (address) => {
+        expect(isBlockedAddress(address)).toBe(true);
+    });
+
+    test.each(['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8'])(
+        'allows public %s',
+        (address) => {
+            expect(isBlockedAddress(address)).toBe(false);
+        }
+    );
+
+    test('is false for anything that is not an IP address', () => {
+        expect(isBlockedAddress('example.com')).toBe(false);
+        expect(isBlockedAddress('256.0.0.1')).toBe(false);
+        expect(isBlockedAddress('1::2::3')).toBe(false);
+    });
+});
+
+describe('getUrlHost', () => {
+    test('lower-cases and strips IPv6 brackets and a trailing dot', () => {
+        expect(getUrlHost(new URL('https://Hooks.Example.COM./x'))).toBe('hooks.example.com');
+        expect(getUrlHost(new URL('http://[::1]:8080/'))).toBe('::1');
+    });
+});
+
+describe('getWebhookUrlError', () => {
+    test('accepts public http and https URLs', () => {
+        expect(getWebhookUrlError('https://hooks.example.com/obitox')).toBeNull();
+        expect(getWebhookUrlError('http://93.184.216.34:8080/hook')).toBeNull();
+    });
+
+    test('rejects malformed URLs and other schemes', () => {
+        expect(getWebhookUrlError('not a url')).toMatch(/not a valid URL/);
+        expect(getWebhookUrlError('ftp://example.com/hook')).toMatch(/http or https/);
+        expect(getWebhookUrlError('file:///etc/passwd')).toMatch(/http or https/);
+    });
+
+    test.each([
+        'http://127.0.0.1/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:169.254.169.254]/latest/meta-data',
+        'http://169.254.169.254/latest/meta-data',
+        'http://2130706433/hook',
+        'http://0x7f.1/hook'
+    ])('rejects the private address in %s', (url) => {
+        expect(getWebhookUrlError(url)).toMatch(/loopback, private/);
+    });
+
+    test.each([
+        'http://localhost:3000/hook',
+        'http://api.localhost/hook',
+        'http://metadata.google.internal/computeMetadata/v1/',
+        'http://printer.local/hook',
+        'http://LOCALHOST./hook'
+    ])('rejects the internal host name in %s', (url) => {
+        expect(getWebhookUrlError(url)).toMatch(/internal host/);
+    });
+});
+
+describe('assertDeliverableUrl', () => {
+    test('throws WEBHOOK_HOST_BLOCKED for a blocked URL', async () => {
+        await expect(assertDeliverableUrl('http://10.0.0.5/hook'))
+            .rejects.toMatchObject({ code: 'WEBHOOK_HOST_BLOCKED' });
+    });
+
+    test('passes a public IP literal without a DNS lookup', async () => {
+        await expect(assertDeliverableUrl('https://93.184.216.34/hook')).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * API Key IP / Origin Allowlists
+ *
+ * Where an ox_ key may be used from. Stored on the api_keys row:
+ *   allowed_ips      text[]  e.g. {203.0.113.7,10.0.0.0/8,2001:db8::/32}   NULL → any IP
+ *   allowed_origins  text[]  e.g. {https://app.example.com,https://*.example.com}   NULL → any origin
+ *
+ * The client IP is req.ip — on Workers the chain() adapter fills it from
+ * cf-connecting-ip; behind a proxy on Express, `trust proxy` must be set.
+ * The origin comes from the Origin header, falling back to Referer. When a
+ * key has allowed origins, requests that send neither are rejected.
+ *
+ * Pure JS (no `net` module) so the same code runs on Node and Workers.
+ *
+ * @file utils/api-key-allowlists.js
+ */
+
+const asList = (value) => (Array.isArray(value) && value.length > 0 ? value : null);
+
+/**
+ * Parse an IPv4 address into 4 bytes
+ * @param {string} ip
+ * @returns {number[]|null}
+ */
+function parseIPv4(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4) return null;
+
+    const bytes = parts.map(part => (/^\d{1,3}$/.test(part) ? Number(part) : NaN));
+    return bytes.every(byte => byte >= 0 && byte <= 255) ? bytes : null;
+}
+
+/**
+ * Parse an IPv6 address into 16 bytes (handles `::` and an embedded IPv4 tail)
+ * @param {string} ip
+ * @returns {number[]|null}
+ */
+function parseIPv6(ip) {
+    const halves = ip.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => {
+        if (!part) return [];
+        const groups = [];
+        for (const group of part.split(':')) {
+            if (group.includes('.')) {
+                const v4 = parseIPv4(group);
+                if (!v4) return null;
+                groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+            } else if (/^[0-9a-f]{1,4}$/i.test(group)) {
+                groups.push(parseInt(group, 16));
+            } else {
+                return null;
+            }
+        }
+        return groups;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...new Array(missing).fill(0), ...tail];
+    return groups.flatMap(group => [group >> 8, group & 0xff]);
+}
+
+/**
+ * Parse an IP address
+ *
+ * IPv4-mapped IPv6 (::ffff:a.b.c.d) is treated as IPv4, so an allowlist of
+ * plain IPv4 ranges matches dual-stack sockets.
+ *
+ * @param {string} ip
+ * @returns {number[]|null} 4 or 16 bytes
+ */
+export function parseIp(ip) {
+    if (typeof ip !== 'string' || !ip) return null;
+
+    const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+    if (!address.includes(':')) {
+        return parseIPv4(address);
+    }
+
+    const bytes = parseIPv6(address);
+    if (bytes && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+        return bytes.slice(12);
+    }
+    return bytes;
+}
+
+/**
+ * Whether an IP falls inside a CIDR range (a bare address is a /32 or /128)
+ *
+ * @param {string} ip
+ * @param {string} cidr - e.g. '10.0.0.0/8', '2001:db8::/32', '203.0.113.7'
+ * @returns {boolean}
+ */
+export function ipMatchesCidr(ip, cidr) {
+    const [range, prefix] = String(cidr).split('/');
+    const address = parseIp(ip);
+    const network = parseIp(range);
+    if (!address || !network || address.length !== network.length) return false;
+
+    const maxBits = network.length * 8;
+    const bits = prefix === undefined ? maxBits : Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) return false;
+
+    for (let i = 0; i < network.length; i++) {
+        const remaining = bits - i * 8;
+        if (remaining <= 0) break;
+        const mask = remaining >= 8 ? 0xff : (0xff << (8 - remaining)) & 0xff;
+        if ((address[i] & mask) !== (network[i] & mask)) return false;
+    }
+    return true;
+}
+
+/**
+ * Origin a request was made from
+ *
+ * @param {Object} req - Express-style request
+ * @returns {string|null} e.g. 'https://app.example.com'
+ */
+export function getRequestOrigin(req) {
+    const origin = req.headers?.origin;
+    if (origin && origin !== 'null') {
+        return origin.toLowerCase();
+    }
+
+    const referer = req.headers?.referer;
+    if (referer) {
+        try {
+            return new URL(referer).origin.toLowerCase();
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an origin matches an allowlist entry
+ *
+ * `https://*.example.com` matches any subdomain (not example.com itself).
+ * An entry without a scheme matches the host on either http or https.
+ *
+ * @param {string} origin - e.g. 'https://app.example.com'
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function originMatches(origin, pattern) {
+    const entry = String(pattern).trim().toLowerCase().replace(/\/+$/, '');
+    if (entry === '*') return true;
+
+    const hasScheme = entry.includes('://');
+    const target = hasScheme ? origin : origin.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+
+    if (entry.includes('*.')) {
+        const [prefix, suffix] = entry.split('*.');
+        return target.startsWith(prefix) && target.endsWith(`.${suffix}`)
+            && target.length > prefix.length + suffix.length + 1;
+    }
+    return target === entry;
+}
+
+/**
+ * Check a key's IP and origin allowlists
+ *
+ * @param {Object} apiKeyData - api_keys row (req.apiKeyData)
+ * @param {Object} source - { ip, origin } (origin null for non-browser requests)
+ * @returns {Object|null} Error body, or null if allowed
+ */
+export function checkKeyAllowlists(apiKeyData, { ip, origin }) {
+    const ips = asList(apiKeyData?.allowed_ips);
+    if (ips && !ips.some(cidr => ipMatchesCidr(ip, cidr))) {
+        return {
+            error: 'IP_NOT_ALLOWED',
+            message: `This API key cannot be used from ${ip || 'an unknown address'}`,
+            hint: 'Add this address to the key\'s allowed IPs, or call from an allowed network'
+        };
+    }
+
+    const origins = asList(apiKeyData?.allowed_origins);
+    if (origins && !(origin && origins.some(pattern => originMatches(origin, pattern)))) {
+        return {
+            error: 'ORIGIN_NOT_ALLOWED',
+            message: origin
+                ? `This API key cannot be used from origin ${origin}`
+                : 'This API key only accepts requests with an allowed Origin header',
+            hint: `Allowed origins: ${origins.join(', ')}`
+        };
+    }
+
+    return null;
+}
@@ -0,0 +1,151 @@
+/**
+ * API Secret Rotation
+ *
+ * Rotating issues a new sk_ secret for an existing ox_ key. The old secret
+ * stays valid for a grace window so deployments can roll over without
+ * downtime, then stops being accepted and is cleared on next use.
+ *
+ * Columns on api_keys:
+ *   secret_hash                 SHA-256 of the current secret
+ *   previous_secret_hash        SHA-256 of the secret being rotated out
+ *   previous_secret_expires_at  End of the grace window
+ *   secret_rotated_at           Last rotation
+ *
+ * @file utils/api-key-rotation.js
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { logAudit } from './audit-logger.js';
+import logger from './logger.js';
+
+export const DEFAULT_ROTATION_GRACE_SECONDS = 86400;       // 24 hours
+export const MAX_ROTATION_GRACE_SECONDS = 7 * 86400;       // 7 days
+
+/**
+ * Generate a new API secret
+ * @returns {string} sk_... secret (shown to the user once, never stored)
+ */
+export function generateApiSecret() {
+    return `sk_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * SHA-256 of a secret, as stored in api_keys
+ * @param {string} secret
+ * @returns {string} hex digest
+ */
+export function hashApiSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Which of a key's secrets a hash matches
+ *
+ * @param {string} providedHash - SHA-256 of the secret sent by the client
+ * @param {Object} keyData - { secret_hash, previous_secret_hash, previous_secret_expires_at }
+ * @returns {string|null} 'current', 'previous' (within grace), 'expired' (grace over) or null
+ */
+export function matchSecretHash(providedHash, keyData) {
+    if (!keyData) return null;
+
+    if (providedHash === keyData.secret_hash) {
+        return 'current';
+    }
+
+    if (keyData.previous_secret_hash && providedHash === keyData.previous_secret_hash) {
+        return isPreviousSecretActive(keyData) ? 'previous' : 'expired';
+    }
+
+    return null;
+}
+
+/**
+ * Whether a rotated-out secret is still inside its grace window
+ *
+ * @param {Object} keyData - api_keys row
+ * @returns {boolean}
+ */
+export function isPreviousSecretActive(keyData) {
+    return Boolean(
+        keyData?.previous_secret_hash &&
+        keyData.previous_secret_expires_at &&
+        new Date(keyData.previous_secret_expires_at).getTime() > Date.now()
+    );
+}
+
+/**
+ * Rotate a key's secret
+ *
+ * The current secret becomes the previous one for `graceSeconds`; a previous
+ * secret still in its grace window from an earlier rotation is dropped.
+ *
+ * @param {Object} keyData - api_keys row (id, user_id, secret_hash)
+ * @param {number} graceSeconds - How long the old secret keeps working (0 = revoke now)
+ * @returns {Promise<Object>} { secret, rotatedAt, previousSecretExpiresAt }
+ */
+export async function rotateApiSecret(keyData, graceSeconds) {
+    const secret = generateApiSecret();
+    const rotatedAt = new Date();
+    const previousSecretExpiresAt = graceSeconds > 0
+        ? new Date(rotatedAt.getTime() + graceSeconds * 1000).toISOString()
+        : null;
+
+    const { data: rows, error } = await supabaseAdmin
+        .from('api_keys')
+        .update({
+            secret_hash: hashApiSecret(secret),
+            previous_secret_hash: previousSecretExpiresAt ? keyData.secret_hash : null,
+            previous_secret_expires_at: previousSecretExpiresAt,
+            secret_rotated_at: rotatedAt.toISOString()
+        })
+        .eq('id', keyData.id)
+        .eq('secret_hash', keyData.secret_hash)   // lose a concurrent rotation race instead of clobbering it
+        .select('id');
+
+    if (error) {
+        throw error;
+    }
+
+    if (!rows || rows.length === 0) {
+        return null;
+    }
+
+    return {
+        secret,
+        rotatedAt: rotatedAt.toISOString(),
+        previousSecretExpiresAt
+    };
+}
+
+/**
+ * Clear a rotated-out secret whose grace window has ended (fire-and-forget)
+ *
+ * @param {Object} keyData - api_keys row
+ * @param {Function} [onRetired] - Called after the row changed (e.g. cache invalidation)
+ */
+export function retirePreviousSecret(keyData, onRetired) {
+    supabaseAdmin
+        .from('api_keys')
+        .update({ previous_secret_hash: null, previous_secret_expires_at: null })
+        .eq('id', keyData.id)
+        .eq('previous_secret_hash', keyData.previous_secret_hash)
+        .select('id')
+        .then(({ data: rows, error }) => {
+            if (error) throw error;
+            if (!rows || rows.length === 0) return;   // already retired elsewhere
+
+            logAudit({
+                user_id: keyData.user_id,
+                resource_type: 'api_key',
+                resource_id: keyData.id,
+                event_type: 'api_secret_previous_revoked',
+                event_category: 'info',
+                description: 'Rotated-out API secret revoked after its grace period',
+                metadata: { grace_ended_at: keyData.previous_secret_expires_at }
+            }).catch(() => { });
+
+            return onRetired?.();
+        })
+        .catch(error => logger.warn('Failed to retire previous API secret:', { message: error.message }));
+}
@@ -0,0 +1,147 @@
+/**
+ * API Key Scopes
+ *
+ * What an ox_ key may do, and where. Stored on the api_keys row:
+ *   scopes            text[]  e.g. {upload:write,files:list}   NULL → all scopes (keys created before scopes)
+ *   allowed_providers text[]  e.g. {s3,r2}                     NULL → any provider
+ *   allowed_buckets   text[]  e.g. {avatars,user-docs}         NULL → any bucket / container
+ *
+ * A granted `*` matches every scope and `files:*` every files scope.
+ *
+ * @file utils/api-key-scopes.js
+ */
+
+import { CONNECTION_PROVIDERS } from './provider-connections.js';
+import { SUPABASE_BUCKET, PRIVATE_BUCKET } from '../controllers/providers/supabase/supabase.config.js';
+
+export const API_KEY_SCOPES = {
+    UPLOAD_WRITE: 'upload:write',
+    FILES_READ: 'files:read',
+    FILES_LIST: 'files:list',
+    FILES_DELETE: 'files:delete',
+    ANALYTICS_READ: 'analytics:read',
+    WEBHOOKS_MANAGE: 'webhooks:manage',
+    BUCKETS_CONFIGURE: 'buckets:configure',
+    CONNECTIONS_MANAGE: 'connections:manage',
+    PRESETS_MANAGE: 'presets:manage'
+};
+
+export const ALL_SCOPES = Object.values(API_KEY_SCOPES);
+
+// Scopes whose routes act on a provider's storage, so bucket / provider restrictions must resolve
+export const STORAGE_SCOPES = [
+    API_KEY_SCOPES.UPLOAD_WRITE,
+    API_KEY_SCOPES.FILES_READ,
+    API_KEY_SCOPES.FILES_LIST,
+    API_KEY_SCOPES.FILES_DELETE,
+    API_KEY_SCOPES.BUCKETS_CONFIGURE
+];
+
+// Supabase storage URLs name their bucket: /storage/v1/object/public/{bucket}/...
+const SUPABASE_URL_BUCKET = /\/storage\/v1\/object\/public\/([^/]+)\//;
+
+// R2 access-token permission → scope the issuing key must hold
+export const R2_PERMISSION_SCOPES = {
+    read: API_KEY_SCOPES.FILES_READ,
+    write: API_KEY_SCOPES.UPLOAD_WRITE,
+    delete: API_KEY_SCOPES.FILES_DELETE
+};
+
+const asList = (value) => (Array.isArray(value) && value.length > 0 ? value : null);
+
+/**
+ * Whether a key grants a scope
+ *
+ * @param {Object} apiKeyData - api_keys row (req.apiKeyData)
+ * @param {string} scope - e.g. 'files:delete'
+ * @returns {boolean}
+ */
+export function hasScope(apiKeyData, scope) {
+    const granted = asList(apiKeyData?.scopes);
+    if (!granted) {
+        return true;
+    }
+
+    const [resource] = scope.split(':');
+    return granted.includes('*') || granted.includes(scope) || granted.includes(`${resource}:*`);
+}
+
+/**
+ * Bucket (container for Azure) a request targets, if it can be told
+ *
+ * Supabase routes work out the bucket the same way their controllers do:
+ * from fileUrl, else the body, else the server's default bucket.
+ *
+ * @param {Object} body - req.body after presets / connections are resolved
+ * @param {string|null} provider
+ * @returns {string|null}
+ */
+export function getRequestBucket(body = {}, provider) {
+    const config = CONNECTION_PROVIDERS[provider]?.config || {};
+    const field = config.bucket || config.container;
+    const bucket = (field && body[field]) || body.bucket;
+    const named = typeof bucket === 'string' && bucket ? bucket : null;
+
+    if (provider !== 'supabase') {
+        return named;
+    }
+
+    if (typeof body.fileUrl === 'string') {
+        try {
+            const fromUrl = new URL(body.fileUrl).pathname.match(SUPABASE_URL_BUCKET)?.[1];
+            if (fromUrl) return fromUrl;
+        } catch {
+            // The controller rejects the URL
+        }
+    }
+
+    return named || (body.makePrivate ? PRIVATE_BUCKET : SUPABASE_BUCKET);
+}
+
+/**
+ * Check a key's provider / bucket restrictions
+ *
+ * @param {Object} apiKeyData - api_keys row (req.apiKeyData)
+ * @param {Object} target - { provider, bucket } (either may be null when the route names none)
+ * @param {Object} [options]
+ * @param {boolean} [options.requireTarget] - Deny a restricted key when the
+ *   provider or bucket can't be determined (storage routes)
+ * @returns {Object|null} Error body, or null if allowed
+ */
+export function checkKeyRestrictions(apiKeyData, { provider, bucket }, { requireTarget = false } = {}) {
+    const providers = asList(apiKeyData?.allowed_providers);
+    if (providers && !provider && requireTarget) {
+        return {
+            error: 'PROVIDER_REQUIRED',
+            message: 'This API key is restricted to certain providers, but the request does not say which one it uses',
+            hint: 'Send provider or a connectionId, or use a /api/v1/upload/{provider}/ route'
+        };
+    }
+    if (providers && provider && !providers.includes(provider)) {
+        return {
+            error: 'PROVIDER_NOT_ALLOWED',
+            message: `This API key is not allowed to use ${provider}`,
+            hint: `Allowed providers: ${providers.join(', ')}`
+        };
+    }
+
+    const buckets = asList(apiKeyData?.allowed_buckets);
+    const config = CONNECTION_PROVIDERS[provider]?.config;
+    const usesBuckets = !config || Boolean(config.bucket || config.container);
+    if (buckets && !bucket && requireTarget && usesBuckets) {
+        return {
+            error: 'BUCKET_REQUIRED',
+            message: 'This API key is restricted to certain buckets, but the request does not name one',
+            hint: `Allowed buckets: ${buckets.join(', ')}`
+        };
+    }
+    if (buckets && bucket && !buckets.includes(bucket)) {
+        return {
+            error: 'BUCKET_NOT_ALLOWED',
+            message: `This API key is not allowed to access bucket "${bucket}"`,
+            hint: `Allowed buckets: ${buckets.join(', ')}`
+        };
+    }
+
+    return null;
+}
@@ -22,7 +22,7 @@ const MAX_QUEUE_LENGTH = 10000;
  * 
  * @param {Object} event - Audit event details
  * @param {string} event.user_id - User ID (required)
- * @param {string} event.resource_type - Resource type: 'api_key', 'usage_quota', 'account', 'system'
+ * @param {string} event.resource_type - Resource type: 'api_key', 'usage_quota', 'account', 'webhook_endpoint', 'system'
  * @param {string} event.resource_id - Resource UUID
  * @param {string} event.event_type - Event type (e.g., 'permanent_ban_applied')
  * @param {string} event.event_category - Category: 'info', 'warning', 'critical'
@@ -0,0 +1,188 @@
+/**
+ * Monthly Byte Quotas
+ *
+ * Files go straight to the storage provider, but the provider bills us by the
+ * byte, so uploads are metered in two steps:
+ *
+ *   1. Signing — the declared `fileSize` (or `files[].fileSize`) is checked
+ *      against the plan's bytesPerMonth and charged once the URL is issued
+ *   2. Verification — when a webhook confirms the upload, the provider's
+ *      reported size replaces the declared one (the difference is charged or
+ *      refunded), so under-declaring doesn't beat the quota
+ *
+ * Redis keys (expire a week after the month ends):
+ *   bytes:{userId}:{month}             Charged bytes — what enforcement reads
+ *   bytes_key:{apiKeyId}:{month}       Hash: declared, verified, files, verifiedFiles
+ *   bytes_verified:{webhookId}         Marker so a retried webhook is only counted once
+ *
+ * Plans with a byte quota must declare a positive fileSize for every file, and
+ * S3 / R2 / GCS sign that size into the upload URL so the provider refuses a
+ * larger body. Azure SAS tokens can't carry a size, so there verification is
+ * what catches an under-declared upload.
+ *
+ * @file utils/byte-quota.js
+ */
+
+import { getRedisAsync } from '../config/redis.js';
+import { getMonthEndTTL } from './quota-manager.js';
+import logger from './logger.js';
+
+const currentMonth = () => new Date().toISOString().substring(0, 7);
+
+const toBytes = (value) => {
+    const bytes = typeof value === 'string' ? Number(value) : value;
+    return Number.isFinite(bytes) && bytes > 0 ? Math.floor(bytes) : 0;
+};
+
+/**
+ * Bytes a request declares it will upload
+ *
+ * @param {Object} body - Request body ({ fileSize } or { files: [{ fileSize }] })
+ * @returns {{ bytes: number, files: number, unsized: number }} unsized counts files
+ *   without a positive fileSize
+ */
+export function getDeclaredBytes(body) {
+    const sizes = Array.isArray(body?.files)
+        ? body.files.map(file => toBytes(file?.fileSize))
+        : [toBytes(body?.fileSize)];
+
+    return {
+        bytes: sizes.reduce((sum, bytes) => sum + bytes, 0),
+        files: Array.isArray(body?.files) ? body.files.length : (body ? 1 : 0),
+        unsized: sizes.filter(bytes => bytes === 0).length
+    };
+}
+
+/**
+ * Bytes charged to a user this month
+ *
+ * @param {string} userId
+ * @param {string} [month] - YYYY-MM, defaults to the current month
+ * @returns {Promise<number>}
+ */
+export async function getByteUsage(userId, month = currentMonth()) {
+    const redis = await getRedisAsync();
+    if (!redis) return 0;
+    return toBytes(await redis.get(`bytes:${userId}:${month}`));
+}
+
+/**
+ * Would uploading `bytes` more stay within the plan?
+ *
+ * @param {string} userId
+ * @param {number} limit - Plan bytesPerMonth (-1 → unlimited)
+ * @param {number} bytes - Bytes the request declares
+ * @returns {Promise<Object>} { allowed, used, limit, remaining }
+ */
+export async function checkByteQuota(userId, limit, bytes) {
+    if (!userId || limit === -1) {
+        return { allowed: true, used: 0, limit: -1, remaining: -1 };
+    }
+
+    try {
+        const used = await getByteUsage(userId);
+        return {
+            allowed: used + bytes <= limit,
+            used,
+            limit,
+            remaining: Math.max(0, limit - used)
+        };
+    } catch (error) {
+        logger.warn('Byte quota check failed, allowing request:', error.message);
+        return { allowed: true, used: 0, limit, remaining: -1 };
+    }
+}
+
+/**
+ * Charge bytes declared at signing time
+ *
+ * @param {Object} usage
+ * @param {string} usage.userId
+ * @param {string} [usage.apiKeyId]
+ * @param {number} usage.bytes
+ * @param {number} usage.files
+ */
+export async function recordDeclaredBytes({ userId, apiKeyId, bytes, files }) {
+    const redis = await getRedisAsync();
+    if (!redis || !userId) return;
+
+    const month = currentMonth();
+    const ttl = getMonthEndTTL();
+    const userKey = `bytes:${userId}:${month}`;
+    const writes = [];
+
+    if (bytes > 0) {
+        writes.push(redis.incrby(userKey, bytes), redis.expire(userKey, ttl));
+    }
+    if (apiKeyId) {
+        const keyKey = `bytes_key:${apiKeyId}:${month}`;
+        writes.push(
+            redis.hincrby(keyKey, 'declared', bytes),
+            redis.hincrby(keyKey, 'files', files),
+            redis.expire(keyKey, ttl)
+        );
+    }
+
+    await Promise.all(writes);
+}
+
+/**
+ * Replace a declared size with the size the provider reports
+ *
+ * Idempotent per webhook — redeliveries don't charge twice.
+ *
+ * @param {Object} webhook - upload_webhooks row (id, user_id, api_key_id, file_size = declared)
+ * @param {number} verifiedBytes - Content length reported by the provider
+ */
+export async function recordVerifiedBytes(webhook, verifiedBytes) {
+    const redis = await getRedisAsync();
+    if (!redis || !webhook?.user_id) return;
+
+    const markerKey = `bytes_verified:${webhook.id}`;
+    const ttl = getMonthEndTTL();
+    // ioredis and Upstash spell SET NX EX differently
+    const first = typeof redis.status === 'string'
+        ? await redis.set(markerKey, '1', 'EX', ttl, 'NX')
+        : await redis.set(markerKey, '1', { ex: ttl, nx: true });
+    if (!first) return;
+
+    const verified = toBytes(verifiedBytes);
+    const delta = verified - toBytes(webhook.file_size);
+    const month = currentMonth();
+    const userKey = `bytes:${webhook.user_id}:${month}`;
+    const writes = [];
+
+    if (delta !== 0) {
+        writes.push(redis.incrby(userKey, delta), redis.expire(userKey, ttl));
+    }
+    if (webhook.api_key_id) {
+        const keyKey = `bytes_key:${webhook.api_key_id}:${month}`;
+        writes.push(
+            redis.hincrby(keyKey, 'verified', verified),
+            redis.hincrby(keyKey, 'verifiedFiles', 1),
+            redis.expire(keyKey, ttl)
+        );
+    }
+
+    await Promise.all(writes);
+}
+
+/**
+ * Per-key byte usage for a month
+ *
+ * @param {string} apiKeyId
+ * @param {string} [month] - YYYY-MM, defaults to the current month
+ * @returns {Promise<Object>} { month, declared, verified, files, verifiedFiles }
+ */
+export async function getKeyByteUsage(apiKeyId, month = currentMonth()) {
+    const redis = await getRedisAsync();
+    const fields = redis ? (await redis.hgetall(`bytes_key:${apiKeyId}:${month}`)) || {} : {};
+
+    return {
+        month,
+        declared: toBytes(fields.declared),
+        verified: toBytes(fields.verified),
+        files: toBytes(fields.files),
+        verifiedFiles: toBytes(fields.verifiedFiles)
+    };
+}
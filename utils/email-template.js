@@ -91,4 +91,71 @@ export const emailTemplates = [
       `⚡ Final Reminder: ${data.subscriptionName} Renews Tomorrow!`,
     generateBody: (data) => generateEmailTemplate({ ...data, daysLeft: 1 }),
   },
-];
\ No newline at end of file
+];
+// Endpoint URLs, descriptions and receiver errors are user-controlled
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+export const generateWebhookDisabledTemplate = ({
+  userName,
+  endpointUrl,
+  endpointDescription,
+  failures,
+  failingSince,
+  disabledAt,
+  lastError,
+}) => `
+<div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 0; background-color: #f4f7fa;">
+    <table cellpadding="0" cellspacing="0" border="0" width="100%" style="background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <tr>
+            <td style="background-color: #4a90e2; text-align: center;">
+                <p style="font-size: 54px; line-height: 54px; font-weight: 800;">ObitoX</p>
+            </td>
+        </tr>
+        <tr>
+            <td style="padding: 40px 30px;">
+                <p style="font-size: 16px; margin-bottom: 25px;">Hello <strong style="color: #4a90e2;">${escapeHtml(userName)}</strong>,</p>
+
+                <p style="font-size: 16px; margin-bottom: 25px;">We disabled your webhook endpoint because every delivery to it has failed since <strong>${escapeHtml(failingSince)}</strong>. No further events will be sent to it until you turn it back on.</p>
+
+                <table cellpadding="15" cellspacing="0" border="0" width="100%" style="background-color: #f0f7ff; border-radius: 10px; margin-bottom: 25px;">
+                    <tr>
+                        <td style="font-size: 16px; border-bottom: 1px solid #d0e3ff;">
+                            <strong>Endpoint:</strong> ${escapeHtml(endpointUrl)}${endpointDescription ? ` (${escapeHtml(endpointDescription)})` : ''}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="font-size: 16px; border-bottom: 1px solid #d0e3ff;">
+                            <strong>Failed deliveries:</strong> ${escapeHtml(failures)}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="font-size: 16px; border-bottom: 1px solid #d0e3ff;">
+                            <strong>Last error:</strong> ${escapeHtml(lastError)}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="font-size: 16px;">
+                            <strong>Disabled at:</strong> ${escapeHtml(disabledAt)}
+                        </td>
+                    </tr>
+                </table>
+
+                <p style="font-size: 16px; margin-bottom: 25px;">Once the receiver is fixed, re-enable the endpoint (PATCH /api/v1/webhooks/endpoints/:id with <code>is_active: true</code>) and replay what it missed with POST /api/v1/webhooks/dead-letters/replay.</p>
+
+                <p style="font-size: 16px; margin-top: 30px;">
+                    Best regards,<br>
+                    <strong>The ObitoX Team</strong>
+                </p>
+            </td>
+        </tr>
+    </table>
+</div>
+`;
+
+export const webhookDisabledTemplate = {
+  label: "webhook endpoint disabled",
+  generateSubject: (data) =>
+    `⚠️ Webhook endpoint disabled: ${data.endpointUrl}`,
+  generateBody: (data) => generateWebhookDisabledTemplate(data),
+};
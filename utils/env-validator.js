@@ -148,6 +148,25 @@ const ENV_SCHEMA = {
     default: 15000,
     description: 'Webhook timeout in ms',
   },
+  WEBHOOK_DISABLE_AFTER_HOURS: {
+    required: false,
+    type: 'number',
+    default: 72,
+    description: 'Hours of continuous delivery failure before an endpoint is disabled',
+  },
+  WEBHOOK_DISABLE_MIN_FAILURES: {
+    required: false,
+    type: 'number',
+    default: 20,
+    description: 'Minimum failed deliveries before an endpoint can be disabled',
+  },
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: {
+    required: false,
+    type: 'string',
+    enum: ['true', 'false'],
+    default: 'false',
+    description: 'Allow webhook URLs on loopback / private hosts (local development only)',
+  },
 
   // File Upload Configuration
   MAX_FILE_SIZE: {
@@ -184,6 +203,14 @@ const ENV_SCHEMA = {
     description: 'Comma-separated list of allowed CORS origins',
   },
 
+  // Admin API
+  ADMIN_API_TOKENS: {
+    required: false,
+    type: 'string',
+    sensitive: true,
+    description: 'Comma-separated name:token pairs for /api/v1/admin (unset disables it)',
+  },
+
   // Logging
   LOG_LEVEL: {
     required: false,
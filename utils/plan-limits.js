@@ -0,0 +1,258 @@
+/**
+ * Subscription Plan Limits
+ *
+ * Single source for per-tier limits, read from the database instead of being
+ * hard-coded in the rate limiter, quota manager and Durable Object.
+ *
+ * subscription_plans (one row per tier, also joined by profiles_with_tier):
+ *   tier                 text   free | pro | enterprise | ...
+ *   name                 text   Display name
+ *   requests_per_minute  int    -1 → unlimited
+ *   requests_per_month   int    -1 → unlimited
+ *   burst_allowance      int    Extra requests per minute, at most once per BURST_COOLDOWN
+ *   bytes_per_month      bigint Upload bytes per month (see byte-quota.js), -1 → unlimited
+ *   features             jsonb  Feature flags, e.g. {"webhooks": true, "malware_scan": false}
+ *
+ * plan_overrides (custom enterprise deals — any NULL column falls back to the plan):
+ *   user_id, requests_per_minute, requests_per_month, burst_allowance, bytes_per_month,
+ *   features (merged over the plan's), expires_at (NULL → no end)
+ *
+ * Caching: plans in-process (60s) + Redis `plans:all` (5 min); overrides
+ * in-process (60s) + Redis `plan_override:{userId}` (5 min, misses cached too).
+ * Express resolves the limits and hands them to the RateLimiter Durable
+ * Object with each check, so both always enforce the same numbers.
+ *
+ * @file utils/plan-limits.js
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
+import logger from './logger.js';
+
+// Used when subscription_plans is unreachable or has no row for a tier
+const GB = 1024 ** 3;
+
+export const DEFAULT_PLANS = {
+    free: { tier: 'free', label: 'FREE', requestsPerMinute: 10, requestsPerMonth: 1000, burstAllowance: 0, bytesPerMonth: 1 * GB, features: {} },
+    pro: { tier: 'pro', label: 'PRO', requestsPerMinute: 100, requestsPerMonth: 50000, burstAllowance: 0, bytesPerMonth: 100 * GB, features: {} },
+    enterprise: { tier: 'enterprise', label: 'ENTERPRISE', requestsPerMinute: -1, requestsPerMonth: -1, burstAllowance: 0, bytesPerMonth: -1, features: {} }
+};
+
+export const BURST_COOLDOWN_MS = 10 * 60 * 1000;
+
+const PLANS_CACHE_KEY = 'plans:all';
+const OVERRIDE_CACHE_PREFIX = 'plan_override:';
+const CACHE_TTL = 300;              // Redis: 5 minutes
+const LOCAL_TTL = 60 * 1000;        // In-process: 60 seconds
+
+const LOCAL_OVERRIDES_MAX = 1000;
+
+let localPlans = null;
+let localPlansExpiresAt = 0;
+const localOverrides = new Map();   // userId → { override, expiresAt }
+
+const toLimit = (value, fallback) => (Number.isInteger(value) ? value : fallback);
+
+/**
+ * Convert a subscription_plans row to the shape used everywhere else
+ * @param {Object} row
+ * @returns {Object} { tier, label, requestsPerMinute, requestsPerMonth, burstAllowance, bytesPerMonth, features }
+ */
+function planFromRow(row) {
+    const tier = row.tier.toLowerCase();
+    const defaults = DEFAULT_PLANS[tier] || DEFAULT_PLANS.free;
+
+    return {
+        tier,
+        label: row.name || tier.toUpperCase(),
+        requestsPerMinute: toLimit(row.requests_per_minute, defaults.requestsPerMinute),
+        requestsPerMonth: toLimit(row.requests_per_month, defaults.requestsPerMonth),
+        burstAllowance: toLimit(row.burst_allowance, defaults.burstAllowance),
+        bytesPerMonth: toLimit(row.bytes_per_month, defaults.bytesPerMonth),
+        features: row.features || {}
+    };
+}
+
+/**
+ * All plan definitions, keyed by tier
+ * @returns {Promise<Object>}
+ */
+export async function getPlans() {
+    if (localPlans && Date.now() < localPlansExpiresAt) {
+        return localPlans;
+    }
+
+    const redis = await getRedisAsync();
+    let plans = null;
+
+    if (redis) {
+        try {
+            const cached = await redis.get(PLANS_CACHE_KEY);
+            if (cached) {
+                plans = typeof cached === 'string' ? JSON.parse(cached) : cached;
+            }
+        } catch (error) {
+            logger.warn('Plan cache read error:', error.message);
+        }
+    }
+
+    if (!plans) {
+        const { data: rows, error } = await supabaseAdmin
+            .from('subscription_plans')
+            .select('tier, name, requests_per_minute, requests_per_month, burst_allowance, bytes_per_month, features');
+
+        if (error || !rows?.length) {
+            logger.warn('Failed to load subscription plans, using defaults:', error?.message);
+            return DEFAULT_PLANS;   // not cached — retry on the next request
+        }
+
+        plans = { ...DEFAULT_PLANS };
+        for (const row of rows) {
+            if (row.tier) {
+                plans[row.tier.toLowerCase()] = planFromRow(row);
+            }
+        }
+
+        if (redis) {
+            redis.setex(PLANS_CACHE_KEY, CACHE_TTL, JSON.stringify(plans))
+                .catch(err => logger.warn('Plan cache write error:', err.message));
+        }
+    }
+
+    localPlans = plans;
+    localPlansExpiresAt = Date.now() + LOCAL_TTL;
+    return plans;
+}
+
+/**
+ * A user's active plan override, if any
+ * @param {string} userId
+ * @returns {Promise<Object|null>} plan_overrides row
+ */
+async function getPlanOverride(userId) {
+    const local = localOverrides.get(userId);
+    if (local && Date.now() < local.expiresAt) {
+        return local.override;
+    }
+
+    const remember = (override) => {
+        if (localOverrides.size >= LOCAL_OVERRIDES_MAX) {
+            localOverrides.delete(localOverrides.keys().next().value);   // evict oldest
+        }
+        localOverrides.set(userId, { override, expiresAt: Date.now() + LOCAL_TTL });
+        return override;
+    };
+
+    const redis = await getRedisAsync();
+    const cacheKey = `${OVERRIDE_CACHE_PREFIX}${userId}`;
+
+    if (redis) {
+        try {
+            const cached = await redis.get(cacheKey);
+            if (cached) {
+                const data = typeof cached === 'string' ? JSON.parse(cached) : cached;
+                return remember(data.override);
+            }
+        } catch (error) {
+            logger.warn('Plan override cache read error:', error.message);
+        }
+    }
+
+    const { data: override, error } = await supabaseAdmin
+        .from('plan_overrides')
+        .select('requests_per_minute, requests_per_month, burst_allowance, bytes_per_month, features, expires_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        logger.warn('Failed to load plan override:', error.message);
+        return null;
+    }
+
+    if (redis) {
+        redis.setex(cacheKey, CACHE_TTL, JSON.stringify({ override: override || null }))
+            .catch(err => logger.warn('Plan override cache write error:', err.message));
+    }
+
+    return remember(override || null);
+}
+
+/**
+ * Apply a plan_overrides row on top of a plan
+ *
+ * @param {Object} plan - From getPlans()
+ * @param {Object|null} override - plan_overrides row
+ * @returns {Object} Effective limits (overridden: true when the override applied)
+ */
+export function applyPlanOverride(plan, override) {
+    if (!override || (override.expires_at && new Date(override.expires_at).getTime() <= Date.now())) {
+        return { ...plan, overridden: false };
+    }
+
+    return {
+        ...plan,
+        requestsPerMinute: toLimit(override.requests_per_minute, plan.requestsPerMinute),
+        requestsPerMonth: toLimit(override.requests_per_month, plan.requestsPerMonth),
+        burstAllowance: toLimit(override.burst_allowance, plan.burstAllowance),
+        bytesPerMonth: toLimit(override.bytes_per_month, plan.bytesPerMonth),
+        features: { ...plan.features, ...(override.features || {}) },
+        overridden: true
+    };
+}
+
+/**
+ * Effective limits for a user on a tier
+ *
+ * Never throws — falls back to DEFAULT_PLANS so limits are always enforced.
+ *
+ * @param {string} tier - e.g. 'free'
+ * @param {string} [userId] - Checked for a per-user override
+ * @returns {Promise<Object>} { tier, label, requestsPerMinute, requestsPerMonth, burstAllowance, bytesPerMonth, features, overridden }
+ */
+export async function getPlanLimits(tier, userId) {
+    const key = (tier || 'free').toLowerCase();
+
+    try {
+        const plans = await getPlans();
+        const plan = plans[key] || plans.free || DEFAULT_PLANS.free;
+        const override = userId ? await getPlanOverride(userId) : null;
+        return applyPlanOverride(plan, override);
+    } catch (error) {
+        logger.error('Plan limits lookup failed:', error.message);
+        return applyPlanOverride(DEFAULT_PLANS[key] || DEFAULT_PLANS.free, null);
+    }
+}
+
+/**
+ * Whether a plan enables a feature flag
+ * @param {Object} limits - From getPlanLimits()
+ * @param {string} feature
+ * @returns {boolean}
+ */
+export function hasPlanFeature(limits, feature) {
+    return limits?.features?.[feature] === true;
+}
+
+/**
+ * Drop cached plan definitions (call after editing subscription_plans)
+ */
+export async function invalidatePlanCache() {
+    localPlans = null;
+    const redis = await getRedisAsync();
+    if (redis) {
+        await redis.del(PLANS_CACHE_KEY).catch(err => logger.warn('Failed to invalidate plan cache:', err.message));
+    }
+}
+
+/**
+ * Drop a user's cached override (call after editing plan_overrides)
+ * @param {string} userId
+ */
+export async function invalidatePlanOverrideCache(userId) {
+    localOverrides.delete(userId);
+    const redis = await getRedisAsync();
+    if (redis) {
+        await redis.del(`${OVERRIDE_CACHE_PREFIX}${userId}`)
+            .catch(err => logger.warn('Failed to invalidate plan override cache:', err.message));
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Provider Connections
+ *
+ * Stores provider credentials server-side so clients can send a `connectionId`
+ * instead of raw bucket secrets. Secrets are encrypted at rest with
+ * utils/credential-encryption.js and only decrypted in-process when a request
+ * needs them.
+ *
+ * Table: provider_connections
+ *   id, user_id, name, provider, encrypted_secrets, config (JSONB),
+ *   is_active, created_at, updated_at
+ *
+ * Cache: Redis `connection:{id}` (5 min) — the cached row keeps secrets encrypted.
+ *
+ * @file utils/provider-connections.js
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
+import { encryptCredential, decryptCredential } from './credential-encryption.js';
+import logger from './logger.js';
+
+const CACHE_TTL = 300; // 5 minutes
+const CACHE_KEY_PREFIX = 'connection:';
+
+/**
+ * Field mapping per provider
+ *
+ * secrets → encrypted, never returned by the API
+ * config  → plain JSONB, returned by the API
+ * pinned  → config fields that decide where the secrets are sent; with a
+ *           connection these always come from the connection, never the request
+ *
+ * Values are the request-body field names each provider controller expects,
+ * so a resolved connection can be merged straight into req.body.
+ */
+export const CONNECTION_PROVIDERS = {
+    s3: {
+        secrets: { accessKey: 's3AccessKey', secretKey: 's3SecretKey' },
+        config: {
+            bucket: 's3Bucket',
+            region: 's3Region',
+            endpoint: 's3Endpoint',
+            storageClass: 's3StorageClass',
+            cloudFrontDomain: 's3CloudFrontDomain'
+        },
+        pinned: ['region', 'endpoint'],
+        required: ['accessKey', 'secretKey', 'bucket']
+    },
+    r2: {
+        secrets: { accessKey: 'r2AccessKey', secretKey: 'r2SecretKey' },
+        config: {
+            accountId: 'r2AccountId',
+            bucket: 'r2Bucket',
+            publicUrl: 'r2PublicUrl'
+        },
+        pinned: ['accountId'],
+        required: ['accessKey', 'secretKey', 'accountId', 'bucket']
+    },
+    gcs: {
+        secrets: { privateKey: 'gcsPrivateKey' },
+        config: {
+            clientEmail: 'gcsClientEmail',
+            bucket: 'gcsBucket',
+            publicUrl: 'gcsPublicUrl'
+        },
+        pinned: ['clientEmail'],
+        required: ['clientEmail', 'privateKey', 'bucket']
+    },
+    azure: {
+        secrets: { accountKey: 'azureAccountKey' },
+        config: {
+            accountName: 'azureAccountName',
+            container: 'azureContainer',
+            publicUrl: 'azurePublicUrl'
+        },
+        pinned: ['accountName'],
+        required: ['accountName', 'accountKey', 'container']
+    },
+    supabase: {
+        secrets: { token: 'supabaseToken' },
+        config: {
+            url: 'supabaseUrl',
+            bucket: 'bucket'
+        },
+        pinned: ['url'],
+        required: ['token', 'url']
+    },
+    uploadcare: {
+        secrets: { secretKey: 'uploadcareSecretKey' },
+        config: { publicKey: 'uploadcarePublicKey' },
+        pinned: [],
+        required: ['publicKey', 'secretKey']
+    }
+};
+
+export const SUPPORTED_CONNECTION_PROVIDERS = Object.keys(CONNECTION_PROVIDERS);
+
+/**
+ * Validate connection input for a provider
+ *
+ * @param {string} provider - Provider name (s3, r2, supabase, uploadcare)
+ * @param {Object} secrets - Secret fields
+ * @param {Object} config - Non-secret fields
+ * @returns {Object} { valid: boolean, error?: string, message?: string }
+ */
+export function validateConnectionInput(provider, secrets = {}, config = {}) {
+    const definition = CONNECTION_PROVIDERS[provider];
+
+    if (!definition) {
+        return {
+            valid: false,
+            error: 'INVALID_PROVIDER',
+            message: `Unsupported provider: ${provider}`,
+            hint: `Valid options: ${SUPPORTED_CONNECTION_PROVIDERS.join(', ')}`
+        };
+    }
+
+    const merged = { ...config, ...secrets };
+    const missing = definition.required.filter(field => !merged[field]);
+
+    if (missing.length > 0) {
+        return {
+            valid: false,
+            error: 'MISSING_CONNECTION_FIELDS',
+            message: `Missing required ${provider} fields: ${missing.join(', ')}`
+        };
+    }
+
+    const unknownSecrets = Object.keys(secrets).filter(field => !definition.secrets[field]);
+    const unknownConfig = Object.keys(config).filter(field => !definition.config[field]);
+
+    if (unknownSecrets.length > 0 || unknownConfig.length > 0) {
+        return {
+            valid: false,
+            error: 'UNKNOWN_CONNECTION_FIELDS',
+            message: `Unknown ${provider} fields: ${[...unknownSecrets, ...unknownConfig].join(', ')}`,
+            hint: `Secrets: ${Object.keys(definition.secrets).join(', ')}. Config: ${Object.keys(definition.config).join(', ')}`
+        };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Encrypt the secrets object for storage
+ *
+ * @param {Object} secrets - Plaintext secrets
+ * @returns {string} Encrypted JSON blob
+ */
+export function encryptConnectionSecrets(secrets) {
+    return encryptCredential(JSON.stringify(secrets));
+}
+
+/**
+ * Decrypt a stored secrets blob
+ *
+ * @param {string} encrypted - Encrypted JSON blob
+ * @returns {Object|null} Plaintext secrets, or null if the blob is unreadable
+ */
+export function decryptConnectionSecrets(encrypted) {
+    try {
+        return JSON.parse(decryptCredential(encrypted));
+    } catch (error) {
+        logger.error('Failed to decrypt connection secrets:', { message: error.message });
+        return null;
+    }
+}
+
+/**
+ * Public shape of a connection (secrets are never exposed)
+ *
+ * @param {Object} row - provider_connections row
+ * @returns {Object} API-safe connection
+ */
+export function formatConnection(row) {
+    const definition = CONNECTION_PROVIDERS[row.provider];
+    const secrets = decryptConnectionSecrets(row.encrypted_secrets) || {};
+
+    return {
+        id: row.id,
+        name: row.name,
+        provider: row.provider,
+        config: row.config || {},
+        // Only show which secrets are stored, with a short masked hint
+        secrets: Object.keys(definition?.secrets || {}).reduce((acc, field) => {
+            const value = secrets[field];
+            acc[field] = value ? `••••${String(value).slice(-4)}` : null;
+            return acc;
+        }, {}),
+        isActive: row.is_active !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Load a connection for a user (Redis → DB)
+ *
+ * @param {string} userId - Owner user ID
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<Object|null>} provider_connections row, or null if not found / not owned
+ */
+export async function getConnection(userId, connectionId) {
+    const cacheKey = `${CACHE_KEY_PREFIX}${connectionId}`;
+    const redis = await getRedisAsync();
+
+    if (redis) {
+        try {
+            const cached = await redis.get(cacheKey);
+            if (cached) {
+                const row = typeof cached === 'string' ? JSON.parse(cached) : cached;
+                return row.user_id === userId ? row : null;
+            }
+        } catch (cacheError) {
+            logger.warn('Connection cache read error:', { message: cacheError.message });
+        }
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from('provider_connections')
+        .select('*')
+        .eq('id', connectionId)
+        .single();
+
+    if (error || !row) {
+        return null;
+    }
+
+    if (redis) {
+        redis.setex(cacheKey, CACHE_TTL, JSON.stringify(row))
+            .catch(err => logger.warn('Connection cache write error:', { message: err.message }));
+    }
+
+    return row.user_id === userId ? row : null;
+}
+
+/**
+ * Invalidate cached connection (call after update / delete)
+ *
+ * @param {string} connectionId - Connection ID
+ */
+export async function invalidateConnectionCache(connectionId) {
+    const redis = await getRedisAsync();
+    if (!redis) return;
+
+    try {
+        await redis.del(`${CACHE_KEY_PREFIX}${connectionId}`);
+    } catch (error) {
+        logger.warn('Failed to invalidate connection cache:', { message: error.message });
+    }
+}
+
+/**
+ * Convert a connection into the request-body fields a provider controller expects
+ *
+ * @param {Object} row - provider_connections row
+ * @returns {{ secrets: Object, config: Object, pinned: string[] }|null} Body fields (pinned lists
+ *   the body fields that must not come from the request), or null if secrets can't be read
+ */
+export function toRequestFields(row) {
+    const definition = CONNECTION_PROVIDERS[row.provider];
+    const secrets = decryptConnectionSecrets(row.encrypted_secrets);
+
+    if (!definition || !secrets) return null;
+
+    const fields = {
+        secrets: {},
+        config: {},
+        pinned: definition.pinned.map(field => definition.config[field])
+    };
+
+    for (const [field, bodyField] of Object.entries(definition.secrets)) {
+        if (secrets[field] !== undefined) fields.secrets[bodyField] = secrets[field];
+    }
+
+    for (const [field, bodyField] of Object.entries(definition.config)) {
+        const value = row.config?.[field];
+        if (value !== undefined && value !== null) fields.config[bodyField] = value;
+    }
+
+    return fields;
+}
@@ -12,23 +12,11 @@ import { createHash } from 'crypto';
 import { getRedisAsync } from '../config/redis.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { logAudit } from './audit-logger.js';
+import { getPlanLimits } from './plan-limits.js';
+import { emitWebhookEvent } from '../services/webhook/events.js';
 import logger from './logger.js';
 
-// Monthly quota configuration
-export const MONTHLY_QUOTAS = {
-    free: {
-        requestsPerMonth: 1000,
-        label: 'FREE'
-    },
-    pro: {
-        requestsPerMonth: 50000,
-        label: 'PRO'
-    },
-    enterprise: {
-        requestsPerMonth: -1, // Unlimited
-        label: 'ENTERPRISE'
-    }
-};
+// Monthly quotas come from subscription_plans (+ per-user overrides) — see plan-limits.js
 
 /**
  * Get user's subscription tier from cache or database
@@ -106,12 +94,19 @@ export function getNextTier(currentTier) {
  * Check quota ONLY (don't increment yet!)
  * 🔥 FIXED: Returns both "allowed" AND "quotaExceeded" for middleware
  * 🔥 FIXED: Checks if NEXT request would exceed
+ *
+ * Quotas are counted in cost units (see request-costs.js), so a batch
+ * request is checked against what it would actually be charged.
+ *
+ * @param {string} userId
+ * @param {string} tier
+ * @param {number} [cost=1] - Units the request would use
  */
-export async function checkQuota(userId, tier) {
+export async function checkQuota(userId, tier, cost = 1) {
     try {
         const month = getMonthKey();
         const quotaKey = `quota:${userId}:${month}`;
-        const limits = MONTHLY_QUOTAS[tier] || MONTHLY_QUOTAS.free;
+        const limits = await getPlanLimits(tier, userId);
 
         // Unlimited tier (Enterprise)
         if (limits.requestsPerMonth === -1) {
@@ -145,7 +140,7 @@ export async function checkQuota(userId, tier) {
         const current = parseInt(await redis.get(quotaKey) || '0');
 
         // 🔥 FIX: Check if NEXT request would exceed (prevents off-by-one)
-        const nextCount = current + 1;
+        const nextCount = current + cost;
         const quotaExceeded = nextCount > limits.requestsPerMonth;
         const allowed = !quotaExceeded;
 
@@ -157,6 +152,7 @@ export async function checkQuota(userId, tier) {
             current,
             limit: limits.requestsPerMonth,
             percentage,
+            cost,
             tier,
             resetAt: getMonthEnd(),
             resetIn: Math.ceil((getMonthEnd() - Date.now()) / 1000)
@@ -189,10 +185,10 @@ export async function checkUsageWarnings(userId, tier, currentCount) {
         const redis = await getRedisAsync();
         if (!redis) return;
 
-        const limits = MONTHLY_QUOTAS[tier];
+        const limits = await getPlanLimits(tier, userId);
 
         // Skip for unlimited tiers
-        if (!limits || limits.requestsPerMonth === -1) return;
+        if (limits.requestsPerMonth === -1) return;
 
         const month = getMonthKey();
         const limit = limits.requestsPerMonth;
@@ -231,6 +227,15 @@ export async function checkUsageWarnings(userId, tier, currentCount) {
                     resetAt: new Date(getMonthEnd()).toISOString()
                 });
 
+                emitWebhookEvent(userId, 'quota.warning', {
+                    threshold: 100,
+                    current: currentCount,
+                    limit,
+                    percentage: 100,
+                    tier,
+                    resetAt: new Date(getMonthEnd()).toISOString()
+                });
+
                 logger.info(`[QUOTA] 🚨 100% warning sent for user ${userId}`);
             }
         }
@@ -264,6 +269,15 @@ export async function checkUsageWarnings(userId, tier, currentCount) {
                     resetAt: new Date(getMonthEnd()).toISOString()
                 });
 
+                emitWebhookEvent(userId, 'quota.warning', {
+                    threshold: 80,
+                    current: currentCount,
+                    limit,
+                    percentage,
+                    tier,
+                    resetAt: new Date(getMonthEnd()).toISOString()
+                });
+
                 logger.info(`[QUOTA] 📧 80% warning sent for user ${userId}`);
             }
         }
@@ -297,6 +311,15 @@ export async function checkUsageWarnings(userId, tier, currentCount) {
                     resetAt: new Date(getMonthEnd()).toISOString()
                 });
 
+                emitWebhookEvent(userId, 'quota.warning', {
+                    threshold: 50,
+                    current: currentCount,
+                    limit,
+                    percentage,
+                    tier,
+                    resetAt: new Date(getMonthEnd()).toISOString()
+                });
+
                 logger.info(`[QUOTA] 📧 50% warning sent for user ${userId}`);
             }
         }
@@ -321,7 +344,7 @@ export async function getQuotaUsage(userId, tier) {
         const redis = await getRedisAsync();
         const month = getMonthKey();
         const quotaKey = `quota:${userId}:${month}`;
-        const limits = MONTHLY_QUOTAS[tier] || MONTHLY_QUOTAS.free;
+        const limits = await getPlanLimits(tier, userId);
         const current = redis ? parseInt(await redis.get(quotaKey) || '0') : 0;
 
         return {
@@ -0,0 +1,78 @@
+/**
+ * Rate Limit Response Headers
+ *
+ * Budget headers in the IETF draft format (draft-ietf-httpapi-ratelimit-headers),
+ * so clients can slow down before they are rejected:
+ *
+ *   RateLimit-Limit      Units allowed per window
+ *   RateLimit-Remaining  Units left in the current window
+ *   RateLimit-Reset      Seconds until the window frees up
+ *   RateLimit-Policy     e.g. "100;w=60"
+ *   Retry-After          Seconds to wait (429 responses only)
+ *   X-Quota-Remaining    Units left this month
+ *
+ * The RateLimiter Durable Object puts them on its response and the rate-limiter
+ * middleware copies them onto the API response. Headers for unlimited plans
+ * are left out.
+ *
+ * @file utils/rate-limit-headers.js
+ */
+
+export const RATE_LIMIT_HEADERS = [
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After',
+    'X-Quota-Remaining'
+];
+
+const WINDOW_SECONDS = 60;
+
+/**
+ * Build rate limit headers
+ *
+ * @param {Object} info
+ * @param {number} [info.limit] - Per-minute limit (-1 / undefined → omitted)
+ * @param {number} [info.remaining] - Units left in the window
+ * @param {number} [info.reset] - Seconds until the window frees up
+ * @param {number} [info.retryAfter] - Seconds to wait before retrying
+ * @param {number} [info.quotaRemaining] - Units left this month (-1 / undefined → omitted)
+ * @returns {Object} Header name → value
+ */
+export function buildRateLimitHeaders({ limit, remaining, reset, retryAfter, quotaRemaining } = {}) {
+    const headers = {};
+
+    if (Number.isFinite(limit) && limit >= 0) {
+        headers['RateLimit-Limit'] = String(limit);
+        headers['RateLimit-Remaining'] = String(Math.max(0, remaining ?? limit));
+        headers['RateLimit-Reset'] = String(Math.max(0, Math.ceil(reset ?? WINDOW_SECONDS)));
+        headers['RateLimit-Policy'] = `${limit};w=${WINDOW_SECONDS}`;
+    }
+
+    if (Number.isFinite(retryAfter)) {
+        headers['Retry-After'] = String(Math.max(1, Math.ceil(retryAfter)));
+    }
+
+    if (Number.isFinite(quotaRemaining) && quotaRemaining >= 0) {
+        headers['X-Quota-Remaining'] = String(quotaRemaining);
+    }
+
+    return headers;
+}
+
+/**
+ * Copy rate limit headers from a Durable Object response onto an
+ * Express-style response
+ *
+ * @param {Headers} source - fetch() Response headers
+ * @param {Object} res - Express res (or the worker's res adapter)
+ */
+export function copyRateLimitHeaders(source, res) {
+    for (const name of RATE_LIMIT_HEADERS) {
+        const value = source.get(name);
+        if (value !== null) {
+            res.setHeader(name, value);
+        }
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Request Cost Weighting
+ *
+ * How many rate-limit / quota units a request is charged. Most endpoints cost
+ * 1; batch endpoints cost one unit per item, so signing 100 URLs in one call
+ * uses the same budget as 100 single calls.
+ *
+ * The cost is computed once by the rate-limiter middleware, charged by the
+ * RateLimiter Durable Object against both the per-minute window and the
+ * monthly quota, and echoed back in the X-Request-Cost response header.
+ * `quota:{userId}:{month}` therefore holds charged units; the raw request
+ * count is kept alongside in `quota_requests:{userId}:{month}`.
+ *
+ * @file utils/request-costs.js
+ */
+
+export const DEFAULT_REQUEST_COST = 1;
+
+/**
+ * Weighted routes
+ *
+ *   method, path  Matched against the request path (query string ignored)
+ *   items         Body field holding the batch (array) — charged per element
+ *   maxItems      Largest batch the controller accepts; caps the charge so an
+ *                 oversized body (rejected anyway) can't drain a whole quota
+ */
+export const REQUEST_COSTS = [
+    { method: 'POST', path: '/api/v1/upload/s3/batch-signed-url', items: 'files', maxItems: 100 },
+    { method: 'POST', path: '/api/v1/upload/r2/batch/signed-urls', items: 'files', maxItems: 100 },
+    { method: 'POST', path: '/api/v1/upload/s3/batch-delete', items: 'keys', maxItems: 1000 },
+    { method: 'POST', path: '/api/v1/upload/r2/batch/delete', items: 'keys', maxItems: 1000 },
+    { method: 'POST', path: '/api/v1/upload/gcs/batch/delete', items: 'keys', maxItems: 100 },
+    { method: 'POST', path: '/api/v1/upload/azure/batch/delete', items: 'keys', maxItems: 100 },
+    { method: 'POST', path: '/api/v1/upload/validate/batch', items: 'files', maxItems: 50 }
+];
+
+const routeCosts = new Map(REQUEST_COSTS.map(route => [`${route.method} ${route.path}`, route]));
+
+/**
+ * Units to charge for a request
+ *
+ * @param {Object} req - Express-style request (method, originalUrl, body)
+ * @returns {number} Integer >= 1
+ */
+export function getRequestCost(req) {
+    const path = (req.originalUrl || req.url || '').split('?')[0].replace(/\/+$/, '');
+    const route = routeCosts.get(`${(req.method || 'GET').toUpperCase()} ${path}`);
+    if (!route) return DEFAULT_REQUEST_COST;
+
+    const items = req.body?.[route.items];
+    if (!Array.isArray(items) || items.length === 0) return DEFAULT_REQUEST_COST;
+
+    return Math.min(items.length, route.maxItems);
+}
@@ -1,4 +1,4 @@
-import { emailTemplates } from './email-template.js'
+import { emailTemplates, webhookDisabledTemplate } from './email-template.js'
 import dayjs from 'dayjs'
 import transporter, { accountEmail } from '../config/nodemailer.js'
 import logger from './logger.js'
@@ -34,4 +34,28 @@ export const sendReminderEmail = async ({ to, type, subscription }) => {
 
     logger.info('Email sent: ' + info.response);
   })
-}
\ No newline at end of file
+}
+export const sendWebhookDisabledEmail = async ({ to, userName, endpoint, failures, failingSince, lastError, disabledAt }) => {
+  if (!to || !endpoint) throw new Error('Missing required parameters');
+
+  const mailInfo = {
+    userName,
+    endpointUrl: endpoint.url,
+    endpointDescription: endpoint.description,
+    failures,
+    failingSince: new Date(failingSince).toUTCString(),
+    disabledAt: new Date(disabledAt).toUTCString(),
+    lastError,
+  }
+
+  const mailOptions = {
+    from: accountEmail,
+    to: to,
+    subject: webhookDisabledTemplate.generateSubject(mailInfo),
+    html: webhookDisabledTemplate.generateBody(mailInfo),
+  }
+
+  // Resolves once sent so callers can log failures
+  const info = await transporter.sendMail(mailOptions);
+  logger.info('Webhook disabled email sent: ' + info.response);
+}
@@ -5,19 +5,57 @@
  * Purpose: Make stolen API keys (ox_...) useless without the secret (sk_...)
  * 
  * How It Works:
- * 1. SDK signs request: HMAC-SHA256(method + path + timestamp + body, sk_secret)
+ * 1. SDK signs request: HMAC-SHA256(method + path + timestamp + nonce + body, sk_secret)
  * 2. Server validates signature matches
  * 3. Server checks timestamp is recent (<5 min)
- * 4. Rejects if either check fails
+ * 4. Server checks the nonce hasn't been seen inside that window
+ * 5. Rejects if any check fails
+ * 
+ * Keys with a registered Ed25519 public key sign the same message with the
+ * matching private key instead (X-Signature-Algorithm: ed25519), so callers
+ * never hold the shared sk_ secret.
  * 
  * Benefits:
  * - Stolen ox_ keys are USELESS without sk_ secret
- * - Prevents replay attacks (timestamp validation)
+ * - Prevents replay attacks (timestamp window + single-use nonce)
  * - Zero UX impact (SDK handles automatically)
  */
 
 import crypto from 'crypto';
 
+// Signed requests are accepted up to 5 min old (+30s clock skew) — nonces are
+// remembered at least that long so a replay can't outlive its nonce record
+export const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+export const NONCE_TTL_SECONDS = 330;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// DER header of an Ed25519 SubjectPublicKeyInfo — followed by the 32 raw key bytes
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Build the string a request signature covers
+ * 
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (including query string)
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {Object|string} body - Request body (will be stringified if object)
+ * @param {string} [nonce] - X-Nonce value (omitted by SDKs that predate nonces)
+ * @returns {string} METHOD|PATH|TIMESTAMP|NONCE|BODY (legacy: METHOD|PATH|TIMESTAMP|BODY)
+ */
+export function buildSignatureMessage(method, path, timestamp, body, nonce) {
+    // Normalize the body
+    const bodyString = typeof body === 'string'
+        ? body
+        : body
+            ? JSON.stringify(body)
+            : '';
+
+    return nonce
+        ? `${method.toUpperCase()}|${path}|${timestamp}|${nonce}|${bodyString}`
+        : `${method.toUpperCase()}|${path}|${timestamp}|${bodyString}`;
+}
+
 /**
  * Generate HMAC-SHA256 signature for a request
  * 
@@ -29,6 +67,7 @@ import crypto from 'crypto';
  * @param {number} timestamp - Unix timestamp in milliseconds
  * @param {Object|string} body - Request body (will be stringified if object)
  * @param {string} secret - API secret key (sk_...)
+ * @param {string} [nonce] - X-Nonce value (omitted by SDKs that predate nonces)
  * @returns {string} HMAC-SHA256 signature (hex)
  * 
  * @example
@@ -40,17 +79,8 @@ import crypto from 'crypto';
  *   'sk_abc123...'
  * );
  */
-export function generateSignature(method, path, timestamp, body, secret) {
-    // Normalize the body
-    const bodyString = typeof body === 'string'
-        ? body
-        : body
-            ? JSON.stringify(body)
-            : '';
-
-    // Create the message to sign
-    // Format: METHOD|PATH|TIMESTAMP|BODY
-    const message = `${method.toUpperCase()}|${path}|${timestamp}|${bodyString}`;
+export function generateSignature(method, path, timestamp, body, secret, nonce) {
+    const message = buildSignatureMessage(method, path, timestamp, body, nonce);
 
     // Generate HMAC-SHA256 signature
     const signature = crypto
@@ -79,10 +109,11 @@ export function verifySignature(req, providedSignature, secret) {
     const method = req.method;
     const path = req.originalUrl || req.url;
     const timestamp = parseInt(req.headers['x-timestamp']);
+    const nonce = req.headers['x-nonce'];
     const body = req.body;
 
     // Generate expected signature
-    const expectedSignature = generateSignature(method, path, timestamp, body, secret);
+    const expectedSignature = generateSignature(method, path, timestamp, body, secret, nonce);
 
     // Constant-time comparison (prevents timing attacks)
     return crypto.timingSafeEqual(
@@ -91,6 +122,71 @@ export function verifySignature(req, providedSignature, secret) {
     );
 }
 
+/**
+ * Verify an Ed25519 request signature
+ * 
+ * Same signed message as the HMAC scheme; X-Signature carries the 64-byte
+ * Ed25519 signature in hex.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} providedSignature - Signature from X-Signature header
+ * @param {string} publicKey - Registered public key (base64, 32 raw bytes)
+ * @returns {boolean} True if signature is valid
+ */
+export function verifyEd25519Signature(req, providedSignature, publicKey) {
+    if (!/^[0-9a-f]{128}$/i.test(providedSignature)) {
+        return false;
+    }
+
+    const message = buildSignatureMessage(
+        req.method,
+        req.originalUrl || req.url,
+        parseInt(req.headers['x-timestamp']),
+        req.body,
+        req.headers['x-nonce']
+    );
+
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'base64')]),
+        format: 'der',
+        type: 'spki'
+    });
+
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(providedSignature, 'hex'));
+}
+
+/**
+ * Normalize an Ed25519 public key for storage
+ * 
+ * Accepts the raw 32-byte key as base64 / base64url, or an SPKI PEM
+ * ("-----BEGIN PUBLIC KEY-----").
+ * 
+ * @param {string} input - Public key as supplied by the customer
+ * @returns {string|null} base64 of the 32 raw key bytes, or null if not an Ed25519 key
+ */
+export function parseEd25519PublicKey(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return null;
+    }
+
+    try {
+        if (input.includes('-----BEGIN')) {
+            const key = crypto.createPublicKey(input);
+            if (key.asymmetricKeyType !== 'ed25519') return null;
+            return key.export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length).toString('base64');
+        }
+
+        const raw = Buffer.from(input.trim().replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+        if (raw.length !== 32) return null;
+
+        // Round-trip through KeyObject so malformed points are rejected now, not on first request
+        crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+        return raw.toString('base64');
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Check if timestamp is valid (within acceptable window)
  * 
@@ -105,7 +201,7 @@ export function verifySignature(req, providedSignature, secret) {
  * const isValid = isTimestampValid(req.headers['x-timestamp']);
  * // Returns false if timestamp is >5 minutes old
  */
-export function isTimestampValid(timestamp, maxAgeMs = 5 * 60 * 1000) {
+export function isTimestampValid(timestamp, maxAgeMs = SIGNATURE_MAX_AGE_MS) {
     const now = Date.now();
     const age = now - timestamp;
 
@@ -115,6 +211,16 @@ export function isTimestampValid(timestamp, maxAgeMs = 5 * 60 * 1000) {
     return age >= -30000 && age <= maxAgeMs;
 }
 
+/**
+ * Check an X-Nonce value is well-formed
+ * 
+ * @param {string} nonce - X-Nonce header
+ * @returns {boolean} True for 16-128 URL-safe characters
+ */
+export function isNonceFormatValid(nonce) {
+    return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+}
+
 /**
  * Extract secret from database hash
  * 
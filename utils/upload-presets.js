@@ -0,0 +1,308 @@
+/**
+ * Upload Presets
+ *
+ * Named server-side upload profiles. A preset bundles the provider, optional
+ * stored connection, non-secret provider config (bucket, region, storage class,
+ * object key template), validateFileMetadata rules, smart-expiry settings and
+ * webhook settings, so clients send `preset: 'avatars'` instead of repeating
+ * them on every call.
+ *
+ * Preset values override whatever the client sends for the same fields —
+ * a client can only upload what the preset allows.
+ *
+ * Table: upload_presets
+ *   id, user_id, api_key_id, name, provider, connection_id, config (JSONB),
+ *   validation (JSONB), expiry (JSONB), webhook (JSONB), is_active,
+ *   created_at, updated_at
+ *
+ * Cache: Redis `preset:{userId}:{name}` (5 min)
+ *
+ * @file utils/upload-presets.js
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
+import { CONNECTION_PROVIDERS } from './provider-connections.js';
+import { isValidWebhookUrl } from './webhook/signature.js';
+import { validateKeyTemplate } from '../controllers/providers/shared/filename.helper.js';
+import logger from './logger.js';
+
+const CACHE_TTL = 300; // 5 minutes
+const CACHE_KEY_PREFIX = 'preset:';
+
+export const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Non-secret provider config a preset may pin → request-body field names.
+ * Same fields as a stored connection's config, plus S3 encryption settings.
+ */
+export const PRESET_CONFIG_FIELDS = Object.fromEntries(
+    Object.entries(CONNECTION_PROVIDERS).map(([provider, definition]) => [provider, { ...definition.config }])
+);
+PRESET_CONFIG_FIELDS.s3.encryptionType = 's3EncryptionType';
+PRESET_CONFIG_FIELDS.s3.kmsKeyId = 's3KmsKeyId';
+
+// Object key layout, e.g. `{userId}/{yyyy}/{mm}/{uuid}{ext}` (see shared/filename.helper.js)
+for (const provider of ['s3', 'r2', 'supabase']) {
+    PRESET_CONFIG_FIELDS[provider].keyTemplate = 'keyTemplate';
+}
+
+export const SUPPORTED_PRESET_PROVIDERS = Object.keys(PRESET_CONFIG_FIELDS);
+
+// validateFileMetadata() rule names and their expected types
+const VALIDATION_RULES = {
+    maxSizeMB: 'number',
+    minSizeKB: 'number',
+    allowedTypes: 'array',
+    allowedExtensions: 'array',
+    blockExecutables: 'boolean',
+    sanitizeFilename: 'boolean',
+    strictMagicBytes: 'boolean'
+};
+
+// Smart-expiry settings read by the signed-url controllers
+const EXPIRY_FIELDS = ['expiresIn', 'bufferMultiplier', 'minExpirySeconds', 'maxExpirySeconds'];
+
+const WEBHOOK_TRIGGERS = ['manual', 'auto'];
+
+const invalid = (error, message, hint) => ({ valid: false, error, message, ...(hint && { hint }) });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate preset input
+ *
+ * @param {Object} input - { name, provider, config, validation, expiry, webhook }
+ * @returns {Object} { valid: boolean, error?: string, message?: string, hint?: string }
+ */
+export function validatePresetInput({ name, provider, config = {}, validation = {}, expiry = {}, webhook = null }) {
+    if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+        return invalid(
+            'INVALID_NAME',
+            'name must be 1-64 characters: letters, numbers, "-" and "_" (starting with a letter or number)'
+        );
+    }
+
+    const allowedConfig = PRESET_CONFIG_FIELDS[provider];
+    if (!allowedConfig) {
+        return invalid(
+            'INVALID_PROVIDER',
+            `Unsupported provider: ${provider}`,
+            `Valid options: ${SUPPORTED_PRESET_PROVIDERS.join(', ')}`
+        );
+    }
+
+    if (!isPlainObject(config) || !isPlainObject(validation) || !isPlainObject(expiry)) {
+        return invalid('INVALID_PRESET', 'config, validation and expiry must be objects');
+    }
+
+    const unknownConfig = Object.keys(config).filter(field => !allowedConfig[field]);
+    if (unknownConfig.length > 0) {
+        return invalid(
+            'UNKNOWN_CONFIG_FIELDS',
+            `Unknown ${provider} config fields: ${unknownConfig.join(', ')}`,
+            `Allowed: ${Object.keys(allowedConfig).join(', ')}. Credentials belong in a connection (connectionId).`
+        );
+    }
+
+    if (config.keyTemplate !== undefined) {
+        const templateCheck = validateKeyTemplate(config.keyTemplate);
+        if (!templateCheck.valid) {
+            return templateCheck;
+        }
+    }
+
+    for (const [rule, value] of Object.entries(validation)) {
+        const type = VALIDATION_RULES[rule];
+
+        if (!type) {
+            return invalid(
+                'UNKNOWN_VALIDATION_RULE',
+                `Unknown validation rule: ${rule}`,
+                `Allowed: ${Object.keys(VALIDATION_RULES).join(', ')}`
+            );
+        }
+
+        const ok = type === 'array'
+            ? Array.isArray(value) && value.every(item => typeof item === 'string')
+            : typeof value === type && (type !== 'number' || value > 0);
+
+        if (!ok) {
+            return invalid(
+                'INVALID_VALIDATION_RULE',
+                type === 'array' ? `${rule} must be an array of strings` : `${rule} must be a ${type === 'number' ? 'positive number' : type}`
+            );
+        }
+    }
+
+    for (const [field, value] of Object.entries(expiry)) {
+        if (!EXPIRY_FIELDS.includes(field)) {
+            return invalid('UNKNOWN_EXPIRY_FIELD', `Unknown expiry field: ${field}`, `Allowed: ${EXPIRY_FIELDS.join(', ')}`);
+        }
+
+        if (typeof value !== 'number' || value <= 0) {
+            return invalid('INVALID_EXPIRY', `${field} must be a positive number`);
+        }
+    }
+
+    if (expiry.minExpirySeconds && expiry.maxExpirySeconds && expiry.minExpirySeconds > expiry.maxExpirySeconds) {
+        return invalid('INVALID_EXPIRY', 'minExpirySeconds cannot be greater than maxExpirySeconds');
+    }
+
+    if (webhook !== null && webhook !== undefined) {
+        if (!isPlainObject(webhook) || !isValidWebhookUrl(webhook.url)) {
+            return invalid('INVALID_WEBHOOK', 'webhook.url must be a valid http(s) URL');
+        }
+
+        if (webhook.trigger !== undefined && !WEBHOOK_TRIGGERS.includes(webhook.trigger)) {
+            return invalid('INVALID_WEBHOOK', `webhook.trigger must be one of: ${WEBHOOK_TRIGGERS.join(', ')}`);
+        }
+
+        if (webhook.metadata !== undefined && !isPlainObject(webhook.metadata)) {
+            return invalid('INVALID_WEBHOOK', 'webhook.metadata must be an object');
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Public shape of a preset
+ *
+ * @param {Object} row - upload_presets row
+ * @returns {Object} API-safe preset
+ */
+export function formatPreset(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        provider: row.provider,
+        connectionId: row.connection_id || null,
+        config: row.config || {},
+        validation: row.validation || {},
+        expiry: row.expiry || {},
+        webhook: row.webhook || null,
+        isActive: row.is_active !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Load a preset by name for a user (Redis → DB)
+ *
+ * @param {string} userId - Owner user ID
+ * @param {string} name - Preset name
+ * @returns {Promise<Object|null>} upload_presets row, or null if not found
+ */
+export async function getPresetByName(userId, name) {
+    const cacheKey = `${CACHE_KEY_PREFIX}${userId}:${name}`;
+    const redis = await getRedisAsync();
+
+    if (redis) {
+        try {
+            const cached = await redis.get(cacheKey);
+            if (cached) {
+                return typeof cached === 'string' ? JSON.parse(cached) : cached;
+            }
+        } catch (cacheError) {
+            logger.warn('Preset cache read error:', { message: cacheError.message });
+        }
+    }
+
+    const { data: row, error } = await supabaseAdmin
+        .from('upload_presets')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('name', name)
+        .single();
+
+    if (error || !row) {
+        return null;
+    }
+
+    if (redis) {
+        redis.setex(cacheKey, CACHE_TTL, JSON.stringify(row))
+            .catch(err => logger.warn('Preset cache write error:', { message: err.message }));
+    }
+
+    return row;
+}
+
+/**
+ * Invalidate a cached preset (call after update / delete)
+ *
+ * @param {string} userId - Owner user ID
+ * @param {string} name - Preset name
+ */
+export async function invalidatePresetCache(userId, name) {
+    const redis = await getRedisAsync();
+    if (!redis) return;
+
+    try {
+        await redis.del(`${CACHE_KEY_PREFIX}${userId}:${name}`);
+    } catch (error) {
+        logger.warn('Failed to invalidate preset cache:', { message: error.message });
+    }
+}
+
+/**
+ * Whether the preset's size rules need the client to declare fileSize
+ *
+ * @param {Object} row - upload_presets row
+ * @returns {boolean}
+ */
+export function presetRequiresFileSize(row) {
+    const validation = row.validation || {};
+    return Boolean(validation.maxSizeMB || validation.minSizeKB);
+}
+
+/**
+ * Apply a preset to a request body (mutates body)
+ *
+ * Provider config, connection, validation rules and webhook URL are replaced
+ * outright. A fixed expiresIn replaces the client's; otherwise the client's
+ * value is capped at maxExpirySeconds.
+ *
+ * @param {Object} row - upload_presets row
+ * @param {Object} body - req.body
+ */
+export function applyPresetToBody(row, body) {
+    const configFields = PRESET_CONFIG_FIELDS[row.provider] || {};
+
+    for (const [field, bodyField] of Object.entries(configFields)) {
+        const value = row.config?.[field];
+        if (value !== undefined && value !== null && value !== '') {
+            body[bodyField] = value;
+        }
+    }
+
+    body.provider = row.provider;
+
+    if (row.connection_id) {
+        body.connectionId = row.connection_id;
+    }
+
+    if (row.validation && Object.keys(row.validation).length > 0) {
+        body.validation = { ...row.validation };
+    }
+
+    const { expiresIn, ...smartExpiry } = row.expiry || {};
+    Object.assign(body, smartExpiry);
+
+    if (expiresIn) {
+        body.expiresIn = expiresIn;
+    } else if (smartExpiry.maxExpirySeconds && body.expiresIn > smartExpiry.maxExpirySeconds) {
+        body.expiresIn = smartExpiry.maxExpirySeconds;
+    }
+
+    if (row.webhook?.url) {
+        const clientWebhook = isPlainObject(body.webhook) ? body.webhook : {};
+        body.webhook = {
+            url: row.webhook.url,
+            trigger: row.webhook.trigger || 'manual',
+            metadata: { ...(clientWebhook.metadata || {}), ...(row.webhook.metadata || {}) },
+            ...(clientWebhook.secret && { secret: clientWebhook.secret })
+        };
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Client Upload Tokens
+ *
+ * Short-lived, single-purpose tokens a backend mints with its ox_ key and
+ * hands to a browser. The browser then calls a provider's signed-url route
+ * with only `X-Upload-Token` — no API key, no secret, no provider credentials
+ * (those come from the stored connection the token is bound to).
+ *
+ * Constraints carried by the token:
+ *   provider, connectionId, bucket, keyPrefix, maxFileSize, allowedTypes,
+ *   maxUses, preset, expiry
+ *
+ * Token: JWT (HS256, JWT_SECRET), `type: 'upload-token'`, `jti` = token ID
+ * Table: upload_tokens
+ *   id, user_id, api_key_id, provider, connection_id, constraints (JSONB),
+ *   expires_at, revoked, revoked_at, created_at
+ * Uses: Redis `upload-token:uses:{id}` (expires with the token)
+ *
+ * @file utils/upload-tokens.js
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from '../config/supabase.js';
+import { getRedisAsync } from '../config/redis.js';
+import { CONNECTION_PROVIDERS } from './provider-connections.js';
+import { PRESET_NAME_PATTERN } from './upload-presets.js';
+import logger from './logger.js';
+
+export const UPLOAD_TOKEN_TYPE = 'upload-token';
+export const UPLOAD_TOKEN_HEADER = 'x-upload-token';
+
+export const DEFAULT_TOKEN_EXPIRY = 900;     // 15 minutes
+export const MAX_TOKEN_EXPIRY = 86400;       // 24 hours
+export const MAX_TOKEN_USES = 1000;
+
+const USES_KEY_PREFIX = 'upload-token:uses:';
+
+export const SUPPORTED_UPLOAD_TOKEN_PROVIDERS = Object.keys(CONNECTION_PROVIDERS);
+
+// keyPrefix is enforced through key templates, which only these providers render
+export const KEY_PREFIX_PROVIDERS = ['s3', 'r2', 'supabase'];
+
+// Providers whose signed-url routes resolve presets
+export const PRESET_PROVIDERS = ['s3', 'r2', 'supabase'];
+
+const KEY_PREFIX_PATTERN = /^[a-zA-Z0-9._-]+(\/[a-zA-Z0-9._-]+)*\/?$/;
+const CONTENT_TYPE_PATTERN = /^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/i;
+
+const invalid = (error, message, hint) => ({ valid: false, error, message, ...(hint && { hint }) });
+
+/**
+ * Provider config field that names the bucket (container for Azure), if any
+ *
+ * @param {string} provider
+ * @returns {string|null} Request-body field name
+ */
+export function getBucketField(provider) {
+    const config = CONNECTION_PROVIDERS[provider]?.config || {};
+    return config.bucket || config.container || null;
+}
+
+/**
+ * A keyPrefix as a directory: "avatars" and "avatars/" both become "avatars/",
+ * so the prefix can't also match "avatars-other/..."
+ *
+ * @param {string} keyPrefix - A prefix that passed validateUploadTokenInput()
+ * @returns {string}
+ */
+export function normalizeKeyPrefix(keyPrefix) {
+    return keyPrefix.endsWith('/') ? keyPrefix : `${keyPrefix}/`;
+}
+
+/**
+ * Validate upload token constraints
+ *
+ * @param {Object} input - { provider, connectionId, bucket, keyPrefix, maxFileSize, allowedTypes, maxUses, preset, expiresIn }
+ * @returns {Object} { valid: boolean, error?: string, message?: string, hint?: string }
+ */
+export function validateUploadTokenInput({
+    provider,
+    connectionId,
+    bucket,
+    keyPrefix,
+    maxFileSize,
+    allowedTypes,
+    maxUses,
+    preset,
+    expiresIn
+}) {
+    if (!SUPPORTED_UPLOAD_TOKEN_PROVIDERS.includes(provider)) {
+        return invalid(
+            'INVALID_PROVIDER',
+            `Unsupported provider: ${provider}`,
+            `Valid options: ${SUPPORTED_UPLOAD_TOKEN_PROVIDERS.join(', ')}`
+        );
+    }
+
+    if (typeof connectionId !== 'string' || connectionId.length === 0) {
+        return invalid(
+            'MISSING_CONNECTION_ID',
+            'connectionId is required',
+            'Upload tokens sign with a stored connection — create one with POST /api/v1/connections'
+        );
+    }
+
+    if (bucket !== undefined) {
+        if (!getBucketField(provider)) {
+            return invalid('INVALID_BUCKET', `${provider} uploads do not take a bucket`);
+        }
+        if (typeof bucket !== 'string' || bucket.length === 0) {
+            return invalid('INVALID_BUCKET', 'bucket must be a non-empty string');
+        }
+    }
+
+    if (keyPrefix !== undefined) {
+        if (!KEY_PREFIX_PROVIDERS.includes(provider)) {
+            return invalid(
+                'KEY_PREFIX_NOT_SUPPORTED',
+                `keyPrefix is not supported for ${provider}`,
+                `Supported for: ${KEY_PREFIX_PROVIDERS.join(', ')}`
+            );
+        }
+        if (typeof keyPrefix !== 'string' || keyPrefix.length > 256 || !KEY_PREFIX_PATTERN.test(keyPrefix)
+            || keyPrefix.split('/').some(segment => segment === '.' || segment === '..')) {
+            return invalid(
+                'INVALID_KEY_PREFIX',
+                'keyPrefix must be up to 256 characters of letters, numbers, ".", "_", "-" and "/" separators',
+                'Example: "avatars/" or "users/123/"'
+            );
+        }
+    }
+
+    if (maxFileSize !== undefined && !(Number.isInteger(maxFileSize) && maxFileSize > 0)) {
+        return invalid('INVALID_MAX_FILE_SIZE', 'maxFileSize must be a positive integer (bytes)');
+    }
+
+    if (allowedTypes !== undefined) {
+        if (!Array.isArray(allowedTypes) || allowedTypes.length === 0
+            || !allowedTypes.every(type => typeof type === 'string' && CONTENT_TYPE_PATTERN.test(type))) {
+            return invalid(
+                'INVALID_ALLOWED_TYPES',
+                'allowedTypes must be a non-empty array of content types',
+                'Example: ["image/png", "image/*"]'
+            );
+        }
+    }
+
+    if (maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_TOKEN_USES)) {
+        return invalid('INVALID_MAX_USES', `maxUses must be an integer between 1 and ${MAX_TOKEN_USES}`);
+    }
+
+    if (preset !== undefined) {
+        if (!PRESET_PROVIDERS.includes(provider)) {
+            return invalid('PRESET_NOT_SUPPORTED', `Presets are not supported for ${provider} signed URLs`);
+        }
+        if (typeof preset !== 'string' || !PRESET_NAME_PATTERN.test(preset)) {
+            return invalid('INVALID_PRESET', 'preset must be the name of an upload preset');
+        }
+    }
+
+    if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn >= 60 && expiresIn <= MAX_TOKEN_EXPIRY)) {
+        return invalid('INVALID_EXPIRY', `expiresIn must be an integer between 60 and ${MAX_TOKEN_EXPIRY} seconds`);
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Sign an upload token
+ *
+ * @param {Object} claims - { userId, apiKeyId, tier, provider, connectionId, ...constraints }
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Object} { token, tokenId, expiresAt }
+ * @throws {Error} If JWT_SECRET is not configured
+ */
+export function signUploadToken(claims, expiresIn) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not set — cannot sign upload tokens');
+    }
+
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+        { ...claims, type: UPLOAD_TOKEN_TYPE },
+        process.env.JWT_SECRET,
+        { expiresIn, jwtid: tokenId, algorithm: 'HS256' }
+    );
+
+    return {
+        token,
+        tokenId,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify an upload token's signature, expiry and type
+ *
+ * @param {string} token
+ * @returns {Object} { valid: true, claims } or { valid: false, error, message, hint? }
+ */
+export function verifyUploadToken(token) {
+    if (!process.env.JWT_SECRET) {
+        return invalid('TOKEN_VERIFICATION_FAILED', 'Server is not configured for upload tokens');
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return invalid('TOKEN_EXPIRED', 'Upload token has expired', 'Ask your backend for a new upload token');
+        }
+        return invalid('INVALID_TOKEN', 'Invalid upload token');
+    }
+
+    if (claims.type !== UPLOAD_TOKEN_TYPE || !claims.jti || !claims.userId) {
+        return invalid('INVALID_TOKEN_TYPE', 'This token is not an upload token');
+    }
+
+    return { valid: true, claims };
+}
+
+/**
+ * Whether a token has been revoked (fails open on DB errors, like R2 tokens)
+ *
+ * @param {string} tokenId - Token jti
+ * @returns {Promise<boolean>}
+ */
+export async function isUploadTokenRevoked(tokenId) {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('upload_tokens')
+            .select('revoked')
+            .eq('id', tokenId)
+            .single();
+
+        if (error && error.code !== 'PGRST116') {  // PGRST116 = not found
+            logger.warn('Upload token revocation check failed:', { message: error.message });
+        }
+
+        return data?.revoked === true;
+    } catch (error) {
+        logger.warn('Upload token revocation check error:', { message: error.message });
+        return false;
+    }
+}
+
+/**
+ * Count one use of a token against its maxUses
+ *
+ * Fails closed: without Redis a limited token cannot be counted, so it is refused.
+ *
+ * @param {Object} claims - Verified token claims (jti, exp, maxUses)
+ * @returns {Promise<Object>} { allowed: boolean, used?: number, unavailable?: boolean }
+ */
+export async function consumeUploadTokenUse(claims) {
+    if (!claims.maxUses) {
+        return { allowed: true };
+    }
+
+    const redis = await getRedisAsync();
+    if (!redis) {
+        return { allowed: false, unavailable: true };
+    }
+
+    const key = `${USES_KEY_PREFIX}${claims.jti}`;
+    const ttl = Math.max(1, claims.exp - Math.floor(Date.now() / 1000));
+
+    try {
+        const used = await redis.incr(key);
+        if (used === 1) {
+            await redis.expire(key, ttl);
+        }
+        return { allowed: used <= claims.maxUses, used };
+    } catch (error) {
+        logger.warn('Upload token use counter error:', { message: error.message });
+        return { allowed: false, unavailable: true };
+    }
+}
+
+/**
+ * Whether a content type matches one of the allowed types (`image/*` wildcards)
+ *
+ * @param {string} contentType
+ * @param {string[]} allowedTypes
+ * @returns {boolean}
+ */
+export function isContentTypeAllowed(contentType, allowedTypes) {
+    if (typeof contentType !== 'string') {
+        return false;
+    }
+
+    const type = contentType.split(';')[0].trim().toLowerCase();
+
+    return allowedTypes.some(allowed => {
+        const pattern = allowed.toLowerCase();
+        return pattern.endsWith('/*')
+            ? type.startsWith(pattern.slice(0, -1))
+            : type === pattern;
+    });
+}
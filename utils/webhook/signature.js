@@ -2,12 +2,14 @@
  * Webhook Utility Functions
  * 
  * - HMAC signature generation/verification
+ * - Timestamped multi-signature header (secret rotation)
  * - Webhook ID generation
  * - Payload building
  */
 
 import crypto from 'crypto';
 import logger from '../logger.js';
+import { getWebhookUrlError } from './url-guard.js';
 
 /**
  * Generate HMAC-SHA256 signature for webhook payload
@@ -22,6 +24,32 @@ export function generateWebhookSignature(payload, secret) {
     return `sha256=${hmac.digest('hex')}`;
 }
 
+/**
+ * Header carrying timestamped signatures, one per active secret:
+ *   X-ObitoX-Signature: t=1767225600,v1=<hex>,v1=<hex>
+ * Each v1 is HMAC-SHA256 of `${t}.${body}`. While an endpoint secret is being
+ * rotated both the new and the old secret sign, so a receiver holding either
+ * one verifies. X-Webhook-Signature keeps the old single-secret format,
+ * signed with the current secret only.
+ */
+export const SIGNATURE_HEADER = 'X-ObitoX-Signature';
+
+/**
+ * Build the X-ObitoX-Signature value
+ *
+ * @param {Object} payload - The payload to sign
+ * @param {string[]} secrets - Active secrets, current first
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} "t=...,v1=...[,v1=...]"
+ */
+export function generateSignatureHeader(payload, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+    const signedContent = `${timestamp}.${JSON.stringify(payload)}`;
+    const signatures = secrets.map(secret =>
+        `v1=${crypto.createHmac('sha256', secret).update(signedContent).digest('hex')}`
+    );
+    return [`t=${timestamp}`, ...signatures].join(',');
+}
+
 /**
  * Verify webhook signature (timing-safe comparison)
  * 
@@ -70,8 +98,8 @@ export function generateWebhookSecret() {
 /**
  * Construct public URL from provider and bucket/key
  * 
- * @param {string} provider - Provider name (R2, S3, SUPABASE, UPLOADCARE)
- * @param {string} bucket - Bucket/container name
+ * @param {string} provider - Provider name (R2, S3, GCS, AZURE, SUPABASE, UPLOADCARE)
+ * @param {string} bucket - Bucket/container name (Azure: "{account}/{container}")
  * @param {string} key - File key/path
  * @returns {string} Public URL
  */
@@ -83,6 +111,12 @@ export function constructPublicUrl(provider, bucket, key) {
             return `https://pub-${bucket}.r2.dev/${encodedKey}`;
         case 'S3':
             return `https://${bucket}.s3.amazonaws.com/${encodedKey}`;
+        case 'GCS':
+            return `https://storage.googleapis.com/${bucket}/${encodedKey}`;
+        case 'AZURE': {
+            const [account, container] = bucket.split('/');
+            return `https://${account}.blob.core.windows.net/${container}/${encodedKey}`;
+        }
         case 'SUPABASE':
             return `https://${bucket}.supabase.co/storage/v1/object/public/${key}`;
         case 'UPLOADCARE':
@@ -95,11 +129,25 @@ export function constructPublicUrl(provider, bucket, key) {
 /**
  * Build webhook payload
  * 
+ * Endpoint event deliveries (event_type set) wrap the stored event data:
+ *   { event, webhookId, endpointId, timestamp, data }
+ * Per-upload webhooks keep the upload.completed shape below.
+ * 
  * @param {Object} webhook - Webhook record from database
  * @param {Object} fileMetadata - File metadata from storage provider
  * @returns {Object} Formatted webhook payload
  */
 export function buildWebhookPayload(webhook, fileMetadata = {}) {
+    if (webhook.event_type) {
+        return {
+            event: webhook.event_type,
+            webhookId: webhook.id,
+            endpointId: webhook.endpoint_id,
+            timestamp: new Date().toISOString(),
+            data: webhook.payload || {}
+        };
+    }
+
     return {
         event: 'upload.completed',
         webhookId: webhook.id,
@@ -132,8 +180,9 @@ export function buildWebhookHeaders(webhook, payload) {
     return {
         'Content-Type': 'application/json',
         'X-Webhook-Signature': signature,
+        [SIGNATURE_HEADER]: generateSignatureHeader(payload, [webhook.webhook_secret]),
         'X-Webhook-ID': webhook.id,
-        'X-Webhook-Event': 'upload.completed',
+        'X-Webhook-Event': payload.event,
         'User-Agent': 'ObitoX-Webhooks/1.0',
         'X-Request-Time': new Date().toISOString()
     };
@@ -161,13 +210,8 @@ export function parseWebhookToken(token) {
  * Validate webhook URL
  * 
  * @param {string} url - URL to validate
- * @returns {boolean} True if valid HTTP/HTTPS URL
+ * @returns {boolean} True if valid HTTP/HTTPS URL to a public host (see url-guard.js)
  */
 export function isValidWebhookUrl(url) {
-    try {
-        const parsed = new URL(url);
-        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
-    } catch {
-        return false;
-    }
+    return typeof url === 'string' && getWebhookUrlError(url) === null;
 }
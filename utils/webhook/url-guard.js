@@ -0,0 +1,197 @@
+/**
+ * Webhook URL Guard
+ *
+ * Webhook deliveries are requests our servers make to customer-supplied URLs.
+ * A URL aimed at loopback, a private network or a cloud metadata service would
+ * let a customer reach internal services from inside our network — and read
+ * their replies through the delivery attempt log — so those hosts are refused:
+ *
+ * - when a URL is saved: literal private / reserved IPs and internal host names
+ * - before every delivery: the same, plus each address the host resolves to
+ *
+ * Deliveries don't follow redirects (services/webhook/processor.js), so a
+ * public URL can't bounce a request onto an internal one.
+ *
+ * WEBHOOK_ALLOW_PRIVATE_HOSTS=true switches the host check off for local
+ * development (e.g. a receiver on localhost).
+ */
+
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal', 'metadata.goog', 'instance-data'];
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal'];
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// [network, prefix length]
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],         // "this network"
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local (cloud metadata lives here)
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved, broadcast
+].map(([network, bits]) => [parseIPv4(network), bits]);
+
+/**
+ * Dotted IPv4 address as an unsigned 32-bit number
+ * @returns {number|null} null if not an IPv4 address
+ */
+function parseIPv4(address) {
+    const octets = IPV4_PATTERN.exec(address)?.slice(1).map(Number);
+    if (!octets || octets.some(octet => octet > 255)) return null;
+    return ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+}
+
+/**
+ * IPv6 address as eight 16-bit groups
+ * @returns {number[]|null} null if not an IPv6 address
+ */
+function parseIPv6(address) {
+    let text = address.split('%')[0];   // drop a zone ID (fe80::1%eth0)
+
+    // Trailing dotted IPv4 (::ffff:127.0.0.1) → two hex groups
+    const v4Tail = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (v4Tail) {
+        const v4 = parseIPv4(v4Tail[2]);
+        if (v4 === null) return null;
+        text = `${v4Tail[1]}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => (part ? part.split(':') : []);
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    const missing = 8 - head.length - tail.length;
+
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+    return groups.map(group => parseInt(group, 16));
+}
+
+function isBlockedIPv4(value) {
+    return BLOCKED_IPV4_RANGES.some(([network, bits]) => (value >>> (32 - bits)) === (network >>> (32 - bits)));
+}
+
+function isBlockedIPv6(groups) {
+    const embeddedV4 = ((groups[6] << 16) | groups[7]) >>> 0;
+    const leadingZeros = groups.slice(0, 5).every(group => group === 0);
+
+    if (groups.slice(0, 7).every(group => group === 0) && groups[7] <= 1) return true;   // :: and ::1
+    if (leadingZeros && (groups[5] === 0xffff || groups[5] === 0)) return isBlockedIPv4(embeddedV4); // IPv4-mapped / -compatible
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) return isBlockedIPv4(embeddedV4);   // NAT64
+    if ((groups[0] & 0xfe00) === 0xfc00) return true;   // unique local fc00::/7
+    if ((groups[0] & 0xffc0) === 0xfe80) return true;   // link-local fe80::/10
+    if ((groups[0] & 0xffc0) === 0xfec0) return true;   // site-local fec0::/10
+    return (groups[0] & 0xff00) === 0xff00;             // multicast ff00::/8
+}
+
+/**
+ * Is an IP address loopback, private, link-local or otherwise not public?
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} false for anything that isn't an IP address
+ */
+export function isBlockedAddress(address) {
+    const v4 = parseIPv4(address);
+    if (v4 !== null) return isBlockedIPv4(v4);
+
+    const v6 = parseIPv6(address);
+    return v6 !== null && isBlockedIPv6(v6);
+}
+
+/**
+ * Host name of a parsed URL, lower-cased, without IPv6 brackets or a trailing dot
+ * @param {URL} parsed
+ * @returns {string}
+ */
+export function getUrlHost(parsed) {
+    return parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+}
+
+/**
+ * Why a webhook URL can't be used, if it can't
+ *
+ * Only looks at the URL itself — no DNS lookups.
+ *
+ * @param {string} url
+ * @returns {string|null} Reason, or null if the URL is acceptable
+ */
+export function getWebhookUrlError(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Webhook URL is not a valid URL';
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Webhook URL must use http or https';
+    }
+
+    if (ALLOW_PRIVATE_HOSTS) return null;
+
+    const host = getUrlHost(parsed);
+
+    if (isBlockedAddress(host)) {
+        return 'Webhook URL cannot point at a loopback, private, link-local or reserved address';
+    }
+
+    if (BLOCKED_HOSTNAMES.includes(host) || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+        return `Webhook URL cannot point at the internal host "${host}"`;
+    }
+
+    return null;
+}
+
+let lookupPromise;
+
+/**
+ * Node's resolver, or null where there isn't one (Cloudflare Workers)
+ * @returns {Promise<Function|null>}
+ */
+function loadLookup() {
+    lookupPromise ??= import('dns')
+        .then(dns => dns.promises.lookup)
+        .catch(() => null);
+    return lookupPromise;
+}
+
+const blocked = (message) => Object.assign(new Error(message), { code: 'WEBHOOK_HOST_BLOCKED' });
+
+/**
+ * Check a webhook URL right before delivering to it
+ *
+ * Applies getWebhookUrlError() again (the URL may have been saved before the
+ * rules existed) and refuses host names that resolve to a blocked address.
+ * Without a resolver only the URL is checked; fetch from Workers can't reach
+ * private networks in the first place.
+ *
+ * @param {string} url
+ * @throws {Error} code WEBHOOK_HOST_BLOCKED when the URL must not be called
+ */
+export async function assertDeliverableUrl(url) {
+    const reason = getWebhookUrlError(url);
+    if (reason) throw blocked(reason);
+    if (ALLOW_PRIVATE_HOSTS) return;
+
+    const host = getUrlHost(new URL(url));
+    if (parseIPv4(host) !== null || parseIPv6(host) !== null) return;   // literal, already checked
+
+    const lookup = await loadLookup();
+    if (!lookup) return;
+
+    const addresses = await lookup(host, { all: true, verbatim: true });
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw blocked(`Webhook host "${host}" resolves to a loopback, private, link-local or reserved address`);
+    }
+}
@@ -26,9 +26,16 @@ globalThis.fetch = (input, init = {}) => {
 import apiKeyMiddleware from './middlewares/apikey.middleware.optimized.js';
 import { signatureValidator } from './middlewares/signature-validator.middleware.js';
 import { unifiedRateLimitMiddleware } from './middlewares/rate-limiter.middleware.js';
+import { resolveConnection } from './middlewares/connection.middleware.js';
+import { queryToBody } from './middlewares/query-body.middleware.js';
+import { resolvePreset } from './middlewares/preset.middleware.js';
+import { apiKeyOrUploadToken, signatureOrUploadToken, enforceUploadToken } from './middlewares/upload-token.middleware.js';
+import { requireScope } from './middlewares/scope.middleware.js';
+import { enforceByteQuota, enforceByteQuotaIfSized } from './middlewares/byte-quota.middleware.js';
+import { R2_PERMISSION_SCOPES } from './utils/api-key-scopes.js';
 
 // ─── API Key Controllers ──────────────────────────────────────────────────────
-import { validateApiKey, validateApiKeyPost } from './controllers/apikey.controller.js';
+import { validateApiKey, validateApiKeyPost, rotateApiKey, setSigningKey, removeSigningKey } from './controllers/apikey.controller.js';
 
 // ─── Analytics Controllers ────────────────────────────────────────────────────
 import { getUploadAnalytics, getDailyUsageAnalytics, getProviderUsageAnalytics } from './controllers/analytics.controller.js';
@@ -38,7 +45,7 @@ import { validateFile, validateFilesBatch, validateAndGenerateSignedUrl, getSupp
 
 // ─── Supabase Controllers ─────────────────────────────────────────────────────
 import {
-    uploadToSupabaseStorage, generateSupabaseSignedUrl, deleteSupabaseFile,
+    uploadToSupabaseStorage, generateSupabaseSignedUrl, generateSupabaseResumableUpload, deleteSupabaseFile,
     downloadSupabaseFile, listSupabaseFiles, cancelSupabaseUpload,
     listSupabaseBuckets, completeSupabaseUpload,
 } from './controllers/providers/supabase/index.js';
@@ -57,11 +64,12 @@ import {
     generateR2SignedUrl, deleteR2File, downloadR2File, listR2Files,
     generateR2DownloadUrl, generateR2AccessToken, revokeR2AccessToken,
     generateR2BatchSignedUrls, batchDeleteR2Files,
+    initiateR2MultipartUpload, completeR2MultipartUpload, abortR2MultipartUpload, listR2MultipartParts,
 } from './controllers/providers/r2/index.js';
 
 // ─── S3 Controllers ───────────────────────────────────────────────────────────
 import { generateS3SignedUrl } from './controllers/providers/s3/s3.signed-url.js';
-import { initiateS3MultipartUpload, completeS3MultipartUpload, abortS3MultipartUpload } from './controllers/providers/s3/s3.multipart.js';
+import { initiateS3MultipartUpload, completeS3MultipartUpload, abortS3MultipartUpload, getS3MultipartStatus } from './controllers/providers/s3/s3.multipart.js';
 import { generateS3DownloadUrl } from './controllers/providers/s3/s3.download.js';
 import { deleteS3File, batchDeleteS3Files } from './controllers/providers/s3/s3.delete.js';
 import { listS3Files } from './controllers/providers/s3/s3.list.js';
@@ -69,8 +77,33 @@ import { getS3Metadata } from './controllers/providers/s3/s3.metadata.js';
 import { generateS3BatchSignedUrls } from './controllers/providers/s3/s3.batch-signed-url.js';
 import { setupS3BucketCors, verifyS3BucketCors, setupR2BucketCors, verifyR2BucketCors } from './middlewares/cors.middleware.js';
 
+// ─── GCS Controllers ──────────────────────────────────────────────────────────
+import {
+    generateGcsSignedUrl, generateGcsDownloadUrl, deleteGcsFile, batchDeleteGcsFiles,
+    listGcsFiles, getGcsMetadata, setupGcsBucketCors, verifyGcsBucketCors,
+} from './controllers/providers/gcs/index.js';
+
+// ─── Azure Controllers ────────────────────────────────────────────────────────
+import {
+    generateAzureSignedUrl, generateAzureDownloadUrl, deleteAzureBlob, batchDeleteAzureBlobs,
+    listAzureBlobs, listAzureContainers, initiateAzureBlockUpload, completeAzureBlockUpload,
+    abortAzureBlockUpload, setupAzureCors, verifyAzureCors,
+} from './controllers/providers/azure/index.js';
+
 // ─── Webhook Controllers ──────────────────────────────────────────────────────
 import { confirmUploadWebhook, getWebhookStatus, listWebhooks, createWebhook, deleteWebhook, retryWebhook } from './controllers/webhooks/confirm.controller.js';
+import { listEventTypes, getEventTypeSample, listEndpoints, createEndpoint, getEndpoint, updateEndpoint, deleteEndpoint, rotateEndpointSecret, testEndpoint } from './controllers/webhooks/endpoints.controller.js';
+import { listDeliveryAttempts, replayDelivery, replayDeadLetters } from './controllers/webhooks/deliveries.controller.js';
+
+// ─── Connection Controllers ───────────────────────────────────────────────────
+import { createConnection, listConnections, getConnectionById, updateConnection, deleteConnection, getConnectionProviders } from './controllers/connections.controller.js';
+import { createPreset, listPresets, getPreset, updatePreset, deletePreset } from './controllers/presets.controller.js';
+import { createUploadToken, revokeUploadToken } from './controllers/upload-tokens.controller.js';
+import { createUpload, listFiles, getFile, deleteFile, createDownloadUrl } from './controllers/files.controller.js';
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+import { requireAdmin } from './middlewares/admin.middleware.js';
+import { listBans, listViolations, unban, resetViolations, getUserOverview, invalidateUserCache } from './controllers/admin.controller.js';
 
 // ─── Monitoring ───────────────────────────────────────────────────────────────
 import { getRedis, testRedisConnection } from './config/redis.js';
@@ -88,8 +121,8 @@ const app = new Hono();
 app.use('*', cors({
     origin: ['https://obitox.dev', 'https://www.obitox.dev', 'http://localhost:3000', 'http://localhost:5173'],
     allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'x-api-key', 'X-Signature', 'X-Timestamp', 'X-Requested-With'],
-    exposeHeaders: ['X-Request-ID'],
+    allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'x-api-key', 'X-Signature', 'X-Timestamp', 'X-Nonce', 'X-Signature-Algorithm', 'X-Upload-Token', 'X-Requested-With'],
+    exposeHeaders: ['X-Request-ID', 'X-Request-Cost', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Quota-Remaining'],
     credentials: true,
     maxAge: 86400,
 }));
@@ -133,7 +166,9 @@ function chain(...handlers) {
                 get: (_, key) => c.req.header(typeof key === 'string' ? key.toLowerCase() : key),
                 has: (_, key) => c.req.header(typeof key === 'string' ? key.toLowerCase() : key) !== undefined,
             }),
-            ip: c.req.header('cf-connecting-ip') || c.req.header('x-forwarded-for')?.split(',')[0] || '127.0.0.1',
+            // Cloudflare sets cf-connecting-ip itself; X-Forwarded-For is client-controlled
+            // and would let callers dodge per-key IP allowlists
+            ip: c.req.header('cf-connecting-ip') || '127.0.0.1',
             body,
             params: c.req.param(),
             query: Object.fromEntries(url.searchParams),
@@ -160,8 +195,12 @@ function chain(...handlers) {
                 if (!settled) { settled = true; response = c.text(String(data), this._status); }
                 return this;
             },
-            setHeader() { return this; },
-            set() { return this; },
+            setHeader(name, value) { c.header(name, String(value)); return this; },
+            set(name, value) {
+                const fields = typeof name === 'object' ? name : { [name]: value };
+                for (const [key, val] of Object.entries(fields)) c.header(key, String(val));
+                return this;
+            },
             end() { return this; },
         };
 
@@ -189,9 +228,22 @@ function chain(...handlers) {
 }
 
 // Shorthand: auth + rate-limit + signature → controller
-const secured = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, ...ctrl);
-const authed = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, ...ctrl);
+// resolveConnection is a no-op unless the body carries a connectionId
+const secured = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, resolveConnection, ...ctrl);
+const authed = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, resolveConnection, ...ctrl);
 const pub = (...ctrl) => chain(...ctrl);
+const admin = (...ctrl) => chain(requireAdmin, ...ctrl);
+// Signed-url routes that accept a `preset` name (resolved before the connection it may carry)
+const presetSecured = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, resolvePreset, resolveConnection, ...ctrl);
+// v2 files: GET inputs arrive as query params, so copy them into the body before resolving the connection
+const files = (...ctrl) => chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, queryToBody, resolveConnection, ...ctrl);
+// Signed-url routes a browser may call with an X-Upload-Token instead of an API key + signature
+const tokenSecured = (...ctrl) => chain(apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, enforceUploadToken, resolveConnection, ...ctrl);
+const tokenPresetSecured = (...ctrl) => chain(apiKeyOrUploadToken, unifiedRateLimitMiddleware, signatureOrUploadToken, resolvePreset, enforceUploadToken, resolveConnection, ...ctrl);
+
+// Every route names the API key scope it needs; an R2 access token can only grant what the issuing key may do
+const r2TokenScopes = (req) => (Array.isArray(req.body?.permissions) ? req.body.permissions : ['read'])
+    .map(permission => R2_PERMISSION_SCOPES[permission]).filter(Boolean);
 
 // =============================================================================
 // ROUTES
@@ -218,91 +270,169 @@ app.get('/health/redis', async (c) => {
 // ── API Key Validation ────────────────────────────────────────────────────────
 app.get('/api/v1/apikeys/validate', chain(apiKeyMiddleware, validateApiKey));
 app.post('/api/v1/apikeys/validate', chain(apiKeyMiddleware, validateApiKeyPost));
+app.post('/api/v1/apikeys/rotate', chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, rotateApiKey));
+app.put('/api/v1/apikeys/signing-key', chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, setSigningKey));
+app.delete('/api/v1/apikeys/signing-key', chain(apiKeyMiddleware, unifiedRateLimitMiddleware, signatureValidator, removeSigningKey));
 
 // ── File Validation (public endpoint) ────────────────────────────────────────
 app.get('/api/v1/upload/validate/supported-types', pub(getSupportedTypes));
-app.post('/api/v1/upload/validate', secured(validateFile));
-app.post('/api/v1/upload/validate/batch', secured(validateFilesBatch));
-app.post('/api/v1/upload/validate/signed-url', secured(validateAndGenerateSignedUrl));
+app.post('/api/v1/upload/validate', secured(requireScope('upload:write', { requireTarget: false }), validateFile));
+app.post('/api/v1/upload/validate/batch', secured(requireScope('upload:write', { requireTarget: false }), validateFilesBatch));
+app.post('/api/v1/upload/validate/signed-url', presetSecured(requireScope('upload:write'), enforceByteQuota, validateAndGenerateSignedUrl));
 
 // ── Supabase ──────────────────────────────────────────────────────────────────
-app.post('/api/v1/upload/supabase/signed-url', secured(generateSupabaseSignedUrl));
-app.post('/api/v1/upload/supabase/upload', secured(uploadToSupabaseStorage));
-app.post('/api/v1/upload/supabase/cancel', secured(cancelSupabaseUpload));
-app.post('/api/v1/upload/supabase/delete', secured(deleteSupabaseFile));
-app.post('/api/v1/upload/supabase/list', secured(listSupabaseFiles));
-app.post('/api/v1/upload/supabase/download', secured(downloadSupabaseFile));
-app.post('/api/v1/upload/supabase/buckets', secured(listSupabaseBuckets));
-app.post('/api/v1/upload/supabase/complete', secured(completeSupabaseUpload));
+app.post('/api/v1/upload/supabase/signed-url', tokenPresetSecured(requireScope('upload:write'), enforceByteQuota, generateSupabaseSignedUrl));
+app.post('/api/v1/upload/supabase/resumable', secured(requireScope('upload:write'), enforceByteQuota, generateSupabaseResumableUpload));
+app.post('/api/v1/upload/supabase/upload', secured(requireScope('upload:write'), uploadToSupabaseStorage));
+app.post('/api/v1/upload/supabase/cancel', secured(requireScope('upload:write'), cancelSupabaseUpload));
+app.post('/api/v1/upload/supabase/delete', secured(requireScope('files:delete'), deleteSupabaseFile));
+app.post('/api/v1/upload/supabase/list', secured(requireScope('files:list'), listSupabaseFiles));
+app.post('/api/v1/upload/supabase/download', secured(requireScope('files:read'), downloadSupabaseFile));
+app.post('/api/v1/upload/supabase/buckets', secured(requireScope('files:list'), listSupabaseBuckets));
+app.post('/api/v1/upload/supabase/complete', secured(requireScope('upload:write'), completeSupabaseUpload));
 
 // ── Uploadcare ────────────────────────────────────────────────────────────────
 app.get('/api/v1/upload/uploadcare/health', pub(uploadcareHealthCheck));
-app.post('/api/v1/upload/uploadcare/signed-url', secured(generateUploadcareSignedUrl));
-app.delete('/api/v1/upload/uploadcare/delete', secured(deleteUploadcareFile));
-app.post('/api/v1/upload/uploadcare/download', secured(downloadUploadcareFile));
-app.post('/api/v1/upload/uploadcare/list', secured(listUploadcareFiles));
-app.post('/api/v1/upload/uploadcare/scan-malware', secured(scanUploadcareFileForMalware));
-app.post('/api/v1/upload/uploadcare/scan-status', secured(checkUploadcareMalwareScanStatus));
-app.post('/api/v1/upload/uploadcare/scan-results', secured(getUploadcareMalwareScanResults));
-app.post('/api/v1/upload/uploadcare/remove-infected', secured(removeUploadcareInfectedFile));
-app.post('/api/v1/upload/uploadcare/validate', secured(validateUploadcareFile));
-app.post('/api/v1/upload/uploadcare/project-settings', secured(getUploadcareProjectSettings));
-app.post('/api/v1/upload/uploadcare/validate-svg', secured(validateUploadcareSvg));
-app.post('/api/v1/upload/uploadcare/track', secured(trackUploadcareEvent));
+app.post('/api/v1/upload/uploadcare/signed-url', tokenSecured(requireScope('upload:write'), enforceByteQuota, generateUploadcareSignedUrl));
+app.delete('/api/v1/upload/uploadcare/delete', secured(requireScope('files:delete'), deleteUploadcareFile));
+app.post('/api/v1/upload/uploadcare/download', secured(requireScope('files:read'), downloadUploadcareFile));
+app.post('/api/v1/upload/uploadcare/list', secured(requireScope('files:list'), listUploadcareFiles));
+app.post('/api/v1/upload/uploadcare/scan-malware', secured(requireScope('files:read'), scanUploadcareFileForMalware));
+app.post('/api/v1/upload/uploadcare/scan-status', secured(requireScope('files:read'), checkUploadcareMalwareScanStatus));
+app.post('/api/v1/upload/uploadcare/scan-results', secured(requireScope('files:read'), getUploadcareMalwareScanResults));
+app.post('/api/v1/upload/uploadcare/remove-infected', secured(requireScope('files:delete'), removeUploadcareInfectedFile));
+app.post('/api/v1/upload/uploadcare/validate', secured(requireScope('files:read'), validateUploadcareFile));
+app.post('/api/v1/upload/uploadcare/project-settings', secured(requireScope('buckets:configure'), getUploadcareProjectSettings));
+app.post('/api/v1/upload/uploadcare/validate-svg', secured(requireScope('files:read'), validateUploadcareSvg));
+app.post('/api/v1/upload/uploadcare/track', secured(requireScope('upload:write', { requireTarget: false }), trackUploadcareEvent));
 
 // ── Cloudflare R2 ─────────────────────────────────────────────────────────────
-app.post('/api/v1/upload/r2/signed-url', secured(generateR2SignedUrl));
-app.post('/api/v1/upload/r2/delete', secured(deleteR2File));
-app.post('/api/v1/upload/r2/download', secured(downloadR2File));
-app.post('/api/v1/upload/r2/list', secured(listR2Files));
-app.post('/api/v1/upload/r2/download-url', secured(generateR2DownloadUrl));
-app.post('/api/v1/upload/r2/access-token', secured(generateR2AccessToken));
-app.delete('/api/v1/upload/r2/access-token/revoke', secured(revokeR2AccessToken));
-app.post('/api/v1/upload/r2/batch/signed-urls', secured(generateR2BatchSignedUrls));
-app.post('/api/v1/upload/r2/batch/delete', secured(batchDeleteR2Files));
-app.post('/api/v1/upload/r2/cors/setup', authed(setupR2BucketCors));
-app.post('/api/v1/upload/r2/cors/verify', authed(verifyR2BucketCors));
+app.post('/api/v1/upload/r2/signed-url', tokenPresetSecured(requireScope('upload:write'), enforceByteQuota, generateR2SignedUrl));
+app.post('/api/v1/upload/r2/delete', secured(requireScope('files:delete'), deleteR2File));
+app.post('/api/v1/upload/r2/download', secured(requireScope('files:read'), downloadR2File));
+app.post('/api/v1/upload/r2/list', secured(requireScope('files:list'), listR2Files));
+app.post('/api/v1/upload/r2/download-url', secured(requireScope('files:read'), generateR2DownloadUrl));
+app.post('/api/v1/upload/r2/access-token', secured(requireScope(r2TokenScopes), generateR2AccessToken));
+app.delete('/api/v1/upload/r2/access-token/revoke', secured(requireScope('upload:write'), revokeR2AccessToken));
+app.post('/api/v1/upload/r2/batch/signed-urls', secured(requireScope('upload:write'), enforceByteQuota, generateR2BatchSignedUrls));
+app.post('/api/v1/upload/r2/batch/delete', secured(requireScope('files:delete'), batchDeleteR2Files));
+app.post('/api/v1/upload/r2/multipart/initiate', secured(requireScope('upload:write'), enforceByteQuota, initiateR2MultipartUpload));
+app.post('/api/v1/upload/r2/multipart/complete', secured(requireScope('upload:write'), completeR2MultipartUpload));
+app.post('/api/v1/upload/r2/multipart/abort', secured(requireScope('upload:write'), abortR2MultipartUpload));
+app.post('/api/v1/upload/r2/multipart/list-parts', secured(requireScope('upload:write'), listR2MultipartParts));
+app.post('/api/v1/upload/r2/cors/setup', authed(requireScope('buckets:configure'), setupR2BucketCors));
+app.post('/api/v1/upload/r2/cors/verify', authed(requireScope('buckets:configure'), verifyR2BucketCors));
 
 // ── AWS S3 ────────────────────────────────────────────────────────────────────
-app.post('/api/v1/upload/s3/signed-url', secured(generateS3SignedUrl));
-app.post('/api/v1/upload/s3/batch-signed-url', secured(generateS3BatchSignedUrls));
-app.post('/api/v1/upload/s3/multipart/initiate', secured(initiateS3MultipartUpload));
-app.post('/api/v1/upload/s3/multipart/complete', secured(completeS3MultipartUpload));
-app.post('/api/v1/upload/s3/multipart/abort', secured(abortS3MultipartUpload));
-app.post('/api/v1/upload/download/s3/signed-url', secured(generateS3DownloadUrl));
-app.delete('/api/v1/upload/s3/delete', secured(deleteS3File));
-app.post('/api/v1/upload/s3/batch-delete', secured(batchDeleteS3Files));
-app.post('/api/v1/upload/s3/list', secured(listS3Files));
-app.post('/api/v1/upload/s3/metadata', secured(getS3Metadata));
-app.post('/api/v1/upload/s3/cors/setup', authed(setupS3BucketCors));
-app.post('/api/v1/upload/s3/cors/verify', authed(verifyS3BucketCors));
+app.post('/api/v1/upload/s3/signed-url', tokenPresetSecured(requireScope('upload:write'), enforceByteQuota, generateS3SignedUrl));
+app.post('/api/v1/upload/s3/batch-signed-url', secured(requireScope('upload:write'), enforceByteQuota, generateS3BatchSignedUrls));
+app.post('/api/v1/upload/s3/multipart/initiate', secured(requireScope('upload:write'), enforceByteQuota, initiateS3MultipartUpload));
+app.post('/api/v1/upload/s3/multipart/complete', secured(requireScope('upload:write'), completeS3MultipartUpload));
+app.post('/api/v1/upload/s3/multipart/abort', secured(requireScope('upload:write'), abortS3MultipartUpload));
+app.post('/api/v1/upload/s3/multipart/status', secured(requireScope('upload:write'), enforceByteQuotaIfSized, getS3MultipartStatus));
+app.post('/api/v1/upload/download/s3/signed-url', secured(requireScope('files:read'), generateS3DownloadUrl));
+app.delete('/api/v1/upload/s3/delete', secured(requireScope('files:delete'), deleteS3File));
+app.post('/api/v1/upload/s3/batch-delete', secured(requireScope('files:delete'), batchDeleteS3Files));
+app.post('/api/v1/upload/s3/list', secured(requireScope('files:list'), listS3Files));
+app.post('/api/v1/upload/s3/metadata', secured(requireScope('files:read'), getS3Metadata));
+app.post('/api/v1/upload/s3/cors/setup', authed(requireScope('buckets:configure'), setupS3BucketCors));
+app.post('/api/v1/upload/s3/cors/verify', authed(requireScope('buckets:configure'), verifyS3BucketCors));
+
+// ── Google Cloud Storage ──────────────────────────────────────────────────────
+app.post('/api/v1/upload/gcs/signed-url', tokenSecured(requireScope('upload:write'), enforceByteQuota, generateGcsSignedUrl));
+app.post('/api/v1/upload/gcs/download-url', secured(requireScope('files:read'), generateGcsDownloadUrl));
+app.post('/api/v1/upload/gcs/delete', secured(requireScope('files:delete'), deleteGcsFile));
+app.post('/api/v1/upload/gcs/batch/delete', secured(requireScope('files:delete'), batchDeleteGcsFiles));
+app.post('/api/v1/upload/gcs/list', secured(requireScope('files:list'), listGcsFiles));
+app.post('/api/v1/upload/gcs/metadata', secured(requireScope('files:read'), getGcsMetadata));
+app.post('/api/v1/upload/gcs/cors/setup', authed(requireScope('buckets:configure'), setupGcsBucketCors));
+app.post('/api/v1/upload/gcs/cors/verify', authed(requireScope('buckets:configure'), verifyGcsBucketCors));
+
+// ── Azure Blob Storage ────────────────────────────────────────────────────────
+app.post('/api/v1/upload/azure/signed-url', tokenSecured(requireScope('upload:write'), enforceByteQuota, generateAzureSignedUrl));
+app.post('/api/v1/upload/azure/download-url', secured(requireScope('files:read'), generateAzureDownloadUrl));
+app.post('/api/v1/upload/azure/delete', secured(requireScope('files:delete'), deleteAzureBlob));
+app.post('/api/v1/upload/azure/batch/delete', secured(requireScope('files:delete'), batchDeleteAzureBlobs));
+app.post('/api/v1/upload/azure/list', secured(requireScope('files:list'), listAzureBlobs));
+app.post('/api/v1/upload/azure/containers', secured(requireScope('files:list'), listAzureContainers));
+app.post('/api/v1/upload/azure/multipart/initiate', secured(requireScope('upload:write'), enforceByteQuota, initiateAzureBlockUpload));
+app.post('/api/v1/upload/azure/multipart/complete', secured(requireScope('upload:write'), completeAzureBlockUpload));
+app.post('/api/v1/upload/azure/multipart/abort', secured(requireScope('upload:write'), abortAzureBlockUpload));
+app.post('/api/v1/upload/azure/cors/setup', authed(requireScope('buckets:configure'), setupAzureCors));
+app.post('/api/v1/upload/azure/cors/verify', authed(requireScope('buckets:configure'), verifyAzureCors));
 
 // ── Analytics ─────────────────────────────────────────────────────────────────
-app.get('/api/v1/analytics', secured(getUploadAnalytics));
-app.get('/api/v1/analytics/daily', secured(getDailyUsageAnalytics));
-app.get('/api/v1/analytics/providers', secured(getProviderUsageAnalytics));
-app.get('/api/v1/upload/analytics', secured(getUploadAnalytics));
-app.get('/api/v1/upload/analytics/daily', secured(getDailyUsageAnalytics));
-app.get('/api/v1/upload/analytics/providers', secured(getProviderUsageAnalytics));
+app.get('/api/v1/analytics', secured(requireScope('analytics:read'), getUploadAnalytics));
+app.get('/api/v1/analytics/daily', secured(requireScope('analytics:read'), getDailyUsageAnalytics));
+app.get('/api/v1/analytics/providers', secured(requireScope('analytics:read'), getProviderUsageAnalytics));
+app.get('/api/v1/upload/analytics', secured(requireScope('analytics:read'), getUploadAnalytics));
+app.get('/api/v1/upload/analytics/daily', secured(requireScope('analytics:read'), getDailyUsageAnalytics));
+app.get('/api/v1/upload/analytics/providers', secured(requireScope('analytics:read'), getProviderUsageAnalytics));
 
 // Legacy stats
-app.get('/api/v1/upload/stats', authed((req, res) => {
+app.get('/api/v1/upload/stats', authed(requireScope('analytics:read'), (req, res) => {
     res.json({ success: true, message: 'Deprecated. Use /api/v1/analytics instead.', redirect: '/api/v1/analytics' });
 }));
 
 // ── Upload Tracking ───────────────────────────────────────────────────────────
-app.post('/api/v1/upload/track', secured(trackUploadcareEvent));
+app.post('/api/v1/upload/track', secured(requireScope('upload:write', { requireTarget: false }), trackUploadcareEvent));
 
 // ── Webhooks ──────────────────────────────────────────────────────────────────
-app.post('/api/v1/webhooks/confirm', secured(confirmUploadWebhook));
-app.post('/api/v1/webhooks/create', secured(createWebhook));
-app.get('/api/v1/webhooks/list', secured(listWebhooks));
-app.get('/api/v1/webhooks/status/:id', secured(getWebhookStatus));
-app.post('/api/v1/webhooks/:id/retry', secured(retryWebhook));
-app.delete('/api/v1/webhooks/:id', secured(deleteWebhook));
+app.post('/api/v1/webhooks/confirm', secured(requireScope('upload:write', { requireTarget: false }), confirmUploadWebhook));
+app.post('/api/v1/webhooks/create', secured(requireScope('webhooks:manage'), createWebhook));
+app.get('/api/v1/webhooks/list', secured(requireScope('webhooks:manage'), listWebhooks));
+app.get('/api/v1/webhooks/status/:id', secured(requireScope('webhooks:manage'), getWebhookStatus));
+app.post('/api/v1/webhooks/dead-letters/replay', secured(requireScope('webhooks:manage'), replayDeadLetters));
+app.post('/api/v1/webhooks/:id/retry', secured(requireScope('webhooks:manage'), retryWebhook));
+app.get('/api/v1/webhooks/:id/attempts', secured(requireScope('webhooks:manage'), listDeliveryAttempts));
+app.post('/api/v1/webhooks/:id/replay', secured(requireScope('webhooks:manage'), replayDelivery));
+app.delete('/api/v1/webhooks/:id', secured(requireScope('webhooks:manage'), deleteWebhook));
+app.get('/api/v1/webhooks/event-types', secured(requireScope('webhooks:manage'), listEventTypes));
+app.get('/api/v1/webhooks/event-types/:type/sample', secured(requireScope('webhooks:manage'), getEventTypeSample));
+app.get('/api/v1/webhooks/endpoints', secured(requireScope('webhooks:manage'), listEndpoints));
+app.post('/api/v1/webhooks/endpoints', secured(requireScope('webhooks:manage'), createEndpoint));
+app.get('/api/v1/webhooks/endpoints/:id', secured(requireScope('webhooks:manage'), getEndpoint));
+app.patch('/api/v1/webhooks/endpoints/:id', secured(requireScope('webhooks:manage'), updateEndpoint));
+app.delete('/api/v1/webhooks/endpoints/:id', secured(requireScope('webhooks:manage'), deleteEndpoint));
+app.post('/api/v1/webhooks/endpoints/:id/rotate-secret', secured(requireScope('webhooks:manage'), rotateEndpointSecret));
+app.post('/api/v1/webhooks/endpoints/:id/test', secured(requireScope('webhooks:manage'), testEndpoint));
+
+// ── Provider Connections ──────────────────────────────────────────────────────
+app.get('/api/v1/connections/providers', secured(requireScope('connections:manage'), getConnectionProviders));
+app.post('/api/v1/connections', secured(requireScope('connections:manage'), createConnection));
+app.get('/api/v1/connections', secured(requireScope('connections:manage'), listConnections));
+app.get('/api/v1/connections/:id', secured(requireScope('connections:manage'), getConnectionById));
+app.patch('/api/v1/connections/:id', secured(requireScope('connections:manage'), updateConnection));
+app.delete('/api/v1/connections/:id', secured(requireScope('connections:manage'), deleteConnection));
+
+// ── Upload Presets ────────────────────────────────────────────────────────────
+app.post('/api/v1/presets', secured(requireScope('presets:manage'), createPreset));
+app.get('/api/v1/presets', secured(requireScope('presets:manage'), listPresets));
+app.get('/api/v1/presets/:name', secured(requireScope('presets:manage'), getPreset));
+app.patch('/api/v1/presets/:name', secured(requireScope('presets:manage'), updatePreset));
+app.delete('/api/v1/presets/:name', secured(requireScope('presets:manage'), deletePreset));
+
+// ── Client Upload Tokens ──────────────────────────────────────────────────────
+app.post('/api/v1/upload-tokens', secured(requireScope('upload:write'), createUploadToken));
+app.delete('/api/v1/upload-tokens/:id', secured(requireScope('upload:write'), revokeUploadToken));
+
+// ── Files v2 (provider-agnostic) ──────────────────────────────────────────────
+app.post('/api/v2/uploads', files(requireScope('upload:write'), enforceByteQuota, createUpload));
+app.get('/api/v2/files', files(requireScope('files:list'), listFiles));
+app.get('/api/v2/files/:key', files(requireScope('files:read'), getFile));
+app.delete('/api/v2/files/:key', files(requireScope('files:delete'), deleteFile));
+app.post('/api/v2/files/:key/download-url', files(requireScope('files:read'), createDownloadUrl));
+
+// ── Admin (bearer admin token, not an API key) ────────────────────────────────
+app.get('/api/v1/admin/bans', admin(listBans));
+app.get('/api/v1/admin/violations', admin(listViolations));
+app.post('/api/v1/admin/unban', admin(unban));
+app.post('/api/v1/admin/violations/reset', admin(resetViolations));
+app.get('/api/v1/admin/users/:userId', admin(getUserOverview));
+app.post('/api/v1/admin/users/:userId/invalidate-cache', admin(invalidateUserCache));
 
 // ── Legacy signed-url ─────────────────────────────────────────────────────────
-app.post('/api/v1/upload/signed-url', secured(generateSupabaseSignedUrl));
+app.post('/api/v1/upload/signed-url', secured(requireScope('upload:write'), enforceByteQuota, generateSupabaseSignedUrl));
 
 // =============================================================================
 // ERROR HANDLERS